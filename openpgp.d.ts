@@ -10,22 +10,31 @@
 /* ############## v5 KEY #################### */
 // The Key and PublicKey types can be used interchangably since TS cannot detect the difference, as they have the same class properties.
 // The declared readKey(s) return type is Key instead of a PublicKey since it seems more obvious that a Key can be cast to a PrivateKey.
-export function readKey(options: { armoredKey: string, config?: PartialConfig }): Promise<Key>;
-export function readKey(options: { binaryKey: Uint8Array, config?: PartialConfig }): Promise<Key>;
-export function readKeys(options: { armoredKeys: string, config?: PartialConfig }): Promise<Key[]>;
-export function readKeys(options: { binaryKeys: Uint8Array, config?: PartialConfig }): Promise<Key[]>;
-export function readPrivateKey(options: { armoredKey: string, config?: PartialConfig }): Promise<PrivateKey>;
-export function readPrivateKey(options: { binaryKey: Uint8Array, config?: PartialConfig }): Promise<PrivateKey>;
-export function readPrivateKeys(options: { armoredKeys: string, config?: PartialConfig }): Promise<PrivateKey[]>;
-export function readPrivateKeys(options: { binaryKeys: Uint8Array, config?: PartialConfig }): Promise<PrivateKey[]>;
+export function readKey(options: { armoredKey: string, keepTrustPackets?: boolean, config?: PartialConfig }): Promise<Key>;
+export function readKey(options: { binaryKey: Uint8Array, keepTrustPackets?: boolean, config?: PartialConfig }): Promise<Key>;
+export function readKeys(options: { armoredKeys: string, keepTrustPackets?: boolean, config?: PartialConfig }): Promise<Key[]>;
+export function readKeys(options: { binaryKeys: Uint8Array, keepTrustPackets?: boolean, config?: PartialConfig }): Promise<Key[]>;
+export function readPrivateKey(options: { armoredKey: string, keepTrustPackets?: boolean, config?: PartialConfig }): Promise<PrivateKey>;
+export function readPrivateKey(options: { binaryKey: Uint8Array, keepTrustPackets?: boolean, config?: PartialConfig }): Promise<PrivateKey>;
+export function readPrivateKeys(options: { armoredKeys: string, keepTrustPackets?: boolean, config?: PartialConfig }): Promise<PrivateKey[]>;
+export function readPrivateKeys(options: { binaryKeys: Uint8Array, keepTrustPackets?: boolean, config?: PartialConfig }): Promise<PrivateKey[]>;
+export function readKeysStream(options: { armoredKeys: MaybeStream<string>, keepTrustPackets?: boolean, config?: PartialConfig }): AsyncIterableIterator<Key>;
+export function readKeysStream(options: { binaryKeys: MaybeStream<Uint8Array>, keepTrustPackets?: boolean, config?: PartialConfig }): AsyncIterableIterator<Key>;
+export function writeKeys(options: { keys: Key[], format?: 'armored', comment?: boolean, config?: PartialConfig }): Promise<string>;
+export function writeKeys(options: { keys: Key[], format: 'binary', comment?: boolean, config?: PartialConfig }): Promise<Uint8Array>;
+export function computeValidity(options: {
+  keys: Key[], trustedKeys?: Key[], ownertrust?: { [fingerprint: string]: enums.ownertrust },
+  marginalsNeeded?: number, completesNeeded?: number, maxCertDepth?: number, date?: Date, config?: PartialConfig
+}): Promise<KeyValidity[]>;
+export function mergeKeys(keys: Key[], options?: { dropInvalid?: boolean, dropExpired?: boolean, date?: Date, config?: PartialConfig }): Promise<{ keys: Key[], changes: MergeSummary[] }>;
 export function generateKey(options: KeyOptions & { format?: 'armored' }): Promise<SerializedKeyPair<string> & { revocationCertificate: string }>;
 export function generateKey(options: KeyOptions & { format: 'binary' }): Promise<SerializedKeyPair<Uint8Array> & { revocationCertificate: string }>;
 export function generateKey(options: KeyOptions & { format: 'object' }): Promise<KeyPair & { revocationCertificate: string }>;
 export function decryptKey(options: { privateKey: PrivateKey; passphrase?: MaybeArray<string> | MaybeArray<Uint8Array>; config?: PartialConfig }): Promise<PrivateKey>;
 export function encryptKey(options: { privateKey: PrivateKey; passphrase?: MaybeArray<string> | MaybeArray<Uint8Array>; config?: PartialConfig }): Promise<PrivateKey>;
-export function reformatKey(options: { privateKey: PrivateKey; userIDs?: MaybeArray<UserID>; passphrase?: string | Uint8Array; keyExpirationTime?: number; date?: Date, format?: 'armored', config?: PartialConfig }): Promise<SerializedKeyPair<string> & { revocationCertificate: string }>;
-export function reformatKey(options: { privateKey: PrivateKey; userIDs?: MaybeArray<UserID>; passphrase?: string | Uint8Array; keyExpirationTime?: number; date?: Date, format: 'binary', config?: PartialConfig }): Promise<SerializedKeyPair<Uint8Array> & { revocationCertificate: string }>;
-export function reformatKey(options: { privateKey: PrivateKey; userIDs?: MaybeArray<UserID>; passphrase?: string | Uint8Array; keyExpirationTime?: number; date?: Date, format: 'object', config?: PartialConfig }): Promise<KeyPair & { revocationCertificate: string }>;
+export function reformatKey(options: { privateKey: PrivateKey; userIDs?: MaybeArray<UserID>; passphrase?: string | Uint8Array; keyExpirationTime?: number; date?: Date, designatedRevokers?: MaybeArray<PublicKey>, format?: 'armored', config?: PartialConfig }): Promise<SerializedKeyPair<string> & { revocationCertificate: string }>;
+export function reformatKey(options: { privateKey: PrivateKey; userIDs?: MaybeArray<UserID>; passphrase?: string | Uint8Array; keyExpirationTime?: number; date?: Date, designatedRevokers?: MaybeArray<PublicKey>, format: 'binary', config?: PartialConfig }): Promise<SerializedKeyPair<Uint8Array> & { revocationCertificate: string }>;
+export function reformatKey(options: { privateKey: PrivateKey; userIDs?: MaybeArray<UserID>; passphrase?: string | Uint8Array; keyExpirationTime?: number; date?: Date, designatedRevokers?: MaybeArray<PublicKey>, format: 'object', config?: PartialConfig }): Promise<KeyPair & { revocationCertificate: string }>;
 export function revokeKey(options: { key: PrivateKey, reasonForRevocation?: ReasonForRevocation, date?: Date, format?: 'armored', config?: PartialConfig }): Promise<SerializedKeyPair<string>>;
 export function revokeKey(options: { key: PrivateKey, reasonForRevocation?: ReasonForRevocation, date?: Date, format: 'binary', config?: PartialConfig }): Promise<SerializedKeyPair<Uint8Array>>;
 export function revokeKey(options: { key: PrivateKey, reasonForRevocation?: ReasonForRevocation, date?: Date, format: 'object', config?: PartialConfig }): Promise<KeyPair>;
@@ -34,6 +43,9 @@ export function revokeKey(options: { key: PrivateKey, revocationCertificate: str
 export function revokeKey(options: { key: PrivateKey, revocationCertificate: string, date?: Date, format: 'object', config?: PartialConfig }): Promise<KeyPair>;
 export function revokeKey(options: { key: PublicKey, revocationCertificate: string, date?: Date, format?: 'armored', config?: PartialConfig }): Promise<{ publicKey: string, privateKey: null }>;
 export function revokeKey(options: { key: PublicKey, revocationCertificate: string, date?: Date, format: 'binary', config?: PartialConfig }): Promise<{ publicKey: Uint8Array, privateKey: null }>;
+export function revokeKey(options: { key: PublicKey, designatedRevoker: PrivateKey, reasonForRevocation?: ReasonForRevocation, date?: Date, format?: 'armored', config?: PartialConfig }): Promise<{ publicKey: string, privateKey: null }>;
+export function revokeKey(options: { key: PublicKey, designatedRevoker: PrivateKey, reasonForRevocation?: ReasonForRevocation, date?: Date, format: 'binary', config?: PartialConfig }): Promise<{ publicKey: Uint8Array, privateKey: null }>;
+export function revokeKey(options: { key: PublicKey, designatedRevoker: PrivateKey, reasonForRevocation?: ReasonForRevocation, date?: Date, format: 'object', config?: PartialConfig }): Promise<{ publicKey: PublicKey, privateKey: null }>;
 export function revokeKey(options: { key: PublicKey, revocationCertificate: string, date?: Date, format: 'object', config?: PartialConfig }): Promise<{ publicKey: PublicKey, privateKey: null }>;
 
 export abstract class Key {
@@ -41,36 +53,43 @@ export abstract class Key {
   public subkeys: Subkey[]; // do not add/replace users directly
   public users: User[]; // do not add/replace subkeys directly
   public revocationSignatures: SignaturePacket[];
-  public write(): Uint8Array;
+  public trust: TrustPacket | null;
+  public signatureTrust: Map<SignaturePacket, TrustPacket>;
+  public write(includeTrustPackets?: boolean): Uint8Array;
   public armor(config?: Config): string;
   public getExpirationTime(userID?: UserID, config?: Config): Promise<Date | typeof Infinity | null>;
   public getKeyIDs(): KeyID[];
   public getPrimaryUser(date?: Date, userID?: UserID, config?: Config): Promise<PrimaryUser>; // throws on error
+  public getPrimarySelfSignature(date?: Date, userID?: UserID, config?: Config): Promise<SignaturePacket>; // throws on error
   public getUserIDs(): string[];
   public isPrivate(): this is PrivateKey;
   public toPublic(): PublicKey;
   // NB: the order of the `update` declarations matters, since PublicKey includes PrivateKey
-  public update(sourceKey: PrivateKey, date?: Date, config?: Config): Promise<PrivateKey>;
-  public update(sourceKey: PublicKey, date?: Date, config?: Config): Promise<PublicKey>;
-  public signPrimaryUser(privateKeys: PrivateKey[], date?: Date, userID?: UserID, config?: Config): Promise<this>
-  public signAllUsers(privateKeys: PrivateKey[], date?: Date, config?: Config): Promise<this>
-  public verifyPrimaryKey(date?: Date, userID?: UserID, config?: Config): Promise<void>; // throws on error
+  public update(sourceKey: PrivateKey, date?: Date, config?: Config, options?: { designatedRevokerKeys?: PublicKey[] }): Promise<PrivateKey>;
+  public update(sourceKey: PublicKey, date?: Date, config?: Config, options?: { designatedRevokerKeys?: PublicKey[] }): Promise<PublicKey>;
+  public clean(options?: { removeExpiredSubkeys?: boolean, keepOnlyLatestSelfSig?: boolean, dropThirdPartySigs?: boolean }, date?: Date, config?: Config): Promise<this>;
+  public signPrimaryUser(privateKeys: PrivateKey[], date?: Date, userID?: UserID, config?: Config, options?: CertificationOptions): Promise<this>
+  public signAllUsers(privateKeys: PrivateKey[], date?: Date, config?: Config, options?: CertificationOptions): Promise<this>
+  public verifyPrimaryKey(date?: Date, userID?: UserID, config?: Config, options?: { designatedRevokerKeys?: PublicKey[] }): Promise<void>; // throws on error
   public verifyPrimaryUser(publicKeys: PublicKey[], date?: Date, userIDs?: UserID, config?: Config): Promise<{ keyID: KeyID, valid: boolean | null }[]>;
   public verifyAllUsers(publicKeys: PublicKey[], date?: Date, config?: Config): Promise<{ userID: string, keyID: KeyID, valid: boolean | null }[]>;
-  public isRevoked(signature: SignaturePacket, key?: AnyKeyPacket, date?: Date, config?: Config): Promise<boolean>;
+  public isRevoked(signature: SignaturePacket | null, key?: AnyKeyPacket | null, date?: Date, config?: Config, options?: { designatedRevokerKeys?: PublicKey[] }): Promise<boolean>;
+  public getDesignatedRevokers(date?: Date, config?: Config): Promise<{ fingerprint: string, algorithm: enums.publicKey }[]>;
+  public getDesignatedRevocations(date?: Date, config?: Config): Promise<{ fingerprint: string, signature: SignaturePacket }[]>;
+  public revokeWithDesignatedRevoker(designatedRevoker: PrivateKey, reason?: ReasonForRevocation, date?: Date, config?: Config): Promise<this>;
   public getRevocationCertificate(date?: Date, config?: Config): Promise<MaybeStream<string> | undefined>;
-  public getEncryptionKey(keyID?: KeyID, date?: Date | null, userID?: UserID, config?: Config): Promise<this | Subkey>;
-  public getSigningKey(keyID?: KeyID, date?: Date | null, userID?: UserID, config?: Config): Promise<this | Subkey>;
+  public getEncryptionKey(keyID?: KeyID, date?: Date | null, userID?: UserID, config?: Config, options?: { designatedRevokerKeys?: PublicKey[] }): Promise<this | Subkey>;
+  public getSigningKey(keyID?: KeyID, date?: Date | null, userID?: UserID, config?: Config, options?: { designatedRevokerKeys?: PublicKey[] }): Promise<this | Subkey>;
   public getKeys(keyID?: KeyID): (this | Subkey)[];
   public getSubkeys(keyID?: KeyID): Subkey[];
   public getFingerprint(): string;
   public getCreationTime(): Date;
   public getAlgorithmInfo(): AlgorithmInfo;
   public getKeyID(): KeyID;
-  public toPacketList(): PacketList<AllowedKeyPackets>;
+  public toPacketList(includeTrustPackets?: boolean): PacketList<AllowedKeyPackets>;
 }
 
-type AllowedKeyPackets = PublicKeyPacket | PublicSubkeyPacket | SecretKeyPacket | SecretSubkeyPacket | UserIDPacket | UserAttributePacket | SignaturePacket;
+type AllowedKeyPackets = PublicKeyPacket | PublicSubkeyPacket | SecretKeyPacket | SecretSubkeyPacket | UserIDPacket | UserAttributePacket | SignaturePacket | TrustPacket;
 export class PublicKey extends Key {
   constructor(packetlist: PacketList<AnyKeyPacket>);
 }
@@ -80,8 +99,12 @@ export class PrivateKey extends PublicKey {
   public revoke(reason?: ReasonForRevocation, date?: Date, config?: Config): Promise<PrivateKey>;
   public isDecrypted(): boolean;
   public addSubkey(options: SubkeyOptions): Promise<PrivateKey>;
+  public addUser(userID: UserID, options?: { date?: Date, config?: PartialConfig }): Promise<PrivateKey>;
+  public setExpirationTime(expirationTime: Date | 0, options?: { subkeys?: boolean | Subkey[], date?: Date, config?: PartialConfig }): Promise<PrivateKey>;
+  public setPreferences(preferences: KeyPreferences, options?: { userID?: UserID, date?: Date, config?: PartialConfig }): Promise<PrivateKey>;
+  public addDesignatedRevoker(designatedRevoker: PublicKey, options?: { date?: Date, config?: PartialConfig }): Promise<PrivateKey>;
   public getDecryptionKeys(keyID?: KeyID, date?: Date | null, userID?: UserID, config?: Config): Promise<PrivateKey | Subkey>
-  public update(sourceKey: PublicKey, date?: Date, config?: Config): Promise<PrivateKey>;
+  public update(sourceKey: PublicKey, date?: Date, config?: Config, options?: { designatedRevokerKeys?: PublicKey[] }): Promise<PrivateKey>;
 }
 
 export class Subkey {
@@ -90,6 +113,8 @@ export class Subkey {
   public readonly mainKey: PublicKey;
   public bindingSignatures: SignaturePacket[];
   public revocationSignatures: SignaturePacket[];
+  public trust: TrustPacket | null;
+  public signatureTrust: Map<SignaturePacket, TrustPacket>;
   public verify(date?: Date, config?: Config): Promise<SignaturePacket>;
   public isDecrypted(): boolean;
   public getFingerprint(): string;
@@ -98,12 +123,40 @@ export class Subkey {
   public getKeyID(): KeyID;
 }
 
+export interface KeyStore {
+  loadKeys(): Promise<Key[]>;
+  storeKey(key: Key): Promise<void>;
+  deleteKey(fingerprint: string): Promise<void>;
+}
+
+export class MemoryKeyStore implements KeyStore {
+  public loadKeys(): Promise<Key[]>;
+  public storeKey(key: Key): Promise<void>;
+  public deleteKey(fingerprint: string): Promise<void>;
+}
+
+export class Keyring {
+  constructor(store?: KeyStore);
+  public readonly store: KeyStore;
+  public load(): Promise<void>;
+  public addKey(key: Key, config?: Config): Promise<Key>;
+  public addKeys(keys: Key[], config?: Config): Promise<Key[]>;
+  public removeKey(fingerprint: string): Promise<Key | null>;
+  public getKeys(): Promise<Key[]>;
+  public getKeyForFingerprint(fingerprint: string): Promise<Key | null>;
+  public getKeysForID(keyID: KeyID | string): Promise<Key[]>;
+  public getKeysForEmail(email: string): Promise<Key[]>;
+}
+
 export interface User {
   userID: UserIDPacket | null;
   userAttribute: UserAttributePacket | null;
   selfCertifications: SignaturePacket[];
   otherCertifications: SignaturePacket[];
   revocationSignatures: SignaturePacket[];
+  trust: TrustPacket | null;
+  signatureTrust: Map<SignaturePacket, TrustPacket>;
+  revoke(primaryKey: SecretKeyPacket, reason?: ReasonForRevocation, date?: Date, config?: Config): Promise<User>;
 }
 
 export interface PrimaryUser {
@@ -134,6 +187,30 @@ interface VerificationResult {
   keyID: KeyID;
   verified: Promise<true>; // throws on invalid signature
   signature: Promise<Signature>;
+  notations: Promise<RawNotation[]>;
+  notationResults: Promise<{ [name: string]: any }>; // throws on invalid signature
+}
+
+type NotationHandler = (notation: RawNotation, signature: SignaturePacket) => any;
+
+interface RawNotation {
+  name: string;
+  value: Uint8Array;
+  humanReadable: boolean;
+  critical: boolean;
+}
+
+interface Notation {
+  name: string;
+  value: string | Uint8Array;
+  humanReadable?: boolean;
+  critical?: boolean;
+}
+
+interface SignatureOptions {
+  notations?: Notation[];
+  policyURI?: string;
+  signersUserIDs?: string[];
 }
 
 /* ############## v5 CLEARTEXT #################### */
@@ -161,12 +238,12 @@ export class CleartextMessage {
    *
    *  @param privateKeys private keys with decrypted secret key data for signing
    */
-  sign(privateKeys: PrivateKey[], signature?: Signature, signingKeyIDs?: KeyID[], date?: Date, userIDs?: UserID[], config?: Config): void;
+  sign(privateKeys: PrivateKey[], signature?: Signature, signingKeyIDs?: KeyID[], date?: Date, userIDs?: UserID[], config?: Config, signatureOptions?: SignatureOptions): void;
 
   /** Verify signatures of cleartext signed message
    *  @param keys array of keys to verify signatures
    */
-  verify(keys: PublicKey[], date?: Date, config?: Config): Promise<VerificationResult[]>;
+  verify(keys: PublicKey[], date?: Date, config?: Config, notationHandlers?: { [name: string]: NotationHandler }): Promise<VerificationResult[]>;
 }
 
 /* ############## v5 MSG #################### */
@@ -180,7 +257,7 @@ export function encryptSessionKey(options: SessionKey & {
 export function encryptSessionKey(options: SessionKey & { 
   encryptionKeys?: MaybeArray<PublicKey>, passwords?: MaybeArray<string>, format: 'object', wildcard?: boolean, encryptionKeyIDs?: MaybeArray<KeyID>, date?: Date, encryptionUserIDs?: MaybeArray<UserID>, config?: PartialConfig
 }) : Promise<Message<Data>>;
-export function decryptSessionKeys<T extends MaybeStream<Data>>(options: { message: Message<T>, decryptionKeys?: MaybeArray<PrivateKey>, passwords?: MaybeArray<string>, date?: Date, config?: PartialConfig }): Promise<SessionKey[]>;
+export function decryptSessionKeys<T extends MaybeStream<Data>>(options: { message: Message<T>, decryptionKeys?: MaybeArray<PrivateKey> | Keyring, passwords?: MaybeArray<string>, date?: Date, config?: PartialConfig }): Promise<DecryptedSessionKey[]>;
 
 export function readMessage<T extends MaybeStream<string>>(options: { armoredMessage: T, config?: PartialConfig }): Promise<Message<T>>;
 export function readMessage<T extends MaybeStream<Uint8Array>>(options: { binaryMessage: T, config?: PartialConfig }): Promise<Message<T>>;
@@ -240,6 +317,26 @@ export function verify<T extends MaybeStream<Data>>(options: VerifyOptions & { m
   string
 }>;
 
+/* ############## PGP/MIME #################### */
+
+export function signMIME(options: { entity: string, signingKeys: MaybeArray<PrivateKey>, signingKeyIDs?: MaybeArray<KeyID>, date?: Date, signingUserIDs?: MaybeArray<UserID>, config?: PartialConfig }): Promise<string>;
+export function encryptMIME(options: {
+  entity: string, encryptionKeys?: MaybeArray<PublicKey>, signingKeys?: MaybeArray<PrivateKey>, passwords?: MaybeArray<string>, signingKeyIDs?: MaybeArray<KeyID>,
+  encryptionKeyIDs?: MaybeArray<KeyID>, date?: Date, signingUserIDs?: MaybeArray<UserID>, encryptionUserIDs?: MaybeArray<UserID>, config?: PartialConfig
+}): Promise<string>;
+export function verifyMIME(options: { entity: string, verificationKeys?: MaybeArray<PublicKey> | Keyring, expectSigned?: boolean, date?: Date, config?: PartialConfig }): Promise<VerifyMessageResult & { data: string }>;
+export function decryptMIME(options: {
+  entity: string, decryptionKeys?: MaybeArray<PrivateKey> | Keyring, passwords?: MaybeArray<string>, sessionKeys?: MaybeArray<SessionKey | DecryptedSessionKey>,
+  verificationKeys?: MaybeArray<PublicKey> | Keyring, expectSigned?: boolean, date?: Date, config?: PartialConfig
+}): Promise<VerifyMessageResult & { data: string }>;
+
+/* ############## Autocrypt #################### */
+
+export function createAutocryptHeader(options: { key: Key, addr?: string, preferEncrypt?: 'mutual' | 'nopreference', date?: Date, config?: PartialConfig }): Promise<string>;
+export function readAutocryptHeader(options: { header: string, addr?: string, date?: Date, config?: PartialConfig }): Promise<{ addr: string, preferEncrypt: 'mutual' | 'nopreference', key: PublicKey }>;
+export function createAutocryptSetupMessage(options: { privateKey: PrivateKey, preferEncrypt?: 'mutual' | 'nopreference', config?: PartialConfig }): Promise<{ setupCode: string, armoredMessage: string }>;
+export function decryptAutocryptSetupMessage(options: { armoredMessage: string, setupCode: string, config?: PartialConfig }): Promise<{ privateKey: PrivateKey, preferEncrypt: 'mutual' | 'nopreference' }>;
+
 /** Class that represents an OpenPGP message.  Can be an encrypted message, signed message, compressed message or literal message
  */
 export class Message<T extends MaybeStream<Data>> {
@@ -255,15 +352,19 @@ export class Message<T extends MaybeStream<Data>> {
    */
   public armor(config?: Config): string;
 
+  /** Returns ASCII armored text of message, split into parts of at most `maxPartSize` characters each
+   */
+  public armor(config: Config | undefined, options: { maxPartSize: number }): string[];
+
   /** Decrypt the message
       @param decryptionKeys array of private keys with decrypted secret data
   */
-  public decrypt(decryptionKeys?: PrivateKey[], passwords?: string[], sessionKeys?: SessionKey[], date?: Date, config?: Config): Promise<Message<MaybeStream<Data>>>;
+  public decrypt(decryptionKeys?: PrivateKey[], passwords?: string[], sessionKeys?: Array<SessionKey | DecryptedSessionKey>, date?: Date, config?: Config): Promise<Message<MaybeStream<Data>>>;
 
   /** Encrypt the message
       @param encryptionKeys array of public keys, used to encrypt the message
   */
-  public encrypt(encryptionKeys?: PublicKey[],  passwords?: string[], sessionKeys?: SessionKey[], wildcard?: boolean, encryptionKeyIDs?: KeyID[], date?: Date, userIDs?: UserID[], config?: Config): Promise<Message<MaybeStream<Data>>>;
+  public encrypt(encryptionKeys?: PublicKey[],  passwords?: string[], sessionKeys?: SessionKey[], wildcard?: boolean, encryptionKeyIDs?: KeyID[], date?: Date, userIDs?: UserID[], config?: Config, options?: { padding?: number }): Promise<Message<MaybeStream<Data>>>;
 
   /** Returns the key IDs of the keys to which the session key is encrypted
    */
@@ -286,7 +387,12 @@ export class Message<T extends MaybeStream<Data>> {
   /** Sign the message (the literal data packet of the message)
       @param signingKeys private keys with decrypted secret key data for signing
   */
-  public sign(signingKeys: PrivateKey[], signature?: Signature, signingKeyIDs?: KeyID[], date?: Date, userIDs?: UserID[], config?: Config): Promise<Message<T>>;
+  public sign(signingKeys: PrivateKey[], signature?: Signature, signingKeyIDs?: KeyID[], date?: Date, userIDs?: UserID[], config?: Config, signatureOptions?: SignatureOptions): Promise<Message<T>>;
+
+  /** Append a padding packet to the message
+      @param length number of random padding octets; if omitted, pad to a multiple of `config.paddingBucketSize`
+  */
+  public pad(length?: number, config?: Config): Promise<Message<T>>;
 
   /** Unwrap compressed message
    */
@@ -295,7 +401,7 @@ export class Message<T extends MaybeStream<Data>> {
   /** Verify message signatures
       @param verificationKeys array of public keys to verify signatures
   */
-  public verify(verificationKeys: PublicKey[], date?: Date, config?: Config): Promise<VerificationResult[]>;
+  public verify(verificationKeys: PublicKey[], date?: Date, config?: Config, notationHandlers?: { [name: string]: NotationHandler }): Promise<VerificationResult[]>;
 
   /**
    * Append signature to unencrypted message object
@@ -314,6 +420,8 @@ interface Config {
   showVersion: boolean;
   showComment: boolean;
   deflateLevel: number;
+  maxDecompressedSize: number;
+  maxDecompressionRatio: number;
   aeadProtect: boolean;
   allowUnauthenticatedMessages: boolean;
   allowUnauthenticatedStream: boolean;
@@ -327,9 +435,14 @@ interface Config {
   commentString: string;
   allowInsecureDecryptionWithSigningKeys: boolean;
   v5Keys: boolean;
+  v6Keys: boolean;
   preferredAEADAlgorithm: enums.aead;
   aeadChunkSizeByte: number;
+  paddingBucketSize: number;
   s2kIterationCountByte: number;
+  s2kType: enums.s2k.iterated | enums.s2k.argon2;
+  s2kArgon2Params: { passes: number, parallelism: number, memoryExponent: number };
+  maxArgon2MemoryExponent: number;
   minBytesForWebCrypto: number;
   maxUserIDLength: number;
   knownNotations: string[];
@@ -455,6 +568,13 @@ export class MarkerPacket extends BasePacket {
   static readonly tag: enums.packet.marker;
 }
 
+export class PaddingPacket extends BasePacket {
+  static readonly tag: enums.packet.padding;
+  public padding: Uint8Array | null;
+  public bucketSize: number | null;
+  public createPadding(length: number): Promise<void>;
+}
+
 export class UserAttributePacket extends BasePacket {
   static readonly tag: enums.packet.userAttribute;
   private equals(packet: UserAttributePacket): boolean;
@@ -464,6 +584,7 @@ export class OnePassSignaturePacket extends BasePacket {
   static readonly tag: enums.packet.onePassSignature;
   public correspondingSig?: Promise<SignaturePacket>;
   private verify: SignaturePacket['verify'];
+  static fromSignaturePacket(signaturePacket: SignaturePacket, isLast: boolean): OnePassSignaturePacket;
 }
 
 export class UserIDPacket extends BasePacket {
@@ -484,13 +605,14 @@ export class SignaturePacket extends BasePacket {
   public signatureData: null | Uint8Array;
   public unhashedSubpackets: null | Uint8Array;
   public signedHashValue: null | Uint8Array;
+  public salt: null | Uint8Array;
   public created: Date | null;
   public signatureExpirationTime: null | number;
   public signatureNeverExpires: boolean;
   public exportable: null | boolean;
   public trustLevel: null | number;
   public trustAmount: null | number;
-  public regularExpression: null | number;
+  public regularExpression: null | string;
   public revocable: null | boolean;
   public keyExpirationTime: null | number;
   public keyNeverExpires: null | boolean;
@@ -500,6 +622,7 @@ export class SignaturePacket extends BasePacket {
   public revocationKeyFingerprint: null | Uint8Array;
   public issuerKeyID: KeyID;
   public notation: null | { [name: string]: string };
+  public rawNotations: RawNotation[];
   public preferredHashAlgorithms: enums.hash[] | null;
   public preferredCompressionAlgorithms: enums.compression[] | null;
   public keyServerPreferences: null | number[];
@@ -528,6 +651,13 @@ export class SignaturePacket extends BasePacket {
 
 export class TrustPacket extends BasePacket {
   static readonly tag: enums.packet.trust;
+  public trustValue: enums.ownertrust | number;
+  public signatureCache: number | null;
+  public subtype: enums.trustSubtype | null;
+  public keyOrigin: number;
+  public keyUpdate: Date | null;
+  public url: string | null;
+  public trailingData: Uint8Array;
 }
 
 export type AnyPacket = BasePacket;
@@ -546,6 +676,9 @@ export class PacketList<T extends AnyPacket> extends Array<T> {
   public findPacket(tag: enums.packet): T | undefined;
 }
 
+/** Thrown when decompressed data exceeds the `maxDecompressedSize` or `maxDecompressionRatio` limits in the config */
+export class DecompressionLimitError extends Error {}
+
 /* ############## v5 STREAM #################### */
 
 type Data = Uint8Array | string;
@@ -572,14 +705,28 @@ export interface SessionKey {
   aeadAlgorithm?: enums.aeadNames;
 }
 
+export interface DecryptedSessionKey {
+  data: Uint8Array;
+  algorithm: enums.symmetricNames | null; // null if the message is encrypted using SEIPDv2
+}
+
 export interface ReasonForRevocation { flag?: enums.reasonForRevocation, string?: string }
+export interface CertificationOptions { trustLevel?: number, trustAmount?: number, regularExpression?: string }
+
+export interface KeyPreferences {
+  preferredSymmetricAlgorithms?: enums.symmetric[];
+  preferredHashAlgorithms?: enums.hash[];
+  preferredCompressionAlgorithms?: enums.compression[];
+  preferredAEADAlgorithms?: enums.aead[];
+  features?: enums.features[];
+}
 
 interface EncryptOptions {
   /** message to be encrypted as created by createMessage */
   message: Message<MaybeStream<Data>>;
-  /** (optional) array of keys or single key, used to encrypt the message */
+  /** (optional) array of keys or single key, used to encrypt the message. A Keyring is not accepted, use `keyring.getKeysForEmail` instead */
   encryptionKeys?: MaybeArray<PublicKey>;
-  /** (optional) private keys for signing. If omitted message will not be signed */
+  /** (optional) private keys for signing. If omitted message will not be signed. A Keyring is not accepted */
   signingKeys?: MaybeArray<PrivateKey>;
   /** (optional) array of passwords or a single password to encrypt the message */
   passwords?: MaybeArray<string>;
@@ -601,6 +748,14 @@ interface EncryptOptions {
   signingUserIDs?: MaybeArray<UserID>;
   /** (optional) array of user IDs to encrypt for, e.g. { name:'Robert Receiver', email:'robert@openpgp.org' } */
   encryptionUserIDs?: MaybeArray<UserID>;
+  /** (optional) notations to add to the signatures, e.g. { name: 'ticket@example.org', value: 'TICKET-1234' } */
+  signatureNotations?: MaybeArray<Notation>;
+  /** (optional) URI of the policy under which the signatures are issued */
+  signaturePolicyURI?: string;
+  /** (optional) array of user IDs to state as responsible for the signatures, one per signing key */
+  signersUserIDs?: MaybeArray<string>;
+  /** (optional) number of random padding octets to add to the message before encryption; requires all encryption keys to support SEIPDv2 */
+  padding?: number;
   config?: PartialConfig;
 }
 
@@ -608,13 +763,13 @@ interface DecryptOptions {
   /** the message object with the encrypted data */
   message: Message<MaybeStream<Data>>;
   /** (optional) private keys with decrypted secret key data or session key */
-  decryptionKeys?: MaybeArray<PrivateKey>;
+  decryptionKeys?: MaybeArray<PrivateKey> | Keyring;
   /** (optional) passwords to decrypt the message */
   passwords?: MaybeArray<string>;
   /** (optional) session keys in the form: { data:Uint8Array, algorithm:String } */
-  sessionKeys?: MaybeArray<SessionKey>;
+  sessionKeys?: MaybeArray<SessionKey | DecryptedSessionKey>;
   /** (optional) array of public keys or single key, to verify signatures */
-  verificationKeys?: MaybeArray<PublicKey>;
+  verificationKeys?: MaybeArray<PublicKey> | Keyring;
   /** (optional) whether data decryption should fail if the message is not signed with the provided publicKeys */
   expectSigned?: boolean;
   /** (optional) whether to return data as a string(Stream) or Uint8Array(Stream). If 'utf8' (the default), also normalize newlines. */
@@ -623,6 +778,9 @@ interface DecryptOptions {
   signature?: Signature;
   /** (optional) use the given date for verification instead of the current time */
   date?: Date;
+  /** (optional) handlers of signature notations, by notation name; throwing or returning `false` rejects the notation */
+  notationHandlers?: { [name: string]: NotationHandler };
+  /** (optional) custom configuration; `maxDecompressedSize` and `maxDecompressionRatio` must be passed to `readMessage` instead */
   config?: PartialConfig;
 }
 
@@ -635,6 +793,9 @@ interface SignOptions {
   signingKeyIDs?: MaybeArray<KeyID>;
   date?: Date;
   signingUserIDs?: MaybeArray<UserID>;
+  signatureNotations?: MaybeArray<Notation>;
+  signaturePolicyURI?: string;
+  signersUserIDs?: MaybeArray<string>;
   config?: PartialConfig;
 }
 
@@ -642,7 +803,7 @@ interface VerifyOptions {
   /** (cleartext) message object with signatures */
   message: CleartextMessage | Message<MaybeStream<Data>>;
   /** array of publicKeys or single key, to verify signatures */
-  verificationKeys: MaybeArray<PublicKey>;
+  verificationKeys: MaybeArray<PublicKey> | Keyring;
   /** (optional) whether verification should throw if the message is not signed with the provided publicKeys */
   expectSigned?: boolean;
   /** (optional) whether to return data as a string(Stream) or Uint8Array(Stream). If 'utf8' (the default), also normalize newlines. */
@@ -651,6 +812,8 @@ interface VerifyOptions {
   signature?: Signature;
   /** (optional) use the given date for verification instead of the current time */
   date?: Date;
+  /** (optional) handlers of signature notations, by notation name; throwing or returning `false` rejects the notation */
+  notationHandlers?: { [name: string]: NotationHandler };
   config?: PartialConfig;
 }
 
@@ -664,23 +827,42 @@ interface KeyPair {
   publicKey: PublicKey;
 }
 
-export type EllipticCurveName = 'ed25519' | 'curve25519' | 'p256' | 'p384' | 'p521' | 'secp256k1' | 'brainpoolP256r1' | 'brainpoolP384r1' | 'brainpoolP512r1';
+interface KeyValidity {
+  key: Key;
+  validity: enums.validity;
+  users: Array<{ user: User; userID: string | null; validity: enums.validity }>;
+}
+
+interface MergeSummary {
+  fingerprint: string;
+  mergedCount: number;
+  addedUsers: number;
+  addedSubkeys: number;
+  addedSignatures: number;
+  duplicateSignatures: number;
+  invalidSignatures: number;
+  expiredSignatures: number;
+  changed: boolean;
+}
+
+export type EllipticCurveName = 'ed25519' | 'curve25519' | 'ed448' | 'curve448' | 'p256' | 'p384' | 'p521' | 'secp256k1' | 'brainpoolP256r1' | 'brainpoolP384r1' | 'brainpoolP512r1';
 
 interface KeyOptions {
   userIDs: MaybeArray<UserID>;
   passphrase?: string | Uint8Array;
-  type?: 'ecc' | 'rsa';
+  type?: 'ecc' | 'rsa' | 'curve25519' | 'curve448';
   curve?: EllipticCurveName;
   rsaBits?: number;
   keyExpirationTime?: number;
   date?: Date;
   subkeys?: SubkeyOptions[];
+  designatedRevokers?: MaybeArray<PublicKey>;
   format?: 'armored' | 'object' | 'binary';
   config?: PartialConfig;
 }
 
 interface SubkeyOptions {
-  type?: 'ecc' | 'rsa';
+  type?: 'ecc' | 'rsa' | 'curve25519' | 'curve448';
   curve?: EllipticCurveName;
   rsaBits?: number;
   keyExpirationTime?: number;
@@ -718,6 +900,16 @@ export function armor(messagetype: enums.armor, body: object, partindex: number,
  */
 export function unarmor(input: string, config?: Config): Promise<{ text: string, data: Stream<Uint8Array>, type: enums.armor }>;
 
+/**
+ * Armor an OpenPGP binary message as multiple parts of at most `maxPartSize` characters each
+ */
+export function armorMultipart(body: Uint8Array, maxPartSize: number, customComment?: MaybeArray<string>, config?: Config): string[];
+
+/**
+ * DeArmor a multipart OpenPGP armored message, given as concatenated or separate parts; verify the checksums and return the reassembled bytes
+ */
+export function unarmorMultipart(input: MaybeArray<string>, config?: Config): Promise<{ data: Uint8Array, headers: string[], type: enums.armor }>;
+
 /* ############## v5 ENUMS #################### */
 
 export namespace enums {
@@ -749,6 +941,39 @@ export namespace enums {
     userIDInvalid = 32, // User ID information is no longer valid (cert revocations)
   }
 
+  enum ownertrust {
+    unknown = 0,
+    expired = 1,
+    undefined = 2,
+    never = 3,
+    marginal = 4,
+    full = 5,
+    ultimate = 6,
+  }
+
+  enum trustSubtype {
+    signature = 0,
+    key = 1,
+    userID = 2,
+  }
+
+  enum validity {
+    invalid = 0,
+    unknown = 1,
+    marginal = 2,
+    full = 3,
+    ultimate = 4,
+  }
+
+  export type s2kNames = 'simple' | 'salted' | 'iterated' | 'argon2' | 'gnu';
+  enum s2k {
+    simple = 0,
+    salted = 1,
+    iterated = 3,
+    argon2 = 4,
+    gnu = 101,
+  }
+
   export type compressionNames = 'uncompressed' | 'zip' | 'zlib' | 'bzip2';
   enum compression {
     uncompressed = 0,
@@ -790,6 +1015,7 @@ export namespace enums {
     symEncryptedIntegrityProtectedData = 18,
     modificationDetectionCode = 19,
     aeadEncryptedData = 20,
+    padding = 21,
   }
 
   export type publicKeyNames = 'rsaEncryptSign' | 'rsaEncrypt' | 'rsaSign' | 'elgamal' | 'dsa' | 'ecdh' | 'ecdsa' | 'eddsa' | 'aedh' | 'aedsa';
@@ -804,6 +1030,10 @@ export namespace enums {
     eddsa = 22,
     aedh = 23,
     aedsa = 24,
+    x25519 = 25,
+    x448 = 26,
+    ed25519 = 27,
+    ed448 = 28,
   }
 
   enum curve {
@@ -812,6 +1042,8 @@ export namespace enums {
     p521 = 'p521',
     ed25519 = 'ed25519',
     curve25519 = 'curve25519',
+    ed448 = 'ed448',
+    curve448 = 'curve448',
     secp256k1 = 'secp256k1',
     brainpoolP256r1 = 'brainpoolP256r1',
     brainpoolP384r1 = 'brainpoolP384r1',
@@ -876,4 +1108,12 @@ export namespace enums {
     ocb = 2,
     experimentalGCM = 100 // Private algorithm
   }
+
+  export type featuresNames = 'modificationDetection' | 'aead' | 'v5Keys';
+  enum features {
+    modificationDetection = 1,
+    aead = 2,
+    v5Keys = 4,
+    seipdv2 = 8
+  }
 }
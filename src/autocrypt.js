@@ -0,0 +1,260 @@
+/**
+ * @fileoverview Autocrypt (Level 1) header generation and parsing, and Autocrypt Setup Messages.
+ * @see {@link https://autocrypt.org/level1.html|Autocrypt Level 1 specification}
+ * @module autocrypt
+ */
+
+import { encrypt, decrypt } from './openpgp';
+import { createMessage, readMessage } from './message';
+import { readKey, readPrivateKey, PrivateKey } from './key';
+import { unarmor } from './encoding/armor';
+import * as base64 from './encoding/base64';
+import { getRandomBytes } from './crypto/random';
+import enums from './enums';
+import util from './util';
+import defaultConfig from './config';
+
+/**
+ * Check the `preferEncrypt` option
+ * @param {'mutual'|'nopreference'} preferEncrypt
+ */
+function checkPreferEncrypt(preferEncrypt) {
+  if (preferEncrypt !== 'mutual' && preferEncrypt !== 'nopreference') {
+    throw new Error('Parameter [preferEncrypt] must be either "mutual" or "nopreference"');
+  }
+}
+
+/**
+ * Returns a copy of the key reduced to what an Autocrypt header needs: the primary key, the given user ID and
+ * one encryption subkey, each with their latest self-signature
+ * @param {Key} key
+ * @param {String} [addr] - Email address of the user ID to keep, defaults to that of the primary user
+ * @param {Date} date
+ * @param {Object} config - Full configuration
+ * @returns {Promise<{ key: PublicKey, addr: String }>}
+ * @async
+ */
+async function minimizeKey(key, addr, date, config) {
+  const minimalKey = await key.toPublic().clean({ dropThirdPartySigs: true }, date, config);
+  let userID = {};
+  if (addr !== undefined) {
+    const user = minimalKey.users.find(other => other.userID && other.userID.email.toLowerCase() === addr.toLowerCase());
+    if (!user) {
+      throw new Error(`Could not find user ID with email address ${addr}`);
+    }
+    userID = { email: user.userID.email };
+  }
+  const { user } = await minimalKey.getPrimaryUser(date, userID, config);
+  if (!user.userID.email) {
+    throw new Error('The primary user ID of the key has no email address');
+  }
+  const encryptionKey = await minimalKey.getEncryptionKey(null, date, { email: user.userID.email }, config);
+  minimalKey.users = [user];
+  minimalKey.subkeys = minimalKey.subkeys.filter(subkey => subkey === encryptionKey);
+  return { key: minimalKey, addr: addr !== undefined ? addr : user.userID.email };
+}
+
+/**
+ * Creates an `Autocrypt:` header for the given key. The key is minimized to the user ID of `addr` and its current
+ * encryption subkey, and without third-party certifications, as recommended by the specification.
+ * @param {Object} options
+ * @param {PublicKey|PrivateKey} options.key - Key to advertise; only its public part is included
+ * @param {String} [options.addr=email address of the primary user] - Email address the header is sent from
+ * @param {'mutual'|'nopreference'} [options.preferEncrypt='nopreference'] - Encryption preference of the sender
+ * @param {Date} [options.date=current date] - Use the given date for key verification instead of the current time
+ * @param {Object} [options.config] - Custom configuration settings to overwrite those in [config]{@link module:config}
+ * @returns {Promise<String>} The header, including its name and folded with <CR><LF> line breaks, e.g.
+ *   `Autocrypt: addr=alice@example.org; prefer-encrypt=mutual; keydata=\r\n xsBNBFn...`
+ * @async
+ * @static
+ */
+export async function createAutocryptHeader({ key, addr, preferEncrypt = 'nopreference', date = new Date(), config, ...rest }) {
+  config = { ...defaultConfig, ...config };
+  checkPreferEncrypt(preferEncrypt);
+  if (addr !== undefined && !util.isEmailAddress(addr)) {
+    throw new Error('Parameter [addr] must be a valid email address');
+  }
+  const unknownOptions = Object.keys(rest); if (unknownOptions.length > 0) throw new Error(`Unknown option: ${unknownOptions.join(', ')}`);
+
+  const minimal = await minimizeKey(key, addr, date, config);
+  const keydata = base64.encode(minimal.key.write()).trim().split('\n');
+  return [
+    `Autocrypt: addr=${minimal.addr};${preferEncrypt === 'mutual' ? ' prefer-encrypt=mutual;' : ''} keydata=`,
+    ...keydata
+  ].join('\r\n ');
+}
+
+/**
+ * Parses and validates an `Autocrypt:` header. Headers with unknown critical attributes (not starting with an underscore)
+ * must be ignored according to the specification, and are rejected.
+ * @param {Object} options
+ * @param {String} options.header - The header value, optionally including the header name, and possibly folded
+ * @param {String} [options.addr] - Email address of the sender (From header), to which the `addr` attribute must correspond
+ * @param {Date} [options.date=current date] - Use the given date for key verification instead of the current time
+ * @param {Object} [options.config] - Custom configuration settings to overwrite those in [config]{@link module:config}
+ * @returns {Promise<{ addr: String, preferEncrypt: 'mutual'|'nopreference', key: PublicKey }>} The parsed attributes,
+ *   where `key` is valid and has an encryption key.
+ * @async
+ * @static
+ */
+export async function readAutocryptHeader({ header, addr, date = new Date(), config, ...rest }) {
+  config = { ...defaultConfig, ...config };
+  if (!util.isString(header)) {
+    throw new Error('readAutocryptHeader: options.header must be a string');
+  }
+  const unknownOptions = Object.keys(rest); if (unknownOptions.length > 0) throw new Error(`Unknown option: ${unknownOptions.join(', ')}`);
+
+  const attributes = {};
+  header.replace(/^\s*Autocrypt\s*:/i, '').replace(/\r?\n(?=[ \t])/g, '').split(';').forEach(attribute => {
+    const separator = attribute.indexOf('=');
+    if (separator === -1) {
+      if (attribute.trim()) throw new Error('Invalid Autocrypt header: misformed attribute');
+      return;
+    }
+    const name = attribute.slice(0, separator).trim().toLowerCase();
+    if (Object.prototype.hasOwnProperty.call(attributes, name)) {
+      throw new Error('Invalid Autocrypt header: duplicate attribute ' + name);
+    }
+    attributes[name] = attribute.slice(separator + 1).trim();
+  });
+  const { addr: headerAddr, 'prefer-encrypt': preferEncrypt, keydata, ...otherAttributes } = attributes;
+  const criticalAttributes = Object.keys(otherAttributes).filter(name => !name.startsWith('_'));
+  if (criticalAttributes.length) {
+    throw new Error('Invalid Autocrypt header: unknown critical attribute ' + criticalAttributes.join(', '));
+  }
+  if (!headerAddr || !keydata) {
+    throw new Error('Invalid Autocrypt header: missing addr or keydata attribute');
+  }
+  if (addr !== undefined && headerAddr.toLowerCase() !== addr.toLowerCase()) {
+    throw new Error('Autocrypt header addr does not match the sender address');
+  }
+
+  const key = await readKey({ binaryKey: base64.decode(keydata.replace(/\s+/g, '')), config });
+  if (key.isPrivate()) {
+    throw new Error('Invalid Autocrypt header: keydata must be a public key');
+  }
+  await key.verifyPrimaryKey(date, undefined, config);
+  await key.getEncryptionKey(null, date, undefined, config);
+  return { addr: headerAddr, preferEncrypt: preferEncrypt === 'mutual' ? 'mutual' : 'nopreference', key };
+}
+
+/**
+ * Generate an Autocrypt setup code: 36 random digits in nine blocks of four, separated by dashes
+ * @returns {Promise<String>}
+ * @async
+ */
+async function generateSetupCode() {
+  const digits = [];
+  while (digits.length < 36) {
+    // reject bytes that would bias the distribution of digits
+    (await getRandomBytes(36)).filter(byte => byte < 250).forEach(byte => digits.push(byte % 10));
+  }
+  return formatSetupCode(digits.slice(0, 36).join(''));
+}
+
+function formatSetupCode(digits) {
+  return digits.match(/\d{4}/g).join('-');
+}
+
+/**
+ * Insert the given headers in the armored text, after the armor header line
+ * @param {String} armored
+ * @param {Array<String>} headers
+ * @returns {String}
+ */
+function addArmorHeaders(armored, headers) {
+  const headersStart = armored.indexOf('\n') + 1;
+  return armored.slice(0, headersStart) + headers.map(header => header + '\n').join('') + armored.slice(headersStart);
+}
+
+/**
+ * Creates an Autocrypt Setup Message, to transfer the given private key to another device of the same user.
+ * The key is encrypted with a newly generated setup code, which must be shown to the user and never be sent along with the message.
+ * @param {Object} options
+ * @param {PrivateKey} options.privateKey - Private key with decrypted secret key data
+ * @param {'mutual'|'nopreference'} [options.preferEncrypt='nopreference'] - Encryption preference of the user
+ * @param {Object} [options.config] - Custom configuration settings to overwrite those in [config]{@link module:config}
+ * @returns {Promise<{ setupCode: String, armoredMessage: String }>} The setup code, e.g. `1234-5678-...` (36 digits), and the armored
+ *   encrypted message, to be sent as the `application/autocrypt-setup` attachment of the setup email.
+ * @async
+ * @static
+ */
+export async function createAutocryptSetupMessage({ privateKey, preferEncrypt = 'nopreference', config, ...rest }) {
+  config = { ...defaultConfig, ...config };
+  checkPreferEncrypt(preferEncrypt);
+  if (!(privateKey instanceof PrivateKey)) {
+    throw new Error('Parameter [privateKey] must be of type PrivateKey');
+  }
+  if (!privateKey.isDecrypted()) {
+    throw new Error('Private key is not decrypted.');
+  }
+  const unknownOptions = Object.keys(rest); if (unknownOptions.length > 0) throw new Error(`Unknown option: ${unknownOptions.join(', ')}`);
+
+  const armoredKey = addArmorHeaders(privateKey.armor(config), [`Autocrypt-Prefer-Encrypt: ${preferEncrypt}`]);
+  const setupCode = await generateSetupCode();
+  const encrypted = await encrypt({
+    message: await createMessage({ text: armoredKey }),
+    passwords: setupCode,
+    // for compatibility with other implementations, the specification requires an iterated and salted S2K
+    // and an SEIPDv1 packet, and recommends AES-128
+    config: {
+      ...config,
+      preferredSymmetricAlgorithm: enums.symmetric.aes128,
+      aeadProtect: false,
+      s2kType: enums.s2k.iterated,
+      paddingBucketSize: 0
+    }
+  });
+  return {
+    setupCode,
+    armoredMessage: addArmorHeaders(encrypted, ['Passphrase-Format: numeric9x4', `Passphrase-Begin: ${setupCode.slice(0, 2)}`])
+  };
+}
+
+/**
+ * Decrypts an Autocrypt Setup Message with the setup code entered by the user
+ * @param {Object} options
+ * @param {String} options.armoredMessage - The armored setup message
+ * @param {String} options.setupCode - The setup code; any characters other than the 36 digits, e.g. dashes or spaces, are ignored
+ * @param {Object} [options.config] - Custom configuration settings to overwrite those in [config]{@link module:config}
+ * @returns {Promise<{ privateKey: PrivateKey, preferEncrypt: 'mutual'|'nopreference' }>} The transferred private key, and the
+ *   encryption preference of the user.
+ * @async
+ * @static
+ */
+export async function decryptAutocryptSetupMessage({ armoredMessage, setupCode, config, ...rest }) {
+  config = { ...defaultConfig, ...config };
+  if (!util.isString(armoredMessage) || !util.isString(setupCode)) {
+    throw new Error('decryptAutocryptSetupMessage: options.armoredMessage and options.setupCode must be strings');
+  }
+  const unknownOptions = Object.keys(rest); if (unknownOptions.length > 0) throw new Error(`Unknown option: ${unknownOptions.join(', ')}`);
+
+  const digits = setupCode.replace(/\D/g, '');
+  if (digits.length !== 36) {
+    throw new Error('Invalid setup code: expected 36 digits');
+  }
+  const { data, headers, type } = await unarmor(armoredMessage, config);
+  if (type !== enums.armor.message) {
+    throw new Error('Armored text not of type message');
+  }
+  const getHeader = name => (headers.find(header => header.startsWith(name + ': ')) || '').slice(name.length + 2);
+  const passphraseFormat = getHeader('Passphrase-Format');
+  if (passphraseFormat && passphraseFormat !== 'numeric9x4') {
+    throw new Error('Unsupported passphrase format: ' + passphraseFormat);
+  }
+  const passphraseBegin = getHeader('Passphrase-Begin');
+  if (passphraseBegin && !digits.startsWith(passphraseBegin)) {
+    throw new Error('Setup code does not match the setup message');
+  }
+
+  const { data: armoredKey } = await decrypt({
+    message: await readMessage({ binaryMessage: data, config }),
+    passwords: formatSetupCode(digits),
+    config
+  });
+  const { headers: keyHeaders } = await unarmor(armoredKey, config);
+  return {
+    privateKey: await readPrivateKey({ armoredKey, config }),
+    preferEncrypt: keyHeaders.includes('Autocrypt-Prefer-Encrypt: mutual') ? 'mutual' : 'nopreference'
+  };
+}
@@ -65,13 +65,14 @@ export class CleartextMessage {
    * @param {Date} [date] - The creation time of the signature that should be created
    * @param {Array} [userIDs] - User IDs to sign with, e.g. [{ name:'Steve Sender', email:'steve@openpgp.org' }]
    * @param {Object} [config] - Full configuration, defaults to openpgp.config
+   * @param {Object} [signatureOptions] - Notations, policy URI and signer's user IDs to add to the signatures
    * @returns {Promise<CleartextMessage>} New cleartext message with signed content.
    * @async
    */
-  async sign(privateKeys, signature = null, signingKeyIDs = [], date = new Date(), userIDs = [], config = defaultConfig) {
+  async sign(privateKeys, signature = null, signingKeyIDs = [], date = new Date(), userIDs = [], config = defaultConfig, signatureOptions) {
     const literalDataPacket = new LiteralDataPacket();
     literalDataPacket.setText(this.text);
-    const newSignature = new Signature(await createSignaturePackets(literalDataPacket, privateKeys, signature, signingKeyIDs, date, userIDs, true, config));
+    const newSignature = new Signature(await createSignaturePackets(literalDataPacket, privateKeys, signature, signingKeyIDs, date, userIDs, true, config, signatureOptions));
     return new CleartextMessage(this.text, newSignature);
   }
 
@@ -80,19 +81,22 @@ export class CleartextMessage {
    * @param {Array<Key>} keys - Array of keys to verify signatures
    * @param {Date} [date] - Verify the signature against the given date, i.e. check signature creation time < date < expiration time
    * @param {Object} [config] - Full configuration, defaults to openpgp.config
+   * @param {Object<String, Function>} [notationHandlers] - Handlers of signature notations, by notation name
    * @returns {Promise<Array<{
    *   keyID: module:type/keyid~KeyID,
    *   signature: Promise<Signature>,
+   *   notations: Promise<Array<Object>>,
+   *   notationResults: Promise<Object>,
    *   verified: Promise<true>
    * }>>} List of signer's keyID and validity of signature.
    * @async
    */
-  verify(keys, date = new Date(), config = defaultConfig) {
+  verify(keys, date = new Date(), config = defaultConfig, notationHandlers) {
     const signatureList = this.signature.packets;
     const literalDataPacket = new LiteralDataPacket();
     // we assume that cleartext signature is generated based on UTF8 cleartext
     literalDataPacket.setText(this.text);
-    return createVerificationObjects(signatureList, [literalDataPacket], keys, date, true, config);
+    return createVerificationObjects(signatureList, [literalDataPacket], keys, date, true, config, notationHandlers);
   }
 
   /**
@@ -159,11 +163,12 @@ export async function readCleartextMessage({ cleartextMessage, config, ...rest }
  * @private
  */
 function verifyHeaders(headers, packetlist) {
-  const checkHashAlgos = function(hashAlgos) {
+  const checkHashAlgos = function(hashAlgos, skipV6Signatures = false) {
     const check = packet => algo => packet.hashAlgorithm === algo;
 
     for (let i = 0; i < packetlist.length; i++) {
-      if (packetlist[i].constructor.tag === enums.packet.signature && !hashAlgos.some(check(packetlist[i]))) {
+      if (packetlist[i].constructor.tag === enums.packet.signature && !(skipV6Signatures && packetlist[i].version === 6) &&
+          !hashAlgos.some(check(packetlist[i]))) {
         return false;
       }
     }
@@ -191,7 +196,8 @@ function verifyHeaders(headers, packetlist) {
     }
   });
 
-  if (!hashAlgos.length && !checkHashAlgos([enums.hash.md5])) {
+  // the "Hash" header is optional for v6 signatures, see RFC9580 section 7.1
+  if (!hashAlgos.length && !checkHashAlgos([enums.hash.md5], true)) {
     throw new Error('If no "Hash" header in cleartext signed message, then only MD5 signatures allowed');
   } else if (hashAlgos.length && !checkHashAlgos(hashAlgos)) {
     throw new Error('Hash algorithm mismatch in armor header and signature');
@@ -39,9 +39,25 @@ export default {
   preferredCompressionAlgorithm: enums.compression.uncompressed,
   /**
    * @memberof module:config
-   * @property {Integer} deflateLevel Default zip/zlib compression level, between 1 and 9
+   * @property {Integer} deflateLevel Default zip/zlib/bzip2 compression level, between 1 and 9.
+   *   For bzip2, this sets the block size in units of 100 kB
    */
   deflateLevel: 6,
+  /**
+   * @memberof module:config
+   * @property {Integer} maxDecompressedSize Maximum size in bytes of the decompressed data of a compressed data packet.
+   *   Decompression fails with a DecompressionLimitError when it is exceeded.
+   *   Compressed data is decompressed when it is parsed: for an encrypted message, the limit must be passed to `decrypt`,
+   *   but for a message that is only signed or compressed, it must be passed to `readMessage`, not to `verify`
+   */
+  maxDecompressedSize: Infinity,
+  /**
+   * @memberof module:config
+   * @property {Number} maxDecompressionRatio Maximum ratio between the size of the decompressed data of a compressed
+   *   data packet and the size of the compressed data read so far. Decompression fails with a DecompressionLimitError when it is exceeded.
+   *   Like `maxDecompressedSize`, it must be passed to `readMessage` for messages that are not encrypted
+   */
+  maxDecompressionRatio: Infinity,
 
   /**
    * Use Authenticated Encryption with Additional Data (AEAD) protection for symmetric encryption.
@@ -67,6 +83,15 @@ export default {
    * @property {Integer} aeadChunkSizeByte
    */
   aeadChunkSizeByte: 12,
+  /**
+   * Default padding applied by {@link module:openpgp.encrypt} when no explicit `padding` is given:
+   * if non-zero, messages are padded (before encryption) such that the length of their content is a multiple of this many octets,
+   * which hides the exact message length. See {@link https://www.rfc-editor.org/rfc/rfc9580.html#section-5.14|RFC9580 5.14}.
+   * Only messages encrypted with version 2 SEIPD packets are padded, as padding packets are not allowed in older formats.
+   * @memberof module:config
+   * @property {Integer} paddingBucketSize
+   */
+  paddingBucketSize: 0,
   /**
    * Use V5 keys.
    * Note: not all OpenPGP implementations are compatible with this option.
@@ -75,6 +100,15 @@ export default {
    * @property {Boolean} v5Keys
    */
   v5Keys: false,
+  /**
+   * Use version 6 keys and signatures, as specified in {@link https://www.rfc-editor.org/rfc/rfc9580.html|RFC9580}.
+   * Takes precedence over `v5Keys`. Version 6 keys cannot use the legacy EdDSA and Curve25519 ECDH formats:
+   * use key type `curve25519` or `curve448` instead.
+   * Note: older OpenPGP implementations are not compatible with this option.
+   * @memberof module:config
+   * @property {Boolean} v6Keys
+   */
+  v6Keys: false,
   /**
    * {@link https://tools.ietf.org/html/rfc4880#section-3.7.1.3|RFC4880 3.7.1.3}:
    * Iteration Count Byte for S2K (String to Key)
@@ -82,6 +116,38 @@ export default {
    * @property {Integer} s2kIterationCountByte
    */
   s2kIterationCountByte: 224,
+  /**
+   * S2K (String to Key) type used when encrypting private keys and password-encrypted session keys,
+   * either {@link module:enums.s2k.iterated} or {@link module:enums.s2k.argon2}.
+   * Argon2 is memory-hard and can only be used for private keys when `aeadProtect` is also set.
+   * @memberof module:config
+   * @property {Integer} s2kType
+   */
+  s2kType: enums.s2k.iterated,
+  /**
+   * {@link https://www.rfc-editor.org/rfc/rfc9580.html#section-3.7.1.4|RFC 9580 3.7.1.4}:
+   * Argon2 parameters for S2K (String to Key), used when `s2kType` is set to Argon2.
+   * The default values follow the second recommended option of RFC 9106 (64 MiB of memory).
+   * @memberof module:config
+   * @property {Object} s2kArgon2Params
+   * @property {Integer} s2kArgon2Params.passes - Number of passes over memory, between 1 and 255
+   * @property {Integer} s2kArgon2Params.parallelism - Degree of parallelism, between 1 and 255
+   * @property {Integer} s2kArgon2Params.memoryExponent - Memory size as an exponent of two in KiB, at most `maxArgon2MemoryExponent`
+   */
+  s2kArgon2Params: {
+    passes: 3,
+    parallelism: 4,
+    memoryExponent: 16
+  },
+  /**
+   * Maximum Argon2 memory size accepted when parsing or using an Argon2 S2K specifier, as an exponent of two in KiB.
+   * This protects against messages and keys that would make decryption allocate an excessive amount of memory.
+   * The default of 18 (256 MiB) allows the second recommended option of RFC 9106; set it to 21 (2 GiB)
+   * to also accept the first recommended option.
+   * @memberof module:config
+   * @property {Integer} maxArgon2MemoryExponent
+   */
+  maxArgon2MemoryExponent: 18,
   /**
    * Allow decryption of messages without integrity protection.
    * This is an **insecure** setting:
@@ -185,6 +251,7 @@ export default {
   /**
    * Contains notatations that are considered "known". Known notations do not trigger
    * validation error when the notation is marked as critical.
+   * Notations can also be checked by passing `notationHandlers` to `openpgp.verify` and `openpgp.decrypt`.
    * @memberof module:config
    * @property {Array} knownNotations
    */
@@ -0,0 +1,285 @@
+/**
+ * @fileoverview Argon2id key derivation function, as specified in RFC 9106.
+ * Used by the Argon2 string-to-key specifier.
+ * 64-bit words are represented as pairs of 32-bit words (low word first),
+ * and each 1 KiB memory block as 256 consecutive 32-bit words.
+ * @see {@link https://www.rfc-editor.org/rfc/rfc9106.html|RFC 9106}
+ * @module crypto/argon2
+ * @private
+ */
+
+import blake2b from './hash/blake2b';
+import util from '../util';
+
+const ARGON2_VERSION = 0x13;
+const ARGON2ID_TYPE = 2;
+const SYNC_POINTS = 4;
+const BLOCK_WORDS = 256;
+const ADDRESSES_IN_BLOCK = 128;
+
+function uint32LE(n) {
+  return new Uint8Array([n, n >>> 8, n >>> 16, n >>> 24]);
+}
+
+/**
+ * High 32 bits of the 64-bit product of two unsigned 32-bit integers
+ */
+function mulHigh(a, b) {
+  const aLo = a & 0xFFFF;
+  const aHi = a >>> 16;
+  const bLo = b & 0xFFFF;
+  const bHi = b >>> 16;
+  return aHi * bHi + Math.floor((aHi * bLo + aLo * bHi + Math.floor(aLo * bLo / 0x10000)) / 0x10000);
+}
+
+/**
+ * Variable-length hash function H' (RFC 9106 section 3.3)
+ * @param {Uint8Array} input
+ * @param {Integer} outputLength
+ * @returns {Uint8Array}
+ */
+function hashLong(input, outputLength) {
+  input = util.concatUint8Array([uint32LE(outputLength), input]);
+  if (outputLength <= 64) {
+    return blake2b(input, outputLength);
+  }
+  const output = new Uint8Array(outputLength);
+  let v = blake2b(input, 64);
+  let pos = 0;
+  for (; outputLength - pos > 64; pos += 32) {
+    output.set(v.subarray(0, 32), pos);
+    v = blake2b(v, Math.min(64, outputLength - pos - 32));
+  }
+  output.set(v, pos);
+  return output;
+}
+
+/**
+ * v[a] = v[a] + v[b] + 2 * trunc(v[a]) * trunc(v[b]), on 64-bit words
+ */
+function blaMka(v, a, b) {
+  const aLo = v[a];
+  const bLo = v[b];
+  const lo = aLo + bLo + 2 * (Math.imul(aLo, bLo) >>> 0);
+  v[a + 1] = v[a + 1] + v[b + 1] + 2 * mulHigh(aLo, bLo) + Math.floor(lo / 0x100000000);
+  v[a] = lo;
+}
+
+/**
+ * v[d] = (v[d] ^ v[a]) >>> n, with n one of 16, 24, 32 or 63 bits
+ */
+function xorRotr64(v, d, a, n) {
+  const lo = v[d] ^ v[a];
+  const hi = v[d + 1] ^ v[a + 1];
+  if (n === 32) {
+    v[d] = hi;
+    v[d + 1] = lo;
+  } else if (n === 63) {
+    v[d] = (lo << 1) | (hi >>> 31);
+    v[d + 1] = (hi << 1) | (lo >>> 31);
+  } else {
+    v[d] = (lo >>> n) | (hi << (32 - n));
+    v[d + 1] = (hi >>> n) | (lo << (32 - n));
+  }
+}
+
+function mix(v, a, b, c, d) {
+  blaMka(v, a, b);
+  xorRotr64(v, d, a, 32);
+  blaMka(v, c, d);
+  xorRotr64(v, b, c, 24);
+  blaMka(v, a, b);
+  xorRotr64(v, d, a, 16);
+  blaMka(v, c, d);
+  xorRotr64(v, b, c, 63);
+}
+
+/**
+ * Permutation P, applied to the 64-bit words at the given (32-bit word) offsets
+ */
+function permute(v, w) {
+  mix(v, w[0], w[4], w[8], w[12]);
+  mix(v, w[1], w[5], w[9], w[13]);
+  mix(v, w[2], w[6], w[10], w[14]);
+  mix(v, w[3], w[7], w[11], w[15]);
+  mix(v, w[0], w[5], w[10], w[15]);
+  mix(v, w[1], w[6], w[11], w[12]);
+  mix(v, w[2], w[7], w[8], w[13]);
+  mix(v, w[3], w[4], w[9], w[14]);
+}
+
+// Word offsets of the 64-bit words making up each row and column of a block, seen as an 8x8 matrix of 16-byte registers
+const ROWS = [];
+const COLUMNS = [];
+for (let i = 0; i < 8; i++) {
+  const row = [];
+  const column = [];
+  for (let j = 0; j < 8; j++) {
+    row.push(32 * i + 4 * j, 32 * i + 4 * j + 2);
+    column.push(4 * i + 32 * j, 4 * i + 32 * j + 2);
+  }
+  ROWS.push(row);
+  COLUMNS.push(column);
+}
+
+/**
+ * Compression function G (RFC 9106 section 3.5): writes G(X, Y) to the output block,
+ * or XORs it into the output block if `withXOR` is set
+ */
+function compress(memory, x, y, out, withXOR, r, tmp) {
+  for (let i = 0; i < BLOCK_WORDS; i++) {
+    r[i] = memory[x + i] ^ memory[y + i];
+  }
+  if (withXOR) {
+    for (let i = 0; i < BLOCK_WORDS; i++) {
+      tmp[i] = r[i] ^ memory[out + i];
+    }
+  } else {
+    tmp.set(r);
+  }
+  for (let i = 0; i < 8; i++) {
+    permute(r, ROWS[i]);
+  }
+  for (let i = 0; i < 8; i++) {
+    permute(r, COLUMNS[i]);
+  }
+  for (let i = 0; i < BLOCK_WORDS; i++) {
+    memory[out + i] = tmp[i] ^ r[i];
+  }
+}
+
+function bytesToWords(bytes, words, offset) {
+  for (let i = 0; i < BLOCK_WORDS; i++) {
+    words[offset + i] = bytes[4 * i] | (bytes[4 * i + 1] << 8) | (bytes[4 * i + 2] << 16) | (bytes[4 * i + 3] << 24);
+  }
+}
+
+/**
+ * Derives a key using Argon2id
+ * @param {Object} options
+ * @param {Uint8Array} options.password
+ * @param {Uint8Array} options.salt
+ * @param {Integer} options.passes - Number of passes over memory (t)
+ * @param {Integer} options.parallelism - Degree of parallelism (p)
+ * @param {Integer} options.memorySize - Memory size in KiB (m)
+ * @param {Integer} options.tagLength - Output length in bytes (T)
+ * @param {Uint8Array} [options.secret] - Secret value (K)
+ * @param {Uint8Array} [options.associatedData] - Associated data (X)
+ * @returns {Promise<Uint8Array>} Derived key.
+ * @async
+ */
+export default async function argon2id({
+  password, salt, passes, parallelism, memorySize, tagLength,
+  secret = new Uint8Array(), associatedData = new Uint8Array()
+}) {
+  if (passes < 1 || parallelism < 1 || memorySize < 8 * parallelism || tagLength < 4) {
+    throw new Error('Invalid Argon2 parameters');
+  }
+
+  const h0 = blake2b(util.concatUint8Array([
+    uint32LE(parallelism), uint32LE(tagLength), uint32LE(memorySize), uint32LE(passes),
+    uint32LE(ARGON2_VERSION), uint32LE(ARGON2ID_TYPE),
+    uint32LE(password.length), password,
+    uint32LE(salt.length), salt,
+    uint32LE(secret.length), secret,
+    uint32LE(associatedData.length), associatedData
+  ]), 64);
+
+  const segmentLength = Math.floor(memorySize / (SYNC_POINTS * parallelism));
+  const laneLength = segmentLength * SYNC_POINTS;
+  const blockCount = laneLength * parallelism;
+  let memory;
+  try {
+    memory = new Uint32Array(blockCount * BLOCK_WORDS);
+  } catch (e) {
+    throw new Error('Could not allocate required memory for Argon2');
+  }
+
+  for (let lane = 0; lane < parallelism; lane++) {
+    for (let i = 0; i < 2; i++) {
+      const block = hashLong(util.concatUint8Array([h0, uint32LE(i), uint32LE(lane)]), 1024);
+      bytesToWords(block, memory, (lane * laneLength + i) * BLOCK_WORDS);
+    }
+  }
+
+  const r = new Uint32Array(BLOCK_WORDS);
+  const tmp = new Uint32Array(BLOCK_WORDS);
+  // Scratch memory laid out as [zero block | address input block | address block]
+  const addressMemory = new Uint32Array(3 * BLOCK_WORDS);
+  const nextAddresses = () => {
+    addressMemory[BLOCK_WORDS + 12]++;
+    compress(addressMemory, 0, BLOCK_WORDS, 2 * BLOCK_WORDS, false, r, tmp);
+    compress(addressMemory, 0, 2 * BLOCK_WORDS, 2 * BLOCK_WORDS, false, r, tmp);
+  };
+
+  for (let pass = 0; pass < passes; pass++) {
+    for (let slice = 0; slice < SYNC_POINTS; slice++) {
+      // Lanes could be filled in parallel, but we process them sequentially
+      for (let lane = 0; lane < parallelism; lane++) {
+        const dataIndependent = pass === 0 && slice < SYNC_POINTS / 2;
+        if (dataIndependent) {
+          addressMemory.fill(0);
+          const input = [pass, lane, slice, blockCount, passes, ARGON2ID_TYPE];
+          input.forEach((value, i) => { addressMemory[BLOCK_WORDS + 2 * i] = value; });
+        }
+        let start = 0;
+        if (pass === 0 && slice === 0) {
+          start = 2;
+          if (dataIndependent) nextAddresses();
+        }
+        for (let index = start; index < segmentLength; index++) {
+          const column = slice * segmentLength + index;
+          const current = lane * laneLength + column;
+          const previous = column === 0 ? current + laneLength - 1 : current - 1;
+
+          let j1;
+          let j2;
+          if (dataIndependent) {
+            if (index % ADDRESSES_IN_BLOCK === 0) nextAddresses();
+            const offset = 2 * BLOCK_WORDS + 2 * (index % ADDRESSES_IN_BLOCK);
+            j1 = addressMemory[offset];
+            j2 = addressMemory[offset + 1];
+          } else {
+            j1 = memory[previous * BLOCK_WORDS];
+            j2 = memory[previous * BLOCK_WORDS + 1];
+          }
+
+          const refLane = pass === 0 && slice === 0 ? lane : j2 % parallelism;
+          const sameLane = refLane === lane;
+          let areaSize;
+          if (pass === 0) {
+            areaSize = slice * segmentLength + (sameLane ? index - 1 : (index === 0 ? -1 : 0));
+          } else {
+            areaSize = laneLength - segmentLength + (sameLane ? index - 1 : (index === 0 ? -1 : 0));
+          }
+          const relativePosition = areaSize - 1 - mulHigh(areaSize, mulHigh(j1, j1));
+          const startPosition = pass !== 0 && slice !== SYNC_POINTS - 1 ? (slice + 1) * segmentLength : 0;
+          const refIndex = (startPosition + relativePosition) % laneLength;
+
+          compress(
+            memory,
+            previous * BLOCK_WORDS,
+            (refLane * laneLength + refIndex) * BLOCK_WORDS,
+            current * BLOCK_WORDS,
+            pass !== 0,
+            r,
+            tmp
+          );
+        }
+      }
+    }
+  }
+
+  const final = memory.slice((laneLength - 1) * BLOCK_WORDS, laneLength * BLOCK_WORDS);
+  for (let lane = 1; lane < parallelism; lane++) {
+    const offset = (lane * laneLength + laneLength - 1) * BLOCK_WORDS;
+    for (let i = 0; i < BLOCK_WORDS; i++) {
+      final[i] ^= memory[offset + i];
+    }
+  }
+  const finalBytes = new Uint8Array(1024);
+  for (let i = 0; i < 1024; i++) {
+    finalBytes[i] = final[i >> 2] >>> (8 * (i & 3));
+  }
+  return hashLong(finalBytes, tagLength);
+}
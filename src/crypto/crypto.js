@@ -28,6 +28,7 @@ import publicKey from './public_key';
 import * as cipher from './cipher';
 import { getRandomBytes } from './random';
 import ECDHSymkey from '../type/ecdh_symkey';
+import ECDHXSymmetricKey from '../type/ecdh_x_symkey';
 import KDFParams from '../type/kdf_params';
 import enums from '../enums';
 import util from '../util';
@@ -37,15 +38,17 @@ import { Curve } from './public_key/elliptic/curves';
 /**
  * Encrypts data using specified algorithm and public key parameters.
  * See {@link https://tools.ietf.org/html/rfc4880#section-9.1|RFC 4880 9.1} for public key algorithms.
- * @param {module:enums.publicKey} algo - Public key algorithm
+ * @param {module:enums.publicKey} keyAlgo - Public key algorithm
+ * @param {module:enums.symmetric|null} symmetricAlgo - Cipher algorithm of the session key, only needed for X25519 and X448
+ *   in v3 PKESK packets: in v6 ones, it is not stored alongside the encrypted session key
  * @param {Object} publicParams - Algorithm-specific public key parameters
  * @param {Uint8Array} data - Data to be encrypted
  * @param {Uint8Array} fingerprint - Recipient fingerprint
  * @returns {Promise<Object>} Encrypted session key parameters.
  * @async
  */
-export async function publicKeyEncrypt(algo, publicParams, data, fingerprint) {
-  switch (algo) {
+export async function publicKeyEncrypt(keyAlgo, symmetricAlgo, publicParams, data, fingerprint) {
+  switch (keyAlgo) {
     case enums.publicKey.rsaEncrypt:
     case enums.publicKey.rsaEncryptSign: {
       const { n, e } = publicParams;
@@ -62,6 +65,17 @@ export async function publicKeyEncrypt(algo, publicParams, data, fingerprint) {
         oid, kdfParams, data, Q, fingerprint);
       return { V, C: new ECDHSymkey(C) };
     }
+    case enums.publicKey.x25519:
+    case enums.publicKey.x448: {
+      if (symmetricAlgo !== null && !isAES(symmetricAlgo)) {
+        // see https://datatracker.ietf.org/doc/html/draft-ietf-openpgp-crypto-refresh#section-5.1.6
+        throw new Error('X25519 and X448 keys can only encrypt AES session keys');
+      }
+      const { A } = publicParams;
+      const { ephemeralPublicKey, wrappedKey } = await publicKey.elliptic.ecdhX.encrypt(keyAlgo, data, A);
+      const C = ECDHXSymmetricKey.fromObject({ algorithm: symmetricAlgo, wrappedKey });
+      return { ephemeralPublicKey, C };
+    }
     default:
       return [];
   }
@@ -100,6 +114,13 @@ export async function publicKeyDecrypt(algo, publicKeyParams, privateKeyParams,
       return publicKey.elliptic.ecdh.decrypt(
         oid, kdfParams, V, C.data, Q, d, fingerprint);
     }
+    case enums.publicKey.x25519:
+    case enums.publicKey.x448: {
+      const { A } = publicKeyParams;
+      const { k } = privateKeyParams;
+      const { ephemeralPublicKey, C } = sessionKeyParams;
+      return publicKey.elliptic.ecdhX.decrypt(algo, ephemeralPublicKey, C.wrappedKey, A, k);
+    }
     default:
       throw new Error('Invalid public key encryption algorithm.');
   }
@@ -142,7 +163,10 @@ export function parsePublicKeyParams(algo, bytes) {
     case enums.publicKey.eddsa: {
       const oid = new OID(); read += oid.read(bytes);
       let Q = util.readMPI(bytes.subarray(read)); read += Q.length + 2;
-      Q = util.leftPad(Q, 33);
+      // Ed448 points are longer, but always prefixed
+      if (Q.length < 33) {
+        Q = util.leftPad(Q, 33);
+      }
       return { read: read, publicParams: { oid, Q } };
     }
     case enums.publicKey.ecdh: {
@@ -151,6 +175,16 @@ export function parsePublicKeyParams(algo, bytes) {
       const kdfParams = new KDFParams(); read += kdfParams.read(bytes.subarray(read));
       return { read: read, publicParams: { oid, Q, kdfParams } };
     }
+    case enums.publicKey.ed25519:
+    case enums.publicKey.ed448: {
+      const A = util.readExactSubarray(bytes, read, read + publicKey.elliptic.eddsa.getPayloadSize(algo)); read += A.length;
+      return { read, publicParams: { A } };
+    }
+    case enums.publicKey.x25519:
+    case enums.publicKey.x448: {
+      const A = util.readExactSubarray(bytes, read, read + publicKey.elliptic.ecdhX.getPayloadSize(algo)); read += A.length;
+      return { read, publicParams: { A } };
+    }
     default:
       throw new Error('Invalid public key encryption algorithm.');
   }
@@ -188,10 +222,21 @@ export function parsePrivateKeyParams(algo, bytes, publicParams) {
       return { read, privateParams: { d } };
     }
     case enums.publicKey.eddsa: {
+      const curve = new Curve(publicParams.oid);
       let seed = util.readMPI(bytes.subarray(read)); read += seed.length + 2;
-      seed = util.leftPad(seed, 32);
+      seed = util.leftPad(seed, curve.payloadSize);
       return { read, privateParams: { seed } };
     }
+    case enums.publicKey.ed25519:
+    case enums.publicKey.ed448: {
+      const seed = util.readExactSubarray(bytes, read, read + publicKey.elliptic.eddsa.getPayloadSize(algo)); read += seed.length;
+      return { read, privateParams: { seed } };
+    }
+    case enums.publicKey.x25519:
+    case enums.publicKey.x448: {
+      const k = util.readExactSubarray(bytes, read, read + publicKey.elliptic.ecdhX.getPayloadSize(algo)); read += k.length;
+      return { read, privateParams: { k } };
+    }
     default:
       throw new Error('Invalid public key encryption algorithm.');
   }
@@ -200,9 +245,10 @@ export function parsePrivateKeyParams(algo, bytes, publicParams) {
 /** Returns the types comprising the encrypted session key of an algorithm
  * @param {module:enums.publicKey} algo - The key algorithm
  * @param {Uint8Array} bytes - The key material to parse
+ * @param {Integer} version - Version of the PKESK packet
  * @returns {Object} The session key parameters referenced by name.
  */
-export function parseEncSessionKeyParams(algo, bytes) {
+export function parseEncSessionKeyParams(algo, bytes, version) {
   let read = 0;
   switch (algo) {
     //   Algorithm-Specific Fields for RSA encrypted session keys:
@@ -229,6 +275,17 @@ export function parseEncSessionKeyParams(algo, bytes) {
       const C = new ECDHSymkey(); C.read(bytes.subarray(read));
       return { V, C };
     }
+    //   Algorithm-Specific Fields for X25519 or X448 encrypted session keys:
+    //       - 32 octets (X25519) or 56 octets (X448) of the ephemeral public key
+    //       - A one-octet size of the following fields
+    //       - The one-octet algorithm identifier of the session key (for v3 PKESK only)
+    //       - The encrypted session key, wrapped with AES key wrap
+    case enums.publicKey.x25519:
+    case enums.publicKey.x448: {
+      const ephemeralPublicKey = util.readExactSubarray(bytes, read, read + publicKey.elliptic.ecdhX.getPayloadSize(algo)); read += ephemeralPublicKey.length;
+      const C = new ECDHXSymmetricKey(); C.read(bytes.subarray(read), version);
+      return { ephemeralPublicKey, C };
+    }
     default:
       throw new Error('Invalid public key encryption algorithm.');
   }
@@ -241,9 +298,19 @@ export function parseEncSessionKeyParams(algo, bytes) {
  * @returns {Uint8Array} The array containing the MPIs.
  */
 export function serializeParams(algo, params) {
+  // the parameters of the algorithms defined in the crypto-refresh are not MPI-encoded
+  const hasNativeRepresentation = new Set([
+    enums.publicKey.x25519,
+    enums.publicKey.x448,
+    enums.publicKey.ed25519,
+    enums.publicKey.ed448
+  ]).has(algo);
   const orderedParams = Object.keys(params).map(name => {
     const param = params[name];
-    return util.isUint8Array(param) ? util.uint8ArrayToMPI(param) : param.write();
+    if (!util.isUint8Array(param)) {
+      return param.write();
+    }
+    return hasNativeRepresentation ? param : util.uint8ArrayToMPI(param);
   });
   return util.concatUint8Array(orderedParams);
 }
@@ -285,6 +352,18 @@ export function generateParams(algo, bits, oid) {
           kdfParams: new KDFParams({ hash, cipher })
         }
       }));
+    case enums.publicKey.ed25519:
+    case enums.publicKey.ed448:
+      return publicKey.elliptic.eddsa.generate(algo).then(({ A, seed }) => ({
+        privateParams: { seed },
+        publicParams: { A }
+      }));
+    case enums.publicKey.x25519:
+    case enums.publicKey.x448:
+      return publicKey.elliptic.ecdhX.generate(algo).then(({ A, k }) => ({
+        privateParams: { k },
+        publicParams: { A }
+      }));
     case enums.publicKey.dsa:
     case enums.publicKey.elgamal:
       throw new Error('Unsupported algorithm for key generation.');
@@ -333,7 +412,19 @@ export async function validateParams(algo, publicParams, privateParams) {
     case enums.publicKey.eddsa: {
       const { oid, Q } = publicParams;
       const { seed } = privateParams;
-      return publicKey.elliptic.eddsa.validateParams(oid, Q, seed);
+      return publicKey.elliptic.eddsaLegacy.validateParams(oid, Q, seed);
+    }
+    case enums.publicKey.ed25519:
+    case enums.publicKey.ed448: {
+      const { A } = publicParams;
+      const { seed } = privateParams;
+      return publicKey.elliptic.eddsa.validateParams(algo, A, seed);
+    }
+    case enums.publicKey.x25519:
+    case enums.publicKey.x448: {
+      const { A } = publicParams;
+      const { k } = privateParams;
+      return publicKey.elliptic.ecdhX.validateParams(algo, A, k);
     }
     default:
       throw new Error('Invalid public key algorithm.');
@@ -363,3 +454,9 @@ export async function getPrefixRandom(algo) {
 export function generateSessionKey(algo) {
   return getRandomBytes(cipher[algo].keySize);
 }
+
+function isAES(cipherAlgo) {
+  return cipherAlgo === enums.symmetric.aes128 ||
+    cipherAlgo === enums.symmetric.aes192 ||
+    cipherAlgo === enums.symmetric.aes256;
+}
@@ -0,0 +1,134 @@
+/**
+ * @fileoverview BLAKE2b hash function, as specified in RFC 7693.
+ * Only used internally by Argon2; BLAKE2b has no OpenPGP hash algorithm ID.
+ * 64-bit words are represented as pairs of 32-bit words (low word first).
+ * @see {@link https://tools.ietf.org/html/rfc7693|RFC 7693}
+ * @module crypto/hash/blake2b
+ * @private
+ */
+
+const IV = new Uint32Array([
+  0xF3BCC908, 0x6A09E667, 0x84CAA73B, 0xBB67AE85,
+  0xFE94F82B, 0x3C6EF372, 0x5F1D36F1, 0xA54FF53A,
+  0xADE682D1, 0x510E527F, 0x2B3E6C1F, 0x9B05688C,
+  0xFB41BD6B, 0x1F83D9AB, 0x137E2179, 0x5BE0CD19
+]);
+
+const SIGMA = [
+  0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15,
+  14, 10, 4, 8, 9, 15, 13, 6, 1, 12, 0, 2, 11, 7, 5, 3,
+  11, 8, 12, 0, 5, 2, 15, 13, 10, 14, 3, 6, 7, 1, 9, 4,
+  7, 9, 3, 1, 13, 12, 11, 14, 2, 6, 5, 10, 4, 0, 15, 8,
+  9, 0, 5, 7, 2, 4, 10, 15, 14, 1, 11, 12, 6, 8, 3, 13,
+  2, 12, 6, 10, 0, 11, 8, 3, 4, 13, 7, 5, 15, 14, 1, 9,
+  12, 5, 1, 15, 14, 13, 4, 10, 0, 7, 6, 3, 9, 2, 8, 11,
+  13, 11, 7, 14, 12, 1, 3, 9, 5, 0, 15, 4, 8, 6, 2, 10,
+  6, 15, 14, 9, 11, 3, 0, 8, 12, 2, 13, 7, 1, 4, 10, 5,
+  10, 2, 8, 4, 7, 6, 1, 5, 15, 11, 9, 14, 3, 12, 13, 0,
+  0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15,
+  14, 10, 4, 8, 9, 15, 13, 6, 1, 12, 0, 2, 11, 7, 5, 3
+].map(i => i * 2);
+
+const BLOCK_LENGTH = 128;
+
+/**
+ * v[a] += v[b] + (y1:y0), on 64-bit words
+ */
+function add64(v, a, b, y0, y1) {
+  const lo = v[a] + v[b] + y0;
+  v[a + 1] = v[a + 1] + v[b + 1] + y1 + Math.floor(lo / 0x100000000);
+  v[a] = lo;
+}
+
+/**
+ * v[d] = (v[d] ^ v[a]) >>> n, with n one of 16, 24, 32 or 63 bits
+ */
+function xorRotr64(v, d, a, n) {
+  const lo = v[d] ^ v[a];
+  const hi = v[d + 1] ^ v[a + 1];
+  if (n === 32) {
+    v[d] = hi;
+    v[d + 1] = lo;
+  } else if (n === 63) {
+    v[d] = (lo << 1) | (hi >>> 31);
+    v[d + 1] = (hi << 1) | (lo >>> 31);
+  } else {
+    v[d] = (lo >>> n) | (hi << (32 - n));
+    v[d + 1] = (hi >>> n) | (lo << (32 - n));
+  }
+}
+
+function mix(v, m, a, b, c, d, x, y) {
+  add64(v, a, b, m[x], m[x + 1]);
+  xorRotr64(v, d, a, 32);
+  add64(v, c, d, 0, 0);
+  xorRotr64(v, b, c, 24);
+  add64(v, a, b, m[y], m[y + 1]);
+  xorRotr64(v, d, a, 16);
+  add64(v, c, d, 0, 0);
+  xorRotr64(v, b, c, 63);
+}
+
+function compress(h, block, counter, last) {
+  const v = new Uint32Array(32);
+  const m = new Uint32Array(32);
+  for (let i = 0; i < 16; i++) {
+    v[i] = h[i];
+    v[i + 16] = IV[i];
+  }
+  v[24] ^= counter;
+  v[25] ^= counter / 0x100000000;
+  if (last) {
+    v[28] = ~v[28];
+    v[29] = ~v[29];
+  }
+  for (let i = 0; i < 32; i++) {
+    m[i] = block[i * 4] | (block[i * 4 + 1] << 8) | (block[i * 4 + 2] << 16) | (block[i * 4 + 3] << 24);
+  }
+  for (let i = 0; i < 12 * 16; i += 16) {
+    mix(v, m, 0, 8, 16, 24, SIGMA[i], SIGMA[i + 1]);
+    mix(v, m, 2, 10, 18, 26, SIGMA[i + 2], SIGMA[i + 3]);
+    mix(v, m, 4, 12, 20, 28, SIGMA[i + 4], SIGMA[i + 5]);
+    mix(v, m, 6, 14, 22, 30, SIGMA[i + 6], SIGMA[i + 7]);
+    mix(v, m, 0, 10, 20, 30, SIGMA[i + 8], SIGMA[i + 9]);
+    mix(v, m, 2, 12, 22, 24, SIGMA[i + 10], SIGMA[i + 11]);
+    mix(v, m, 4, 14, 16, 26, SIGMA[i + 12], SIGMA[i + 13]);
+    mix(v, m, 6, 8, 18, 28, SIGMA[i + 14], SIGMA[i + 15]);
+  }
+  for (let i = 0; i < 16; i++) {
+    h[i] ^= v[i] ^ v[i + 16];
+  }
+}
+
+/**
+ * Computes the unkeyed BLAKE2b hash of the given data
+ * @param {Uint8Array} data - Data to hash
+ * @param {Integer} [outputLength] - Digest length in bytes, between 1 and 64
+ * @returns {Uint8Array} Digest.
+ */
+export default function blake2b(data, outputLength = 64) {
+  if (outputLength < 1 || outputLength > 64) {
+    throw new Error('Invalid BLAKE2b output length');
+  }
+  const h = IV.slice();
+  h[0] ^= 0x01010000 ^ outputLength;
+
+  const block = new Uint8Array(BLOCK_LENGTH);
+  let counter = 0;
+  let offset = 0;
+  // The last block is always processed with the finalization flag set, even if full
+  while (data.length - offset > BLOCK_LENGTH) {
+    counter += BLOCK_LENGTH;
+    compress(h, data.subarray(offset, offset + BLOCK_LENGTH), counter, false);
+    offset += BLOCK_LENGTH;
+  }
+  block.set(data.subarray(offset));
+  counter += data.length - offset;
+  compress(h, block, counter, true);
+
+  const digest = new Uint8Array(outputLength);
+  for (let i = 0; i < outputLength; i++) {
+    digest[i] = h[i >> 2] >>> (8 * (i & 3));
+  }
+  return digest;
+}
@@ -0,0 +1,132 @@
+/**
+ * @fileoverview SHAKE256 extendable-output function, as specified in FIPS 202.
+ * Only used internally by Ed448; SHAKE256 has no OpenPGP hash algorithm ID.
+ * 64-bit lanes are represented as pairs of 32-bit words (low word first).
+ * @see {@link https://nvlpubs.nist.gov/nistpubs/FIPS/NIST.FIPS.202.pdf|FIPS 202}
+ * @module crypto/hash/sha3
+ * @private
+ */
+
+const ROUND_CONSTANTS = [
+  '0000000000000001', '0000000000008082', '800000000000808a', '8000000080008000',
+  '000000000000808b', '0000000080000001', '8000000080008081', '8000000000008009',
+  '000000000000008a', '0000000000000088', '0000000080008009', '000000008000000a',
+  '000000008000808b', '800000000000008b', '8000000000008089', '8000000000008003',
+  '8000000000008002', '8000000000000080', '000000000000800a', '800000008000000a',
+  '8000000080008081', '8000000000008080', '0000000080000001', '8000000080008008'
+].reduce((words, hex) => words.concat([parseInt(hex.slice(8), 16), parseInt(hex.slice(0, 8), 16)]), []);
+
+// Rotation offsets of each lane, indexed by x + 5 * y
+const ROTATIONS = [
+  0, 1, 62, 28, 27,
+  36, 44, 6, 55, 20,
+  3, 10, 43, 25, 39,
+  41, 45, 15, 21, 8,
+  18, 2, 61, 56, 14
+];
+
+const SHAKE256_RATE = 136;
+
+/**
+ * Keccak-f[1600] permutation, in place
+ * @param {Uint32Array} state - 25 lanes of 64 bits
+ */
+function keccakF(state) {
+  const C = new Uint32Array(10);
+  const B = new Uint32Array(50);
+  for (let round = 0; round < 24; round++) {
+    // theta
+    for (let x = 0; x < 5; x++) {
+      C[2 * x] = state[2 * x] ^ state[2 * x + 10] ^ state[2 * x + 20] ^ state[2 * x + 30] ^ state[2 * x + 40];
+      C[2 * x + 1] = state[2 * x + 1] ^ state[2 * x + 11] ^ state[2 * x + 21] ^ state[2 * x + 31] ^ state[2 * x + 41];
+    }
+    for (let x = 0; x < 5; x++) {
+      const previous = 2 * ((x + 4) % 5);
+      const next = 2 * ((x + 1) % 5);
+      const lo = C[previous] ^ ((C[next] << 1) | (C[next + 1] >>> 31));
+      const hi = C[previous + 1] ^ ((C[next + 1] << 1) | (C[next] >>> 31));
+      for (let y = 0; y < 5; y++) {
+        state[2 * (x + 5 * y)] ^= lo;
+        state[2 * (x + 5 * y) + 1] ^= hi;
+      }
+    }
+    // rho and pi
+    for (let x = 0; x < 5; x++) {
+      for (let y = 0; y < 5; y++) {
+        const i = x + 5 * y;
+        const j = y + 5 * ((2 * x + 3 * y) % 5);
+        let lo = state[2 * i];
+        let hi = state[2 * i + 1];
+        let rotation = ROTATIONS[i];
+        if (rotation >= 32) {
+          [lo, hi] = [hi, lo];
+          rotation -= 32;
+        }
+        if (rotation) {
+          [lo, hi] = [(lo << rotation) | (hi >>> (32 - rotation)), (hi << rotation) | (lo >>> (32 - rotation))];
+        }
+        B[2 * j] = lo;
+        B[2 * j + 1] = hi;
+      }
+    }
+    // chi
+    for (let y = 0; y < 25; y += 5) {
+      for (let x = 0; x < 5; x++) {
+        const i = 2 * (x + y);
+        const next = 2 * ((x + 1) % 5 + y);
+        const nextNext = 2 * ((x + 2) % 5 + y);
+        state[i] = B[i] ^ (~B[next] & B[nextNext]);
+        state[i + 1] = B[i + 1] ^ (~B[next + 1] & B[nextNext + 1]);
+      }
+    }
+    // iota
+    state[0] ^= ROUND_CONSTANTS[2 * round];
+    state[1] ^= ROUND_CONSTANTS[2 * round + 1];
+  }
+}
+
+/**
+ * XOR a byte into the state, where byte i belongs to lane i / 8, in little-endian order
+ */
+function xorByte(state, i, byte) {
+  state[i >>> 2] ^= byte << ((i & 3) * 8);
+}
+
+function getByte(state, i) {
+  return (state[i >>> 2] >>> ((i & 3) * 8)) & 0xFF;
+}
+
+/**
+ * Compute the SHAKE256 output of the given length
+ * @param {Uint8Array} data - Input data
+ * @param {Integer} outputLength - Output length in bytes
+ * @returns {Uint8Array} Output.
+ */
+// eslint-disable-next-line import/prefer-default-export
+export function shake256(data, outputLength) {
+  const state = new Uint32Array(50);
+  // absorb
+  let offset = 0;
+  for (; data.length - offset >= SHAKE256_RATE; offset += SHAKE256_RATE) {
+    for (let i = 0; i < SHAKE256_RATE; i++) {
+      xorByte(state, i, data[offset + i]);
+    }
+    keccakF(state);
+  }
+  for (let i = 0; i < data.length - offset; i++) {
+    xorByte(state, i, data[offset + i]);
+  }
+  // pad with the SHAKE domain separation bits, followed by pad10*1
+  xorByte(state, data.length - offset, 0x1F);
+  xorByte(state, SHAKE256_RATE - 1, 0x80);
+  keccakF(state);
+  // squeeze
+  const output = new Uint8Array(outputLength);
+  for (let i = 0; i < outputLength; i++) {
+    if (i && i % SHAKE256_RATE === 0) {
+      keccakF(state);
+    }
+    output[i] = getByte(state, i % SHAKE256_RATE);
+  }
+  return output;
+}
@@ -0,0 +1,66 @@
+/**
+ * @fileoverview Implementation of HKDF (RFC 5869) using either Node.js' crypto API, the WebCrypto API, or hash.js
+ * @module crypto/hkdf
+ * @private
+ */
+
+import sha256 from 'hash.js/lib/hash/sha/256';
+import sha384 from 'hash.js/lib/hash/sha/384';
+import sha512 from 'hash.js/lib/hash/sha/512';
+import hmac from 'hash.js/lib/hash/hmac';
+import enums from '../enums';
+import util from '../util';
+
+const webCrypto = util.getWebCrypto();
+const nodeCrypto = util.getNodeCrypto();
+
+const hashjsHashes = {
+  sha256,
+  sha384,
+  sha512
+};
+
+/**
+ * Derive a key from the given input keying material, following RFC 5869
+ * @param {module:enums.hash} hashAlgo - Hash algorithm (sha256, sha384 or sha512)
+ * @param {Uint8Array} inputKey - Input keying material
+ * @param {Uint8Array} salt - Salt, may be empty
+ * @param {Uint8Array} info - Context and application specific information
+ * @param {Integer} outLen - Length of the derived key, in bytes
+ * @returns {Promise<Uint8Array>} The derived key.
+ * @async
+ */
+export default async function computeHKDF(hashAlgo, inputKey, salt, info, outLen) {
+  const hashName = enums.read(enums.hash, hashAlgo);
+  if (!hashjsHashes[hashName]) {
+    throw new Error('Unsupported hash algorithm for HKDF');
+  }
+  if (nodeCrypto) {
+    const nodeHmac = (key, data) => new Uint8Array(nodeCrypto.createHmac(hashName, key).update(data).digest());
+    return expand(nodeHmac, nodeHmac(salt, inputKey), info, outLen);
+  }
+  if (webCrypto) {
+    const key = await webCrypto.importKey('raw', inputKey, 'HKDF', false, ['deriveBits']);
+    const bits = await webCrypto.deriveBits({ name: 'HKDF', hash: enums.read(enums.webHash, hashAlgo), salt, info }, key, outLen * 8);
+    return new Uint8Array(bits);
+  }
+  const hashjsHmac = (key, data) => new Uint8Array(hmac(hashjsHashes[hashName], key).update(data).digest());
+  return expand(hashjsHmac, hashjsHmac(salt, inputKey), info, outLen);
+}
+
+/**
+ * HKDF-Expand step. The extract step is a single HMAC computation keyed with the salt:
+ * since HMAC zero-pads its key, an empty salt is equivalent to the all-zero salt mandated by RFC 5869.
+ * @private
+ */
+function expand(hmacFn, pseudoRandomKey, info, outLen) {
+  const blocks = [];
+  let length = 0;
+  let previous = new Uint8Array();
+  for (let counter = 1; length < outLen; counter++) {
+    previous = hmacFn(pseudoRandomKey, util.concatUint8Array([previous, info, new Uint8Array([counter])]));
+    blocks.push(previous);
+    length += previous.length;
+  }
+  return util.concatUint8Array(blocks).subarray(0, outLen);
+}
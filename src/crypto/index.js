@@ -20,6 +20,8 @@ import * as pkcs1 from './pkcs1';
 import * as pkcs5 from './pkcs5';
 import * as crypto from './crypto';
 import * as aesKW from './aes_kw';
+import argon2 from './argon2';
+import computeHKDF from './hkdf';
 
 // TODO move cfb and gcm to cipher
 const mod = {
@@ -40,7 +42,11 @@ const mod = {
   /** @see module:crypto/pkcs5 */
   pkcs5: pkcs5,
   /** @see module:crypto/aes_kw */
-  aesKW: aesKW
+  aesKW: aesKW,
+  /** @see module:crypto/argon2 */
+  argon2: argon2,
+  /** @see module:crypto/hkdf */
+  computeHKDF: computeHKDF
 };
 
 Object.assign(mod, crypto);
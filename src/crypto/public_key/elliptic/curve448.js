@@ -0,0 +1,281 @@
+/**
+ * @fileoverview Pure JavaScript implementation of X448 (RFC 7748) and Ed448 (RFC 8032).
+ * Neither tweetnacl nor elliptic support Curve448, so field and group operations are
+ * implemented on top of the BigInteger interface, and are therefore not constant time.
+ * @see {@link https://tools.ietf.org/html/rfc7748|RFC 7748}
+ * @see {@link https://tools.ietf.org/html/rfc8032|RFC 8032}
+ * @module crypto/public_key/elliptic/curve448
+ * @private
+ */
+
+import { shake256 } from '../../hash/sha3';
+import util from '../../../util';
+
+// Coordinates of the Ed448 base point, big-endian
+const ED448_BASE_X = '4f1970c66bed0ded221d15a622bf36da9e146570470f1767ea6de324a3d3a46412ae1af72ab66511433b80e18b00938e2626a82bc70cc05e';
+const ED448_BASE_Y = '693f46716eb6bc248876203756c9c7624bea73736ca3984087789c1e05a0c2d73ad3ff1ce67c39c4fdbd132c4ed7c8ad9808795bf230fa14';
+
+// dom4(0, ''), i.e. Ed448 without pre-hashing nor context
+const ED448_DOM = util.concatUint8Array([util.encodeUTF8('SigEd448'), new Uint8Array([0, 0])]);
+
+let curve;
+
+async function getCurve() {
+  if (!curve) {
+    const BigInteger = await util.getBigInteger();
+    const one = new BigInteger(1);
+    const p = one.leftShift(new BigInteger(448)).isub(one.leftShift(new BigInteger(224))).isub(one);
+    curve = {
+      BigInteger,
+      zero: new BigInteger(0),
+      one,
+      p,
+      // Ed448 parameter d = -39081
+      d: p.sub(new BigInteger(39081)),
+      // (A - 2) / 4, with A = 156326 the X448 Montgomery curve parameter
+      a24: new BigInteger(39081),
+      // order of the prime-order subgroup
+      L: one.leftShift(new BigInteger(446)).isub(new BigInteger('13818066809895115352007386748515426880336692474882178609894547503885')),
+      base: {
+        X: new BigInteger(util.hexToUint8Array(ED448_BASE_X)),
+        Y: new BigInteger(util.hexToUint8Array(ED448_BASE_Y)),
+        Z: one
+      }
+    };
+    curve.sqrtExponent = p.sub(new BigInteger(3)).irightShift(new BigInteger(2));
+    curve.inverseExponent = p.sub(new BigInteger(2));
+  }
+  return curve;
+}
+
+function decodeLittleEndian(BigInteger, bytes) {
+  return new BigInteger(bytes.slice().reverse());
+}
+
+/**
+ * Compute the X448 function of RFC 7748, section 5
+ * @param {Uint8Array} k - 56-byte scalar
+ * @param {Uint8Array} u - 56-byte u-coordinate
+ * @returns {Promise<Uint8Array>} 56-byte u-coordinate of [k]u.
+ * @async
+ */
+export async function x448(k, u) {
+  const { BigInteger, zero, one, p, a24, inverseExponent } = await getCurve();
+  const scalar = k.slice();
+  scalar[0] &= 252;
+  scalar[55] |= 128;
+
+  const x1 = decodeLittleEndian(BigInteger, u).imod(p);
+  let x2 = one;
+  let z2 = zero;
+  let x3 = x1;
+  let z3 = one;
+  let swap = 0;
+  for (let t = 447; t >= 0; t--) {
+    const bit = (scalar[t >>> 3] >>> (t & 7)) & 1;
+    swap ^= bit;
+    if (swap) {
+      [x2, x3] = [x3, x2];
+      [z2, z3] = [z3, z2];
+    }
+    swap = bit;
+
+    const A = x2.add(z2);
+    const AA = A.mul(A).imod(p);
+    const B = x2.sub(z2);
+    const BB = B.mul(B).imod(p);
+    const E = AA.sub(BB);
+    const C = x3.add(z3);
+    const D = x3.sub(z3);
+    const DA = D.mul(A).imod(p);
+    const CB = C.mul(B).imod(p);
+    const sum = DA.add(CB);
+    const difference = DA.sub(CB);
+    x3 = sum.mul(sum).imod(p);
+    z3 = x1.mul(difference.mul(difference)).imod(p);
+    x2 = AA.mul(BB).imod(p);
+    z2 = E.mul(AA.add(a24.mul(E))).imod(p);
+  }
+  if (swap) {
+    [x2, z2] = [x3, z3];
+  }
+  return x2.mul(z2.modExp(inverseExponent, p)).imod(p).toUint8Array('le', 56);
+}
+
+/**
+ * Derive the X448 public key of the given secret scalar
+ * @param {Uint8Array} k - 56-byte secret scalar
+ * @returns {Promise<Uint8Array>} 56-byte public key.
+ * @async
+ */
+export async function x448PublicKey(k) {
+  const basePoint = new Uint8Array(56);
+  basePoint[0] = 5;
+  return x448(k, basePoint);
+}
+
+// Ed448 points are kept in projective coordinates (X : Y : Z), see RFC 8032, section 5.2.4
+
+function addPoints({ p, d }, P, Q) {
+  const A = P.Z.mul(Q.Z).imod(p);
+  const B = A.mul(A).imod(p);
+  const C = P.X.mul(Q.X).imod(p);
+  const D = P.Y.mul(Q.Y).imod(p);
+  const E = d.mul(C).imod(p).imul(D).imod(p);
+  const F = B.sub(E);
+  const G = B.add(E);
+  const H = P.X.add(P.Y).imul(Q.X.add(Q.Y)).imod(p);
+  return {
+    X: A.mul(F).imod(p).imul(H.sub(C).isub(D)).imod(p),
+    Y: A.mul(G).imod(p).imul(D.sub(C)).imod(p),
+    Z: F.mul(G).imod(p)
+  };
+}
+
+function doublePoint({ p }, P) {
+  const sum = P.X.add(P.Y);
+  const B = sum.mul(sum).imod(p);
+  const C = P.X.mul(P.X).imod(p);
+  const D = P.Y.mul(P.Y).imod(p);
+  const E = C.add(D);
+  const H = P.Z.mul(P.Z).imod(p);
+  const J = E.sub(H).isub(H);
+  return {
+    X: B.sub(E).imul(J).imod(p),
+    Y: E.mul(C.sub(D)).imod(p),
+    Z: E.mul(J).imod(p)
+  };
+}
+
+function multiplyPoint(c, scalar, P) {
+  let result = { X: c.zero, Y: c.one, Z: c.one };
+  for (let i = scalar.bitLength() - 1; i >= 0; i--) {
+    result = doublePoint(c, result);
+    if (scalar.getBit(i)) {
+      result = addPoints(c, result, P);
+    }
+  }
+  return result;
+}
+
+function equalPoints({ p }, P, Q) {
+  return P.X.mul(Q.Z).imod(p).equal(Q.X.mul(P.Z).imod(p)) &&
+    P.Y.mul(Q.Z).imod(p).equal(Q.Y.mul(P.Z).imod(p));
+}
+
+function encodePoint({ p, inverseExponent }, P) {
+  const inverseZ = P.Z.modExp(inverseExponent, p);
+  const x = P.X.mul(inverseZ).imod(p);
+  const encoded = P.Y.mul(inverseZ).imod(p).toUint8Array('le', 57);
+  if (!x.isEven()) {
+    encoded[56] |= 0x80;
+  }
+  return encoded;
+}
+
+/**
+ * Decode a point as specified in RFC 8032, section 5.2.3
+ * @returns {Object|null} The point, or null if the encoding is invalid.
+ */
+function decodePoint(c, bytes) {
+  const { BigInteger, one, p, d, sqrtExponent } = c;
+  if (bytes.length !== 57) {
+    return null;
+  }
+  const xIsOdd = bytes[56] >>> 7;
+  const yBytes = bytes.slice();
+  yBytes[56] &= 0x7F;
+  const y = decodeLittleEndian(BigInteger, yBytes);
+  if (y.gte(p)) {
+    return null;
+  }
+  // x^2 = (y^2 - 1) / (d y^2 - 1) = u / v
+  const y2 = y.mul(y).imod(p);
+  const u = y2.sub(one).imod(p);
+  const v = d.mul(y2).isub(one).imod(p);
+  const u3v = u.mul(u).imod(p).imul(u).imod(p).imul(v).imod(p);
+  const u5v3 = u3v.mul(u).imod(p).imul(u).imod(p).imul(v).imod(p).imul(v).imod(p);
+  let x = u3v.imul(u5v3.modExp(sqrtExponent, p)).imod(p);
+  if (!v.mul(x).imod(p).imul(x).imod(p).equal(u)) {
+    return null;
+  }
+  if (x.isZero() && xIsOdd) {
+    return null;
+  }
+  if (x.isEven() === !!xIsOdd) {
+    x = p.sub(x);
+  }
+  return { X: x, Y: y, Z: one };
+}
+
+function hashToScalar(c, ...inputs) {
+  const digest = shake256(util.concatUint8Array([ED448_DOM, ...inputs]), 114);
+  return decodeLittleEndian(c.BigInteger, digest).imod(c.L);
+}
+
+function expandSeed(c, seed) {
+  const digest = shake256(seed, 114);
+  const scalar = digest.slice(0, 57);
+  scalar[0] &= 0xFC;
+  scalar[55] |= 0x80;
+  scalar[56] = 0;
+  return { s: decodeLittleEndian(c.BigInteger, scalar), prefix: digest.subarray(57) };
+}
+
+/**
+ * Derive the Ed448 public key of the given seed
+ * @param {Uint8Array} seed - 57-byte secret seed
+ * @returns {Promise<Uint8Array>} 57-byte public key.
+ * @async
+ */
+export async function ed448PublicKey(seed) {
+  const c = await getCurve();
+  const { s } = expandSeed(c, seed);
+  return encodePoint(c, multiplyPoint(c, s, c.base));
+}
+
+/**
+ * Sign a message with Ed448
+ * @param {Uint8Array} message - Message to sign
+ * @param {Uint8Array} seed - 57-byte secret seed
+ * @param {Uint8Array} publicKey - 57-byte public key
+ * @returns {Promise<Uint8Array>} 114-byte signature.
+ * @async
+ */
+export async function ed448Sign(message, seed, publicKey) {
+  const c = await getCurve();
+  const { s, prefix } = expandSeed(c, seed);
+  const r = hashToScalar(c, prefix, message);
+  const R = encodePoint(c, multiplyPoint(c, r, c.base));
+  const k = hashToScalar(c, R, publicKey, message);
+  const S = r.iadd(k.imul(s)).imod(c.L);
+  return util.concatUint8Array([R, S.toUint8Array('le', 57)]);
+}
+
+/**
+ * Verify an Ed448 signature
+ * @param {Uint8Array} message - Signed message
+ * @param {Uint8Array} signature - 114-byte signature
+ * @param {Uint8Array} publicKey - 57-byte public key
+ * @returns {Promise<Boolean>} Whether the signature is valid.
+ * @async
+ */
+export async function ed448Verify(message, signature, publicKey) {
+  const c = await getCurve();
+  if (signature.length !== 114) {
+    return false;
+  }
+  const encodedR = signature.subarray(0, 57);
+  const A = decodePoint(c, publicKey);
+  const R = decodePoint(c, encodedR);
+  const S = decodeLittleEndian(c.BigInteger, signature.subarray(57));
+  if (!A || !R || S.gte(c.L)) {
+    return false;
+  }
+  const k = hashToScalar(c, encodedR, publicKey, message);
+  // check the cofactored equation [4][S]B = [4]R + [4][k]A
+  const four = new c.BigInteger(4);
+  const left = multiplyPoint(c, S.mul(four), c.base);
+  const right = multiplyPoint(c, four, addPoints(c, R, multiplyPoint(c, k, A)));
+  return equalPoints(c, left, right);
+}
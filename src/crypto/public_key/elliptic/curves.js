@@ -28,6 +28,7 @@ import util from '../../../util';
 import { uint8ArrayToB64, b64ToUint8Array } from '../../../encoding/base64';
 import OID from '../../../type/oid';
 import { keyFromPublic, keyFromPrivate, getIndutnyCurve } from './indutnyKey';
+import { x448PublicKey, ed448PublicKey } from './curve448';
 
 const webCrypto = util.getWebCrypto();
 const nodeCrypto = util.getNodeCrypto();
@@ -104,6 +105,21 @@ const curves = {
     node: false, // nodeCurves.curve25519 TODO
     payloadSize: 32
   },
+  ed448: {
+    oid: [0x06, 0x03, 0x2B, 0x65, 0x71],
+    keyType: enums.publicKey.eddsa,
+    hash: enums.hash.sha512,
+    node: false,
+    payloadSize: 57
+  },
+  curve448: {
+    oid: [0x06, 0x03, 0x2B, 0x65, 0x6F],
+    keyType: enums.publicKey.ecdh,
+    hash: enums.hash.sha512,
+    cipher: enums.symmetric.aes256,
+    node: false,
+    payloadSize: 56
+  },
   brainpoolP256r1: {
     oid: [0x06, 0x09, 0x2B, 0x24, 0x03, 0x03, 0x02, 0x08, 0x01, 0x01, 0x07],
     keyType: enums.publicKey.ecdsa,
@@ -165,6 +181,10 @@ class Curve {
       this.type = 'curve25519';
     } else if (this.name === 'ed25519') {
       this.type = 'ed25519';
+    } else if (this.name === 'curve448') {
+      this.type = 'curve448';
+    } else if (this.name === 'ed448') {
+      this.type = 'ed448';
     }
   }
 
@@ -195,6 +215,17 @@ class Curve {
         const publicKey = util.concatUint8Array([new Uint8Array([0x40]), keyPair.publicKey]);
         return { publicKey, privateKey };
       }
+      case 'curve448': {
+        // unlike Curve25519, the secret scalar is kept in its native little-endian encoding
+        const privateKey = await getRandomBytes(56);
+        const publicKey = util.concatUint8Array([new Uint8Array([0x40]), await x448PublicKey(privateKey)]);
+        return { publicKey, privateKey };
+      }
+      case 'ed448': {
+        const privateKey = await getRandomBytes(57);
+        const publicKey = util.concatUint8Array([new Uint8Array([0x40]), await ed448PublicKey(privateKey)]);
+        return { publicKey, privateKey };
+      }
     }
     const indutnyCurve = await getIndutnyCurve(this.name);
     keyPair = await indutnyCurve.genKeyPair({
@@ -241,6 +272,7 @@ async function validateStandardParams(algo, oid, Q, d) {
     p521: true,
     secp256k1: true,
     curve25519: algo === enums.publicKey.ecdh,
+    curve448: algo === enums.publicKey.ecdh,
     brainpoolP256r1: true,
     brainpoolP384r1: true,
     brainpoolP512r1: true
@@ -266,6 +298,12 @@ async function validateStandardParams(algo, oid, Q, d) {
     return true;
   }
 
+  if (curveName === 'curve448') {
+    // Re-derive public point Q'
+    const dG = new Uint8Array([0x40, ...await x448PublicKey(d)]); // Add public key prefix
+    return util.equalsUint8Array(dG, Q);
+  }
+
   const curve = await getIndutnyCurve(curveName);
   try {
     // Parse Q and check that it is on the curve but not at infinity
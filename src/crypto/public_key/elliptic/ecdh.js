@@ -32,6 +32,7 @@ import util from '../../../util';
 import { b64ToUint8Array } from '../../../encoding/base64';
 import * as pkcs5 from '../../pkcs5';
 import { keyFromPublic, keyFromPrivate, getIndutnyCurve } from './indutnyKey';
+import { x448, x448PublicKey } from './curve448';
 
 const webCrypto = util.getWebCrypto();
 const nodeCrypto = util.getNodeCrypto();
@@ -49,19 +50,20 @@ export async function validateParams(oid, Q, d) {
 }
 
 // Build Param for ECDH algorithm (RFC 6637)
+// The fingerprint is expected to be already truncated to 20 bytes, except for v6 keys
 function buildEcdhParam(public_algo, oid, kdfParams, fingerprint) {
   return util.concatUint8Array([
     oid.write(),
     new Uint8Array([public_algo]),
     kdfParams.write(),
     util.stringToUint8Array('Anonymous Sender    '),
-    fingerprint.subarray(0, 20)
+    fingerprint
   ]);
 }
 
 // Key Derivation Function (RFC 6637)
 async function kdf(hashAlgo, X, length, param, stripLeading = false, stripTrailing = false) {
-  // Note: X is little endian for Curve25519, big-endian for all others.
+  // Note: X is little endian for Curve25519 and Curve448, big-endian for all others.
   // This is not ideal, but the RFC's are unclear
   // https://tools.ietf.org/html/draft-ietf-openpgp-rfc4880bis-02#appendix-B
   let i;
@@ -100,6 +102,12 @@ async function genPublicEphemeralKey(curve, Q) {
       publicKey = util.concatUint8Array([new Uint8Array([0x40]), publicKey]);
       return { publicKey, sharedKey }; // Note: sharedKey is little-endian here, unlike below
     }
+    case 'curve448': {
+      const d = await getRandomBytes(56);
+      const { sharedKey } = await genPrivateEphemeralKey(curve, Q, null, d);
+      const publicKey = util.concatUint8Array([new Uint8Array([0x40]), await x448PublicKey(d)]);
+      return { publicKey, sharedKey };
+    }
     case 'web':
       if (curve.web && util.getWebCrypto()) {
         try {
@@ -160,6 +168,10 @@ async function genPrivateEphemeralKey(curve, V, Q, d) {
       const sharedKey = nacl.scalarMult(secretKey, V.subarray(1));
       return { secretKey, sharedKey }; // Note: sharedKey is little-endian here, unlike below
     }
+    case 'curve448': {
+      const sharedKey = await x448(d, V.subarray(1));
+      return { secretKey: d, sharedKey };
+    }
     case 'web':
       if (curve.web && util.getWebCrypto()) {
         try {
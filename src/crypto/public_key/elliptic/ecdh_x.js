@@ -0,0 +1,178 @@
+/**
+ * @fileoverview Key encryption and decryption for the X25519 and X448 algorithms of the crypto-refresh,
+ * which, unlike RFC 6637 ECDH, derive the key-wrapping key using HKDF.
+ * @module crypto/public_key/elliptic/ecdh_x
+ * @private
+ */
+
+import nacl from '@openpgp/tweetnacl/nacl-fast-light.js';
+import * as aesKW from '../../aes_kw';
+import { getRandomBytes } from '../../random';
+import computeHKDF from '../../hkdf';
+import enums from '../../../enums';
+import util from '../../../util';
+import { x448, x448PublicKey } from './curve448';
+
+const HKDF_INFO = {
+  x25519: util.encodeUTF8('OpenPGP X25519'),
+  x448: util.encodeUTF8('OpenPGP X448')
+};
+
+/**
+ * Generate ECDH key for Montgomery curves
+ * @param {module:enums.publicKey} algo - Algorithm identifier
+ * @returns {Promise<{ A: Uint8Array, k: Uint8Array }>}
+ * @async
+ */
+export async function generate(algo) {
+  switch (algo) {
+    case enums.publicKey.x25519: {
+      // k stays in little-endian, unlike legacy ECDH over curve25519
+      const k = await getRandomBytes(32);
+      const { publicKey: A } = nacl.box.keyPair.fromSecretKey(k);
+      return { A, k };
+    }
+    case enums.publicKey.x448: {
+      const k = await getRandomBytes(56);
+      const A = await x448PublicKey(k);
+      return { A, k };
+    }
+    default:
+      throw new Error('Unsupported ECDH algorithm');
+  }
+}
+
+/**
+ * Validate ECDH parameters
+ * @param {module:enums.publicKey} algo - Algorithm identifier
+ * @param {Uint8Array} A - ECDH public point
+ * @param {Uint8Array} k - ECDH secret scalar
+ * @returns {Promise<Boolean>} Whether params are valid.
+ * @async
+ */
+export async function validateParams(algo, A, k) {
+  switch (algo) {
+    case enums.publicKey.x25519: {
+      /**
+       * Derive public point A' from private key
+       * and expect A == A'
+       */
+      const { publicKey } = nacl.box.keyPair.fromSecretKey(k);
+      return util.equalsUint8Array(A, publicKey);
+    }
+    case enums.publicKey.x448: {
+      const publicKey = await x448PublicKey(k);
+      return util.equalsUint8Array(A, publicKey);
+    }
+    default:
+      return false;
+  }
+}
+
+/**
+ * Wrap and encrypt a session key
+ *
+ * @param {module:enums.publicKey} algo - Algorithm identifier
+ * @param {Uint8Array} data - Session key data to be encrypted
+ * @param {Uint8Array} recipientA - Recipient public key (K_B)
+ * @returns {Promise<{
+ *  ephemeralPublicKey: Uint8Array,
+ *  wrappedKey: Uint8Array
+ * }>} ephemeral public key (K_A) and encrypted key
+ * @async
+ */
+export async function encrypt(algo, data, recipientA) {
+  switch (algo) {
+    case enums.publicKey.x25519: {
+      const ephemeralSecretKey = await getRandomBytes(32);
+      const sharedSecret = await computeSharedSecret(algo, ephemeralSecretKey, recipientA);
+      const { publicKey: ephemeralPublicKey } = nacl.box.keyPair.fromSecretKey(ephemeralSecretKey);
+      const encryptionKey = await deriveEncryptionKey(algo, ephemeralPublicKey, recipientA, sharedSecret);
+      const wrappedKey = aesKW.wrap(encryptionKey, data);
+      return { ephemeralPublicKey, wrappedKey };
+    }
+    case enums.publicKey.x448: {
+      const ephemeralSecretKey = await getRandomBytes(56);
+      const sharedSecret = await computeSharedSecret(algo, ephemeralSecretKey, recipientA);
+      const ephemeralPublicKey = await x448PublicKey(ephemeralSecretKey);
+      const encryptionKey = await deriveEncryptionKey(algo, ephemeralPublicKey, recipientA, sharedSecret);
+      const wrappedKey = aesKW.wrap(encryptionKey, data);
+      return { ephemeralPublicKey, wrappedKey };
+    }
+    default:
+      throw new Error('Unsupported ECDH algorithm');
+  }
+}
+
+/**
+ * Decrypt and unwrap the session key
+ *
+ * @param {module:enums.publicKey} algo - Algorithm identifier
+ * @param {Uint8Array} ephemeralPublicKey - (K_A)
+ * @param {Uint8Array} wrappedKey
+ * @param {Uint8Array} A - Recipient public key (K_b), needed for KDF
+ * @param {Uint8Array} k - Recipient secret key (b)
+ * @returns {Promise<Uint8Array>} decrypted session key data
+ * @async
+ */
+export async function decrypt(algo, ephemeralPublicKey, wrappedKey, A, k) {
+  switch (algo) {
+    case enums.publicKey.x25519:
+    case enums.publicKey.x448: {
+      const sharedSecret = await computeSharedSecret(algo, k, ephemeralPublicKey);
+      const encryptionKey = await deriveEncryptionKey(algo, ephemeralPublicKey, A, sharedSecret);
+      return aesKW.unwrap(encryptionKey, wrappedKey);
+    }
+    default:
+      throw new Error('Unsupported ECDH algorithm');
+  }
+}
+
+/**
+ * Get the size in bytes of the public key and secret key of the given algorithm
+ * @param {module:enums.publicKey} algo - Algorithm identifier
+ * @returns {Integer} Size in bytes
+ */
+export function getPayloadSize(algo) {
+  switch (algo) {
+    case enums.publicKey.x25519:
+      return 32;
+    case enums.publicKey.x448:
+      return 56;
+    default:
+      throw new Error('Unsupported ECDH algorithm');
+  }
+}
+
+async function computeSharedSecret(algo, secretKey, publicKey) {
+  let sharedSecret;
+  switch (algo) {
+    case enums.publicKey.x25519:
+      sharedSecret = nacl.scalarMult(secretKey, publicKey);
+      break;
+    case enums.publicKey.x448:
+      sharedSecret = await x448(secretKey, publicKey);
+      break;
+    default:
+      throw new Error('Unsupported ECDH algorithm');
+  }
+  // a low-order public point results in an all-zero shared secret, see RFC 7748, section 6
+  if (sharedSecret.every(byte => byte === 0)) {
+    throw new Error('Unexpected low order point');
+  }
+  return sharedSecret;
+}
+
+async function deriveEncryptionKey(algo, ephemeralPublicKey, recipientA, sharedSecret) {
+  const hkdfInput = util.concatUint8Array([ephemeralPublicKey, recipientA, sharedSecret]);
+  switch (algo) {
+    case enums.publicKey.x25519:
+      // AES-128 key wrap
+      return computeHKDF(enums.hash.sha256, hkdfInput, new Uint8Array(), HKDF_INFO.x25519, 16);
+    case enums.publicKey.x448:
+      // AES-256 key wrap
+      return computeHKDF(enums.hash.sha512, hkdfInput, new Uint8Array(), HKDF_INFO.x448, 32);
+    default:
+      throw new Error('Unsupported ECDH algorithm');
+  }
+}
@@ -1,22 +1,6 @@
-// OpenPGP.js - An OpenPGP implementation in javascript
-// Copyright (C) 2018 Proton Technologies AG
-//
-// This library is free software; you can redistribute it and/or
-// modify it under the terms of the GNU Lesser General Public
-// License as published by the Free Software Foundation; either
-// version 3.0 of the License, or (at your option) any later version.
-//
-// This library is distributed in the hope that it will be useful,
-// but WITHOUT ANY WARRANTY; without even the implied warranty of
-// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the GNU
-// Lesser General Public License for more details.
-//
-// You should have received a copy of the GNU Lesser General Public
-// License along with this library; if not, write to the Free Software
-// Foundation, Inc., 51 Franklin Street, Fifth Floor, Boston, MA  02110-1301  USA
-
 /**
- * @fileoverview Implementation of EdDSA following RFC4880bis-03 for OpenPGP
+ * @fileoverview Implementation of the Ed25519 and Ed448 signature algorithms of the crypto-refresh,
+ * which, unlike legacy EdDSA, do not rely on curve OIDs nor on MPI encoding.
  * @module crypto/public_key/elliptic/eddsa
  * @private
  */
@@ -26,72 +10,147 @@ import nacl from '@openpgp/tweetnacl/nacl-fast-light.js';
 import util from '../../../util';
 import enums from '../../../enums';
 import hash from '../../hash';
+import { getRandomBytes } from '../../random';
+import { ed448PublicKey, ed448Sign, ed448Verify } from './curve448';
 
 nacl.hash = bytes => new Uint8Array(sha512().update(bytes).digest());
 
+/**
+ * Generate (non-legacy) EdDSA key
+ * @param {module:enums.publicKey} algo - Algorithm identifier
+ * @returns {Promise<{ A: Uint8Array, seed: Uint8Array }>}
+ * @async
+ */
+export async function generate(algo) {
+  switch (algo) {
+    case enums.publicKey.ed25519: {
+      const seed = await getRandomBytes(32);
+      const { publicKey: A } = nacl.sign.keyPair.fromSeed(seed);
+      return { A, seed };
+    }
+    case enums.publicKey.ed448: {
+      const seed = await getRandomBytes(57);
+      const A = await ed448PublicKey(seed);
+      return { A, seed };
+    }
+    default:
+      throw new Error('Unsupported EdDSA algorithm');
+  }
+}
+
 /**
  * Sign a message using the provided key
- * @param {module:type/oid} oid - Elliptic curve object identifier
- * @param {module:enums.hash} hashAlgo - Hash algorithm used to sign (must be sha256 or stronger)
+ * @param {module:enums.publicKey} algo - Algorithm identifier
+ * @param {module:enums.hash} hashAlgo - Hash algorithm used to sign (must be sha256 or stronger for Ed25519)
  * @param {Uint8Array} message - Message to sign
  * @param {Uint8Array} publicKey - Public key
  * @param {Uint8Array} privateKey - Private key used to sign the message
  * @param {Uint8Array} hashed - The hashed message
- * @returns {Promise<{
- *   r: Uint8Array,
- *   s: Uint8Array
- * }>} Signature of the message
+ * @returns {Promise<{ RS: Uint8Array }>} Signature of the message
  * @async
  */
-export async function sign(oid, hashAlgo, message, publicKey, privateKey, hashed) {
-  if (hash.getHashByteLength(hashAlgo) < hash.getHashByteLength(enums.hash.sha256)) {
-    // see https://tools.ietf.org/id/draft-ietf-openpgp-rfc4880bis-10.html#section-15-7.2
-    throw new Error('Hash algorithm too weak: sha256 or stronger is required for EdDSA.');
+export async function sign(algo, hashAlgo, message, publicKey, privateKey, hashed) {
+  checkHashAlgo(algo, hashAlgo);
+  switch (algo) {
+    case enums.publicKey.ed25519: {
+      const secretKey = util.concatUint8Array([privateKey, publicKey]);
+      const RS = nacl.sign.detached(hashed, secretKey);
+      return { RS };
+    }
+    case enums.publicKey.ed448: {
+      const RS = await ed448Sign(hashed, privateKey, publicKey);
+      return { RS };
+    }
+    default:
+      throw new Error('Unsupported EdDSA algorithm');
   }
-  const secretKey = util.concatUint8Array([privateKey, publicKey.subarray(1)]);
-  const signature = nacl.sign.detached(hashed, secretKey);
-  // EdDSA signature params are returned in little-endian format
-  return {
-    r: signature.subarray(0, 32),
-    s: signature.subarray(32)
-  };
 }
 
 /**
  * Verifies if a signature is valid for a message
- * @param {module:type/oid} oid - Elliptic curve object identifier
+ * @param {module:enums.publicKey} algo - Algorithm identifier
  * @param {module:enums.hash} hashAlgo - Hash algorithm used in the signature
- * @param  {{r: Uint8Array,
-             s: Uint8Array}}   signature Signature to verify the message
+ * @param {{ RS: Uint8Array }} signature - Signature to verify the message
  * @param {Uint8Array} m - Message to verify
  * @param {Uint8Array} publicKey - Public key used to verify the message
  * @param {Uint8Array} hashed - The hashed message
  * @returns {Boolean}
  * @async
  */
-export async function verify(oid, hashAlgo, { r, s }, m, publicKey, hashed) {
-  const signature = util.concatUint8Array([r, s]);
-  return nacl.sign.detached.verify(hashed, signature, publicKey.subarray(1));
+export async function verify(algo, hashAlgo, { RS }, m, publicKey, hashed) {
+  checkHashAlgo(algo, hashAlgo);
+  switch (algo) {
+    case enums.publicKey.ed25519:
+      return nacl.sign.detached.verify(hashed, RS, publicKey);
+    case enums.publicKey.ed448:
+      return ed448Verify(hashed, RS, publicKey);
+    default:
+      throw new Error('Unsupported EdDSA algorithm');
+  }
 }
+
 /**
- * Validate EdDSA parameters
- * @param {module:type/oid} oid - Elliptic curve object identifier
- * @param {Uint8Array} Q - EdDSA public point
- * @param {Uint8Array} k - EdDSA secret seed
+ * Validate (non-legacy) EdDSA parameters
+ * @param {module:enums.publicKey} algo - Algorithm identifier
+ * @param {Uint8Array} A - EdDSA public point
+ * @param {Uint8Array} seed - EdDSA secret seed
  * @returns {Promise<Boolean>} Whether params are valid.
  * @async
  */
-export async function validateParams(oid, Q, k) {
-  // Check whether the given curve is supported
-  if (oid.getName() !== 'ed25519') {
-    return false;
+export async function validateParams(algo, A, seed) {
+  switch (algo) {
+    case enums.publicKey.ed25519: {
+      /**
+       * Derive public point A' from private key
+       * and expect A == A'
+       */
+      const { publicKey } = nacl.sign.keyPair.fromSeed(seed);
+      return util.equalsUint8Array(A, publicKey);
+    }
+    case enums.publicKey.ed448: {
+      const publicKey = await ed448PublicKey(seed);
+      return util.equalsUint8Array(A, publicKey);
+    }
+    default:
+      return false;
   }
+}
 
-  /**
-   * Derive public point Q' = dG from private key
-   * and expect Q == Q'
-   */
-  const { publicKey } = nacl.sign.keyPair.fromSeed(k);
-  const dG = new Uint8Array([0x40, ...publicKey]); // Add public key prefix
-  return util.equalsUint8Array(Q, dG);
+/**
+ * Get the size in bytes of the public key and secret key of the given algorithm
+ * @param {module:enums.publicKey} algo - Algorithm identifier
+ * @returns {Integer} Size in bytes
+ */
+export function getPayloadSize(algo) {
+  switch (algo) {
+    case enums.publicKey.ed25519:
+      return 32;
+    case enums.publicKey.ed448:
+      return 57;
+    default:
+      throw new Error('Unsupported EdDSA algorithm');
+  }
+}
+
+/**
+ * Get the weakest hash algorithm allowed for signing with the given algorithm
+ * @param {module:enums.publicKey} algo - Algorithm identifier
+ * @returns {module:enums.hash} Hash algorithm
+ */
+export function getPreferredHashAlgo(algo) {
+  switch (algo) {
+    case enums.publicKey.ed25519:
+      return enums.hash.sha256;
+    case enums.publicKey.ed448:
+      return enums.hash.sha512;
+    default:
+      throw new Error('Unknown EdDSA algorithm');
+  }
+}
+
+function checkHashAlgo(algo, hashAlgo) {
+  // see https://datatracker.ietf.org/doc/html/draft-ietf-openpgp-crypto-refresh#section-5.2.3.4
+  if (hash.getHashByteLength(hashAlgo) < hash.getHashByteLength(getPreferredHashAlgo(algo))) {
+    throw new Error(`Hash algorithm too weak for ${enums.read(enums.publicKey, algo)}.`);
+  }
 }
@@ -21,15 +21,19 @@
  * @see module:crypto/public_key/elliptic/ecdh
  * @see module:crypto/public_key/elliptic/ecdsa
  * @see module:crypto/public_key/elliptic/eddsa
+ * @see module:crypto/public_key/elliptic/eddsa_legacy
+ * @see module:crypto/public_key/elliptic/ecdh_x
  * @module crypto/public_key/elliptic
  * @private
  */
 
 import { Curve, generate, getPreferredHashAlgo } from './curves';
 import * as ecdsa from './ecdsa';
+import * as eddsaLegacy from './eddsa_legacy';
 import * as eddsa from './eddsa';
 import * as ecdh from './ecdh';
+import * as ecdhX from './ecdh_x';
 
 export {
-  Curve, ecdh, ecdsa, eddsa, generate, getPreferredHashAlgo
+  Curve, ecdh, ecdhX, ecdsa, eddsaLegacy, eddsa, generate, getPreferredHashAlgo
 };
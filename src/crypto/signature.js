@@ -48,12 +48,20 @@ export function parseSignatureParams(algo, signature) {
     case enums.publicKey.eddsa: {
       // When parsing little-endian MPI data, we always need to left-pad it, as done with big-endian values:
       // https://www.ietf.org/archive/id/draft-ietf-openpgp-rfc4880bis-10.html#section-3.2-9
+      // Ed448 values are longer, and are padded on verification instead, where the curve is known.
       let r = util.readMPI(signature.subarray(read)); read += r.length + 2;
-      r = util.leftPad(r, 32);
+      r = r.length < 32 ? util.leftPad(r, 32) : r;
       let s = util.readMPI(signature.subarray(read));
-      s = util.leftPad(s, 32);
+      s = s.length < 32 ? util.leftPad(s, 32) : s;
       return { r, s };
     }
+    // Algorithm-Specific Fields for Ed25519 and Ed448 signatures:
+    // -  64 octets (Ed25519) or 114 octets (Ed448) of the native signature
+    case enums.publicKey.ed25519:
+    case enums.publicKey.ed448: {
+      const RS = util.readExactSubarray(signature, read, read + 2 * publicKey.elliptic.eddsa.getPayloadSize(algo));
+      return { RS };
+    }
     default:
       throw new Error('Invalid signature algorithm.');
   }
@@ -97,8 +105,13 @@ export async function verify(algo, hashAlgo, signature, publicParams, data, hash
     }
     case enums.publicKey.eddsa: {
       const { oid, Q } = publicParams;
-      // signature already padded on parsing
-      return publicKey.elliptic.eddsa.verify(oid, hashAlgo, signature, data, Q, hashed);
+      // Ed25519 signature already padded on parsing
+      return publicKey.elliptic.eddsaLegacy.verify(oid, hashAlgo, signature, data, Q, hashed);
+    }
+    case enums.publicKey.ed25519:
+    case enums.publicKey.ed448: {
+      const { A } = publicParams;
+      return publicKey.elliptic.eddsa.verify(algo, hashAlgo, signature, data, A, hashed);
     }
     default:
       throw new Error('Invalid signature algorithm.');
@@ -148,7 +161,13 @@ export async function sign(algo, hashAlgo, publicKeyParams, privateKeyParams, da
     case enums.publicKey.eddsa: {
       const { oid, Q } = publicKeyParams;
       const { seed } = privateKeyParams;
-      return publicKey.elliptic.eddsa.sign(oid, hashAlgo, data, Q, seed, hashed);
+      return publicKey.elliptic.eddsaLegacy.sign(oid, hashAlgo, data, Q, seed, hashed);
+    }
+    case enums.publicKey.ed25519:
+    case enums.publicKey.ed448: {
+      const { A } = publicKeyParams;
+      const { seed } = privateKeyParams;
+      return publicKey.elliptic.eddsa.sign(algo, hashAlgo, data, A, seed, hashed);
     }
     default:
       throw new Error('Invalid signature algorithm.');
@@ -88,7 +88,7 @@ function getType(text) {
  * packet block.
  * @author  Alex
  * @version 2011-12-16
- * @param {String} [customComment] - Additional comment to add to the armored string
+ * @param {String|Array<String>} [customComment] - Additional comment(s) to add to the armored string
  * @returns {String} The header information.
  * @private
  */
@@ -101,7 +101,10 @@ function addheader(customComment, config) {
     result += 'Comment: ' + config.commentString + '\n';
   }
   if (customComment) {
-    result += 'Comment: ' + customComment + '\n';
+    [].concat(customComment).forEach(comment => {
+      // header values cannot span multiple lines
+      result += 'Comment: ' + comment.replace(/[\r\n]+/g, ' ') + '\n';
+    });
   }
   result += '\n';
   return result;
@@ -251,7 +254,7 @@ export function unarmor(input, config = defaultConfig) {
             }
             // remove trailing whitespace at end of lines
             line = util.removeTrailingSpaces(line.replace(/[\r\n]/g, ''));
-            if (!type) {
+            if (type === undefined) {
               if (reSplit.test(line)) {
                 type = getType(line);
               }
@@ -354,7 +357,7 @@ export function unarmor(input, config = defaultConfig) {
  * @param {Uint8Array | ReadableStream<Uint8Array>} body - The message body to armor
  * @param {Integer} [partIndex]
  * @param {Integer} [partTotal]
- * @param {String} [customComment] - Additional comment to add to the armored string
+ * @param {String|Array<String>} [customComment] - Additional comment(s) to add to the armored string
  * @returns {String | ReadableStream<String>} Armored text.
  * @static
  */
@@ -425,3 +428,109 @@ export function armor(messageType, body, partIndex, partTotal, customComment, co
 
   return util.concat(result);
 }
+
+/**
+ * Returns the maximum number of bytes that `armor` outputs in at most the given number of base64 characters,
+ * including line breaks
+ * @param {Integer} maxLength - Number of characters
+ * @returns {Integer}
+ * @private
+ */
+function getMaxBase64Bytes(maxLength) {
+  const remainder = maxLength % 61;
+  return Math.floor(maxLength / 61) * 45 + (remainder > 4 ? Math.floor((remainder - 1) / 4) * 3 : 0);
+}
+
+/**
+ * Armor an OpenPGP binary message as multiple parts ("BEGIN PGP MESSAGE, PART X/Y"), e.g. to send it
+ * through a mail gateway that limits the size of each message. Each part carries the checksum of its own data.
+ * @param {Uint8Array} body - The binary message to armor
+ * @param {Integer} maxPartSize - Maximum size of each armored part, in characters
+ * @param {String|Array<String>} [customComment] - Additional comment(s) to add to each armored part
+ * @param {Object} [config] - Full configuration, defaults to openpgp.config
+ * @returns {Array<String>} Armored parts, in order.
+ * @static
+ */
+export function armorMultipart(body, maxPartSize, customComment, config = defaultConfig) {
+  if (!util.isUint8Array(body)) {
+    throw new Error('Multipart armor requires the data to be a Uint8Array, streamed data is not supported');
+  }
+  if (!Number.isInteger(maxPartSize) || maxPartSize <= 0) {
+    throw new Error('maxPartSize must be a positive integer');
+  }
+  const headerLength = addheader(customComment, config).length;
+  // the part numbers are padded to the number of digits of the total for the size computation,
+  // which may in turn increase the total, so repeat until it stays the same
+  let partTotal = 1;
+  let bytesPerPart;
+  for (;;) {
+    const digits = 2 * String(partTotal).length;
+    const overhead = '-----BEGIN PGP MESSAGE, PART /-----\n'.length + '-----END PGP MESSAGE, PART /-----\n'.length +
+      2 * digits + headerLength + '=XXXX\n'.length;
+    bytesPerPart = getMaxBase64Bytes(maxPartSize - overhead);
+    if (bytesPerPart <= 0) {
+      throw new Error('maxPartSize is too small to fit the armor headers');
+    }
+    const total = Math.max(Math.ceil(body.length / bytesPerPart), 1);
+    if (String(total).length <= String(partTotal).length) {
+      partTotal = total;
+      break;
+    }
+    partTotal = total;
+  }
+  const parts = [];
+  for (let i = 0; i < partTotal; i++) {
+    const chunk = body.slice(i * bytesPerPart, (i + 1) * bytesPerPart);
+    parts.push(armor(enums.armor.multipartSection, chunk, i + 1, partTotal, customComment, config));
+  }
+  return parts;
+}
+
+/**
+ * Dearmor a multipart OpenPGP armored message, verify the checksum of each part and return the
+ * reassembled bytes. The parts may be given in any order, and may be surrounded by other text.
+ * @param {String|Array<String>} input - Armored parts, concatenated or as an array
+ * @param {Object} [config] - Full configuration, defaults to openpgp.config
+ * @returns {Promise<Object>} An object with attribute "data" containing the bytes of the message,
+ * "headers" containing the armor headers of the first part and "type" for the ASCII armor type
+ * @async
+ * @static
+ */
+export async function unarmorMultipart(input, config = defaultConfig) {
+  const text = [].concat(input).join('\n');
+  const reBegin = /^-----BEGIN PGP MESSAGE, PART (\d+)(?:\/(\d+))?-----[ \t\r]*$/mg;
+  const parts = [];
+  for (const match of text.matchAll(reBegin)) {
+    const [beginLine, index, total] = match;
+    const endLine = '-----END PGP MESSAGE, PART ' + index + (total ? '/' + total : '') + '-----';
+    const end = text.indexOf(endLine, match.index + beginLine.length);
+    if (end === -1) {
+      throw new Error('Misformed armored text');
+    }
+    const { data, headers } = await unarmor(text.slice(match.index, end + endLine.length), config);
+    parts.push({ index: parseInt(index, 10), total: total && parseInt(total, 10), data, headers });
+  }
+  if (!parts.length) {
+    throw new Error('No multipart armored message found');
+  }
+  parts.sort((a, b) => a.index - b.index);
+  const getMessageID = ({ headers }) => headers.find(header => /^MessageID: /.test(header));
+  parts.forEach(({ index }, i) => {
+    if (index !== i + 1) {
+      throw new Error(index === i ? 'Duplicate multipart armor part: ' + index : 'Missing multipart armor part: ' + (i + 1));
+    }
+  });
+  parts.forEach(part => {
+    if (part.total && part.total !== parts.length) {
+      throw new Error(part.total > parts.length ? 'Missing multipart armor part: ' + (parts.length + 1) : 'Inconsistent number of multipart armor parts');
+    }
+    if (getMessageID(part) !== getMessageID(parts[0])) {
+      throw new Error('Multipart armor parts belong to different messages');
+    }
+  });
+  return {
+    data: util.concatUint8Array(parts.map(({ data }) => data)),
+    headers: parts[0].headers,
+    type: enums.armor.message
+  };
+}
@@ -0,0 +1,383 @@
+/**
+ * @fileoverview Streaming bzip2 compression.
+ * The input is run-length encoded and split into blocks as it comes in; each full block is
+ * compressed using the Burrows-Wheeler transform, move-to-front coding and Huffman coding,
+ * and written out as soon as it is complete.
+ * @see {@link https://sourceware.org/bzip2/|bzip2}
+ * @module encoding/bzip2
+ * @private
+ */
+
+import * as stream from '@openpgp/web-stream-tools';
+
+const STREAM_MAGIC = [0x42, 0x5A, 0x68]; // "BZh"
+const BLOCK_MAGIC = [0x31, 0x41, 0x59, 0x26, 0x53, 0x59];
+const END_OF_STREAM_MAGIC = [0x17, 0x72, 0x45, 0x38, 0x50, 0x90];
+// Number of symbols coded with the same Huffman table
+const GROUP_SIZE = 50;
+const MAX_CODE_LENGTH = 17;
+// Number of passes refining the Huffman tables
+const TABLE_ITERATIONS = 4;
+const RUNA = 0;
+const RUNB = 1;
+
+// CRC-32 as used by bzip2 (most significant bit first)
+const crcTable = new Uint32Array(256);
+for (let i = 0; i < 256; i++) {
+  let c = i << 24;
+  for (let j = 0; j < 8; j++) {
+    c = c & 0x80000000 ? (c << 1) ^ 0x04C11DB7 : c << 1;
+  }
+  crcTable[i] = c;
+}
+
+/**
+ * Writes values to a bit stream, most significant bit first
+ * @private
+ */
+class BitWriter {
+  constructor() {
+    this.bytes = [];
+    this.buffer = 0;
+    this.bitCount = 0;
+  }
+
+  /**
+   * @param {Integer} bits - Number of bits to write, at most 24
+   * @param {Integer} value
+   */
+  write(bits, value) {
+    this.buffer = (this.buffer << bits) | value;
+    this.bitCount += bits;
+    while (this.bitCount >= 8) {
+      this.bitCount -= 8;
+      this.bytes.push((this.buffer >>> this.bitCount) & 0xFF);
+    }
+    this.buffer &= (1 << this.bitCount) - 1;
+  }
+
+  writeBytes(bytes) {
+    bytes.forEach(byte => this.write(8, byte));
+  }
+
+  write32(value) {
+    this.write(16, value >>> 16);
+    this.write(16, value & 0xFFFF);
+  }
+
+  /**
+   * Pads the last byte with zero bits
+   */
+  pad() {
+    if (this.bitCount > 0) {
+      this.write(8 - this.bitCount, 0);
+    }
+  }
+
+  /**
+   * Returns and removes the complete bytes written so far
+   * @returns {Uint8Array}
+   */
+  take() {
+    const bytes = new Uint8Array(this.bytes);
+    this.bytes = [];
+    return bytes;
+  }
+}
+
+/**
+ * Sorts the rotations of the block, by prefix doubling
+ * @param {Uint8Array} block
+ * @param {Integer} length - Block length
+ * @returns {Int32Array} Start indices of the rotations, in sorted order.
+ */
+function sortRotations(block, length) {
+  const sorted = new Int32Array(length);
+  let rank = new Int32Array(length);
+  let newRank = new Int32Array(length);
+  const bySecondKey = new Int32Array(length);
+  const buckets = new Int32Array(Math.max(256, length));
+
+  for (let i = 0; i < length; i++) buckets[block[i]]++;
+  for (let i = 1; i < 256; i++) buckets[i] += buckets[i - 1];
+  for (let i = length - 1; i >= 0; i--) sorted[--buckets[block[i]]] = i;
+  let classCount = 1;
+  rank[sorted[0]] = 0;
+  for (let i = 1; i < length; i++) {
+    if (block[sorted[i]] !== block[sorted[i - 1]]) classCount++;
+    rank[sorted[i]] = classCount - 1;
+  }
+
+  // After each pass, rotations are sorted by their first 2 * k bytes
+  for (let k = 1; classCount < length && k < length; k *= 2) {
+    for (let i = 0; i < length; i++) {
+      const index = sorted[i] - k;
+      bySecondKey[i] = index < 0 ? index + length : index;
+    }
+    buckets.fill(0, 0, classCount);
+    for (let i = 0; i < length; i++) buckets[rank[i]]++;
+    for (let i = 1; i < classCount; i++) buckets[i] += buckets[i - 1];
+    for (let i = length - 1; i >= 0; i--) sorted[--buckets[rank[bySecondKey[i]]]] = bySecondKey[i];
+
+    classCount = 1;
+    newRank[sorted[0]] = 0;
+    for (let i = 1; i < length; i++) {
+      const current = sorted[i];
+      const previous = sorted[i - 1];
+      const currentNext = current + k < length ? current + k : current + k - length;
+      const previousNext = previous + k < length ? previous + k : previous + k - length;
+      if (rank[current] !== rank[previous] || rank[currentNext] !== rank[previousNext]) classCount++;
+      newRank[current] = classCount - 1;
+    }
+    [rank, newRank] = [newRank, rank];
+  }
+  return sorted;
+}
+
+/**
+ * Computes Huffman code lengths for the given symbol frequencies
+ * @param {Int32Array} frequencies
+ * @returns {Uint8Array} Code lengths, at most MAX_CODE_LENGTH bits.
+ */
+function getCodeLengths(frequencies) {
+  // every symbol needs a code, so all weights are at least 1
+  let weights = Array.from(frequencies, frequency => Math.max(frequency, 1));
+  for (;;) {
+    const nodeWeights = weights.slice();
+    const parents = [];
+    let nodes = weights.map((_, i) => i);
+    while (nodes.length > 1) {
+      nodes.sort((a, b) => nodeWeights[a] - nodeWeights[b]);
+      const [a, b] = nodes;
+      parents[a] = parents[b] = nodeWeights.length;
+      nodes = [nodeWeights.length, ...nodes.slice(2)];
+      nodeWeights.push(nodeWeights[a] + nodeWeights[b]);
+    }
+    const lengths = new Uint8Array(weights.length);
+    let tooLong = false;
+    for (let i = 0; i < weights.length; i++) {
+      for (let node = i; parents[node] !== undefined; node = parents[node]) lengths[i]++;
+      tooLong = tooLong || lengths[i] > MAX_CODE_LENGTH;
+    }
+    if (!tooLong) {
+      return lengths;
+    }
+    // flatten the distribution and try again
+    weights = weights.map(weight => 1 + (weight >> 1));
+  }
+}
+
+/**
+ * Assigns canonical Huffman codes
+ * @param {Uint8Array} lengths - Code lengths
+ * @returns {Int32Array} Codes.
+ */
+function getCodes(lengths) {
+  const codes = new Int32Array(lengths.length);
+  let code = 0;
+  for (let length = 1; length <= MAX_CODE_LENGTH; length++) {
+    for (let i = 0; i < lengths.length; i++) {
+      if (lengths[i] === length) codes[i] = code++;
+    }
+    code <<= 1;
+  }
+  return codes;
+}
+
+/**
+ * Compresses a run-length encoded block and writes it to the bit stream
+ * @param {BitWriter} writer
+ * @param {Uint8Array} block
+ * @param {Integer} length - Block length
+ * @param {Integer} blockCRC - CRC of the block data before run-length encoding
+ */
+function writeBlock(writer, block, length, blockCRC) {
+  // Burrows-Wheeler transform
+  const sorted = sortRotations(block, length);
+  const transformed = new Uint8Array(length);
+  let originPointer = 0;
+  for (let i = 0; i < length; i++) {
+    if (sorted[i] === 0) {
+      originPointer = i;
+      transformed[i] = block[length - 1];
+    } else {
+      transformed[i] = block[sorted[i] - 1];
+    }
+  }
+
+  // Move-to-front coding of the used byte values, with runs of zeroes written in bijective base 2
+  const inUse = new Uint8Array(256);
+  for (let i = 0; i < length; i++) inUse[block[i]] = 1;
+  const symbolIndices = new Uint8Array(256);
+  let usedCount = 0;
+  for (let i = 0; i < 256; i++) {
+    if (inUse[i]) symbolIndices[i] = usedCount++;
+  }
+  const alphabetSize = usedCount + 2;
+  const endOfBlock = usedCount + 1;
+  const values = new Uint16Array(length + 1);
+  const frequencies = new Int32Array(alphabetSize);
+  let valueCount = 0;
+  const pushValue = value => {
+    values[valueCount++] = value;
+    frequencies[value]++;
+  };
+  let zeroRun = 0;
+  const pushZeroRun = () => {
+    for (zeroRun--; zeroRun >= 0; zeroRun = (zeroRun - 2) >> 1) {
+      pushValue(zeroRun & 1 ? RUNB : RUNA);
+    }
+    zeroRun = 0;
+  };
+  const order = new Uint8Array(usedCount).map((_, i) => i);
+  for (let i = 0; i < length; i++) {
+    const symbol = symbolIndices[transformed[i]];
+    if (order[0] === symbol) {
+      zeroRun++;
+      continue;
+    }
+    pushZeroRun();
+    let position = 1;
+    while (order[position] !== symbol) position++;
+    order.copyWithin(1, 0, position);
+    order[0] = symbol;
+    pushValue(position + 1);
+  }
+  pushZeroRun();
+  pushValue(endOfBlock);
+
+  // Huffman tables: start from tables covering consecutive ranges of symbols,
+  // then refine them using the symbols of the groups they are selected for
+  let tableCount = 6;
+  if (valueCount < 200) tableCount = 2;
+  else if (valueCount < 600) tableCount = 3;
+  else if (valueCount < 1200) tableCount = 4;
+  else if (valueCount < 2400) tableCount = 5;
+  let tables = [];
+  let remaining = valueCount;
+  for (let start = 0, table = 0; table < tableCount; table++) {
+    const target = remaining / (tableCount - table);
+    let end = start;
+    let sum = frequencies[start];
+    while (sum < target && end < alphabetSize - 1) sum += frequencies[++end];
+    tables.push(new Uint8Array(alphabetSize).map((_, symbol) => (symbol >= start && symbol <= end ? 0 : 15)));
+    remaining -= sum;
+    start = Math.min(end + 1, alphabetSize - 1);
+  }
+  const selectorCount = Math.ceil(valueCount / GROUP_SIZE);
+  const selectors = new Uint8Array(selectorCount);
+  for (let iteration = 0; iteration < TABLE_ITERATIONS; iteration++) {
+    const tableFrequencies = tables.map(() => new Int32Array(alphabetSize));
+    for (let group = 0; group < selectorCount; group++) {
+      const end = Math.min((group + 1) * GROUP_SIZE, valueCount);
+      let bestCost = Infinity;
+      tables.forEach((lengths, table) => {
+        let cost = 0;
+        for (let i = group * GROUP_SIZE; i < end; i++) cost += lengths[values[i]];
+        if (cost < bestCost) {
+          bestCost = cost;
+          selectors[group] = table;
+        }
+      });
+      for (let i = group * GROUP_SIZE; i < end; i++) tableFrequencies[selectors[group]][values[i]]++;
+    }
+    tables = tableFrequencies.map(getCodeLengths);
+  }
+  const codes = tables.map(getCodes);
+
+  writer.writeBytes(BLOCK_MAGIC);
+  writer.write32(blockCRC);
+  writer.write(1, 0); // not randomised
+  writer.write(24, originPointer);
+  let usedRanges = 0;
+  for (let i = 0; i < 16; i++) {
+    if (inUse.subarray(i * 16, i * 16 + 16).some(Boolean)) usedRanges |= 0x8000 >>> i;
+  }
+  writer.write(16, usedRanges);
+  for (let i = 0; i < 16; i++) {
+    if (usedRanges & (0x8000 >>> i)) {
+      writer.write(16, inUse.subarray(i * 16, i * 16 + 16).reduce((bits, used, j) => bits | (used << (15 - j)), 0));
+    }
+  }
+  writer.write(3, tableCount);
+  writer.write(15, selectorCount);
+  const tableOrder = tables.map((_, i) => i);
+  selectors.forEach(selector => {
+    const position = tableOrder.indexOf(selector);
+    tableOrder.splice(position, 1);
+    tableOrder.unshift(selector);
+    for (let i = 0; i < position; i++) writer.write(1, 1);
+    writer.write(1, 0);
+  });
+  tables.forEach(lengths => {
+    let current = lengths[0];
+    writer.write(5, current);
+    lengths.forEach(codeLength => {
+      for (; current < codeLength; current++) writer.write(2, 2);
+      for (; current > codeLength; current--) writer.write(2, 3);
+      writer.write(1, 0);
+    });
+  });
+  for (let i = 0; i < valueCount; i++) {
+    const table = selectors[Math.floor(i / GROUP_SIZE)];
+    writer.write(tables[table][values[i]], codes[table][values[i]]);
+  }
+}
+
+/**
+ * Compresses data using bzip2
+ * @param {Uint8Array | ReadableStream<Uint8Array>} data - Data to compress
+ * @param {Integer} [level=9] - Compression level between 1 and 9, setting the block size in units of 100 kB
+ * @returns {Uint8Array | ReadableStream<Uint8Array>} Compressed data.
+ * @static
+ */
+export default function encode(data, level = 9) {
+  if (!Number.isInteger(level) || level < 1 || level > 9) {
+    throw new Error('Invalid bzip2 compression level');
+  }
+  // leave room for a run written after the block is almost full
+  const maxBlockLength = level * 100000 - 19;
+  const block = new Uint8Array(level * 100000);
+  let blockLength = 0;
+  let blockCRC = 0xFFFFFFFF;
+  let combinedCRC = 0;
+  let runByte = -1;
+  let runLength = 0;
+  const writer = new BitWriter();
+  writer.writeBytes([...STREAM_MAGIC, 0x30 + level]);
+
+  // runs of 4 to 255 equal bytes are written as 4 bytes followed by the number of remaining bytes
+  const endRun = () => {
+    for (let i = 0; i < runLength && i < 4; i++) block[blockLength++] = runByte;
+    if (runLength >= 4) block[blockLength++] = runLength - 4;
+    runLength = 0;
+  };
+  const endBlock = () => {
+    blockCRC = ~blockCRC >>> 0;
+    combinedCRC = (((combinedCRC << 1) | (combinedCRC >>> 31)) ^ blockCRC) >>> 0;
+    writeBlock(writer, block, blockLength, blockCRC);
+    blockLength = 0;
+    blockCRC = 0xFFFFFFFF;
+  };
+
+  return stream.transform(data, value => {
+    for (let i = 0; i < value.length; i++) {
+      const byte = value[i];
+      if (byte !== runByte || runLength === 255) {
+        endRun();
+        if (blockLength >= maxBlockLength) endBlock();
+        runByte = byte;
+      }
+      runLength++;
+      blockCRC = (blockCRC << 8) ^ crcTable[(blockCRC >>> 24) ^ byte];
+    }
+    return writer.take();
+  }, () => {
+    endRun();
+    if (blockLength > 0) endBlock();
+    writer.writeBytes(END_OF_STREAM_MAGIC);
+    writer.write32(combinedCRC);
+    writer.pad();
+    return writer.take();
+  });
+}
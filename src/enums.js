@@ -60,6 +60,23 @@ export default {
     '2b060104019755010501':   'curve25519',
     '2B060104019755010501':   'curve25519',
 
+    /** Ed448 */
+    'ED448':                  'ed448',
+    'ed448':                  'ed448',
+    'Ed448':                  'ed448',
+    '1.3.101.113':            'ed448',
+    '2b6571':                 'ed448',
+    '2B6571':                 'ed448',
+
+    /** Curve448 */
+    'X448':                   'curve448',
+    'cv448':                  'curve448',
+    'curve448':               'curve448',
+    'Curve448':               'curve448',
+    '1.3.101.111':            'curve448',
+    '2b656f':                 'curve448',
+    '2B656F':                 'curve448',
+
     /** BrainpoolP256r1 Curve */
     'brainpoolP256r1':       'brainpoolP256r1',
     '1.3.36.3.3.2.8.1.1.7':  'brainpoolP256r1',
@@ -87,6 +104,7 @@ export default {
     simple: 0,
     salted: 1,
     iterated: 3,
+    argon2: 4,
     gnu: 101
   },
 
@@ -115,7 +133,19 @@ export default {
     /** Reserved for AEDH */
     aedh: 23,
     /** Reserved for AEDSA */
-    aedsa: 24
+    aedsa: 24,
+    /** X25519 (Encrypt only)
+     * [{@link https://datatracker.ietf.org/doc/html/draft-ietf-openpgp-crypto-refresh#section-5.5.5.7|crypto-refresh}] */
+    x25519: 25,
+    /** X448 (Encrypt only)
+     * [{@link https://datatracker.ietf.org/doc/html/draft-ietf-openpgp-crypto-refresh#section-5.5.5.8|crypto-refresh}] */
+    x448: 26,
+    /** Ed25519 (Sign only)
+     * [{@link https://datatracker.ietf.org/doc/html/draft-ietf-openpgp-crypto-refresh#section-5.5.5.9|crypto-refresh}] */
+    ed25519: 27,
+    /** Ed448 (Sign only)
+     * [{@link https://datatracker.ietf.org/doc/html/draft-ietf-openpgp-crypto-refresh#section-5.5.5.10|crypto-refresh}] */
+    ed448: 28
   },
 
   /** {@link https://tools.ietf.org/html/rfc4880#section-9.2|RFC4880, section 9.2}
@@ -205,7 +235,8 @@ export default {
     userAttribute: 17,
     symEncryptedIntegrityProtectedData: 18,
     modificationDetectionCode: 19,
-    aeadEncryptedData: 20 // see IETF draft: https://tools.ietf.org/html/draft-ford-openpgp-format-00#section-2.1
+    aeadEncryptedData: 20, // see IETF draft: https://tools.ietf.org/html/draft-ford-openpgp-format-00#section-2.1
+    padding: 21
   },
 
   /** Data types in the literal packet
@@ -445,7 +476,49 @@ export default {
     aead: 2,
     /** 0x04 - Version 5 Public-Key Packet format and corresponding new
       *        fingerprint format */
-    v5Keys: 4
+    v5Keys: 4,
+    /** 0x08 - Version 2 Symmetrically Encrypted and Integrity Protected Data
+      *        packet (packet 18) and version 6 Encrypted Session Key packets */
+    seipdv2: 8
+  },
+
+  /** Ownertrust values, as stored by GnuPG in the trust packet following a key
+   * @enum {Integer}
+   * @readonly
+   */
+  ownertrust: {
+    unknown: 0,
+    expired: 1,
+    undefined: 2,
+    never: 3,
+    marginal: 4,
+    full: 5,
+    ultimate: 6
+  },
+
+  /** Subtypes of the extended GnuPG trust packet layout
+   * @enum {Integer}
+   * @readonly
+   */
+  trustSubtype: {
+    signature: 0,
+    key: 1,
+    userID: 2
+  },
+
+  /** Validity of keys and user IDs, as computed by the web of trust.
+   * Values are ordered, from least to most valid.
+   * @enum {Integer}
+   * @readonly
+   */
+  validity: {
+    /** Revoked, expired or missing a valid self-signature */
+    invalid: 0,
+    /** No trust path to the key */
+    unknown: 1,
+    marginal: 2,
+    full: 3,
+    ultimate: 4
   },
 
   /** Asserts validity and converts from string/integer to integer. */
@@ -11,7 +11,9 @@ export {
   generateSessionKey, encryptSessionKey, decryptSessionKeys
 } from './openpgp';
 
-export { PrivateKey, PublicKey, Subkey, readKey, readKeys, readPrivateKey, readPrivateKeys } from './key';
+export { PrivateKey, PublicKey, Subkey, readKey, readKeys, readPrivateKey, readPrivateKeys, readKeysStream, writeKeys, computeValidity, mergeKeys } from './key';
+
+export { Keyring, MemoryKeyStore } from './keyring';
 
 export { Signature, readSignature } from './signature';
 
@@ -19,8 +21,14 @@ export { Message, readMessage, createMessage } from './message';
 
 export { CleartextMessage, readCleartextMessage, createCleartextMessage } from './cleartext';
 
+export { signMIME, encryptMIME, verifyMIME, decryptMIME } from './mime';
+
+export { createAutocryptHeader, readAutocryptHeader, createAutocryptSetupMessage, decryptAutocryptSetupMessage } from './autocrypt';
+
 export * from './packet';
 
+export { DecompressionLimitError } from './packet/packet';
+
 export * from './encoding/armor';
 
 export { default as enums } from './enums';
@@ -15,6 +15,7 @@
 // License along with this library; if not, write to the Free Software
 // Foundation, Inc., 51 Franklin Street, Fifth Floor, Boston, MA  02110-1301  USA
 
+import * as stream from '@openpgp/web-stream-tools';
 import {
   PacketList,
   UserIDPacket,
@@ -23,15 +24,17 @@ import {
   PublicSubkeyPacket,
   SecretKeyPacket,
   SecretSubkeyPacket,
-  UserAttributePacket
+  UserAttributePacket,
+  TrustPacket
 } from '../packet';
+import { readPacketStream } from '../packet/packetlist';
 import PrivateKey from './private_key';
 import { createKey } from './key';
 import * as helper from './helper';
 import enums from '../enums';
 import util from '../util';
 import defaultConfig from '../config';
-import { unarmor } from '../encoding/armor';
+import { armor, unarmor } from '../encoding/armor';
 
 // A Key can contain the following packets
 const allowedKeyPackets = /*#__PURE__*/ util.constructAllowedPackets([
@@ -43,11 +46,22 @@ const allowedKeyPackets = /*#__PURE__*/ util.constructAllowedPackets([
   UserAttributePacket,
   SignaturePacket
 ]);
+// Local keyrings can additionally contain trust packets
+const allowedKeyringPackets = /*#__PURE__*/ util.constructAllowedPackets([
+  PublicKeyPacket,
+  PublicSubkeyPacket,
+  SecretKeyPacket,
+  SecretSubkeyPacket,
+  UserIDPacket,
+  UserAttributePacket,
+  SignaturePacket,
+  TrustPacket
+]);
 
 /**
  * Generates a new OpenPGP key. Supports RSA and ECC keys.
  * By default, primary and subkeys will be of same type.
- * @param {ecc|rsa} options.type                  The primary key algorithm type: ECC or RSA
+ * @param {ecc|rsa|curve25519|curve448} options.type The primary key algorithm type: ECC, RSA, Ed25519 (with X25519 subkeys) or Ed448 (with X448 subkeys)
  * @param {String}  options.curve                 Elliptic curve for ECC keys
  * @param {Integer} options.rsaBits               Number of bits for RSA keys
  * @param {Array<String|Object>} options.userIDs  User IDs as strings or objects: 'Jo Doe <info@jo.com>' or { name:'Jo Doe', email:'info@jo.com' }
@@ -57,6 +71,7 @@ const allowedKeyPackets = /*#__PURE__*/ util.constructAllowedPackets([
  * @param {Object} config - Full configuration
  * @param {Array<Object>} options.subkeys         (optional) options for each subkey, default to main key options. e.g. [{sign: true, passphrase: '123'}]
  *                                                  sign parameter defaults to false, and indicates whether the subkey should sign rather than encrypt
+ * @param {Array<Key>} options.designatedRevokers (optional) keys authorized to revoke the generated key
  * @returns {Promise<{{ key: PrivateKey, revocationCertificate: String }}>}
  * @async
  * @static
@@ -84,6 +99,7 @@ export async function generate(options, config) {
  * @param {Number} options.keyExpirationTime      Number of seconds from the key creation time after which the key expires
  * @param {Date}   options.date                   Override the creation date of the key signatures
  * @param {Array<Object>} options.subkeys         (optional) options for each subkey, default to main key options. e.g. [{sign: true, passphrase: '123'}]
+ * @param {Array<Key>} options.designatedRevokers (optional) keys authorized to revoke the reformatted key
  * @param {Object} config - Full configuration
  *
  * @returns {Promise<{{ key: PrivateKey, revocationCertificate: String }}>}
@@ -171,6 +187,12 @@ async function wrapKeyObject(secretKeyPacket, secretSubkeyPackets, options, conf
   const packetlist = new PacketList();
   packetlist.push(secretKeyPacket);
 
+  await Promise.all(options.designatedRevokers.map(designatedRevoker => (
+    helper.createDesignatedRevokerSignature(designatedRevoker, secretKeyPacket, options, config)
+  ))).then(signatures => {
+    packetlist.push(...signatures);
+  });
+
   await Promise.all(options.userIDs.map(async function(userID, index) {
     function createPreferredAlgos(algos, preferredAlgo) {
       return [preferredAlgo, ...algos.filter(algo => algo !== preferredAlgo)];
@@ -191,7 +213,7 @@ async function wrapKeyObject(secretKeyPacket, secretSubkeyPackets, options, conf
       enums.symmetric.aes128,
       enums.symmetric.aes192
     ], config.preferredSymmetricAlgorithm);
-    if (config.aeadProtect) {
+    if (config.aeadProtect || config.v6Keys) {
       signaturePacket.preferredAEADAlgorithms = createPreferredAlgos([
         enums.aead.eax,
         enums.aead.ocb
@@ -219,6 +241,9 @@ async function wrapKeyObject(secretKeyPacket, secretSubkeyPackets, options, conf
     if (config.v5Keys) {
       signaturePacket.features[0] |= enums.features.v5Keys;
     }
+    if (config.v6Keys) {
+      signaturePacket.features[0] |= enums.features.seipdv2;
+    }
     if (options.keyExpirationTime > 0) {
       signaturePacket.keyExpirationTime = options.keyExpirationTime;
       signaturePacket.keyNeverExpires = false;
@@ -272,12 +297,13 @@ async function wrapKeyObject(secretKeyPacket, secretSubkeyPackets, options, conf
  * @param {Object} options
  * @param {String} [options.armoredKey] - Armored key to be parsed
  * @param {Uint8Array} [options.binaryKey] - Binary key to be parsed
+ * @param {Boolean} [options.keepTrustPackets=false] - Whether to keep trust packets, for keys read from a local keyring
  * @param {Object} [options.config] - Custom configuration settings to overwrite those in [config]{@link module:config}
  * @returns {Promise<Key>} Key object.
  * @async
  * @static
  */
-export async function readKey({ armoredKey, binaryKey, config, ...rest }) {
+export async function readKey({ armoredKey, binaryKey, config, keepTrustPackets = false, ...rest }) {
   config = { ...defaultConfig, ...config };
   if (!armoredKey && !binaryKey) {
     throw new Error('readKey: must pass options object containing `armoredKey` or `binaryKey`');
@@ -300,7 +326,7 @@ export async function readKey({ armoredKey, binaryKey, config, ...rest }) {
   } else {
     input = binaryKey;
   }
-  const packetlist = await PacketList.fromBinary(input, allowedKeyPackets, config);
+  const packetlist = await PacketList.fromBinary(input, keepTrustPackets ? allowedKeyringPackets : allowedKeyPackets, config);
   return createKey(packetlist);
 }
 
@@ -309,12 +335,13 @@ export async function readKey({ armoredKey, binaryKey, config, ...rest }) {
  * @param {Object} options
  * @param {String} [options.armoredKey] - Armored key to be parsed
  * @param {Uint8Array} [options.binaryKey] - Binary key to be parsed
+ * @param {Boolean} [options.keepTrustPackets=false] - Whether to keep trust packets, for keys read from a local keyring
  * @param {Object} [options.config] - Custom configuration settings to overwrite those in [config]{@link module:config}
  * @returns {Promise<PrivateKey>} Key object.
  * @async
  * @static
  */
-export async function readPrivateKey({ armoredKey, binaryKey, config, ...rest }) {
+export async function readPrivateKey({ armoredKey, binaryKey, config, keepTrustPackets = false, ...rest }) {
   config = { ...defaultConfig, ...config };
   if (!armoredKey && !binaryKey) {
     throw new Error('readPrivateKey: must pass options object containing `armoredKey` or `binaryKey`');
@@ -337,7 +364,7 @@ export async function readPrivateKey({ armoredKey, binaryKey, config, ...rest })
   } else {
     input = binaryKey;
   }
-  const packetlist = await PacketList.fromBinary(input, allowedKeyPackets, config);
+  const packetlist = await PacketList.fromBinary(input, keepTrustPackets ? allowedKeyringPackets : allowedKeyPackets, config);
   return new PrivateKey(packetlist);
 }
 
@@ -346,12 +373,13 @@ export async function readPrivateKey({ armoredKey, binaryKey, config, ...rest })
  * @param {Object} options
  * @param {String} [options.armoredKeys] - Armored keys to be parsed
  * @param {Uint8Array} [options.binaryKeys] - Binary keys to be parsed
+ * @param {Boolean} [options.keepTrustPackets=false] - Whether to keep trust packets, for keys read from a local keyring
  * @param {Object} [options.config] - Custom configuration settings to overwrite those in [config]{@link module:config}
  * @returns {Promise<Array<Key>>} Key objects.
  * @async
  * @static
  */
-export async function readKeys({ armoredKeys, binaryKeys, config, ...rest }) {
+export async function readKeys({ armoredKeys, binaryKeys, config, keepTrustPackets = false, ...rest }) {
   config = { ...defaultConfig, ...config };
   let input = armoredKeys || binaryKeys;
   if (!input) {
@@ -373,7 +401,7 @@ export async function readKeys({ armoredKeys, binaryKeys, config, ...rest }) {
     input = data;
   }
   const keys = [];
-  const packetlist = await PacketList.fromBinary(input, allowedKeyPackets, config);
+  const packetlist = await PacketList.fromBinary(input, keepTrustPackets ? allowedKeyringPackets : allowedKeyPackets, config);
   const keyIndex = packetlist.indexOfTag(enums.packet.publicKey, enums.packet.secretKey);
   if (keyIndex.length === 0) {
     throw new Error('No key packet found');
@@ -391,12 +419,13 @@ export async function readKeys({ armoredKeys, binaryKeys, config, ...rest }) {
  * @param {Object} options
  * @param {String} [options.armoredKeys] - Armored keys to be parsed
  * @param {Uint8Array} [options.binaryKeys] - Binary keys to be parsed
+ * @param {Boolean} [options.keepTrustPackets=false] - Whether to keep trust packets, for keys read from a local keyring
  * @param {Object} [options.config] - Custom configuration settings to overwrite those in [config]{@link module:config}
  * @returns {Promise<Array<PrivateKey>>} Key objects.
  * @async
  * @static
  */
-export async function readPrivateKeys({ armoredKeys, binaryKeys, config }) {
+export async function readPrivateKeys({ armoredKeys, binaryKeys, config, keepTrustPackets = false }) {
   config = { ...defaultConfig, ...config };
   let input = armoredKeys || binaryKeys;
   if (!input) {
@@ -416,7 +445,7 @@ export async function readPrivateKeys({ armoredKeys, binaryKeys, config }) {
     input = data;
   }
   const keys = [];
-  const packetlist = await PacketList.fromBinary(input, allowedKeyPackets, config);
+  const packetlist = await PacketList.fromBinary(input, keepTrustPackets ? allowedKeyringPackets : allowedKeyPackets, config);
   const keyIndex = packetlist.indexOfTag(enums.packet.secretKey);
   if (keyIndex.length === 0) {
     throw new Error('No secret key packet found');
@@ -428,3 +457,130 @@ export async function readPrivateKeys({ armoredKeys, binaryKeys, config }) {
   }
   return keys;
 }
+
+/**
+ * Reads an (optionally armored) OpenPGP key block, which may be streamed, and returns an async iterator over the keys it contains.
+ * Keys are parsed one at a time as the iterator is consumed, so that large keyrings need not be held in memory all at once.
+ * @param {Object} options
+ * @param {String|ReadableStream<String>} [options.armoredKeys] - Armored keys to be parsed
+ * @param {Uint8Array|ReadableStream<Uint8Array>} [options.binaryKeys] - Binary keys to be parsed
+ * @param {Boolean} [options.keepTrustPackets=false] - Whether to keep trust packets, for keys read from a local keyring
+ * @param {Object} [options.config] - Custom configuration settings to overwrite those in [config]{@link module:config}.
+ *   If `config.ignoreMalformedPackets` is set, keys that cannot be parsed are skipped instead of throwing
+ * @returns {AsyncIterableIterator<Key>} Key objects.
+ * @static
+ */
+export async function* readKeysStream({ armoredKeys, binaryKeys, config, keepTrustPackets = false, ...rest }) {
+  config = { ...defaultConfig, ...config };
+  let input = armoredKeys || binaryKeys;
+  if (!input) {
+    throw new Error('readKeysStream: must pass options object containing `armoredKeys` or `binaryKeys`');
+  }
+  if (armoredKeys && !util.isString(armoredKeys) && !util.isStream(armoredKeys)) {
+    throw new Error('readKeysStream: options.armoredKeys must be a string or stream');
+  }
+  if (binaryKeys && !util.isUint8Array(binaryKeys) && !util.isStream(binaryKeys)) {
+    throw new Error('readKeysStream: options.binaryKeys must be a Uint8Array or stream');
+  }
+  const unknownOptions = Object.keys(rest); if (unknownOptions.length > 0) throw new Error(`Unknown option: ${unknownOptions.join(', ')}`);
+
+  await stream.loadStreamsPonyfill();
+  // also convert non-streamed input, so that packets are only parsed as they are needed
+  input = stream.toStream(input);
+  if (armoredKeys) {
+    const { type, data } = await unarmor(input, config);
+    if (type !== enums.armor.publicKey && type !== enums.armor.privateKey) {
+      throw new Error('Armored text not of type key');
+    }
+    input = data;
+  }
+  const reader = stream.getReader(readPacketStream(input, keepTrustPackets ? allowedKeyringPackets : allowedKeyPackets, config));
+  let keyFound = false;
+  let done = false;
+  try {
+    let packetlist = new PacketList();
+    while (!done) {
+      const { done: streamDone, value: packet } = await reader.read();
+      done = streamDone;
+      if (done || packet.constructor.tag === enums.packet.publicKey || packet.constructor.tag === enums.packet.secretKey) {
+        if (packetlist.length) {
+          let key;
+          try {
+            key = createKey(packetlist);
+          } catch (e) {
+            if (!config.ignoreMalformedPackets) {
+              throw e;
+            }
+            util.printDebugError(e);
+          }
+          if (key) {
+            keyFound = true;
+            yield key;
+          }
+        }
+        packetlist = new PacketList();
+      }
+      if (!done) {
+        packetlist.push(packet);
+      }
+    }
+  } finally {
+    if (!done) {
+      // the iteration was stopped early, or failed
+      await reader.cancel();
+    }
+  }
+  if (!keyFound) {
+    throw new Error('No key packet found');
+  }
+}
+
+/**
+ * Serializes a list of keys into a single (optionally armored) OpenPGP key block, which can be read back using {@link readKeys}
+ * @param {Object} options
+ * @param {Array<Key>} options.keys - Keys to serialize, either all public or all private
+ * @param {'armored'|'binary'} [options.format='armored'] - Format of the returned key block
+ * @param {Boolean} [options.comment=false] - Whether to add an armor `Comment` header for each key, listing its fingerprint and primary user ID
+ * @param {Object} [options.config] - Custom configuration settings to overwrite those in [config]{@link module:config}
+ * @returns {Promise<String|Uint8Array>} Key block (string if `format` was 'armored', the default; Uint8Array if `format` was 'binary').
+ * @async
+ * @static
+ */
+export async function writeKeys({ keys, format = 'armored', comment = false, config, ...rest }) {
+  config = { ...defaultConfig, ...config };
+  if (!util.isArray(keys) || keys.length === 0) {
+    throw new Error('writeKeys: must pass options object containing a non-empty `keys` array');
+  }
+  if (format !== 'armored' && format !== 'binary') {
+    throw new Error(`Unsupported format ${format}`);
+  }
+  const unknownOptions = Object.keys(rest); if (unknownOptions.length > 0) throw new Error(`Unknown option: ${unknownOptions.join(', ')}`);
+
+  const isPrivate = keys[0].isPrivate();
+  if (keys.some(key => key.isPrivate() !== isPrivate)) {
+    throw new Error('writeKeys: cannot write public and private keys in the same key block');
+  }
+  const binaryKeys = util.concatUint8Array(keys.map(key => key.write()));
+  if (format === 'binary') {
+    return binaryKeys;
+  }
+  const comments = comment ? await Promise.all(keys.map(key => getKeyComment(key, config))) : undefined;
+  return armor(isPrivate ? enums.armor.privateKey : enums.armor.publicKey, binaryKeys, undefined, undefined, comments, config);
+}
+
+/**
+ * Returns a human-readable description of the key for use in armor headers
+ * @param {Key} key
+ * @param {Object} config - Full configuration
+ * @returns {Promise<String>} The key fingerprint, followed by the primary user ID if there is a valid one.
+ * @async
+ */
+async function getKeyComment(key, config) {
+  const fingerprint = key.getFingerprint().toUpperCase();
+  try {
+    const { user } = await key.getPrimaryUser(undefined, undefined, config);
+    return `${fingerprint} ${user.userID.userID}`;
+  } catch (e) {
+    return fingerprint;
+  }
+}
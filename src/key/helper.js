@@ -5,6 +5,7 @@
  */
 
 import {
+  PacketList,
   PublicKeyPacket,
   PublicSubkeyPacket,
   SecretKeyPacket,
@@ -16,6 +17,9 @@ import crypto from '../crypto';
 import util from '../util';
 import defaultConfig from '../config';
 
+// Class octet of the revocation key subpacket; the 0x80 bit must always be set
+const REVOCATION_KEY_CLASS = 0x80;
+
 export async function generateSecretSubkey(options, config) {
   const secretSubkeyPacket = new SecretSubkeyPacket(options.date, config);
   secretSubkeyPacket.packets = null;
@@ -68,6 +72,24 @@ export async function getLatestValidSignature(signatures, publicKey, signatureTy
   return latestValid;
 }
 
+/**
+ * Returns the valid and non-expired signatures among the given ones, ignoring signatures created in the future.
+ * @param {Array<SignaturePacket>} signatures - List of signatures
+ * @param {PublicKeyPacket|PublicSubkeyPacket} publicKey - Public key packet to verify the signatures
+ * @param {module:enums.signature} signatureType - Expected signature type
+ * @param {Object} dataToVerify - Data which the signatures apply on
+ * @param {Date} date - Use the given date instead of the current time
+ * @param {Object} config - full configuration
+ * @returns {Promise<Array<SignaturePacket>>} The valid signatures.
+ * @async
+ */
+export async function getValidSignatures(signatures, publicKey, signatureType, dataToVerify, date = new Date(), config) {
+  const valid = await Promise.all(signatures.map(signature => (
+    signature.verify(publicKey, signatureType, dataToVerify, date, undefined, config).then(() => true, () => false)
+  )));
+  return signatures.filter((_, i) => valid[i]);
+}
+
 export function isDataExpired(keyPacket, signature, date = new Date()) {
   const normDate = util.normalizeDate(date);
   if (normDate !== null) {
@@ -91,7 +113,7 @@ export async function createBindingSignature(subkey, primaryKey, options, config
   const subkeySignaturePacket = new SignaturePacket();
   subkeySignaturePacket.signatureType = enums.signature.subkeyBinding;
   subkeySignaturePacket.publicKeyAlgorithm = primaryKey.algorithm;
-  subkeySignaturePacket.hashAlgorithm = await getPreferredHashAlgo(null, subkey, undefined, undefined, config);
+  subkeySignaturePacket.hashAlgorithm = await getPreferredHashAlgo(null, primaryKey, undefined, undefined, config);
   if (options.sign) {
     subkeySignaturePacket.keyFlags = [enums.keyFlags.signData];
     subkeySignaturePacket.embeddedSignature = await createSignaturePacket(dataToSign, null, subkey, {
@@ -108,6 +130,35 @@ export async function createBindingSignature(subkey, primaryKey, options, config
   return subkeySignaturePacket;
 }
 
+/**
+ * Create a direct-key signature authorizing the given key to revoke the primary key,
+ * according to {@link https://tools.ietf.org/html/rfc4880#section-5.2.3.15|RFC4880 5.2.3.15}
+ * @param {Key} designatedRevoker - Key authorized to issue revocations
+ * @param {SecretKeyPacket} primaryKey - Primary key packet
+ * @param {Object} options
+ * @param {Date} [options.date] - Creation date of the signature
+ * @param {Number} [options.keyExpirationTime] - Key expiration time to carry over, in seconds from the key creation time
+ * @param {Object} config - Full configuration
+ * @returns {Promise<SignaturePacket>}
+ */
+export async function createDesignatedRevokerSignature(designatedRevoker, primaryKey, options, config) {
+  const fingerprint = designatedRevoker.keyPacket.getFingerprintBytes();
+  if (designatedRevoker.hasSameFingerprintAs(primaryKey)) {
+    throw new Error('A key cannot be its own designated revoker');
+  }
+  const signatureProperties = {
+    signatureType: enums.signature.key,
+    revocationKeyClass: REVOCATION_KEY_CLASS,
+    revocationKeyAlgorithm: enums.write(enums.publicKey, designatedRevoker.keyPacket.algorithm),
+    revocationKeyFingerprint: fingerprint
+  };
+  if (options.keyExpirationTime > 0) {
+    signatureProperties.keyExpirationTime = options.keyExpirationTime;
+    signatureProperties.keyNeverExpires = false;
+  }
+  return createSignaturePacket({ key: primaryKey }, null, primaryKey, signatureProperties, options.date, undefined, undefined, config);
+}
+
 /**
  * Returns the preferred signature hash algorithm of a key
  * @param {Key} [key] - The key to get preferences from
@@ -122,9 +173,9 @@ export async function getPreferredHashAlgo(key, keyPacket, date = new Date(), us
   let hashAlgo = config.preferredHashAlgorithm;
   let prefAlgo = hashAlgo;
   if (key) {
-    const primaryUser = await key.getPrimaryUser(date, userID, config);
-    if (primaryUser.selfCertification.preferredHashAlgorithms) {
-      [prefAlgo] = primaryUser.selfCertification.preferredHashAlgorithms;
+    const selfSignature = await key.getPrimarySelfSignature(date, userID, config);
+    if (selfSignature.preferredHashAlgorithms) {
+      [prefAlgo] = selfSignature.preferredHashAlgorithms;
       hashAlgo = crypto.hash.getHashByteLength(hashAlgo) <= crypto.hash.getHashByteLength(prefAlgo) ?
         prefAlgo : hashAlgo;
     }
@@ -139,6 +190,10 @@ export async function getPreferredHashAlgo(key, keyPacket, date = new Date(), us
         case 'ecdsa':
         case 'eddsa':
           prefAlgo = crypto.publicKey.elliptic.getPreferredHashAlgo(keyPacket.publicParams.oid);
+          break;
+        case 'ed25519':
+        case 'ed448':
+          prefAlgo = crypto.publicKey.elliptic.eddsa.getPreferredHashAlgo(enums.write(enums.publicKey, keyPacket.algorithm));
       }
   }
   return crypto.hash.getHashByteLength(hashAlgo) <= crypto.hash.getHashByteLength(prefAlgo) ?
@@ -176,8 +231,8 @@ export async function getPreferredAlgo(type, keys = [], date = new Date(), userI
   // otherwise we use the default algo
   // if no keys are available, preferredSenderAlgo is returned
   const senderAlgoSupport = await Promise.all(keys.map(async function(key, i) {
-    const primaryUser = await key.getPrimaryUser(date, userIDs[i], config);
-    const recipientPrefs = primaryUser.selfCertification[prefPropertyName];
+    const selfSignature = await key.getPrimarySelfSignature(date, userIDs[i], config);
+    const recipientPrefs = selfSignature[prefPropertyName];
     return !!recipientPrefs && recipientPrefs.indexOf(preferredSenderAlgo) >= 0;
   }));
   return senderAlgoSupport.every(Boolean) ? preferredSenderAlgo : defaultAlgo;
@@ -222,7 +277,7 @@ export async function createSignaturePacket(dataToSign, privateKey, signingKeyPa
 export async function mergeSignatures(source, dest, attr, date = new Date(), checkFn) {
   source = source[attr];
   if (source) {
-    if (!dest[attr].length) {
+    if (!dest[attr].length && !checkFn) {
       dest[attr] = source;
     } else {
       await Promise.all(source.map(async function(sourceSig) {
@@ -237,6 +292,56 @@ export async function mergeSignatures(source, dest, attr, date = new Date(), che
   }
 }
 
+/**
+ * Returns the packets of a key, user or subkey, each followed by its trust packet, if any
+ * @param {PacketList} packetlist - Packets of the component, starting with its key or user packet
+ * @param {Key|User|Subkey} component - Component holding the trust packets
+ * @returns {PacketList}
+ */
+export function addTrustPackets(packetlist, component) {
+  const result = new PacketList();
+  packetlist.forEach((packet, i) => {
+    result.push(packet);
+    const trust = i === 0 ? component.trust : component.signatureTrust.get(packet);
+    if (trust) {
+      result.push(trust);
+    }
+  });
+  return result;
+}
+
+/**
+ * Copies the trust packets of source that are missing from dest
+ * @param {Key|User|Subkey} source
+ * @param {Key|User|Subkey} dest
+ */
+export function mergeTrustPackets(source, dest) {
+  if (!dest.trust) {
+    dest.trust = source.trust;
+  }
+  source.signatureTrust.forEach((trust, signature) => {
+    if (!dest.signatureTrust.has(signature)) {
+      dest.signatureTrust.set(signature, trust);
+    }
+  });
+}
+
+/**
+ * Checks whether a signature claims to be issued by the key with the given fingerprint,
+ * according to its issuer fingerprint if present, or else its issuer key ID
+ * @param {SignaturePacket} signature - The signature to check
+ * @param {String} fingerprint - Hex-encoded fingerprint of the key
+ * @returns {Boolean}
+ */
+export function isIssuedBy(signature, fingerprint) {
+  if (signature.issuerFingerprint) {
+    return util.uint8ArrayToHex(signature.issuerFingerprint) === fingerprint;
+  }
+  // v4 key IDs are the last 8 octets of the fingerprint, v5 and v6 key IDs the first 8 octets
+  const keyID = fingerprint.length === 40 ? fingerprint.slice(-16) : fingerprint.slice(0, 16);
+  return signature.issuerKeyID.toHex() === keyID;
+}
+
 /**
  * Checks if a given certificate or binding signature is revoked
  * @param  {SecretKeyPacket|
@@ -250,10 +355,13 @@ export async function mergeSignatures(source, dest, attr, date = new Date(), che
  *          SecretKeyPacket} key, optional The key packet to verify the signature, instead of the primary key
  * @param {Date} date - Use the given date instead of the current time
  * @param {Object} config - Full configuration
+ * @param {Array<String>} [designatedRevokers] - Fingerprints of the keys authorized to revoke the primary key
+ * @param {Array<Key>} [designatedRevokerKeys] - Keys of the designated revokers, to verify their revocations with.
+ *   Revocations by designated revokers whose key is not given are ignored
  * @returns {Promise<Boolean>} True if the signature revokes the data.
  * @async
  */
-export async function isDataRevoked(primaryKey, signatureType, dataToVerify, revocations, signature, key, date = new Date(), config) {
+export async function isDataRevoked(primaryKey, signatureType, dataToVerify, revocations, signature, key, date = new Date(), config, designatedRevokers = [], designatedRevokerKeys = []) {
   key = key || primaryKey;
   const revocationKeyIDs = [];
   await Promise.all(revocations.map(async function(revocationSignature) {
@@ -261,16 +369,26 @@ export async function isDataRevoked(primaryKey, signatureType, dataToVerify, rev
       if (
         // Note: a third-party revocation signature could legitimately revoke a
         // self-signature if the signature has an authorized revocation key.
-        // However, we don't support passing authorized revocation keys, nor
-        // verifying such revocation signatures. Instead, we indicate an error
-        // when parsing a key with an authorized revocation key, and ignore
-        // third-party revocation signatures here. (It could also be revoking a
-        // third-party key certification, which should only affect
-        // `verifyAllCertifications`.)
+        // However, we only support designated revokers revoking the whole key,
+        // and ignore third-party revocation signatures of self-signatures here.
+        // (It could also be revoking a third-party key certification, which
+        // should only affect `verifyAllCertifications`.)
         !signature || revocationSignature.issuerKeyID.equals(signature.issuerKeyID)
       ) {
+        let verificationKey = key;
+        const isThirdPartyRevocation = !signature && !revocationSignature.issuerKeyID.equals(primaryKey.getKeyID());
+        if (isThirdPartyRevocation) {
+          // designated revocations can only be verified with the revoker key
+          const revokerKey = designatedRevokerKeys.find(revokerKey => (
+            designatedRevokers.includes(revokerKey.getFingerprint()) && isIssuedBy(revocationSignature, revokerKey.getFingerprint())
+          ));
+          if (!revokerKey) {
+            return;
+          }
+          verificationKey = revokerKey.keyPacket;
+        }
         await revocationSignature.verify(
-          key, signatureType, dataToVerify, config.revocationsExpire ? date : null, false, config
+          verificationKey, signatureType, dataToVerify, config.revocationsExpire ? date : null, false, config
         );
 
         // TODO get an identifier of the revoked object instead
@@ -313,12 +431,30 @@ export function getKeyExpirationTime(keyPacket, signature) {
  * @async
  */
 export async function isAEADSupported(keys, date = new Date(), userIDs = [], config = defaultConfig) {
+  return isFeatureSupported(enums.features.aead, keys, date, userIDs, config);
+}
+
+/**
+ * Returns whether version 2 SEIPD packets are supported by all keys in the set.
+ * Unlike for {@link isAEADSupported}, an empty set of keys is considered not to support them.
+ * @param {Array<Key>} keys - Set of keys
+ * @param {Date} [date] - Use the given date for verification instead of the current time
+ * @param {Array} [userIDs] - User IDs
+ * @param {Object} config - full configuration
+ * @returns {Promise<Boolean>}
+ * @async
+ */
+export async function isSEIPDv2Supported(keys, date = new Date(), userIDs = [], config = defaultConfig) {
+  return keys.length > 0 && isFeatureSupported(enums.features.seipdv2, keys, date, userIDs, config);
+}
+
+async function isFeatureSupported(feature, keys, date, userIDs, config) {
   let supported = true;
   // TODO replace when Promise.some or Promise.any are implemented
   await Promise.all(keys.map(async function(key, i) {
-    const primaryUser = await key.getPrimaryUser(date, userIDs[i], config);
-    if (!primaryUser.selfCertification.features ||
-        !(primaryUser.selfCertification.features[0] & enums.features.aead)) {
+    const selfSignature = await key.getPrimarySelfSignature(date, userIDs[i], config);
+    if (!selfSignature.features ||
+        !(selfSignature.features[0] & feature)) {
       supported = false;
     }
   }));
@@ -347,12 +483,22 @@ export function sanitizeKeyOptions(options, subkeyDefaults = {}) {
       if (options.curve === enums.curve.ed25519 || options.curve === enums.curve.curve25519) {
         options.curve = options.sign ? enums.curve.ed25519 : enums.curve.curve25519;
       }
+      if (options.curve === enums.curve.ed448 || options.curve === enums.curve.curve448) {
+        options.curve = options.sign ? enums.curve.ed448 : enums.curve.curve448;
+      }
       if (options.sign) {
-        options.algorithm = options.curve === enums.curve.ed25519 ? enums.publicKey.eddsa : enums.publicKey.ecdsa;
+        options.algorithm = options.curve === enums.curve.ed25519 || options.curve === enums.curve.ed448 ?
+          enums.publicKey.eddsa : enums.publicKey.ecdsa;
       } else {
         options.algorithm = enums.publicKey.ecdh;
       }
       break;
+    case 'curve25519':
+      options.algorithm = options.sign ? enums.publicKey.ed25519 : enums.publicKey.x25519;
+      break;
+    case 'curve448':
+      options.algorithm = options.sign ? enums.publicKey.ed448 : enums.publicKey.x448;
+      break;
     case 'rsa':
       options.algorithm = enums.publicKey.rsaEncryptSign;
       break;
@@ -367,6 +513,8 @@ export function isValidSigningKeyPacket(keyPacket, signature) {
   return keyAlgo !== enums.publicKey.rsaEncrypt &&
     keyAlgo !== enums.publicKey.elgamal &&
     keyAlgo !== enums.publicKey.ecdh &&
+    keyAlgo !== enums.publicKey.x25519 &&
+    keyAlgo !== enums.publicKey.x448 &&
     (!signature.keyFlags ||
       (signature.keyFlags[0] & enums.keyFlags.signData) !== 0);
 }
@@ -377,6 +525,8 @@ export function isValidEncryptionKeyPacket(keyPacket, signature) {
     keyAlgo !== enums.publicKey.rsaSign &&
     keyAlgo !== enums.publicKey.ecdsa &&
     keyAlgo !== enums.publicKey.eddsa &&
+    keyAlgo !== enums.publicKey.ed25519 &&
+    keyAlgo !== enums.publicKey.ed448 &&
     (!signature.keyFlags ||
       (signature.keyFlags[0] & enums.keyFlags.encryptCommunication) !== 0 ||
       (signature.keyFlags[0] & enums.keyFlags.encryptStorage) !== 0);
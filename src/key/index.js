@@ -3,6 +3,8 @@ import {
   readKeys,
   readPrivateKey,
   readPrivateKeys,
+  readKeysStream,
+  writeKeys,
   generate,
   reformat
 } from './factory';
@@ -10,10 +12,14 @@ import {
 import {
   getPreferredAlgo,
   isAEADSupported,
+  isSEIPDv2Supported,
   getPreferredHashAlgo,
   createSignaturePacket
 } from './helper';
 
+import computeValidity from './trust_model';
+import mergeKeys from './merge';
+
 import PrivateKey from './private_key.js';
 import PublicKey from './public_key.js';
 import Subkey from './subkey.js';
@@ -23,12 +29,17 @@ export {
   readKeys,
   readPrivateKey,
   readPrivateKeys,
+  readKeysStream,
+  writeKeys,
   generate,
   reformat,
   getPreferredAlgo,
   isAEADSupported,
+  isSEIPDv2Supported,
   getPreferredHashAlgo,
   createSignaturePacket,
+  computeValidity,
+  mergeKeys,
   PrivateKey,
   PublicKey,
   Subkey
@@ -51,11 +51,15 @@ class Key {
     let user;
     let primaryKeyID;
     let subkey;
+    // The key component and signature that a following trust packet refers to
+    let trustTarget = null;
     for (const packet of packetlist) {
       const tag = packet.constructor.tag;
       if (disallowedPackets.has(tag)) {
         throw new Error(`Unexpected packet type: ${tag}`);
       }
+      const previousTrustTarget = trustTarget;
+      trustTarget = null;
       switch (tag) {
         case enums.packet.publicKey:
         case enums.packet.secretKey:
@@ -67,17 +71,20 @@ class Key {
           if (!primaryKeyID) {
             throw new Error('Missing Key ID');
           }
+          trustTarget = { component: this };
           break;
         case enums.packet.userID:
         case enums.packet.userAttribute:
           user = new User(packet, this);
           this.users.push(user);
+          trustTarget = { component: user };
           break;
         case enums.packet.publicSubkey:
         case enums.packet.secretSubkey:
           user = null;
           subkey = new Subkey(packet, this);
           this.subkeys.push(subkey);
+          trustTarget = { component: subkey };
           break;
         case enums.packet.signature:
           switch (packet.signatureType) {
@@ -94,16 +101,20 @@ class Key {
               } else {
                 user.otherCertifications.push(packet);
               }
+              trustTarget = { component: user, signature: packet };
               break;
             case enums.signature.certRevocation:
               if (user) {
                 user.revocationSignatures.push(packet);
+                trustTarget = { component: user, signature: packet };
               } else {
                 this.directSignatures.push(packet);
+                trustTarget = { component: this, signature: packet };
               }
               break;
             case enums.signature.key:
               this.directSignatures.push(packet);
+              trustTarget = { component: this, signature: packet };
               break;
             case enums.signature.subkeyBinding:
               if (!subkey) {
@@ -111,9 +122,11 @@ class Key {
                 continue;
               }
               subkey.bindingSignatures.push(packet);
+              trustTarget = { component: subkey, signature: packet };
               break;
             case enums.signature.keyRevocation:
               this.revocationSignatures.push(packet);
+              trustTarget = { component: this, signature: packet };
               break;
             case enums.signature.subkeyRevocation:
               if (!subkey) {
@@ -121,24 +134,40 @@ class Key {
                 continue;
               }
               subkey.revocationSignatures.push(packet);
+              trustTarget = { component: subkey, signature: packet };
               break;
           }
           break;
+        case enums.packet.trust:
+          if (!previousTrustTarget) {
+            util.printDebug('Dropping trust packet without preceding key, user or signature packet');
+            continue;
+          }
+          if (previousTrustTarget.signature) {
+            previousTrustTarget.component.signatureTrust.set(previousTrustTarget.signature, packet);
+          } else {
+            previousTrustTarget.component.trust = packet;
+          }
+          break;
       }
     }
   }
 
   /**
    * Transforms structured key data to packetlist
+   * @param {Boolean} [includeTrustPackets=false] - Whether to include the trust packets of a local keyring
    * @returns {PacketList} The packets that form a key.
    */
-  toPacketList() {
-    const packetlist = new PacketList();
+  toPacketList(includeTrustPackets = false) {
+    let packetlist = new PacketList();
     packetlist.push(this.keyPacket);
     packetlist.push(...this.revocationSignatures);
     packetlist.push(...this.directSignatures);
-    this.users.map(user => packetlist.push(...user.toPacketList()));
-    this.subkeys.map(subkey => packetlist.push(...subkey.toPacketList()));
+    if (includeTrustPackets) {
+      packetlist = helper.addTrustPackets(packetlist, this);
+    }
+    this.users.map(user => packetlist.push(...user.toPacketList(includeTrustPackets)));
+    this.subkeys.map(subkey => packetlist.push(...subkey.toPacketList(includeTrustPackets)));
     return packetlist;
   }
 
@@ -148,7 +177,7 @@ class Key {
    * @returns {Promise<Key>} Clone of the key.
    */
   clone(deep = false) {
-    const key = new this.constructor(this.toPacketList());
+    const key = new this.constructor(this.toPacketList(true));
     if (deep) {
       key.getKeys().forEach(k => {
         // shallow clone the key packets
@@ -215,10 +244,11 @@ class Key {
 
   /**
    * Returns binary encoded key
+   * @param {Boolean} [includeTrustPackets=false] - Whether to include trust packets, when writing to a local keyring
    * @returns {Uint8Array} Binary key.
    */
-  write() {
-    return this.toPacketList().write();
+  write(includeTrustPackets = false) {
+    return this.toPacketList(includeTrustPackets).write();
   }
 
   /**
@@ -227,12 +257,14 @@ class Key {
    * @param  {Date} [date] - use the fiven date date to  to check key validity instead of the current date
    * @param  {Object} [userID] - filter keys for the given user ID
    * @param  {Object} [config] - Full configuration, defaults to openpgp.config
+   * @param  {Object} [options]
+   * @param  {Array<Key>} [options.designatedRevokerKeys] - Keys of designated revokers of this key, to verify their revocations with
    * @returns {Promise<Key|Subkey>} signing key
    * @throws if no valid signing key was found
    * @async
    */
-  async getSigningKey(keyID = null, date = new Date(), userID = {}, config = defaultConfig) {
-    await this.verifyPrimaryKey(date, userID, config);
+  async getSigningKey(keyID = null, date = new Date(), userID = {}, config = defaultConfig, options) {
+    await this.verifyPrimaryKey(date, userID, config, options);
     const primaryKey = this.keyPacket;
     const subkeys = this.subkeys.slice().sort((a, b) => b.keyPacket.created - a.keyPacket.created);
     let exception;
@@ -263,9 +295,9 @@ class Key {
     }
 
     try {
-      const primaryUser = await this.getPrimaryUser(date, userID, config);
+      const selfSignature = await this.getPrimarySelfSignature(date, userID, config);
       if ((!keyID || primaryKey.getKeyID().equals(keyID)) &&
-          helper.isValidSigningKeyPacket(primaryKey, primaryUser.selfCertification, config)) {
+          helper.isValidSigningKeyPacket(primaryKey, selfSignature, config)) {
         helper.checkKeyRequirements(primaryKey, config);
         return this;
       }
@@ -281,12 +313,14 @@ class Key {
    * @param  {Date}   [date] - use the fiven date date to  to check key validity instead of the current date
    * @param  {Object} [userID] - filter keys for the given user ID
    * @param  {Object} [config] - Full configuration, defaults to openpgp.config
+   * @param  {Object} [options]
+   * @param  {Array<Key>} [options.designatedRevokerKeys] - Keys of designated revokers of this key, to verify their revocations with
    * @returns {Promise<Key|Subkey>} encryption key
    * @throws if no valid encryption key was found
    * @async
    */
-  async getEncryptionKey(keyID, date = new Date(), userID = {}, config = defaultConfig) {
-    await this.verifyPrimaryKey(date, userID, config);
+  async getEncryptionKey(keyID, date = new Date(), userID = {}, config = defaultConfig, options) {
+    await this.verifyPrimaryKey(date, userID, config, options);
     const primaryKey = this.keyPacket;
     // V4: by convention subkeys are preferred for encryption service
     const subkeys = this.subkeys.slice().sort((a, b) => b.keyPacket.created - a.keyPacket.created);
@@ -309,9 +343,9 @@ class Key {
 
     try {
       // if no valid subkey for encryption, evaluate primary key
-      const primaryUser = await this.getPrimaryUser(date, userID, config);
+      const selfSignature = await this.getPrimarySelfSignature(date, userID, config);
       if ((!keyID || primaryKey.getKeyID().equals(keyID)) &&
-          helper.isValidEncryptionKeyPacket(primaryKey, primaryUser.selfCertification)) {
+          helper.isValidEncryptionKeyPacket(primaryKey, selfSignature)) {
         helper.checkKeyRequirements(primaryKey, config);
         return this;
       }
@@ -322,7 +356,10 @@ class Key {
   }
 
   /**
-   * Checks if a signature on a key is revoked
+   * Checks if a signature on a key is revoked.
+   * If no signature is given, checks whether the key itself is revoked. Revocations issued by
+   * a designated revoker can only be verified with the revoker's key, and are ignored unless it is given
+   * in `options.designatedRevokerKeys`, see {@link Key#getDesignatedRevocations}.
    * @param {SignaturePacket} signature - The signature to verify
    * @param  {PublicSubkeyPacket|
    *          SecretSubkeyPacket|
@@ -330,32 +367,132 @@ class Key {
    *          SecretKeyPacket} key, optional The key to verify the signature
    * @param {Date} [date] - Use the given date for verification, instead of the current time
    * @param {Object} [config] - Full configuration, defaults to openpgp.config
+   * @param {Object} [options]
+   * @param {Array<Key>} [options.designatedRevokerKeys] - Keys of designated revokers of this key, to verify their revocations with
    * @returns {Promise<Boolean>} True if the certificate is revoked.
    * @async
    */
-  async isRevoked(signature, key, date = new Date(), config = defaultConfig) {
+  async isRevoked(signature, key, date = new Date(), config = defaultConfig, { designatedRevokerKeys = [] } = {}) {
+    const designatedRevokers = !signature && designatedRevokerKeys.length ?
+      (await this.getDesignatedRevokers(date, config)).map(({ fingerprint }) => fingerprint) :
+      [];
     return helper.isDataRevoked(
-      this.keyPacket, enums.signature.keyRevocation, { key: this.keyPacket }, this.revocationSignatures, signature, key, date, config
+      this.keyPacket, enums.signature.keyRevocation, { key: this.keyPacket }, this.revocationSignatures, signature, key, date, config,
+      designatedRevokers, designatedRevokerKeys
     );
   }
 
+  /**
+   * Returns the keys authorized to revoke this key, as listed in its valid direct-key signatures
+   * @param {Date} [date] - Use the given date for verification instead of the current time
+   * @param {Object} [config] - Full configuration, defaults to openpgp.config
+   * @returns {Promise<Array<{
+   *   fingerprint: String,
+   *   algorithm: module:enums.publicKey
+   * }>>} Fingerprints and algorithms of the designated revokers.
+   * @async
+   */
+  async getDesignatedRevokers(date = new Date(), config = defaultConfig) {
+    const primaryKey = this.keyPacket;
+    const designatedRevokers = [];
+    await Promise.all(this.directSignatures.map(async signature => {
+      if (signature.revocationKeyClass === null || !(signature.revocationKeyClass & 0x80)) {
+        return;
+      }
+      try {
+        await signature.verify(primaryKey, enums.signature.key, { key: primaryKey }, date, undefined, config);
+      } catch (e) {
+        return;
+      }
+      const fingerprint = util.uint8ArrayToHex(signature.revocationKeyFingerprint);
+      if (!designatedRevokers.some(revoker => revoker.fingerprint === fingerprint)) {
+        designatedRevokers.push({ fingerprint, algorithm: signature.revocationKeyAlgorithm });
+      }
+    }));
+    return designatedRevokers;
+  }
+
+  /**
+   * Returns the revocation signatures of this key that claim to be issued by one of its designated revokers.
+   * These can only be verified with the revoker key, so they are not taken into account when checking
+   * whether the key is revoked unless that key is given, see {@link Key#verifyPrimaryKey}.
+   * @param {Date} [date] - Use the given date for verification instead of the current time
+   * @param {Object} [config] - Full configuration, defaults to openpgp.config
+   * @returns {Promise<Array<{
+   *   fingerprint: String,
+   *   signature: SignaturePacket
+   * }>>} Fingerprints of the designated revokers and their (unverified) revocation signatures.
+   * @async
+   */
+  async getDesignatedRevocations(date = new Date(), config = defaultConfig) {
+    const designatedRevokers = await this.getDesignatedRevokers(date, config);
+    const designatedRevocations = [];
+    this.revocationSignatures.forEach(signature => {
+      const revoker = designatedRevokers.find(({ fingerprint }) => helper.isIssuedBy(signature, fingerprint));
+      if (revoker) {
+        designatedRevocations.push({ fingerprint: revoker.fingerprint, signature });
+      }
+    });
+    return designatedRevocations;
+  }
+
+  /**
+   * Revokes the key on behalf of one of its designated revokers.
+   * This does not require the private key of the revoked key.
+   * @param {PrivateKey} designatedRevoker - Decrypted private key of the designated revoker
+   * @param {Object} reasonForRevocation - optional, object indicating the reason for revocation
+   * @param  {module:enums.reasonForRevocation} reasonForRevocation.flag optional, flag indicating the reason for revocation
+   * @param  {String} reasonForRevocation.string optional, string explaining the reason for revocation
+   * @param {Date} date - optional, override the creationtime of the revocation signature
+   * @param {Object} [config] - Full configuration, defaults to openpgp.config
+   * @returns {Promise<Key>} New key with revocation signature.
+   * @async
+   */
+  async revokeWithDesignatedRevoker(
+    designatedRevoker,
+    {
+      flag: reasonForRevocationFlag = enums.reasonForRevocation.noReason,
+      string: reasonForRevocationString = ''
+    } = {},
+    date = new Date(),
+    config = defaultConfig
+  ) {
+    if (!designatedRevoker.isPrivate()) {
+      throw new Error('Need private key for revoking');
+    }
+    const designatedRevokers = await this.getDesignatedRevokers(date, config);
+    if (!designatedRevokers.some(({ fingerprint }) => fingerprint === designatedRevoker.getFingerprint())) {
+      throw new Error('The given key is not a designated revoker of this key');
+    }
+    const key = this.clone();
+    key.revocationSignatures.push(await helper.createSignaturePacket({ key: this.keyPacket }, designatedRevoker, designatedRevoker.keyPacket, {
+      signatureType: enums.signature.keyRevocation,
+      reasonForRevocationFlag: enums.write(enums.reasonForRevocation, reasonForRevocationFlag),
+      reasonForRevocationString
+    }, date, undefined, undefined, config));
+    return key;
+  }
+
   /**
    * Verify primary key. Checks for revocation signatures, expiration time
    * and valid self signature. Throws if the primary key is invalid.
    * @param {Date} [date] - Use the given date for verification instead of the current time
    * @param {Object} [userID] - User ID
    * @param {Object} [config] - Full configuration, defaults to openpgp.config
+   * @param {Object} [options]
+   * @param {Array<Key>} [options.designatedRevokerKeys] - Keys of designated revokers of this key, to verify their revocations with.
+   *   Revocations by designated revokers are ignored unless the revoker key is given
    * @throws {Error} If key verification failed
    * @async
    */
-  async verifyPrimaryKey(date = new Date(), userID = {}, config = defaultConfig) {
+  async verifyPrimaryKey(date = new Date(), userID = {}, config = defaultConfig, options) {
     const primaryKey = this.keyPacket;
     // check for key revocation signatures
-    if (await this.isRevoked(null, null, date, config)) {
+    if (await this.isRevoked(null, null, date, config, options)) {
       throw new Error('Primary key is revoked');
     }
     // check for valid, unrevoked, unexpired self signature
-    const { selfCertification } = await this.getPrimaryUser(date, userID, config);
+    const selfCertification = await this.getPrimarySelfSignature(date, userID, config);
     // check for expiration time in binding signatures
     if (helper.isDataExpired(primaryKey, selfCertification, date)) {
       throw new Error('Primary key is expired');
@@ -381,7 +518,7 @@ class Key {
   async getExpirationTime(userID, config = defaultConfig) {
     let primaryKeyExpiry;
     try {
-      const { selfCertification } = await this.getPrimaryUser(null, userID, config);
+      const selfCertification = await this.getPrimarySelfSignature(null, userID, config);
       const selfSigKeyExpiry = helper.getKeyExpirationTime(this.keyPacket, selfCertification);
       const selfSigExpiry = selfCertification.getExpirationTime();
       const directSignature = await helper.getLatestValidSignature(
@@ -459,6 +596,32 @@ class Key {
     return primaryUser;
   }
 
+  /**
+   * Returns the self signature holding the key flags, preferences and expiration time of the primary key:
+   * for v6 keys, the latest valid direct-key signature if there is one, as required by
+   * {@link https://www.rfc-editor.org/rfc/rfc9580.html#section-5.2.3.10|RFC9580 5.2.3.10}.
+   * Otherwise, the self-certification of the primary user.
+   * @param {Date} [date] - Use the given date for verification instead of the current time
+   * @param {Object} [userID] - User ID to consider instead of the primary user, for keys without such direct-key signature
+   * @param {Object} [config] - Full configuration, defaults to openpgp.config
+   * @returns {Promise<SignaturePacket>}
+   * @throws {Error} if no valid self signature was found
+   * @async
+   */
+  async getPrimarySelfSignature(date = new Date(), userID = {}, config = defaultConfig) {
+    const primaryKey = this.keyPacket;
+    if (primaryKey.version === 6) {
+      const directSignature = await helper.getLatestValidSignature(
+        this.directSignatures, primaryKey, enums.signature.key, { key: primaryKey }, date, config
+      ).catch(() => {});
+      if (directSignature) {
+        return directSignature;
+      }
+    }
+    const { selfCertification } = await this.getPrimaryUser(date, userID, config);
+    return selfCertification;
+  }
+
   /**
    * Update key with new components from specified key with same key ID:
    * users, subkeys, certificates are merged into the destination key,
@@ -469,10 +632,13 @@ class Key {
    * @param {Key} sourceKey - Source key to merge
    * @param {Date} [date] - Date to verify validity of signatures and keys
    * @param {Object} [config] - Full configuration, defaults to openpgp.config
+   * @param {Object} [options]
+   * @param {Array<Key>} [options.designatedRevokerKeys] - Keys of designated revokers of this key, to verify their revocations with.
+   *   Revocations by designated revokers are only merged if the revoker key is given
    * @returns {Promise<Key>} updated key
    * @async
    */
-  async update(sourceKey, date = new Date(), config = defaultConfig) {
+  async update(sourceKey, date = new Date(), config = defaultConfig, { designatedRevokerKeys = [] } = {}) {
     if (!this.hasSameFingerprintAs(sourceKey)) {
       throw new Error('Primary key fingerprints must be equal to update the key');
     }
@@ -488,7 +654,7 @@ class Key {
         throw new Error('Cannot update public key with private key if subkeys mismatch');
       }
 
-      return sourceKey.update(this, config);
+      return sourceKey.update(this, date, config, { designatedRevokerKeys });
     }
     // from here on, either:
     // - destination key is private, source key is public
@@ -496,9 +662,16 @@ class Key {
     // hence we don't need to convert the destination key type
     const updatedKey = this.clone();
     // revocation signatures
-    await helper.mergeSignatures(sourceKey, updatedKey, 'revocationSignatures', date, srcRevSig => {
-      return helper.isDataRevoked(updatedKey.keyPacket, enums.signature.keyRevocation, updatedKey, [srcRevSig], null, sourceKey.keyPacket, date, config);
-    });
+    const designatedRevokers = designatedRevokerKeys.length ?
+      (await updatedKey.getDesignatedRevokers(date, config)).map(({ fingerprint }) => fingerprint) :
+      [];
+    await helper.mergeSignatures(sourceKey, updatedKey, 'revocationSignatures', date, srcRevSig => (
+      // revocations by designated revokers are only merged if they can be verified with the given revoker keys
+      helper.isDataRevoked(
+        updatedKey.keyPacket, enums.signature.keyRevocation, { key: updatedKey.keyPacket }, [srcRevSig], null, sourceKey.keyPacket, date, config,
+        designatedRevokers, designatedRevokerKeys
+      )
+    ));
     // direct signatures
     await helper.mergeSignatures(sourceKey, updatedKey, 'directSignatures', date);
     // update users
@@ -535,10 +708,89 @@ class Key {
         updatedKey.subkeys.push(newSubkey);
       }
     }));
+    helper.mergeTrustPackets(sourceKey, updatedKey);
 
     return updatedKey;
   }
 
+  /**
+   * Returns a minimized copy of the key, e.g. for embedding in Autocrypt headers or QR codes,
+   * similarly to the `export-clean` and `export-minimal` options of GnuPG.
+   * User IDs and subkeys without a valid self-signature are always removed, as are invalid self-signatures
+   * and revocations, so that the resulting key remains valid.
+   * Key revocations issued by other keys (i.e. designated revokers) are kept, since they cannot be verified here.
+   * @param {Object} [options]
+   * @param {Boolean} [options.removeExpiredSubkeys=true] - Whether to remove subkeys that are expired or revoked
+   * @param {Boolean} [options.keepOnlyLatestSelfSig=true] - Whether to only keep the latest valid self-signature
+   *   of each user ID and subkey, and the latest valid direct-key signature (plus those declaring designated revokers)
+   * @param {Boolean} [options.dropThirdPartySigs=false] - Whether to remove the certifications of the user IDs made by other keys
+   * @param {Date} [date] - Use the given date for verification instead of the current time
+   * @param {Object} [config] - Full configuration, defaults to openpgp.config
+   * @returns {Promise<Key>} Cleaned key.
+   * @throws {Error} if none of the user IDs of the key is valid
+   * @async
+   */
+  async clean({ removeExpiredSubkeys = true, keepOnlyLatestSelfSig = true, dropThirdPartySigs = false } = {}, date = new Date(), config = defaultConfig) {
+    const key = this.clone();
+    const primaryKey = key.keyPacket;
+    const primaryKeyID = key.getKeyID();
+    // key revocations by designated revokers cannot be verified without the revoker key
+    key.revocationSignatures = (await helper.getValidSignatures(
+      key.revocationSignatures, primaryKey, enums.signature.keyRevocation, { key: primaryKey }, date, config
+    )).concat(key.revocationSignatures.filter(signature => !signature.issuerKeyID.equals(primaryKeyID)));
+    const directSignatures = await helper.getValidSignatures(key.directSignatures, primaryKey, enums.signature.key, { key: primaryKey }, date, config);
+    if (keepOnlyLatestSelfSig && directSignatures.length) {
+      const latestDirectSignature = await helper.getLatestValidSignature(directSignatures, primaryKey, enums.signature.key, { key: primaryKey }, date, config);
+      key.directSignatures = directSignatures.filter(signature => signature === latestDirectSignature || signature.revocationKeyClass !== null);
+    } else {
+      key.directSignatures = directSignatures;
+    }
+
+    const users = [];
+    for (const user of key.users) {
+      const dataToVerify = { userID: user.userID, userAttribute: user.userAttribute, key: primaryKey };
+      const selfCertifications = await helper.getValidSignatures(user.selfCertifications, primaryKey, enums.signature.certGeneric, dataToVerify, date, config);
+      if (!selfCertifications.length) {
+        continue;
+      }
+      user.selfCertifications = keepOnlyLatestSelfSig ?
+        [await helper.getLatestValidSignature(selfCertifications, primaryKey, enums.signature.certGeneric, dataToVerify, date, config)] :
+        selfCertifications;
+      user.revocationSignatures = await helper.getValidSignatures(user.revocationSignatures, primaryKey, enums.signature.certRevocation, dataToVerify, date, config);
+      if (dropThirdPartySigs) {
+        user.otherCertifications = [];
+      }
+      users.push(user);
+    }
+    if (key.users.length && !users.length) {
+      throw new Error('Could not find valid user ID in key ' + primaryKeyID.toHex());
+    }
+    key.users = users;
+
+    const subkeys = [];
+    for (const subkey of key.subkeys) {
+      if (removeExpiredSubkeys) {
+        try {
+          await subkey.verify(date, config);
+        } catch (e) {
+          continue;
+        }
+      }
+      const dataToVerify = { key: primaryKey, bind: subkey.keyPacket };
+      const bindingSignatures = await helper.getValidSignatures(subkey.bindingSignatures, primaryKey, enums.signature.subkeyBinding, dataToVerify, date, config);
+      if (!bindingSignatures.length) {
+        continue;
+      }
+      subkey.bindingSignatures = keepOnlyLatestSelfSig ?
+        [await helper.getLatestValidSignature(bindingSignatures, primaryKey, enums.signature.subkeyBinding, dataToVerify, date, config)] :
+        bindingSignatures;
+      subkey.revocationSignatures = await helper.getValidSignatures(subkey.revocationSignatures, primaryKey, enums.signature.subkeyRevocation, dataToVerify, date, config);
+      subkeys.push(subkey);
+    }
+    key.subkeys = subkeys;
+    return key;
+  }
+
   /**
    * Get revocation certificate from a revoked key.
    *   (To get a revocation certificate for an unrevoked key, call revoke() first.)
@@ -591,12 +843,13 @@ class Key {
    * @param {Date} [date] - Use the given date for verification instead of the current time
    * @param {Object} [userID] - User ID to get instead of the primary user, if it exists
    * @param {Object} [config] - Full configuration, defaults to openpgp.config
+   * @param {Object} [options] - Trust signature options, see {@link User#certify}
    * @returns {Promise<Key>} Key with new certificate signature.
    * @async
    */
-  async signPrimaryUser(privateKeys, date, userID, config = defaultConfig) {
+  async signPrimaryUser(privateKeys, date, userID, config = defaultConfig, options) {
     const { index, user } = await this.getPrimaryUser(date, userID, config);
-    const userSign = await user.certify(privateKeys, date, config);
+    const userSign = await user.certify(privateKeys, date, config, options);
     const key = this.clone();
     key.users[index] = userSign;
     return key;
@@ -607,13 +860,14 @@ class Key {
    * @param {Array<PrivateKey>} privateKeys - decrypted private keys for signing
    * @param {Date} [date] - Use the given date for signing, instead of the current time
    * @param {Object} [config] - Full configuration, defaults to openpgp.config
+   * @param {Object} [options] - Trust signature options, see {@link User#certify}
    * @returns {Promise<Key>} Key with new certificate signature.
    * @async
    */
-  async signAllUsers(privateKeys, date = new Date(), config = defaultConfig) {
+  async signAllUsers(privateKeys, date = new Date(), config = defaultConfig, options) {
     const key = this.clone();
     key.users = await Promise.all(this.users.map(function(user) {
-      return user.certify(privateKeys, date, config);
+      return user.certify(privateKeys, date, config, options);
     }));
     return key;
   }
@@ -0,0 +1,247 @@
+/**
+ * @fileoverview Merging of copies of the same certificates, e.g. as received from different keyservers.
+ * @module key/merge
+ */
+
+import { createKey } from './key';
+import { mergeTrustPackets } from './helper';
+import enums from '../enums';
+import util from '../util';
+import defaultConfig from '../config';
+
+/**
+ * Returns a byte string identifying the signature, regardless of how its packet was encoded
+ * or which unhashed subpackets were added to it
+ * @param {SignaturePacket} signature
+ * @returns {String}
+ */
+function getSignatureID(signature) {
+  return util.uint8ArrayToString(util.concatUint8Array([signature.signatureData, signature.writeParams()]));
+}
+
+function compareSignatures(a, b) {
+  return (a.created - b.created) || compareStrings(getSignatureID(a), getSignatureID(b));
+}
+
+function compareStrings(a, b) {
+  return a < b ? -1 : a > b ? 1 : 0; // eslint-disable-line no-nested-ternary
+}
+
+/**
+ * Returns the user ID or user attribute packet of the user, serialized for comparison
+ * @param {User} user
+ * @returns {String}
+ */
+function getUserIdentifier(user) {
+  return user.userID ? '0' + user.userID.userID : '1' + util.uint8ArrayToString(user.userAttribute.write());
+}
+
+/**
+ * Returns whether the signature has an issuer key ID or fingerprint subpacket
+ * @param {SignaturePacket} signature
+ * @returns {Boolean}
+ */
+function hasIssuer(signature) {
+  return !signature.issuerKeyID.isNull() || signature.issuerFingerprint !== null;
+}
+
+/**
+ * Returns the signature lists of a key, and of its users and subkeys, together with the
+ * signature type and data needed to verify the signatures made by the primary key
+ * @param {Key} key
+ * @returns {Array<Object>}
+ */
+function getSignatureLists(key) {
+  const primaryKey = key.keyPacket;
+  const lists = [
+    { component: key, attr: 'revocationSignatures', dataToVerify: { key: primaryKey } },
+    { component: key, attr: 'directSignatures', dataToVerify: { key: primaryKey } }
+  ];
+  key.users.forEach(user => {
+    const dataToVerify = { userID: user.userID, userAttribute: user.userAttribute, key: primaryKey };
+    ['selfCertifications', 'otherCertifications', 'revocationSignatures'].forEach(attr => {
+      lists.push({ component: user, attr, dataToVerify });
+    });
+  });
+  key.subkeys.forEach(subkey => {
+    const dataToVerify = { key: primaryKey, bind: subkey.keyPacket };
+    ['bindingSignatures', 'revocationSignatures'].forEach(attr => {
+      lists.push({ component: subkey, attr, dataToVerify });
+    });
+  });
+  return lists;
+}
+
+/**
+ * Adds the components and signatures of the source key to the destination key, without any checks
+ * @param {Key} source
+ * @param {Key} dest
+ */
+function addComponents(source, dest) {
+  dest.revocationSignatures.push(...source.revocationSignatures);
+  dest.directSignatures.push(...source.directSignatures);
+  mergeTrustPackets(source, dest);
+  source.users.forEach(srcUser => {
+    const destUser = dest.users.find(user => (
+      (srcUser.userID && srcUser.userID.equals(user.userID)) ||
+      (srcUser.userAttribute && srcUser.userAttribute.equals(user.userAttribute))
+    ));
+    if (destUser) {
+      destUser.selfCertifications.push(...srcUser.selfCertifications);
+      destUser.otherCertifications.push(...srcUser.otherCertifications);
+      destUser.revocationSignatures.push(...srcUser.revocationSignatures);
+      mergeTrustPackets(srcUser, destUser);
+    } else {
+      const newUser = srcUser.clone();
+      newUser.mainKey = dest;
+      dest.users.push(newUser);
+    }
+  });
+  source.subkeys.forEach(srcSubkey => {
+    const destSubkey = dest.subkeys.find(subkey => subkey.hasSameFingerprintAs(srcSubkey));
+    if (destSubkey) {
+      if (destSubkey.keyPacket.constructor.tag === enums.packet.publicSubkey &&
+          srcSubkey.keyPacket.constructor.tag === enums.packet.secretSubkey) {
+        destSubkey.keyPacket = srcSubkey.keyPacket;
+      }
+      destSubkey.bindingSignatures.push(...srcSubkey.bindingSignatures);
+      destSubkey.revocationSignatures.push(...srcSubkey.revocationSignatures);
+      mergeTrustPackets(srcSubkey, destSubkey);
+    } else {
+      const newSubkey = srcSubkey.clone();
+      newSubkey.mainKey = dest;
+      dest.subkeys.push(newSubkey);
+    }
+  });
+}
+
+/**
+ * Checks whether the signature was made by the primary key, and does not verify.
+ * Signatures by other keys cannot be verified here, and are not considered invalid.
+ * @returns {Promise<Boolean>}
+ */
+async function isInvalidSelfSignature(signature, primaryKey, dataToVerify, config) {
+  if (!signature.issuerKeyID.equals(primaryKey.getKeyID())) {
+    return false;
+  }
+  try {
+    // expiration is checked separately
+    await signature.verify(primaryKey, signature.signatureType, dataToVerify, null, undefined, config);
+    return false;
+  } catch (e) {
+    return true;
+  }
+}
+
+/**
+ * Merges all copies of the same certificates in the given list, e.g. as fetched from different keyservers.
+ * Keys are grouped by primary key fingerprint, and the users, subkeys and signatures of each group are merged.
+ * Duplicate signatures are collapsed even if encoded differently, keeping a copy with issuer information if any.
+ * Users are kept in order of first occurrence, since the order may decide the primary user on ties,
+ * while subkeys and signatures are sorted in a canonical order (by creation time and content).
+ * If any of the copies is a private key, the result is a private key.
+ * @param {Array<Key>} keys - Keys to merge
+ * @param {Object} [options]
+ * @param {Boolean} [options.dropInvalid=false] - Whether to drop signatures made by the primary key that do not verify.
+ *   Signatures made by other keys (third-party certifications) are kept, as they cannot be verified here.
+ * @param {Boolean} [options.dropExpired=false] - Whether to drop expired signatures
+ * @param {Date} [options.date=current date] - Use the given date instead of the current time to check for expiration
+ * @param {Object} [options.config] - Custom configuration settings to overwrite those in [config]{@link module:config}
+ * @returns {Promise<{ keys: Array<Key>, changes: Array<Object> }>} The merged keys, in order of first occurrence,
+ *   and for each of them a summary of the changes compared with its first copy in the input, in the form:
+ *
+ *     {
+ *       fingerprint: String,
+ *       mergedCount: Integer, (number of copies merged)
+ *       addedUsers: Integer,
+ *       addedSubkeys: Integer,
+ *       addedSignatures: Integer,
+ *       duplicateSignatures: Integer, (number of duplicate signatures collapsed)
+ *       invalidSignatures: Integer, (number of signatures dropped by `dropInvalid`)
+ *       expiredSignatures: Integer, (number of signatures dropped by `dropExpired`)
+ *       changed: Boolean (whether the serialized key differs from its first copy)
+ *     }
+ * @async
+ * @static
+ */
+export default async function mergeKeys(keys, { dropInvalid = false, dropExpired = false, date = new Date(), config, ...rest } = {}) {
+  config = { ...defaultConfig, ...config };
+  if (!util.isArray(keys)) {
+    throw new Error('mergeKeys: `keys` must be an array of keys');
+  }
+  const unknownOptions = Object.keys(rest); if (unknownOptions.length > 0) throw new Error(`Unknown option: ${unknownOptions.join(', ')}`);
+
+  const groups = new Map();
+  keys.forEach(key => {
+    const fingerprint = key.getFingerprint();
+    if (!groups.has(fingerprint)) {
+      groups.set(fingerprint, []);
+    }
+    groups.get(fingerprint).push(key);
+  });
+
+  const mergedKeys = [];
+  const changes = [];
+  for (const [fingerprint, copies] of groups) {
+    const [firstCopy] = copies;
+    const firstCopySignatures = new Set(getSignatureLists(firstCopy).flatMap(({ component, attr }) => component[attr]).map(getSignatureID));
+    // start from a private copy, if any
+    const base = copies.find(key => key.isPrivate()) || firstCopy;
+    const merged = createKey(base.toPacketList(true));
+    copies.filter(key => key !== base).forEach(key => addComponents(key, merged));
+
+    const summary = {
+      fingerprint,
+      mergedCount: copies.length,
+      addedUsers: merged.users.filter(user => !firstCopy.users.some(({ userID, userAttribute }) => (
+        (user.userID && user.userID.equals(userID)) || (user.userAttribute && user.userAttribute.equals(userAttribute))
+      ))).length,
+      addedSubkeys: merged.subkeys.filter(subkey => !firstCopy.subkeys.some(other => other.hasSameFingerprintAs(subkey))).length,
+      addedSignatures: 0,
+      duplicateSignatures: 0,
+      invalidSignatures: 0,
+      expiredSignatures: 0
+    };
+
+    for (const { component, attr, dataToVerify } of getSignatureLists(merged)) {
+      // the issuer subpackets may be unhashed, so they are not part of the signature ID
+      const unique = new Map();
+      for (const signature of component[attr]) {
+        const id = getSignatureID(signature);
+        const kept = unique.get(id);
+        if (!kept) {
+          unique.set(id, signature);
+          continue;
+        }
+        summary.duplicateSignatures++;
+        if (!hasIssuer(kept) && hasIssuer(signature)) {
+          unique.set(id, signature);
+        }
+      }
+      const signatures = [];
+      for (const [id, signature] of unique) {
+        if (dropExpired && signature.isExpired(date)) {
+          summary.expiredSignatures++;
+          continue;
+        }
+        if (dropInvalid && await isInvalidSelfSignature(signature, merged.keyPacket, dataToVerify, config)) {
+          summary.invalidSignatures++;
+          continue;
+        }
+        if (!firstCopySignatures.has(id)) {
+          summary.addedSignatures++;
+        }
+        signatures.push(signature);
+      }
+      component[attr] = signatures.sort(compareSignatures);
+    }
+    const userOrder = [...new Set(copies.flatMap(key => key.users.map(getUserIdentifier)))];
+    merged.users.sort((a, b) => userOrder.indexOf(getUserIdentifier(a)) - userOrder.indexOf(getUserIdentifier(b)));
+    merged.subkeys.sort((a, b) => (a.getCreationTime() - b.getCreationTime()) || compareStrings(a.getFingerprint(), b.getFingerprint()));
+
+    summary.changed = !util.equalsUint8Array(merged.write(true), firstCopy.write(true));
+    mergedKeys.push(merged);
+    changes.push(summary);
+  }
+  return { keys: mergedKeys, changes };
+}
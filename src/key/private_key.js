@@ -3,12 +3,73 @@ import { armor } from '../encoding/armor';
 import {
   PacketList,
   PublicKeyPacket,
-  PublicSubkeyPacket
+  PublicSubkeyPacket,
+  UserIDPacket
 } from '../packet';
 import defaultConfig from '../config';
 import enums from '../enums';
+import User from './user';
 import * as helper from './helper';
 
+// Self-certification properties carried over from the primary user to new users
+const selfCertificationProperties = [
+  'keyFlags',
+  'keyExpirationTime',
+  'keyNeverExpires',
+  'preferredSymmetricAlgorithms',
+  'preferredAEADAlgorithms',
+  'preferredHashAlgorithms',
+  'preferredCompressionAlgorithms',
+  'keyServerPreferences',
+  'features'
+];
+// Properties carried over when re-issuing a self-signature: those of all known hashed subpackets
+// except the creation time, as well as the embedded signature
+const reissuedSignatureProperties = [
+  ...selfCertificationProperties,
+  'signatureExpirationTime',
+  'signatureNeverExpires',
+  'exportable',
+  'trustLevel',
+  'trustAmount',
+  'regularExpression',
+  'revocable',
+  'revocationKeyClass',
+  'revocationKeyAlgorithm',
+  'revocationKeyFingerprint',
+  'rawNotations',
+  'notations',
+  'preferredKeyServer',
+  'isPrimaryUserID',
+  'policyURI',
+  'signersUserID',
+  'reasonForRevocationFlag',
+  'reasonForRevocationString',
+  'signatureTargetPublicKeyAlgorithm',
+  'signatureTargetHashAlgorithm',
+  'signatureTargetHash',
+  'embeddedSignature'
+];
+
+/**
+ * Creates a copy of a self-signature with some of its properties changed
+ * @param {SignaturePacket} signature - Signature to re-issue
+ * @param {SecretKeyPacket} primaryKey - Decrypted primary key
+ * @param {Object} dataToSign - Data the signature applies to
+ * @param {Object} changedProperties - Signature properties to set on the new signature
+ * @param {Date} date - Creation date of the new signature
+ * @param {Object} config - Full configuration
+ * @returns {Promise<SignaturePacket>}
+ */
+async function reissueSignature(signature, primaryKey, dataToSign, changedProperties, date, config) {
+  const signatureProperties = { signatureType: signature.signatureType };
+  reissuedSignatureProperties.forEach(property => {
+    signatureProperties[property] = signature[property];
+  });
+  Object.assign(signatureProperties, changedProperties);
+  return helper.createSignaturePacket(dataToSign, null, primaryKey, signatureProperties, date, undefined, undefined, config);
+}
+
 /**
  * Class that represents an OpenPGP Private key
  */
@@ -38,7 +99,7 @@ class PrivateKey extends PublicKey {
    */
   toPublic() {
     const packetlist = new PacketList();
-    const keyPackets = this.toPacketList();
+    const keyPackets = this.toPacketList(true);
     for (const keyPacket of keyPackets) {
       switch (keyPacket.constructor.tag) {
         case enums.packet.secretKey: {
@@ -93,9 +154,9 @@ class PrivateKey extends PublicKey {
     }
 
     // evaluate primary key
-    const primaryUser = await this.getPrimaryUser(date, userID, config);
+    const selfSignature = await this.getPrimarySelfSignature(date, userID, config);
     if ((!keyID || primaryKey.getKeyID().equals(keyID, true)) &&
-        helper.isValidDecryptionKeyPacket(primaryUser.selfCertification, config)) {
+        helper.isValidDecryptionKeyPacket(selfSignature, config)) {
       keys.push(this);
     }
 
@@ -195,11 +256,210 @@ class PrivateKey extends PublicKey {
     return key;
   }
 
+  /**
+   * Authorizes another key to revoke this key, by adding a direct-key signature
+   * with a revocation key subpacket. The designated revoker can then revoke the key
+   * using {@link Key#revokeWithDesignatedRevoker}.
+   * @param {Key} designatedRevoker - Key to authorize, only its primary key is used
+   * @param {Object} [options]
+   * @param {Date} [options.date] - Override the creation date of the signature
+   * @param {Object} [options.config] - Custom configuration settings to overwrite those in [config]{@link module:config}
+   * @returns {Promise<PrivateKey>} New key with the designated revoker.
+   * @async
+   */
+  async addDesignatedRevoker(designatedRevoker, options = {}) {
+    const config = { ...defaultConfig, ...options.config };
+    const date = options.date || new Date();
+    // the latest direct-key signature takes precedence, so carry over the key expiration time, if any
+    const latestDirectSignature = await helper.getLatestValidSignature(
+      this.directSignatures, this.keyPacket, enums.signature.key, { key: this.keyPacket }, date, config
+    ).catch(() => {});
+    const keyExpirationTime = latestDirectSignature && !latestDirectSignature.keyNeverExpires ? latestDirectSignature.keyExpirationTime : 0;
+    const directSignature = await helper.createDesignatedRevokerSignature(designatedRevoker, this.keyPacket, { date, keyExpirationTime }, config);
+    const key = this.clone();
+    key.directSignatures.push(directSignature);
+    return key;
+  }
+
+  /**
+   * Adds a self-certified user ID to the key, and returns a clone of the Key object with the new user added.
+   * Existing users and their certifications are kept. The key flags, preferences and expiration time
+   * of the new self-certification are taken from the primary user.
+   * @param {Object} userID - User ID as object: `{ name: 'Jo Doe', email: 'info@jo.com' }`
+   * @param {Object} [options]
+   * @param {Date} [options.date] - Override the creation date of the self-certification
+   * @param {Object} [options.config] - Custom configuration settings to overwrite those in [config]{@link module:config}
+   * @returns {Promise<PrivateKey>}
+   * @async
+   */
+  async addUser(userID, options = {}) {
+    const config = { ...defaultConfig, ...options.config };
+    const date = options.date || new Date();
+    const secretKeyPacket = this.keyPacket;
+    if (!secretKeyPacket.isDecrypted()) {
+      throw new Error('Key is not decrypted');
+    }
+    const userIDPacket = UserIDPacket.fromObject(userID);
+    if (this.users.some(user => user.userID && user.userID.equals(userIDPacket))) {
+      throw new Error('User ID already exists');
+    }
+    const { selfCertification: primarySelfCertification } = await this.getPrimaryUser(date, undefined, config);
+    const signatureProperties = { signatureType: enums.signature.certGeneric };
+    selfCertificationProperties.forEach(property => {
+      signatureProperties[property] = primarySelfCertification[property];
+    });
+    const key = this.clone();
+    const user = new User(userIDPacket, key);
+    user.selfCertifications.push(await helper.createSignaturePacket(
+      { userID: userIDPacket, key: secretKeyPacket }, this, secretKeyPacket, signatureProperties, date, undefined, undefined, config
+    ));
+    key.users.push(user);
+    return key;
+  }
+
+  /**
+   * Changes the expiration time of the key, and returns a clone of the Key object with the new expiration time.
+   * The self-certifications of all valid users are re-issued with the new key expiration time,
+   * as is the latest direct-key signature if it also sets one, or if the key is a v6 key. Existing signatures are kept.
+   * @param {Date|0} expirationTime - New expiration date, or 0 for a key that never expires
+   * @param {Object} [options]
+   * @param {Boolean|Array<Subkey>} [options.subkeys=false] - Subkeys whose binding signatures should also be re-issued
+   *   with the new expiration time, or true for all subkeys
+   * @param {Date} [options.date] - Override the creation date of the new signatures
+   * @param {Object} [options.config] - Custom configuration settings to overwrite those in [config]{@link module:config}
+   * @returns {Promise<PrivateKey>}
+   * @async
+   */
+  async setExpirationTime(expirationTime, options = {}) {
+    const config = { ...defaultConfig, ...options.config };
+    const date = options.date || new Date();
+    const secretKeyPacket = this.keyPacket;
+    if (!secretKeyPacket.isDecrypted()) {
+      throw new Error('Key is not decrypted');
+    }
+    let keyExpirationTime = 0;
+    if (expirationTime !== 0 && expirationTime !== Infinity) {
+      if (!(expirationTime instanceof Date) || Number.isNaN(expirationTime.getTime())) {
+        throw new Error('Invalid expiration time');
+      }
+      keyExpirationTime = Math.floor((expirationTime - secretKeyPacket.created) / 1000);
+      if (keyExpirationTime <= 0) {
+        throw new Error('Expiration time must be later than the key creation time');
+      }
+    }
+    const expirationProperties = { keyExpirationTime: keyExpirationTime || null, keyNeverExpires: !keyExpirationTime };
+    let subkeys = options.subkeys || [];
+    if (subkeys === true) {
+      subkeys = this.subkeys;
+    }
+
+    const key = this.clone();
+    // New signatures are placed first, so that they take precedence over signatures created in the same second
+    await Promise.all(key.users.map(async user => {
+      const dataToSign = { userID: user.userID, userAttribute: user.userAttribute, key: secretKeyPacket };
+      let selfCertification;
+      try {
+        selfCertification = await helper.getLatestValidSignature(user.selfCertifications, secretKeyPacket, enums.signature.certGeneric, dataToSign, date, config);
+      } catch (e) {
+        return; // users without a valid self-certification are left as is
+      }
+      if (selfCertification.revoked || await user.isRevoked(selfCertification, null, date, config)) {
+        return;
+      }
+      user.selfCertifications.unshift(await reissueSignature(selfCertification, secretKeyPacket, dataToSign, expirationProperties, date, config));
+    }));
+    const directSignature = await helper.getLatestValidSignature(
+      key.directSignatures, secretKeyPacket, enums.signature.key, { key: secretKeyPacket }, date, config
+    ).catch(() => {});
+    // the direct-key signature of v6 keys holds their expiration time, see Key#getPrimarySelfSignature
+    if (directSignature && (directSignature.keyNeverExpires === false || secretKeyPacket.version === 6)) {
+      key.directSignatures.unshift(await reissueSignature(directSignature, secretKeyPacket, { key: secretKeyPacket }, expirationProperties, date, config));
+    }
+    await Promise.all(subkeys.map(async subkey => {
+      const [keySubkey] = key.subkeys.filter(keySubkey => keySubkey.hasSameFingerprintAs(subkey));
+      if (!keySubkey) {
+        throw new Error('Subkey does not belong to this key');
+      }
+      const subkeyExpirationTime = keyExpirationTime &&
+        Math.floor((expirationTime - keySubkey.keyPacket.created) / 1000);
+      if (keyExpirationTime && subkeyExpirationTime <= 0) {
+        throw new Error('Expiration time must be later than the subkey creation time');
+      }
+      const dataToSign = { key: secretKeyPacket, bind: keySubkey.keyPacket };
+      const bindingSignature = await helper.getLatestValidSignature(
+        keySubkey.bindingSignatures, secretKeyPacket, enums.signature.subkeyBinding, dataToSign, date, config
+      );
+      keySubkey.bindingSignatures.unshift(await reissueSignature(bindingSignature, secretKeyPacket, dataToSign, {
+        keyExpirationTime: subkeyExpirationTime || null, keyNeverExpires: !subkeyExpirationTime
+      }, date, config));
+    }));
+    return key;
+  }
+
+  /**
+   * Changes the algorithm preferences and features of the key, and returns a clone of the Key object with the new preferences.
+   * The self-certification of the primary user is re-issued with the given preferences, or the latest direct-key signature
+   * of v6 keys that have one; omitted preferences are kept as they are, and an empty list removes the corresponding preferences.
+   * Existing signatures are kept.
+   * @param {Object} preferences
+   * @param {Array<module:enums.symmetric>} [preferences.preferredSymmetricAlgorithms] - Preferred symmetric algorithms, most preferred first
+   * @param {Array<module:enums.hash>} [preferences.preferredHashAlgorithms] - Preferred hash algorithms, most preferred first
+   * @param {Array<module:enums.compression>} [preferences.preferredCompressionAlgorithms] - Preferred compression algorithms, most preferred first
+   * @param {Array<module:enums.aead>} [preferences.preferredAEADAlgorithms] - Preferred AEAD algorithms, most preferred first
+   * @param {Array<module:enums.features>} [preferences.features] - Supported features
+   * @param {Object} [options]
+   * @param {Object} [options.userID] - User ID of the user to update, defaults to the primary user
+   * @param {Date} [options.date] - Override the creation date of the new self-certification
+   * @param {Object} [options.config] - Custom configuration settings to overwrite those in [config]{@link module:config}
+   * @returns {Promise<PrivateKey>}
+   * @async
+   */
+  async setPreferences(preferences, options = {}) {
+    const config = { ...defaultConfig, ...options.config };
+    const date = options.date || new Date();
+    const secretKeyPacket = this.keyPacket;
+    if (!secretKeyPacket.isDecrypted()) {
+      throw new Error('Key is not decrypted');
+    }
+    const { features, ...algorithmPreferences } = preferences;
+    const preferenceEnums = {
+      preferredSymmetricAlgorithms: enums.symmetric,
+      preferredHashAlgorithms: enums.hash,
+      preferredCompressionAlgorithms: enums.compression,
+      preferredAEADAlgorithms: enums.aead
+    };
+    const changedProperties = {};
+    Object.keys(algorithmPreferences).forEach(property => {
+      if (!preferenceEnums[property]) {
+        throw new Error(`Unknown preference: ${property}`);
+      }
+      const algorithms = algorithmPreferences[property];
+      changedProperties[property] = algorithms.length ? algorithms.map(algorithm => enums.write(preferenceEnums[property], algorithm)) : null;
+    });
+    if (features !== undefined) {
+      changedProperties.features = features.length ?
+        [features.reduce((flags, feature) => flags | enums.write(enums.features, feature), 0)] :
+        null;
+    }
+
+    const key = this.clone();
+    const selfSignature = options.userID ? null : await this.getPrimarySelfSignature(date, undefined, config);
+    if (selfSignature && selfSignature.signatureType === enums.signature.key) {
+      key.directSignatures.unshift(await reissueSignature(selfSignature, secretKeyPacket, { key: secretKeyPacket }, changedProperties, date, config));
+      return key;
+    }
+    const { index, selfCertification } = await this.getPrimaryUser(date, options.userID, config);
+    const user = key.users[index];
+    const dataToSign = { userID: user.userID, userAttribute: user.userAttribute, key: secretKeyPacket };
+    // The new signature is placed first, so that it takes precedence over signatures created in the same second
+    user.selfCertifications.unshift(await reissueSignature(selfCertification, secretKeyPacket, dataToSign, changedProperties, date, config));
+    return key;
+  }
 
   /**
    * Generates a new OpenPGP subkey, and returns a clone of the Key object with the new subkey added.
    * Supports RSA and ECC keys. Defaults to the algorithm and bit size/curve of the primary key. DSA primary keys default to RSA subkeys.
-   * @param {ecc|rsa} options.type       The subkey algorithm: ECC or RSA
+   * @param {ecc|rsa|curve25519|curve448} options.type The subkey algorithm: ECC, RSA, X25519/Ed25519 or X448/Ed448
    * @param {String}  options.curve      (optional) Elliptic curve for ECC keys
    * @param {Integer} options.rsaBits    (optional) Number of bits for RSA subkeys
    * @param {Number}  options.keyExpirationTime (optional) Number of seconds from the key creation time after which the key expires
@@ -225,13 +485,19 @@ class PrivateKey extends PublicKey {
       throw new Error('Key is not decrypted');
     }
     const defaultOptions = secretKeyPacket.getAlgorithmInfo();
-    defaultOptions.type = defaultOptions.curve ? 'ecc' : 'rsa'; // DSA keys default to RSA
+    if (defaultOptions.algorithm === 'ed25519' || defaultOptions.algorithm === 'x25519') {
+      defaultOptions.type = 'curve25519';
+    } else if (defaultOptions.algorithm === 'ed448' || defaultOptions.algorithm === 'x448') {
+      defaultOptions.type = 'curve448';
+    } else {
+      defaultOptions.type = defaultOptions.curve ? 'ecc' : 'rsa'; // DSA keys default to RSA
+    }
     defaultOptions.rsaBits = defaultOptions.bits || 4096;
     defaultOptions.curve = defaultOptions.curve || 'curve25519';
     options = helper.sanitizeKeyOptions(options, defaultOptions);
     const keyPacket = await helper.generateSecretSubkey(options);
     const bindingSignature = await helper.createBindingSignature(keyPacket, secretKeyPacket, options, config);
-    const packetList = this.toPacketList();
+    const packetList = this.toPacketList(true);
     packetList.push(keyPacket, bindingSignature);
     return new PrivateKey(packetList);
   }
@@ -31,6 +31,16 @@ class PublicKey extends Key {
     this.directSignatures = [];
     this.users = [];
     this.subkeys = [];
+    /**
+     * Trust packet following the primary key packet in a local keyring
+     * @type {TrustPacket|null}
+     */
+    this.trust = null;
+    /**
+     * Trust packets following the direct-key and key revocation signatures in a local keyring
+     * @type {Map<SignaturePacket, TrustPacket>}
+     */
+    this.signatureTrust = new Map();
     if (packetlist) {
       this.packetListToStructure(packetlist, new Set([enums.packet.secretKey, enums.packet.secretSubkey]));
       if (!this.keyPacket) {
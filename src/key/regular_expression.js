@@ -0,0 +1,195 @@
+/**
+ * @fileoverview Regular expressions as defined in {@link https://tools.ietf.org/html/rfc4880#section-8|RFC4880 8},
+ * used to limit the scope of trust signatures. Expressions are matched with an automaton instead of
+ * a backtracking engine, so that matching takes linear time in the length of the input, whatever the expression.
+ * @module key/regular_expression
+ * @private
+ */
+
+/**
+ * Parses an expression following the grammar of RFC4880 section 8:
+ *
+ *   regexp ::= branch ('|' branch)*
+ *   branch ::= piece*
+ *   piece  ::= atom ('*' | '+' | '?')?
+ *   atom   ::= '(' regexp ')' | range | '.' | '^' | '$' | '\' char | char
+ * @param {Array<String>} chars - Characters of the expression
+ * @returns {Object} Syntax tree of the expression.
+ * @throws {Error} if the expression is invalid
+ */
+function parse(chars) {
+  let pos = 0;
+  const fail = message => { throw new Error(`Invalid regular expression at position ${pos}: ${message}`); };
+
+  function parseRange() {
+    const negated = chars[pos] === '^';
+    if (negated) pos++;
+    const ranges = [];
+    let first = true;
+    while (pos < chars.length && (first || chars[pos] !== ']')) {
+      first = false;
+      const from = chars[pos++].codePointAt(0);
+      if (chars[pos] === '-' && pos + 1 < chars.length && chars[pos + 1] !== ']') {
+        const to = chars[pos + 1].codePointAt(0);
+        if (to < from) fail('invalid range');
+        ranges.push([from, to]);
+        pos += 2;
+      } else {
+        ranges.push([from, from]);
+      }
+    }
+    if (pos >= chars.length) fail('missing ]');
+    pos++;
+    const inRanges = codePoint => ranges.some(([from, to]) => codePoint >= from && codePoint <= to);
+    return { type: 'char', test: negated ? codePoint => !inRanges(codePoint) : inRanges };
+  }
+
+  function parseAtom() {
+    const char = chars[pos++];
+    switch (char) {
+      case '(': {
+        const node = parseRegexp();
+        if (chars[pos] !== ')') fail('missing )');
+        pos++;
+        return node;
+      }
+      case '[':
+        return parseRange();
+      case '.':
+        return { type: 'char', test: () => true };
+      case '^':
+        return { type: 'start' };
+      case '$':
+        return { type: 'end' };
+      case '\\': {
+        if (pos >= chars.length) fail('trailing backslash');
+        const codePoint = chars[pos++].codePointAt(0);
+        return { type: 'char', test: other => other === codePoint };
+      }
+      case '*':
+      case '+':
+      case '?':
+        return fail('nothing to repeat');
+      default: {
+        const codePoint = char.codePointAt(0);
+        return { type: 'char', test: other => other === codePoint };
+      }
+    }
+  }
+
+  function parseBranch() {
+    const pieces = [];
+    while (pos < chars.length && chars[pos] !== '|' && chars[pos] !== ')') {
+      let node = parseAtom();
+      if (chars[pos] === '*' || chars[pos] === '+' || chars[pos] === '?') {
+        node = { type: chars[pos++], node };
+      }
+      pieces.push(node);
+    }
+    return { type: 'concat', pieces };
+  }
+
+  function parseRegexp() {
+    const branches = [parseBranch()];
+    while (chars[pos] === '|') {
+      pos++;
+      branches.push(parseBranch());
+    }
+    return { type: 'alternation', branches };
+  }
+
+  const tree = parseRegexp();
+  if (pos < chars.length) fail(`unexpected ${chars[pos]}`);
+  return tree;
+}
+
+/**
+ * Compiles a syntax tree to the states of a nondeterministic automaton
+ * @param {Object} tree - Syntax tree of the expression
+ * @returns {Array<Object>} States, starting with the initial state.
+ */
+function compile(tree) {
+  const states = [null, { type: 'match' }];
+  const addState = state => states.push(state) - 1;
+
+  // returns the index of the state matching the node, followed by the state at index `next`
+  function compileNode(node, next) {
+    switch (node.type) {
+      case 'alternation':
+        return node.branches.length === 1 ?
+          compileNode(node.branches[0], next) :
+          addState({ type: 'split', next: node.branches.map(branch => compileNode(branch, next)) });
+      case 'concat':
+        return node.pieces.reduceRight((rest, piece) => compileNode(piece, rest), next);
+      case 'char':
+        return addState({ type: 'char', test: node.test, next });
+      case 'start':
+      case 'end':
+        return addState({ type: node.type, next });
+      case '?':
+        return addState({ type: 'split', next: [compileNode(node.node, next), next] });
+      case '*':
+      case '+': {
+        const loop = addState({ type: 'split', next: [] });
+        const body = compileNode(node.node, loop);
+        states[loop].next = [body, next];
+        return node.type === '*' ? loop : body;
+      }
+      default:
+        throw new Error('Unknown regular expression node');
+    }
+  }
+
+  states[0] = { type: 'split', next: [compileNode(tree, 1)] };
+  return states;
+}
+
+/**
+ * Compiles a regular expression as defined in RFC4880 section 8
+ * @param {String} expression
+ * @returns {function(String): Boolean} Function returning whether the expression matches (part of) the given string.
+ * @throws {Error} if the expression is invalid
+ */
+export default function compileRegularExpression(expression) {
+  const states = compile(parse(Array.from(expression)));
+
+  return string => {
+    const codePoints = Array.from(string, char => char.codePointAt(0));
+    // adds the given state and the states reachable from it without consuming input
+    const addToSet = (set, index, pos) => {
+      const pending = [index];
+      while (pending.length) {
+        const current = pending.pop();
+        if (set.has(current)) {
+          continue;
+        }
+        set.add(current);
+        const state = states[current];
+        if (state.type === 'split') {
+          pending.push(...state.next);
+        } else if ((state.type === 'start' && pos === 0) || (state.type === 'end' && pos === codePoints.length)) {
+          pending.push(state.next);
+        }
+      }
+    };
+    let current = new Set();
+    for (let pos = 0; ; pos++) {
+      // the expression may match anywhere in the string
+      addToSet(current, 0, pos);
+      if (current.has(1)) {
+        return true;
+      }
+      if (pos === codePoints.length) {
+        return false;
+      }
+      const next = new Set();
+      current.forEach(index => {
+        const state = states[index];
+        if (state.type === 'char' && state.test(codePoints[pos])) {
+          addToSet(next, state.next, pos + 1);
+        }
+      });
+      current = next;
+    }
+  };
+}
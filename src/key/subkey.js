@@ -26,19 +26,30 @@ class Subkey {
     this.keyPacket = subkeyPacket;
     this.bindingSignatures = [];
     this.revocationSignatures = [];
+    /**
+     * Trust packet following the subkey packet in a local keyring
+     * @type {TrustPacket|null}
+     */
+    this.trust = null;
+    /**
+     * Trust packets following the subkey signatures in a local keyring
+     * @type {Map<SignaturePacket, TrustPacket>}
+     */
+    this.signatureTrust = new Map();
     this.mainKey = mainKey;
   }
 
   /**
    * Transforms structured subkey data to packetlist
+   * @param {Boolean} [includeTrustPackets=false] - Whether to include trust packets
    * @returns {PacketList}
    */
-  toPacketList() {
+  toPacketList(includeTrustPackets = false) {
     const packetlist = new PacketList();
     packetlist.push(this.keyPacket);
     packetlist.push(...this.revocationSignatures);
     packetlist.push(...this.bindingSignatures);
-    return packetlist;
+    return includeTrustPackets ? helper.addTrustPackets(packetlist, this) : packetlist;
   }
 
   /**
@@ -49,6 +60,8 @@ class Subkey {
     const subkey = new Subkey(this.keyPacket, this.mainKey);
     subkey.bindingSignatures = [...this.bindingSignatures];
     subkey.revocationSignatures = [...this.revocationSignatures];
+    subkey.trust = this.trust;
+    subkey.signatureTrust = new Map(this.signatureTrust);
     return subkey;
   }
 
@@ -162,6 +175,7 @@ class Subkey {
     await helper.mergeSignatures(subkey, this, 'revocationSignatures', date, function(srcRevSig) {
       return helper.isDataRevoked(primaryKey, enums.signature.subkeyRevocation, dataToVerify, [srcRevSig], undefined, undefined, date, config);
     });
+    helper.mergeTrustPackets(subkey, this);
   }
 
   /**
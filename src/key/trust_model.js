@@ -0,0 +1,272 @@
+/**
+ * @fileoverview Web of trust validity calculation, following the GnuPG "pgp" trust model:
+ * the classic model of marginally and fully trusted introducers, extended with trust signatures.
+ * @module key/trust_model
+ */
+
+import enums from '../enums';
+import util from '../util';
+import defaultConfig from '../config';
+import compileRegularExpression from './regular_expression';
+import { isIssuedBy } from './helper';
+
+// Trust amounts from trust signatures, as interpreted by GnuPG
+const FULL_TRUST_AMOUNT = 120;
+const MARGINAL_TRUST_AMOUNT = 60;
+
+/**
+ * Returns the ownertrust of a key, from the given values or from its keyring trust packet
+ * @param {Key} key
+ * @param {Object} ownertrust - ownertrust values by fingerprint
+ * @returns {module:enums.ownertrust}
+ */
+function getOwnertrust(key, ownertrust) {
+  const fingerprint = key.getFingerprint();
+  if (ownertrust[fingerprint] !== undefined) {
+    return enums.write(enums.ownertrust, ownertrust[fingerprint]);
+  }
+  if (key.trust && (key.trust.subtype === null || key.trust.subtype === enums.trustSubtype.key)) {
+    return key.trust.trustValue & 0x0F;
+  }
+  return enums.ownertrust.unknown;
+}
+
+/**
+ * Checks whether a user ID falls within the scope of the given regular expressions, in the syntax of RFC4880 section 8
+ * @param {String|null} userID
+ * @param {Array<String>} regularExpressions
+ * @returns {Boolean}
+ */
+function matchesScope(userID, regularExpressions) {
+  return regularExpressions.every(regularExpression => {
+    if (userID === null) {
+      return false;
+    }
+    try {
+      return compileRegularExpression(regularExpression)(userID);
+    } catch (e) {
+      // an invalid expression does not match anything
+      util.printDebugError(e);
+      return false;
+    }
+  });
+}
+
+/**
+ * Returns the trust placed in a key as introducer for the given user ID
+ * @param {Object} entry - key state
+ * @param {String|null} userID - certified user ID
+ * @returns {module:enums.ownertrust|null} Trust as introducer, or null if the key cannot introduce the user ID.
+ */
+function getIntroducerTrust(entry, userID) {
+  if (entry.isRoot) {
+    return enums.ownertrust.ultimate;
+  }
+  if (entry.validity < enums.validity.full || entry.ownertrust === enums.ownertrust.never) {
+    return null;
+  }
+  let trust = entry.ownertrust === enums.ownertrust.marginal || entry.ownertrust === enums.ownertrust.full ? entry.ownertrust : null;
+  entry.delegations.forEach(delegation => {
+    if (!matchesScope(userID, delegation.regularExpressions)) {
+      return;
+    }
+    if (delegation.amount >= FULL_TRUST_AMOUNT) {
+      trust = enums.ownertrust.full;
+    } else if (delegation.amount >= MARGINAL_TRUST_AMOUNT && trust !== enums.ownertrust.full) {
+      trust = enums.ownertrust.marginal;
+    }
+  });
+  return trust;
+}
+
+/**
+ * Returns the trust delegation a key is allowed to make for the given user ID, if any
+ * @param {Object} entry - key state
+ * @param {String|null} userID - certified user ID
+ * @returns {Object|null} Remaining delegation depth and regular expressions restricting its scope.
+ */
+function getDelegationScope(entry, userID) {
+  if (entry.isRoot) {
+    return { depth: Infinity, regularExpressions: [] };
+  }
+  return entry.delegations.reduce((best, delegation) => (
+    delegation.depth > 0 && matchesScope(userID, delegation.regularExpressions) && (!best || delegation.depth > best.depth) ?
+      delegation :
+      best
+  ), null);
+}
+
+/**
+ * Computes the validity of keys and of their user IDs using the web of trust, starting
+ * from a set of ultimately trusted keys and following certifications made by trusted introducers.
+ * A user ID is fully valid if it is certified by an ultimately trusted key, by enough fully trusted
+ * introducers, or by enough marginally trusted ones, and marginally valid if it is certified by fewer.
+ * Only fully valid keys act as introducers. Trust signatures delegate trust to the certified key,
+ * within the scope of their regular expression, if any.
+ * @param {Object} options
+ * @param {Array<Key>} options.keys - Keyring to compute validity for
+ * @param {Array<Key>} [options.trustedKeys] - Ultimately trusted keys, e.g. the user's own keys
+ * @param {Object} [options.ownertrust] - Ownertrust values ({@link module:enums.ownertrust}) by key fingerprint.
+ *   Keys without an entry use the ownertrust from their keyring trust packet, if any.
+ *   Keys with an ultimate ownertrust are also considered ultimately trusted.
+ * @param {Integer} [options.marginalsNeeded=3] - Number of marginally trusted introducers needed for full validity
+ * @param {Integer} [options.completesNeeded=1] - Number of fully trusted introducers needed for full validity
+ * @param {Integer} [options.maxCertDepth=5] - Maximum length of a certification chain
+ * @param {Date} [options.date] - Use the given date for verification instead of the current time
+ * @param {Object} [options.config] - Custom configuration settings to overwrite those in [config]{@link module:config}
+ * @returns {Promise<Array<{
+ *   key: Key,
+ *   validity: module:enums.validity,
+ *   users: Array<{ user: User, userID: String|null, validity: module:enums.validity }>
+ * }>>} Validity of each key in the keyring, and of its users.
+ * @async
+ * @static
+ */
+export default async function computeValidity({
+  keys, trustedKeys = [], ownertrust = {}, marginalsNeeded = 3, completesNeeded = 1, maxCertDepth = 5,
+  date = new Date(), config, ...rest
+}) {
+  config = { ...defaultConfig, ...config };
+  if (!Array.isArray(keys)) {
+    throw new Error('computeValidity: options.keys must be an array of keys');
+  }
+  if (!Array.isArray(trustedKeys)) {
+    throw new Error('computeValidity: options.trustedKeys must be an array of keys');
+  }
+  const unknownOptions = Object.keys(rest); if (unknownOptions.length > 0) throw new Error(`Unknown option: ${unknownOptions.join(', ')}`);
+
+  const allKeys = keys.concat(trustedKeys.filter(trustedKey => !keys.some(key => key.hasSameFingerprintAs(trustedKey))));
+  const entries = await Promise.all(allKeys.map(async key => {
+    const entry = {
+      key,
+      ownertrust: getOwnertrust(key, ownertrust),
+      delegations: [],
+      validity: enums.validity.unknown
+    };
+    entry.isRoot = entry.ownertrust === enums.ownertrust.ultimate || trustedKeys.some(trustedKey => trustedKey.hasSameFingerprintAs(key));
+    const isKeyValid = await key.verifyPrimaryKey(date, undefined, config).then(() => true, () => false);
+    entry.users = await Promise.all(key.users.map(async user => {
+      const isValid = isKeyValid && await user.verify(date, config).then(() => true, () => false);
+      let validity = enums.validity.invalid;
+      if (isValid) {
+        validity = entry.isRoot ? enums.validity.ultimate : enums.validity.unknown;
+      }
+      return { user, userID: user.userID ? user.userID.userID : null, validity };
+    }));
+    if (!isKeyValid) {
+      entry.validity = enums.validity.invalid;
+    } else if (entry.isRoot) {
+      entry.validity = enums.validity.ultimate;
+    }
+    return entry;
+  }));
+
+  const verifiedCertifications = new Map();
+  const verifyCertification = (user, certification, issuer) => {
+    if (!verifiedCertifications.has(certification)) {
+      verifiedCertifications.set(certification, new Map());
+    }
+    const results = verifiedCertifications.get(certification);
+    if (!results.has(issuer)) {
+      results.set(issuer, user.verifyCertificate(certification, [issuer], date, config).then(
+        valid => valid === true,
+        () => false
+      ));
+    }
+    return results.get(issuer);
+  };
+
+  // Each pass extends the certification chains by one step, so validity and trust
+  // delegations computed during a pass are only taken into account in the next one
+  for (let depth = 0; depth < maxCertDepth; depth++) {
+    const updates = [];
+    for (const entry of entries) {
+      if (entry.isRoot || entry.validity === enums.validity.invalid) {
+        continue;
+      }
+      for (const userEntry of entry.users) {
+        if (userEntry.validity === enums.validity.invalid) {
+          continue;
+        }
+        let fullCount = 0;
+        let marginalCount = 0;
+        const delegations = [];
+        for (const certification of userEntry.user.otherCertifications) {
+          // key IDs may collide, so the certification is checked against every matching key
+          let issuer;
+          let trust;
+          for (const other of entries) {
+            if (other === entry || !other.key.getKeys().some(key => isIssuedBy(certification, key.getFingerprint()))) {
+              continue;
+            }
+            const otherTrust = getIntroducerTrust(other, userEntry.userID);
+            if (otherTrust && await verifyCertification(userEntry.user, certification, other.key)) {
+              issuer = other;
+              trust = otherTrust;
+              break;
+            }
+          }
+          if (!issuer) {
+            continue;
+          }
+          if (trust === enums.ownertrust.ultimate) {
+            fullCount = Infinity;
+          } else if (trust === enums.ownertrust.full) {
+            fullCount++;
+          } else {
+            marginalCount++;
+          }
+          const scope = certification.trustLevel > 0 && getDelegationScope(issuer, userEntry.userID);
+          if (scope) {
+            delegations.push({
+              depth: Math.min(certification.trustLevel, scope.depth) - 1,
+              amount: certification.trustAmount,
+              regularExpressions: certification.regularExpression !== null ?
+                scope.regularExpressions.concat(certification.regularExpression) :
+                scope.regularExpressions
+            });
+          }
+        }
+        let validity = enums.validity.unknown;
+        if (fullCount >= completesNeeded || marginalCount >= marginalsNeeded) {
+          validity = enums.validity.full;
+        } else if (fullCount > 0 || marginalCount > 0) {
+          validity = enums.validity.marginal;
+        }
+        updates.push({ entry, userEntry, validity, delegations: validity === enums.validity.full ? delegations : [] });
+      }
+    }
+
+    let changed = false;
+    updates.forEach(({ entry, userEntry, validity, delegations }) => {
+      if (validity > userEntry.validity) {
+        userEntry.validity = validity;
+        changed = true;
+      }
+      if (validity > entry.validity) {
+        entry.validity = validity;
+        changed = true;
+      }
+      delegations.forEach(delegation => {
+        const isKnown = entry.delegations.some(known => (
+          known.depth === delegation.depth &&
+          known.amount === delegation.amount &&
+          known.regularExpressions.join('\0') === delegation.regularExpressions.join('\0')
+        ));
+        if (!isKnown) {
+          entry.delegations.push(delegation);
+          changed = true;
+        }
+      });
+    });
+    if (!changed) {
+      break;
+    }
+  }
+
+  return entries.slice(0, keys.length).map(({ key, validity, users }) => ({
+    key,
+    validity,
+    users: users.map(({ user, userID, validity }) => ({ user, userID, validity }))
+  }));
+}
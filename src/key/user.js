@@ -5,8 +5,14 @@
 
 import enums from '../enums';
 import util from '../util';
+import defaultConfig from '../config';
 import { PacketList } from '../packet';
-import { mergeSignatures, isDataRevoked, createSignaturePacket } from './helper';
+import { mergeSignatures, isDataRevoked, createSignaturePacket, addTrustPackets, mergeTrustPackets } from './helper';
+import compileRegularExpression from './regular_expression';
+
+function isOctet(value) {
+  return Number.isInteger(value) && value >= 0 && value <= 255;
+}
 
 /**
  * Class that represents an user ID or attribute packet and the relevant signatures.
@@ -20,20 +26,31 @@ class User {
     this.selfCertifications = [];
     this.otherCertifications = [];
     this.revocationSignatures = [];
+    /**
+     * Trust packet following the user packet in a local keyring
+     * @type {TrustPacket|null}
+     */
+    this.trust = null;
+    /**
+     * Trust packets following the user signatures in a local keyring
+     * @type {Map<SignaturePacket, TrustPacket>}
+     */
+    this.signatureTrust = new Map();
     this.mainKey = mainKey;
   }
 
   /**
    * Transforms structured user data to packetlist
+   * @param {Boolean} [includeTrustPackets=false] - Whether to include trust packets
    * @returns {PacketList}
    */
-  toPacketList() {
+  toPacketList(includeTrustPackets = false) {
     const packetlist = new PacketList();
     packetlist.push(this.userID || this.userAttribute);
     packetlist.push(...this.revocationSignatures);
     packetlist.push(...this.selfCertifications);
     packetlist.push(...this.otherCertifications);
-    return packetlist;
+    return includeTrustPackets ? addTrustPackets(packetlist, this) : packetlist;
   }
 
   /**
@@ -45,6 +62,8 @@ class User {
     user.selfCertifications = [...this.selfCertifications];
     user.otherCertifications = [...this.otherCertifications];
     user.revocationSignatures = [...this.revocationSignatures];
+    user.trust = this.trust;
+    user.signatureTrust = new Map(this.signatureTrust);
     return user;
   }
 
@@ -53,11 +72,40 @@ class User {
    * @param {Array<PrivateKey>} signingKeys - Decrypted private keys for signing
    * @param {Date} [date] - Date to use as creation date of the certificate, instead of the current time
    * @param {Object} config - Full configuration
+   * @param {Object} [options] - Trust signature options
+   * @param {Integer} [options.trustLevel] - Trust signature depth: 0 for a plain certification with a trust amount,
+   *   1 to make the certified key a trusted introducer, 2 or more to also let it delegate trust further
+   * @param {Integer} [options.trustAmount=120] - Trust amount, 60 for partial and 120 for complete trust
+   * @param {String} [options.regularExpression] - Regular expression limiting the trust signature to matching user IDs,
+   *   in the syntax of RFC4880 section 8, e.g. `<[^>]+[@.]example\.com>$`. Requires a trust level of at least 1
    * @returns {Promise<User>} New user with new certifications.
    * @async
    */
-  async certify(signingKeys, date, config) {
+  async certify(signingKeys, date, config, { trustLevel, trustAmount = 120, regularExpression } = {}) {
     const primaryKey = this.mainKey.keyPacket;
+    const signatureProperties = {
+      // Most OpenPGP implementations use generic certification (0x10)
+      signatureType: enums.signature.certGeneric,
+      keyFlags: [enums.keyFlags.certifyKeys | enums.keyFlags.signData]
+    };
+    if (trustLevel !== undefined) {
+      if (!isOctet(trustLevel) || !isOctet(trustAmount)) {
+        throw new Error('Invalid trust signature: trust level and amount must be integers between 0 and 255');
+      }
+      signatureProperties.trustLevel = trustLevel;
+      signatureProperties.trustAmount = trustAmount;
+    }
+    if (regularExpression !== undefined) {
+      if (!(trustLevel >= 1)) {
+        throw new Error('Invalid trust signature: a regular expression requires a trust level of at least 1');
+      }
+      try {
+        compileRegularExpression(regularExpression);
+      } catch (e) {
+        throw util.wrapError('Invalid trust signature regular expression', e);
+      }
+      signatureProperties.regularExpression = regularExpression;
+    }
     const dataToSign = {
       userID: this.userID,
       userAttribute: this.userAttribute,
@@ -72,11 +120,7 @@ class User {
         throw new Error("The user's own key can only be used for self-certifications");
       }
       const signingKey = await privateKey.getSigningKey(undefined, date, undefined, config);
-      return createSignaturePacket(dataToSign, privateKey, signingKey.keyPacket, {
-        // Most OpenPGP implementations use generic certification (0x10)
-        signatureType: enums.signature.certGeneric,
-        keyFlags: [enums.keyFlags.certifyKeys | enums.keyFlags.signData]
-      }, date, undefined, undefined, config);
+      return createSignaturePacket(dataToSign, privateKey, signingKey.keyPacket, signatureProperties, date, undefined, undefined, config);
     }));
     await user.update(this, date, config);
     return user;
@@ -202,6 +246,41 @@ class User {
     throw exception;
   }
 
+  /**
+   * Revokes the user
+   * @param {SecretKeyPacket} primaryKey - decrypted private primary key for revocation
+   * @param {Object} reasonForRevocation - optional, object indicating the reason for revocation
+   * @param  {module:enums.reasonForRevocation} reasonForRevocation.flag optional, flag indicating the reason for revocation
+   * @param  {String} reasonForRevocation.string optional, string explaining the reason for revocation
+   * @param {Date} date - optional, override the creationtime of the revocation signature
+   * @param {Object} [config] - Full configuration, defaults to openpgp.config
+   * @returns {Promise<User>} New user with revocation signature.
+   * @async
+   */
+  async revoke(
+    primaryKey,
+    {
+      flag: reasonForRevocationFlag = enums.reasonForRevocation.noReason,
+      string: reasonForRevocationString = ''
+    } = {},
+    date = new Date(),
+    config = defaultConfig
+  ) {
+    const dataToSign = {
+      userID: this.userID,
+      userAttribute: this.userAttribute,
+      key: primaryKey
+    };
+    const user = new User(dataToSign.userID || dataToSign.userAttribute, this.mainKey);
+    user.revocationSignatures.push(await createSignaturePacket(dataToSign, null, primaryKey, {
+      signatureType: enums.signature.certRevocation,
+      reasonForRevocationFlag: enums.write(enums.reasonForRevocation, reasonForRevocationFlag),
+      reasonForRevocationString
+    }, date, undefined, false, config));
+    await user.update(this, date, config);
+    return user;
+  }
+
   /**
    * Update user with new components from specified user
    * @param {User} sourceUser - Source user to merge
@@ -232,6 +311,7 @@ class User {
     await mergeSignatures(sourceUser, this, 'revocationSignatures', date, function(srcRevSig) {
       return isDataRevoked(primaryKey, enums.signature.certRevocation, dataToVerify, [srcRevSig], undefined, undefined, date, config);
     });
+    mergeTrustPackets(sourceUser, this);
   }
 }
 
@@ -0,0 +1,7 @@
+import Keyring from './keyring.js';
+import MemoryKeyStore from './memory_store.js';
+
+export {
+  Keyring,
+  MemoryKeyStore
+};
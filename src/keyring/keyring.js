@@ -0,0 +1,263 @@
+/**
+ * @module keyring/Keyring
+ * @private
+ */
+
+import KeyID from '../type/keyid';
+import MemoryKeyStore from './memory_store';
+import util from '../util';
+import defaultConfig from '../config';
+
+/**
+ * Normalize an email address for lookups, since the domain and, in practice, the local part are case-insensitive
+ * @param {String} email
+ * @returns {String}
+ */
+function normalizeEmail(email) {
+  return email.trim().toLowerCase();
+}
+
+/**
+ * Returns the normalized email addresses of the user IDs of the key
+ * @param {Key} key
+ * @returns {Array<String>}
+ */
+function getEmails(key) {
+  return key.users.filter(({ userID }) => userID && userID.email).map(({ userID }) => normalizeEmail(userID.email));
+}
+
+/**
+ * Add a value to the set stored at the given key of a map of sets
+ */
+function addToIndex(index, key, value) {
+  if (!index.has(key)) {
+    index.set(key, new Set());
+  }
+  index.get(key).add(value);
+}
+
+function removeFromIndex(index, key, value) {
+  const values = index.get(key);
+  if (values) {
+    values.delete(value);
+    if (!values.size) {
+      index.delete(key);
+    }
+  }
+}
+
+/**
+ * Collection of public and private keys, indexed by fingerprint, (sub)key ID and email address.
+ * A keyring can be passed as `decryptionKeys` or `verificationKeys` to {@link module:openpgp.decrypt}
+ * and {@link module:openpgp.verify}, in which case the keys used by the message are looked up in it.
+ *
+ * Keys are persisted using a pluggable {@link KeyStore}, and kept in memory by default.
+ */
+class Keyring {
+  /**
+   * @param {KeyStore} [store] - Storage backend, defaults to a {@link MemoryKeyStore}
+   */
+  constructor(store = new MemoryKeyStore()) {
+    this.store = store;
+    /**
+     * Keys by hex fingerprint, or null if not loaded from the store yet
+     * @type {Map<String, Key>|null}
+     */
+    this.keys = null;
+    /**
+     * Fingerprints of the keys by hex key ID of their primary key and subkeys
+     * @type {Map<String, Set<String>>}
+     */
+    this.keyIDIndex = new Map();
+    /**
+     * Fingerprints of the keys by normalized email address of their user IDs
+     * @type {Map<String, Set<String>>}
+     */
+    this.emailIndex = new Map();
+    this.loadPromise = null;
+    /**
+     * Last pending update of the keys, by hex fingerprint
+     * @type {Map<String, Promise>}
+     */
+    this.pendingUpdates = new Map();
+  }
+
+  /**
+   * Load the keys from the store and index them. This is done automatically when the keyring is first used,
+   * but can be called again to pick up changes made to the store by other means.
+   * @async
+   */
+  async load() {
+    this.loadPromise = (async () => {
+      const keys = await this.store.loadKeys();
+      this.keys = new Map();
+      this.keyIDIndex = new Map();
+      this.emailIndex = new Map();
+      keys.forEach(key => this.indexKey(key));
+    })();
+    await this.loadPromise;
+  }
+
+  /**
+   * Load the keys from the store, unless already done
+   * @private
+   */
+  async ensureLoaded() {
+    if (!this.loadPromise) {
+      await this.load();
+    }
+    await this.loadPromise;
+  }
+
+  /**
+   * @private
+   */
+  indexKey(key) {
+    const fingerprint = key.getFingerprint();
+    this.keys.set(fingerprint, key);
+    key.getKeyIDs().forEach(keyID => addToIndex(this.keyIDIndex, keyID.toHex(), fingerprint));
+    getEmails(key).forEach(email => addToIndex(this.emailIndex, email, fingerprint));
+  }
+
+  /**
+   * @private
+   */
+  unindexKey(key) {
+    const fingerprint = key.getFingerprint();
+    this.keys.delete(fingerprint);
+    key.getKeyIDs().forEach(keyID => removeFromIndex(this.keyIDIndex, keyID.toHex(), fingerprint));
+    getEmails(key).forEach(email => removeFromIndex(this.emailIndex, email, fingerprint));
+  }
+
+  /**
+   * Run an update of the key with the given fingerprint once the previous ones are done,
+   * so that concurrent updates of the same key do not overwrite each other
+   * @param {String} fingerprint - Hex fingerprint of the primary key
+   * @param {Function} update - Async function to run
+   * @returns {Promise} The result of the update.
+   * @private
+   */
+  async queueUpdate(fingerprint, update) {
+    const previousUpdate = this.pendingUpdates.get(fingerprint) || Promise.resolve();
+    const result = previousUpdate.catch(() => {}).then(update);
+    this.pendingUpdates.set(fingerprint, result);
+    try {
+      return await result;
+    } finally {
+      if (this.pendingUpdates.get(fingerprint) === result) {
+        this.pendingUpdates.delete(fingerprint);
+      }
+    }
+  }
+
+  /**
+   * Add a key to the keyring. If a key with the same fingerprint is already present,
+   * the two are merged using {@link Key#update}.
+   * @param {Key} key - Public or private key to add
+   * @param {Object} [config] - Full configuration, defaults to openpgp.config
+   * @returns {Promise<Key>} The key as stored in the keyring.
+   * @async
+   */
+  async addKey(key, config = defaultConfig) {
+    await this.ensureLoaded();
+    return this.queueUpdate(key.getFingerprint(), async () => {
+      const existingKey = this.keys.get(key.getFingerprint());
+      const storedKey = existingKey ? await existingKey.update(key, undefined, config) : key;
+      await this.store.storeKey(storedKey);
+      if (existingKey) {
+        this.unindexKey(existingKey);
+      }
+      this.indexKey(storedKey);
+      return storedKey;
+    });
+  }
+
+  /**
+   * Add keys to the keyring, see {@link Keyring#addKey}
+   * @param {Array<Key>} keys - Public or private keys to add
+   * @param {Object} [config] - Full configuration, defaults to openpgp.config
+   * @returns {Promise<Array<Key>>} The keys as stored in the keyring.
+   * @async
+   */
+  async addKeys(keys, config = defaultConfig) {
+    const storedKeys = [];
+    for (const key of keys) {
+      storedKeys.push(await this.addKey(key, config));
+    }
+    return storedKeys;
+  }
+
+  /**
+   * Remove the key with the given fingerprint from the keyring
+   * @param {String} fingerprint - Hex fingerprint of the primary key
+   * @returns {Promise<Key|null>} The removed key, or null if not found.
+   * @async
+   */
+  async removeKey(fingerprint) {
+    await this.ensureLoaded();
+    fingerprint = fingerprint.toLowerCase();
+    return this.queueUpdate(fingerprint, async () => {
+      const key = this.keys.get(fingerprint);
+      if (!key) {
+        return null;
+      }
+      await this.store.deleteKey(key.getFingerprint());
+      this.unindexKey(key);
+      return key;
+    });
+  }
+
+  /**
+   * Returns all keys in the keyring
+   * @returns {Promise<Array<Key>>}
+   * @async
+   */
+  async getKeys() {
+    await this.ensureLoaded();
+    return [...this.keys.values()];
+  }
+
+  /**
+   * Returns the key with the given primary key fingerprint
+   * @param {String} fingerprint - Hex fingerprint
+   * @returns {Promise<Key|null>} The key, or null if not found.
+   * @async
+   */
+  async getKeyForFingerprint(fingerprint) {
+    await this.ensureLoaded();
+    return this.keys.get(fingerprint.toLowerCase()) || null;
+  }
+
+  /**
+   * Returns the keys whose primary key or one of its subkeys has the given key ID.
+   * For the wildcard key ID, all keys are returned.
+   * @param {module:type/keyid~KeyID|String} keyID - Key ID object or hex string
+   * @returns {Promise<Array<Key>>}
+   * @async
+   */
+  async getKeysForID(keyID) {
+    await this.ensureLoaded();
+    if (util.isString(keyID)) {
+      keyID = KeyID.fromID(keyID.toLowerCase());
+    }
+    if (keyID.isWildcard()) {
+      return [...this.keys.values()];
+    }
+    const fingerprints = this.keyIDIndex.get(keyID.toHex()) || [];
+    return [...fingerprints].map(fingerprint => this.keys.get(fingerprint));
+  }
+
+  /**
+   * Returns the keys with a user ID for the given email address, compared case-insensitively
+   * @param {String} email
+   * @returns {Promise<Array<Key>>}
+   * @async
+   */
+  async getKeysForEmail(email) {
+    await this.ensureLoaded();
+    const fingerprints = this.emailIndex.get(normalizeEmail(email)) || [];
+    return [...fingerprints].map(fingerprint => this.keys.get(fingerprint));
+  }
+}
+
+export default Keyring;
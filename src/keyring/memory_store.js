@@ -0,0 +1,56 @@
+/**
+ * @module keyring/MemoryKeyStore
+ * @private
+ */
+
+/**
+ * Storage backend for a {@link Keyring}.
+ * Other backends (e.g. backed by a database) can be used by implementing the same methods.
+ * @typedef {Object} KeyStore
+ * @property {function(): Promise<Array<Key>>} loadKeys - Returns all stored keys
+ * @property {function(Key): Promise<void>} storeKey - Stores the key, replacing any stored key with the same fingerprint
+ * @property {function(String): Promise<void>} deleteKey - Deletes the key with the given hex fingerprint, if any
+ */
+
+/**
+ * Key store that keeps keys in memory, the default storage backend of a {@link Keyring}
+ * @implements {KeyStore}
+ */
+class MemoryKeyStore {
+  constructor() {
+    /**
+     * Stored keys, by hex fingerprint
+     * @type {Map<String, Key>}
+     */
+    this.keys = new Map();
+  }
+
+  /**
+   * Returns all stored keys
+   * @returns {Promise<Array<Key>>}
+   * @async
+   */
+  async loadKeys() {
+    return [...this.keys.values()];
+  }
+
+  /**
+   * Stores the key, replacing any stored key with the same fingerprint
+   * @param {Key} key
+   * @async
+   */
+  async storeKey(key) {
+    this.keys.set(key.getFingerprint(), key);
+  }
+
+  /**
+   * Deletes the key with the given fingerprint, if any
+   * @param {String} fingerprint - Hex fingerprint
+   * @async
+   */
+  async deleteKey(fingerprint) {
+    this.keys.delete(fingerprint);
+  }
+}
+
+export default MemoryKeyStore;
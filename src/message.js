@@ -16,14 +16,14 @@
 // Foundation, Inc., 51 Franklin Street, Fifth Floor, Boston, MA  02110-1301  USA
 
 import * as stream from '@openpgp/web-stream-tools';
-import { armor, unarmor } from './encoding/armor';
+import { armor, armorMultipart, unarmor, unarmorMultipart } from './encoding/armor';
 import KeyID from './type/keyid';
 import defaultConfig from './config';
 import crypto from './crypto';
 import enums from './enums';
 import util from './util';
 import { Signature } from './signature';
-import { getPreferredHashAlgo, getPreferredAlgo, isAEADSupported, createSignaturePacket } from './key';
+import { getPreferredAlgo, isAEADSupported, isSEIPDv2Supported, createSignaturePacket } from './key';
 import {
   PacketList,
   LiteralDataPacket,
@@ -34,7 +34,8 @@ import {
   PublicKeyEncryptedSessionKeyPacket,
   SymEncryptedSessionKeyPacket,
   OnePassSignaturePacket,
-  SignaturePacket
+  SignaturePacket,
+  PaddingPacket
 } from './packet';
 
 // A Message can contain the following packets
@@ -100,7 +101,8 @@ export class Message {
    * Decrypt the message. Either a private key, a session key, or a password must be specified.
    * @param {Array<PrivateKey>} [decryptionKeys] - Private keys with decrypted secret data
    * @param {Array<String>} [passwords] - Passwords used to decrypt
-   * @param {Array<Object>} [sessionKeys] - Session keys in the form: { data:Uint8Array, algorithm:String, [aeadAlgorithm:String] }
+   * @param {Array<Object>} [sessionKeys] - Session keys in the form: { data:Uint8Array, algorithm:String|null, [aeadAlgorithm:String] },
+   *   where the algorithm may only be null for messages encrypted using a version 2 SEIPD packet
    * @param {Date} [date] - Use the given date for key verification instead of the current time
    * @param {Object} [config] - Full configuration, defaults to openpgp.config
    * @returns {Promise<Message>} New message with decrypted content.
@@ -120,9 +122,13 @@ export class Message {
     }
 
     const symEncryptedPacket = symEncryptedPacketlist[0];
+    // v6 session key packets do not store the session key algorithm, which is given by the SEIPDv2 packet instead
+    const isAlgorithmOptional = symEncryptedPacket.constructor.tag === enums.packet.symEncryptedIntegrityProtectedData &&
+      symEncryptedPacket.version === 2;
     let exception = null;
     const decryptedPromise = Promise.all(keyObjs.map(async keyObj => {
-      if (!keyObj || !util.isUint8Array(keyObj.data) || !util.isString(keyObj.algorithm)) {
+      if (!keyObj || !util.isUint8Array(keyObj.data) ||
+          !(util.isString(keyObj.algorithm) || (isAlgorithmOptional && keyObj.algorithm === null))) {
         throw new Error('Invalid session key for decryption.');
       }
 
@@ -156,8 +162,9 @@ export class Message {
    * @param {Object} [config] - Full configuration, defaults to openpgp.config
    * @returns {Promise<Array<{
    *   data: Uint8Array,
-   *   algorithm: String
-   * }>>} array of object with potential sessionKey, algorithm pairs
+   *   algorithm: String|null
+   * }>>} array of object with potential sessionKey, algorithm pairs.
+   *   The algorithm is null for v6 session key packets, as it is then stored in the encrypted data packet.
    * @async
    */
   async decryptSessionKeys(decryptionKeys, passwords, date = new Date(), config = defaultConfig) {
@@ -178,7 +185,7 @@ export class Message {
         }
         await Promise.all(packets.map(async function(keyPacket) {
           try {
-            await keyPacket.decrypt(password);
+            await keyPacket.decrypt(password, config);
             keyPackets.push(keyPacket);
           } catch (err) {
             util.printDebugError(err);
@@ -190,6 +197,9 @@ export class Message {
       if (pkESKeyPacketlist.length === 0) {
         throw new Error('No public key encrypted session key packet found.');
       }
+      // v6 session key packets do not store the symmetric algorithm, which is given by the SEIPDv2 packet instead
+      const symEncryptedPacket = this.packets.findPacket(enums.packet.symEncryptedIntegrityProtectedData);
+      const seipdv2Algorithm = symEncryptedPacket && symEncryptedPacket.version === 2 ? symEncryptedPacket.cipherAlgo : null;
       await Promise.all(pkESKeyPacketlist.map(async function(keyPacket) {
         await Promise.all(decryptionKeys.map(async function(decryptionKey) {
           let algos = [
@@ -199,9 +209,9 @@ export class Message {
             enums.symmetric.cast5 // Golang OpenPGP fallback
           ];
           try {
-            const primaryUser = await decryptionKey.getPrimaryUser(date, undefined, config); // TODO: Pass userID from somewhere.
-            if (primaryUser.selfCertification.preferredSymmetricAlgorithms) {
-              algos = algos.concat(primaryUser.selfCertification.preferredSymmetricAlgorithms);
+            const selfSignature = await decryptionKey.getPrimarySelfSignature(date, undefined, config); // TODO: Pass userID from somewhere.
+            if (selfSignature.preferredSymmetricAlgorithms) {
+              algos = algos.concat(selfSignature.preferredSymmetricAlgorithms);
             }
           } catch (e) {}
 
@@ -216,7 +226,8 @@ export class Message {
             }
             try {
               await keyPacket.decrypt(decryptionKeyPacket);
-              if (!algos.includes(enums.write(enums.symmetric, keyPacket.sessionKeyAlgorithm))) {
+              const sessionKeyAlgorithm = keyPacket.version === 3 ? enums.write(enums.symmetric, keyPacket.sessionKeyAlgorithm) : seipdv2Algorithm;
+              if (sessionKeyAlgorithm !== null && !algos.includes(sessionKeyAlgorithm)) {
                 throw new Error('A non-preferred symmetric algorithm was used.');
               }
               keyPackets.push(keyPacket);
@@ -287,6 +298,8 @@ export class Message {
 
   /**
    * Generate a new session key object, taking the algorithm preferences of the passed encryption keys into account, if any.
+   * An AEAD algorithm is selected if all encryption keys support version 2 SEIPD packets,
+   * or if `config.aeadProtect` is set and all keys support AEAD-encrypted data packets.
    * @param {Array<PublicKey>} [encryptionKeys] - Public key(s) to select algorithm preferences for
    * @param {Date} [date] - Date to select algorithm preferences at
    * @param {Array<Object>} [userIDs] - User IDs to select algorithm preferences for
@@ -296,7 +309,8 @@ export class Message {
    */
   static async generateSessionKey(encryptionKeys = [], date = new Date(), userIDs = [], config = defaultConfig) {
     const algorithm = enums.read(enums.symmetric, await getPreferredAlgo('symmetric', encryptionKeys, date, userIDs, config));
-    const aeadAlgorithm = config.aeadProtect && await isAEADSupported(encryptionKeys, date, userIDs, config) ?
+    const aeadAlgorithm = await isSEIPDv2Supported(encryptionKeys, date, userIDs, config) ||
+      (config.aeadProtect && await isAEADSupported(encryptionKeys, date, userIDs, config)) ?
       enums.read(enums.aead, await getPreferredAlgo('aead', encryptionKeys, date, userIDs, config)) :
       undefined;
 
@@ -314,10 +328,14 @@ export class Message {
    * @param {Date} [date] - Override the creation date of the literal package
    * @param {Array<Object>} [userIDs] - User IDs to encrypt for, e.g. [{ name:'Robert Receiver', email:'robert@openpgp.org' }]
    * @param {Object} [config] - Full configuration, defaults to openpgp.config
+   * @param {Object} [options]
+   * @param {Integer} [options.padding] - Number of random padding octets to add before encryption, see {@link Message#pad}.
+   *   Padding is only supported in version 2 SEIPD packets: if they are not supported by all encryption keys, an error is thrown.
+   *   If omitted, version 2 SEIPD packets are padded to a multiple of `config.paddingBucketSize` octets, if set
    * @returns {Promise<Message>} New message with encrypted content.
    * @async
    */
-  async encrypt(encryptionKeys, passwords, sessionKey, wildcard = false, encryptionKeyIDs = [], date = new Date(), userIDs = [], config = defaultConfig) {
+  async encrypt(encryptionKeys, passwords, sessionKey, wildcard = false, encryptionKeyIDs = [], date = new Date(), userIDs = [], config = defaultConfig, { padding } = {}) {
     if (sessionKey) {
       if (!util.isUint8Array(sessionKey.data) || !util.isString(sessionKey.algorithm)) {
         throw new Error('Invalid session key for encryption.');
@@ -335,13 +353,24 @@ export class Message {
     const msg = await Message.encryptSessionKey(sessionKeyData, algorithm, aeadAlgorithm, encryptionKeys, passwords, wildcard, encryptionKeyIDs, date, userIDs, config);
 
     let symEncryptedPacket;
-    if (aeadAlgorithm) {
+    let { packets } = this;
+    if (aeadAlgorithm && await isSEIPDv2Supported(encryptionKeys || [], date, userIDs, config)) {
+      symEncryptedPacket = new SymEncryptedIntegrityProtectedDataPacket();
+      symEncryptedPacket.version = 2;
+      symEncryptedPacket.aeadAlgorithm = aeadAlgorithm;
+      if (padding !== undefined || config.paddingBucketSize) {
+        ({ packets } = await this.pad(padding, config));
+      }
+    } else if (padding !== undefined) {
+      // padding packets are not allowed in SEIPDv1 and AEAD-encrypted data packets
+      throw new Error('Padding is only supported when all encryption keys support version 2 SEIPD packets');
+    } else if (aeadAlgorithm) {
       symEncryptedPacket = new AEADEncryptedDataPacket();
       symEncryptedPacket.aeadAlgorithm = aeadAlgorithm;
     } else {
       symEncryptedPacket = new SymEncryptedIntegrityProtectedDataPacket();
     }
-    symEncryptedPacket.packets = this.packets;
+    symEncryptedPacket.packets = packets;
 
     await symEncryptedPacket.encrypt(algorithm, sessionKeyData, config);
 
@@ -352,6 +381,8 @@ export class Message {
 
   /**
    * Encrypt a session key either with public keys, passwords, or both at once.
+   * If an AEAD algorithm is given and all public keys support version 2 SEIPD packets,
+   * version 6 session key packets are created.
    * @param {Uint8Array} sessionKey - session key for encryption
    * @param {String} algorithm - session key algorithm
    * @param {String} [aeadAlgorithm] - AEAD algorithm, e.g. 'eax' or 'ocb'
@@ -367,11 +398,19 @@ export class Message {
    */
   static async encryptSessionKey(sessionKey, algorithm, aeadAlgorithm, encryptionKeys, passwords, wildcard = false, encryptionKeyIDs = [], date = new Date(), userIDs = [], config = defaultConfig) {
     const packetlist = new PacketList();
+    const useV6Packets = !!aeadAlgorithm && await isSEIPDv2Supported(encryptionKeys || [], date, userIDs, config);
 
     if (encryptionKeys) {
       const results = await Promise.all(encryptionKeys.map(async function(primaryKey, i) {
         const encryptionKey = await primaryKey.getEncryptionKey(encryptionKeyIDs[i], date, userIDs, config);
         const pkESKeyPacket = new PublicKeyEncryptedSessionKeyPacket();
+        if (useV6Packets) {
+          pkESKeyPacket.version = 6;
+          if (!wildcard) {
+            pkESKeyPacket.publicKeyVersion = encryptionKey.keyPacket.version;
+            pkESKeyPacket.publicKeyFingerprint = encryptionKey.keyPacket.getFingerprintBytes();
+          }
+        }
         pkESKeyPacket.publicKeyID = wildcard ? KeyID.wildcard() : encryptionKey.getKeyID();
         pkESKeyPacket.publicKeyAlgorithm = encryptionKey.keyPacket.algorithm;
         pkESKeyPacket.sessionKey = sessionKey;
@@ -385,7 +424,7 @@ export class Message {
     if (passwords) {
       const testDecrypt = async function(keyPacket, password) {
         try {
-          await keyPacket.decrypt(password);
+          await keyPacket.decrypt(password, config);
           return 1;
         } catch (e) {
           return 0;
@@ -398,6 +437,9 @@ export class Message {
         const symEncryptedSessionKeyPacket = new SymEncryptedSessionKeyPacket(config);
         symEncryptedSessionKeyPacket.sessionKey = sessionKey;
         symEncryptedSessionKeyPacket.sessionKeyAlgorithm = algorithm;
+        if (useV6Packets) {
+          symEncryptedSessionKeyPacket.version = 6;
+        }
         if (aeadAlgorithm) {
           symEncryptedSessionKeyPacket.aeadAlgorithm = aeadAlgorithm;
         }
@@ -429,10 +471,11 @@ export class Message {
    * @param {Date} [date] - Override the creation time of the signature
    * @param {Array} [userIDs] - User IDs to sign with, e.g. [{ name:'Steve Sender', email:'steve@openpgp.org' }]
    * @param {Object} [config] - Full configuration, defaults to openpgp.config
+   * @param {Object} [signatureOptions] - Notations, policy URI and signer's user IDs to add to the signatures, see {@link createSignaturePackets}
    * @returns {Promise<Message>} New message with signed content.
    * @async
    */
-  async sign(signingKeys = [], signature = null, signingKeyIDs = [], date = new Date(), userIDs = [], config = defaultConfig) {
+  async sign(signingKeys = [], signature = null, signingKeyIDs = [], date = new Date(), userIDs = [], config = defaultConfig, signatureOptions) {
     const packetlist = new PacketList();
 
     const literalDataPacket = this.packets.findPacket(enums.packet.literalData);
@@ -440,49 +483,16 @@ export class Message {
       throw new Error('No literal data packet to sign.');
     }
 
-    let i;
-    let existingSigPacketlist;
-    // If data packet was created from Uint8Array, use binary, otherwise use text
-    const signatureType = literalDataPacket.text === null ?
-      enums.signature.binary : enums.signature.text;
-
-    if (signature) {
-      existingSigPacketlist = signature.packets.filterByTag(enums.packet.signature);
-      for (i = existingSigPacketlist.length - 1; i >= 0; i--) {
-        const signaturePacket = existingSigPacketlist[i];
-        const onePassSig = new OnePassSignaturePacket();
-        onePassSig.signatureType = signaturePacket.signatureType;
-        onePassSig.hashAlgorithm = signaturePacket.hashAlgorithm;
-        onePassSig.publicKeyAlgorithm = signaturePacket.publicKeyAlgorithm;
-        onePassSig.issuerKeyID = signaturePacket.issuerKeyID;
-        if (!signingKeys.length && i === 0) {
-          onePassSig.flags = 1;
-        }
-        packetlist.push(onePassSig);
-      }
-    }
-
-    await Promise.all(Array.from(signingKeys).reverse().map(async function (primaryKey, i) {
-      if (!primaryKey.isPrivate()) {
-        throw new Error('Need private key for signing');
-      }
-      const signingKeyID = signingKeyIDs[signingKeys.length - 1 - i];
-      const signingKey = await primaryKey.getSigningKey(signingKeyID, date, userIDs, config);
-      const onePassSig = new OnePassSignaturePacket();
-      onePassSig.signatureType = signatureType;
-      onePassSig.hashAlgorithm = await getPreferredHashAlgo(primaryKey, signingKey.keyPacket, date, userIDs, config);
-      onePassSig.publicKeyAlgorithm = signingKey.keyPacket.algorithm;
-      onePassSig.issuerKeyID = signingKey.getKeyID();
-      if (i === signingKeys.length - 1) {
-        onePassSig.flags = 1;
-      }
-      return onePassSig;
-    })).then(onePassSignatureList => {
-      onePassSignatureList.forEach(onePassSig => packetlist.push(onePassSig));
-    });
+    const signaturePackets = await createSignaturePackets(literalDataPacket, signingKeys, signature, signingKeyIDs, date, userIDs, false, config, signatureOptions);
+    // The one-pass signature packets are derived from the signatures, since v6 ones include the signature salt.
+    // They are in reverse order, so that the first one-pass signature corresponds to the last signature.
+    const onePassSignaturePackets = Array.from(signaturePackets).map(
+      (signaturePacket, i) => OnePassSignaturePacket.fromSignaturePacket(signaturePacket, i === 0)
+    ).reverse();
 
+    packetlist.push(...onePassSignaturePackets);
     packetlist.push(literalDataPacket);
-    packetlist.push(...(await createSignaturePackets(literalDataPacket, signingKeys, signature, signingKeyIDs, date, userIDs, false, config)));
+    packetlist.push(...signaturePackets);
 
     return new Message(packetlist);
   }
@@ -508,6 +518,35 @@ export class Message {
     return new Message(packetList);
   }
 
+  /**
+   * Appends a padding packet to the message, to hide the length of its content once encrypted
+   * @param {Integer} [length] - Number of random padding octets. If omitted, the message is padded such that its
+   *   serialized length is a multiple of `config.paddingBucketSize`; when streaming, the padding is generated
+   *   once the rest of the message has been written
+   * @param {Object} [config] - Full configuration, defaults to openpgp.config
+   * @returns {Promise<Message>} New message with padding.
+   * @async
+   */
+  async pad(length, config = defaultConfig) {
+    const padding = new PaddingPacket();
+    if (length !== undefined) {
+      if (!Number.isInteger(length) || length < 0) {
+        throw new Error('Invalid padding length');
+      }
+      await padding.createPadding(length);
+    } else {
+      if (!Number.isInteger(config.paddingBucketSize) || config.paddingBucketSize <= 0) {
+        throw new Error('Invalid padding bucket size');
+      }
+      padding.bucketSize = config.paddingBucketSize;
+    }
+
+    const packetList = new PacketList();
+    packetList.push(...this.packets, padding);
+
+    return new Message(packetList);
+  }
+
   /**
    * Create a detached signature for the message (the literal data packet of the message)
    * @param {Array<PrivateKey>} signingKeys - private keys with decrypted secret key data for signing
@@ -516,15 +555,16 @@ export class Message {
    * @param {Date} [date] - Override the creation time of the signature
    * @param {Array} [userIDs] - User IDs to sign with, e.g. [{ name:'Steve Sender', email:'steve@openpgp.org' }]
    * @param {Object} [config] - Full configuration, defaults to openpgp.config
+   * @param {Object} [signatureOptions] - Notations, policy URI and signer's user IDs to add to the signatures, see {@link createSignaturePackets}
    * @returns {Promise<Signature>} New detached signature of message content.
    * @async
    */
-  async signDetached(signingKeys = [], signature = null, signingKeyIDs = [], date = new Date(), userIDs = [], config = defaultConfig) {
+  async signDetached(signingKeys = [], signature = null, signingKeyIDs = [], date = new Date(), userIDs = [], config = defaultConfig, signatureOptions) {
     const literalDataPacket = this.packets.findPacket(enums.packet.literalData);
     if (!literalDataPacket) {
       throw new Error('No literal data packet to sign.');
     }
-    return new Signature(await createSignaturePackets(literalDataPacket, signingKeys, signature, signingKeyIDs, date, userIDs, true, config));
+    return new Signature(await createSignaturePackets(literalDataPacket, signingKeys, signature, signingKeyIDs, date, userIDs, true, config, signatureOptions));
   }
 
   /**
@@ -532,14 +572,17 @@ export class Message {
    * @param {Array<PublicKey>} verificationKeys - Array of public keys to verify signatures
    * @param {Date} [date] - Verify the signature against the given date, i.e. check signature creation time < date < expiration time
    * @param {Object} [config] - Full configuration, defaults to openpgp.config
+   * @param {Object<String, Function>} [notationHandlers] - Handlers of signature notations, by notation name, see {@link createVerificationObjects}
    * @returns {Promise<Array<{
    *   keyID: module:type/keyid~KeyID,
    *   signature: Promise<Signature>,
+   *   notations: Promise<Array<Object>>,
+   *   notationResults: Promise<Object>,
    *   verified: Promise<true>
    * }>>} List of signer's keyID and validity of signatures.
    * @async
    */
-  async verify(verificationKeys, date = new Date(), config = defaultConfig) {
+  async verify(verificationKeys, date = new Date(), config = defaultConfig, notationHandlers) {
     const msg = this.unwrapCompressed();
     const literalDataList = msg.packets.filterByTag(enums.packet.literalData);
     if (literalDataList.length !== 1) {
@@ -578,9 +621,9 @@ export class Message {
           await writer.abort(e);
         }
       });
-      return createVerificationObjects(onePassSigList, literalDataList, verificationKeys, date, false, config);
+      return createVerificationObjects(onePassSigList, literalDataList, verificationKeys, date, false, config, notationHandlers);
     }
-    return createVerificationObjects(signatureList, literalDataList, verificationKeys, date, false, config);
+    return createVerificationObjects(signatureList, literalDataList, verificationKeys, date, false, config, notationHandlers);
   }
 
   /**
@@ -589,21 +632,24 @@ export class Message {
    * @param {Signature} signature
    * @param {Date} date - Verify the signature against the given date, i.e. check signature creation time < date < expiration time
    * @param {Object} [config] - Full configuration, defaults to openpgp.config
+   * @param {Object<String, Function>} [notationHandlers] - Handlers of signature notations, by notation name, see {@link createVerificationObjects}
    * @returns {Promise<Array<{
    *   keyID: module:type/keyid~KeyID,
    *   signature: Promise<Signature>,
+   *   notations: Promise<Array<Object>>,
+   *   notationResults: Promise<Object>,
    *   verified: Promise<true>
    * }>>} List of signer's keyID and validity of signature.
    * @async
    */
-  verifyDetached(signature, verificationKeys, date = new Date(), config = defaultConfig) {
+  verifyDetached(signature, verificationKeys, date = new Date(), config = defaultConfig, notationHandlers) {
     const msg = this.unwrapCompressed();
     const literalDataList = msg.packets.filterByTag(enums.packet.literalData);
     if (literalDataList.length !== 1) {
       throw new Error('Can only verify message with one literal data packet.');
     }
     const signatureList = signature.packets;
-    return createVerificationObjects(signatureList, literalDataList, verificationKeys, date, true, config);
+    return createVerificationObjects(signatureList, literalDataList, verificationKeys, date, true, config, notationHandlers);
   }
 
   /**
@@ -642,9 +688,15 @@ export class Message {
   /**
    * Returns ASCII armored text of message
    * @param {Object} [config] - Full configuration, defaults to openpgp.config
-   * @returns {ReadableStream<String>} ASCII armor.
+   * @param {Object} [options]
+   * @param {Integer} [options.maxPartSize] - Split the armor into parts ("BEGIN PGP MESSAGE, PART X/Y") of at most
+   *   this many characters each. Not supported for streamed messages.
+   * @returns {ReadableStream<String>|Array<String>} ASCII armor, or the armored parts if `maxPartSize` is given.
    */
-  armor(config = defaultConfig) {
+  armor(config = defaultConfig, { maxPartSize } = {}) {
+    if (maxPartSize !== undefined) {
+      return armorMultipart(this.write(), maxPartSize, null, config);
+    }
     return armor(enums.armor.message, this.write(), null, null, null, config);
   }
 }
@@ -659,16 +711,25 @@ export class Message {
  * @param {Array} [userIDs] - User IDs to sign with, e.g. [{ name:'Steve Sender', email:'steve@openpgp.org' }]
  * @param {Boolean} [detached] - Whether to create detached signature packets
  * @param {Object} [config] - Full configuration, defaults to openpgp.config
+ * @param {Object} [signatureOptions]
+ * @param {Array<Object>} [signatureOptions.notations] - Notations to add to each signature, in the form
+ *   `{ name: String, value: String|Uint8Array, humanReadable: Boolean, critical: Boolean }`.
+ *   `humanReadable` defaults to whether `value` is a string, which is then UTF-8 encoded; `critical` defaults to false
+ * @param {String} [signatureOptions.policyURI] - URI of the policy under which the signatures are issued
+ * @param {Array<String>} [signatureOptions.signersUserIDs] - User IDs to state as responsible for the signatures, one per key in `signingKeys`
  * @returns {Promise<PacketList>} List of signature packets.
  * @async
  * @private
  */
-export async function createSignaturePackets(literalDataPacket, signingKeys, signature = null, signingKeyIDs = [], date = new Date(), userIDs = [], detached = false, config = defaultConfig) {
+export async function createSignaturePackets(literalDataPacket, signingKeys, signature = null, signingKeyIDs = [], date = new Date(), userIDs = [], detached = false, config = defaultConfig, {
+  notations = [], policyURI = null, signersUserIDs = []
+} = {}) {
   const packetlist = new PacketList();
 
   // If data packet was created from Uint8Array, use binary, otherwise use text
   const signatureType = literalDataPacket.text === null ?
     enums.signature.binary : enums.signature.text;
+  const rawNotations = formatNotations(notations);
 
   await Promise.all(signingKeys.map(async (primaryKey, i) => {
     const userID = userIDs[i];
@@ -676,7 +737,8 @@ export async function createSignaturePackets(literalDataPacket, signingKeys, sig
       throw new Error('Need private key for signing');
     }
     const signingKey = await primaryKey.getSigningKey(signingKeyIDs[i], date, userID, config);
-    return createSignaturePacket(literalDataPacket, primaryKey, signingKey.keyPacket, { signatureType }, date, userID, detached, config);
+    const signatureProperties = { signatureType, rawNotations: [...rawNotations], policyURI, signersUserID: signersUserIDs[i] || null };
+    return createSignaturePacket(literalDataPacket, primaryKey, signingKey.keyPacket, signatureProperties, date, userID, detached, config);
   })).then(signatureList => {
     packetlist.push(...signatureList);
   });
@@ -688,6 +750,21 @@ export async function createSignaturePackets(literalDataPacket, signingKeys, sig
   return packetlist;
 }
 
+/**
+ * Converts the given notations to the format of {@link SignaturePacket#rawNotations}
+ * @param {Array<Object>} notations
+ * @returns {Array<Object>}
+ * @private
+ */
+function formatNotations(notations) {
+  return notations.map(({ name, value, humanReadable = util.isString(value), critical = false }) => {
+    if (!util.isString(name) || !(util.isString(value) || util.isUint8Array(value))) {
+      throw new Error('Invalid notation: name should be a string, and value a string or Uint8Array');
+    }
+    return { name, value: util.isString(value) ? util.encodeUTF8(value) : value, humanReadable, critical };
+  });
+}
+
 /**
  * Create object containing signer's keyID and validity of signature
  * @param {SignaturePacket} signature - Signature packet
@@ -696,15 +773,18 @@ export async function createSignaturePackets(literalDataPacket, signingKeys, sig
  * @param {Date} [date] - Check signature validity with respect to the given date
  * @param {Boolean} [detached] - Whether to verify detached signature packets
  * @param {Object} [config] - Full configuration, defaults to openpgp.config
+ * @param {Object<String, Function>} [notationHandlers] - Handlers of signature notations, by notation name
  * @returns {Promise<{
  *   keyID: module:type/keyid~KeyID,
  *   signature: Promise<Signature>,
+ *   notations: Promise<Array<Object>>,
+ *   notationResults: Promise<Object>,
  *   verified: Promise<true>
- * }>} signer's keyID and validity of signature
+ * }>} signer's keyID, notations and validity of signature
  * @async
  * @private
  */
-async function createVerificationObject(signature, literalDataList, verificationKeys, date = new Date(), detached = false, config = defaultConfig) {
+async function createVerificationObject(signature, literalDataList, verificationKeys, date = new Date(), detached = false, config = defaultConfig, notationHandlers = {}) {
   let primaryKey;
   let unverifiedSigningKey;
 
@@ -719,41 +799,51 @@ async function createVerificationObject(signature, literalDataList, verification
 
   const isOnePassSignature = signature instanceof OnePassSignaturePacket;
   const signaturePacketPromise = isOnePassSignature ? signature.correspondingSig : signature;
+  // critical notations with a handler are accepted by the signature verification, and checked by the handler afterwards
+  const handledNotations = Object.keys(notationHandlers);
+  const verificationConfig = handledNotations.length ? { ...config, knownNotations: config.knownNotations.concat(handledNotations) } : config;
 
-  const verifiedSig = {
-    keyID: signature.issuerKeyID,
-    verified: (async () => {
-      if (!unverifiedSigningKey) {
-        throw new Error(`Could not find signing key with key ID ${signature.issuerKeyID.toHex()}`);
-      }
+  const verification = (async () => {
+    if (!unverifiedSigningKey) {
+      throw new Error(`Could not find signing key with key ID ${signature.issuerKeyID.toHex()}`);
+    }
 
-      await signature.verify(unverifiedSigningKey.keyPacket, signature.signatureType, literalDataList[0], date, detached, config);
-      const signaturePacket = await signaturePacketPromise;
-      if (unverifiedSigningKey.getCreationTime() > signaturePacket.created) {
-        throw new Error('Key is newer than the signature');
-      }
-      // We pass the signature creation time to check whether the key was expired at the time of signing.
-      // We check this after signature verification because for streamed one-pass signatures, the creation time is not available before
-      try {
-        await primaryKey.getSigningKey(unverifiedSigningKey.getKeyID(), signaturePacket.created, undefined, config);
-      } catch (e) {
-        // If a key was reformatted then the self-signatures of the signing key might be in the future compared to the message signature,
-        // making the key invalid at the time of signing.
-        // However, if the key is valid at the given `date`, we still allow using it provided the relevant `config` setting is enabled.
-        // Note: we do not support the edge case of a key that was reformatted and it has expired.
-        if (config.allowInsecureVerificationWithReformattedKeys && e.message.match(/Signature creation time is in the future/)) {
-          await primaryKey.getSigningKey(unverifiedSigningKey.getKeyID(), date, undefined, config);
-        } else {
-          throw e;
-        }
+    await signature.verify(unverifiedSigningKey.keyPacket, signature.signatureType, literalDataList[0], date, detached, verificationConfig);
+    const signaturePacket = await signaturePacketPromise;
+    if (unverifiedSigningKey.getCreationTime() > signaturePacket.created) {
+      throw new Error('Key is newer than the signature');
+    }
+    // We pass the signature creation time to check whether the key was expired at the time of signing.
+    // We check this after signature verification because for streamed one-pass signatures, the creation time is not available before
+    try {
+      await primaryKey.getSigningKey(unverifiedSigningKey.getKeyID(), signaturePacket.created, undefined, config);
+    } catch (e) {
+      // If a key was reformatted then the self-signatures of the signing key might be in the future compared to the message signature,
+      // making the key invalid at the time of signing.
+      // However, if the key is valid at the given `date`, we still allow using it provided the relevant `config` setting is enabled.
+      // Note: we do not support the edge case of a key that was reformatted and it has expired.
+      if (config.allowInsecureVerificationWithReformattedKeys && e.message.match(/Signature creation time is in the future/)) {
+        await primaryKey.getSigningKey(unverifiedSigningKey.getKeyID(), date, undefined, config);
+      } else {
+        throw e;
       }
-      return true;
-    })(),
+    }
+    return runNotationHandlers(signaturePacket, notationHandlers);
+  })();
+
+  const verifiedSig = {
+    keyID: signature.issuerKeyID,
+    verified: verification.then(() => true),
+    notationResults: verification,
     signature: (async () => {
       const signaturePacket = await signaturePacketPromise;
       const packetlist = new PacketList();
       signaturePacket && packetlist.push(signaturePacket);
       return new Signature(packetlist);
+    })(),
+    notations: (async () => {
+      const signaturePacket = await signaturePacketPromise;
+      return signaturePacket ? signaturePacket.rawNotations : [];
     })()
   };
 
@@ -762,11 +852,44 @@ async function createVerificationObject(signature, literalDataList, verification
   // handle them (e.g. `await readToEnd(result.data); await result.verified` and
   // the data stream errors).
   verifiedSig.signature.catch(() => {});
+  verifiedSig.notations.catch(() => {});
+  verifiedSig.notationResults.catch(() => {});
   verifiedSig.verified.catch(() => {});
 
   return verifiedSig;
 }
 
+/**
+ * Passes the notations of a verified signature to their handlers
+ * @param {SignaturePacket} signature - Verified signature packet
+ * @param {Object<String, Function>} notationHandlers - Handlers of signature notations, by notation name
+ * @returns {Promise<Object>} Values returned by the handlers, by notation name.
+ * @throws {Error} if a handler rejects a notation
+ * @async
+ * @private
+ */
+async function runNotationHandlers(signature, notationHandlers) {
+  const results = {};
+  for (const notation of signature.rawNotations) {
+    if (!Object.prototype.hasOwnProperty.call(notationHandlers, notation.name)) {
+      continue;
+    }
+    let result;
+    try {
+      result = await notationHandlers[notation.name]({ ...notation }, signature);
+    } catch (e) {
+      throw util.wrapError(`Notation rejected: ${notation.name}`, e);
+    }
+    if (result === false) {
+      throw new Error(`Notation rejected: ${notation.name}`);
+    }
+    if (result !== undefined) {
+      results[notation.name] = result;
+    }
+  }
+  return results;
+}
+
 /**
  * Create list of objects containing signer's keyID and validity of signature
  * @param {Array<SignaturePacket>} signatureList - Array of signature packets
@@ -776,28 +899,37 @@ async function createVerificationObject(signature, literalDataList, verification
  *                    i.e. check signature creation time < date < expiration time
  * @param {Boolean} [detached] - Whether to verify detached signature packets
  * @param {Object} [config] - Full configuration, defaults to openpgp.config
+ * @param {Object<String, Function>} [notationHandlers] - Handlers of signature notations, by notation name.
+ *   Once a signature is verified, each of its notations that has a handler is passed to it, as
+ *   `handler({ name, value, humanReadable, critical }, signaturePacket)`. The handler can reject the notation
+ *   (and so fail the verification) by throwing or returning `false`; any other value it returns, or resolves to,
+ *   is added to `notationResults` under the notation name. Critical notations with a handler are considered known.
  * @returns {Promise<Array<{
  *   keyID: module:type/keyid~KeyID,
  *   signature: Promise<Signature>,
+ *   notations: Promise<Array<Object>>,
+ *   notationResults: Promise<Object>,
  *   verified: Promise<true>
- * }>>} list of signer's keyID and validity of signatures (one entry per signature packet in input)
+ * }>>} list of signer's keyID, notations and validity of signatures (one entry per signature packet in input)
  * @async
  * @private
  */
-export async function createVerificationObjects(signatureList, literalDataList, verificationKeys, date = new Date(), detached = false, config = defaultConfig) {
+export async function createVerificationObjects(signatureList, literalDataList, verificationKeys, date = new Date(), detached = false, config = defaultConfig, notationHandlers) {
   return Promise.all(signatureList.filter(function(signature) {
     return ['text', 'binary'].includes(enums.read(enums.signature, signature.signatureType));
   }).map(async function(signature) {
-    return createVerificationObject(signature, literalDataList, verificationKeys, date, detached, config);
+    return createVerificationObject(signature, literalDataList, verificationKeys, date, detached, config, notationHandlers);
   }));
 }
 
 /**
  * Reads an (optionally armored) OpenPGP message and returns a Message object
  * @param {Object} options
- * @param {String | ReadableStream<String>} [options.armoredMessage] - Armored message to be parsed
+ * @param {String | ReadableStream<String>} [options.armoredMessage] - Armored message to be parsed. If given as a string,
+ *   it may also contain all the parts of a multipart armored message ("BEGIN PGP MESSAGE, PART X/Y"), in any order
  * @param {Uint8Array | ReadableStream<Uint8Array>} [options.binaryMessage] - Binary to be parsed
- * @param {Object} [options.config] - Custom configuration settings to overwrite those in [config]{@link module:config}
+ * @param {Object} [options.config] - Custom configuration settings to overwrite those in [config]{@link module:config}.
+ *   `config.maxDecompressedSize` and `config.maxDecompressionRatio` apply to the compressed data in the message, which is decompressed here
  * @returns {Promise<Message>} New message object.
  * @async
  * @static
@@ -822,7 +954,9 @@ export async function readMessage({ armoredMessage, binaryMessage, config, ...re
     input = stream.toStream(input);
   }
   if (armoredMessage) {
-    const { type, data } = await unarmor(input, config);
+    const { type, data } = util.isString(input) && /^-----BEGIN PGP MESSAGE, PART \d+/m.test(input) ?
+      await unarmorMultipart(input, config) :
+      await unarmor(input, config);
     if (type !== enums.armor.message) {
       throw new Error('Armored text not of type message');
     }
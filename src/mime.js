@@ -0,0 +1,316 @@
+/**
+ * @fileoverview Building and parsing of PGP/MIME (RFC 3156) signed and encrypted messages.
+ * @see {@link https://tools.ietf.org/html/rfc3156|RFC 3156}
+ * @module mime
+ */
+
+import { encrypt, decrypt, sign, verify } from './openpgp';
+import { createMessage, readMessage } from './message';
+import { readSignature } from './signature';
+import { getRandomBytes } from './crypto/random';
+import enums from './enums';
+import util from './util';
+import defaultConfig from './config';
+
+/**
+ * Normalize line endings to <CR><LF>, as required for MIME entities and their signatures
+ * @param {String} text
+ * @returns {String}
+ */
+function canonicalize(text) {
+  return text.replace(/\r?\n/g, '\r\n');
+}
+
+/**
+ * Split a canonicalized MIME entity into its headers and body
+ * @param {String} entity
+ * @returns {{ headers: Object<String, String>, body: String }} The unfolded header values, by lowercase header name, and the body.
+ */
+function parseEntity(entity) {
+  const separator = entity.startsWith('\r\n') ? 0 : entity.indexOf('\r\n\r\n');
+  if (separator === -1) {
+    throw new Error('Invalid MIME entity: missing blank line after headers');
+  }
+  const headers = {};
+  entity.slice(0, separator).replace(/\r\n(?=[ \t])/g, '').split('\r\n').filter(line => line).forEach(line => {
+    const colon = line.indexOf(':');
+    if (colon <= 0) {
+      throw new Error('Invalid MIME header: ' + line);
+    }
+    headers[line.slice(0, colon).trim().toLowerCase()] = line.slice(colon + 1).trim();
+  });
+  return { headers, body: entity.slice(separator + (separator ? 4 : 2)) };
+}
+
+/**
+ * Parse the value of a Content-Type header
+ * @param {String} [value='text/plain']
+ * @returns {{ type: String, params: Object<String, String> }} The lowercase media type, and the parameters by lowercase name.
+ */
+function parseContentType(value = 'text/plain') {
+  const [type] = value.split(';');
+  const params = {};
+  const reParam = /;\s*([^\s=;]+)\s*=\s*(?:"((?:[^"\\]|\\.)*)"|([^\s;]*))/g;
+  for (const [, name, quoted, token] of value.matchAll(reParam)) {
+    params[name.toLowerCase()] = quoted !== undefined ? quoted.replace(/\\(.)/g, '$1') : token;
+  }
+  return { type: type.trim().toLowerCase(), params };
+}
+
+/**
+ * Split the body of a canonicalized multipart entity into its parts, see RFC 2046, section 5.1.1.
+ * The line break before each boundary delimiter belongs to the delimiter, not to the preceding part.
+ * @param {String} body
+ * @param {String} boundary
+ * @returns {Array<String>} The body parts.
+ */
+function splitMultipart(body, boundary) {
+  const parts = [];
+  let lines = null;
+  for (const line of body.split('\r\n')) {
+    const trimmed = line.replace(/[ \t]+$/, '');
+    if (trimmed === '--' + boundary || trimmed === '--' + boundary + '--') {
+      if (lines) {
+        parts.push(lines.join('\r\n'));
+      }
+      if (trimmed === '--' + boundary + '--') {
+        return parts;
+      }
+      lines = [];
+    } else if (lines) {
+      lines.push(line);
+    }
+  }
+  throw new Error('Invalid multipart entity: missing closing boundary delimiter');
+}
+
+/**
+ * Build a multipart entity from the given, canonicalized, body parts
+ * @param {String} type - Media subtype, e.g. 'signed'
+ * @param {String} params - Content-Type parameters, other than the boundary
+ * @param {String} preamble - Text for clients that do not support the multipart type
+ * @param {Array<String>} parts
+ * @returns {Promise<String>}
+ * @async
+ */
+async function buildMultipart(type, params, preamble, parts) {
+  const boundary = util.uint8ArrayToHex(await getRandomBytes(16));
+  return [
+    `Content-Type: multipart/${type}; ${params};\r\n boundary="${boundary}"\r\n\r\n${preamble}\r\n`,
+    ...parts.map(part => `--${boundary}\r\n${part}\r\n`),
+    `--${boundary}--\r\n`
+  ].join('');
+}
+
+/**
+ * Canonicalize the given MIME entity, and check that it starts with its headers (or a blank line if it has none)
+ * @param {String} entity
+ * @returns {String}
+ */
+function checkEntity(entity) {
+  if (!util.isString(entity)) {
+    throw new Error('Parameter [entity] must be of type String');
+  }
+  entity = canonicalize(entity);
+  if (!/^([^\s:]+:[^\r\n]*\r\n([ \t][^\r\n]*\r\n)*)*\r\n/.test(entity)) {
+    throw new Error('Parameter [entity] must be a MIME entity, starting with its headers followed by a blank line');
+  }
+  return entity;
+}
+
+/**
+ * Returns the `micalg` parameter value for the given hash algorithm, see RFC 3156, section 5
+ * @param {module:enums.hash} hashAlgorithm
+ * @returns {String}
+ */
+function getMicAlg(hashAlgorithm) {
+  const name = enums.read(enums.hash, hashAlgorithm);
+  return 'pgp-' + (name === 'ripemd' ? 'ripemd160' : name);
+}
+
+/**
+ * Check that at least one of the given signatures is valid, for `expectSigned`
+ * @param {Array<Object>} signatures - Verification results
+ * @async
+ */
+async function checkSigned(signatures) {
+  if (!signatures.length) {
+    throw new Error('Message is not signed');
+  }
+  await util.anyPromise(signatures.map(signature => signature.verified));
+}
+
+/**
+ * Signs a MIME entity, and returns it as a `multipart/signed` entity (RFC 3156, section 5).
+ * The entity is signed in its canonical form, with <CR><LF> line endings, which is also how it is returned;
+ * to keep the signature valid in transit, it should only contain 7-bit data (e.g. use quoted-printable or base64 encoding).
+ * @param {Object} options
+ * @param {String} options.entity - MIME entity to sign, including its headers, e.g. `Content-Type: text/plain\r\n\r\nHello`
+ * @param {PrivateKey|PrivateKey[]} options.signingKeys - Array of keys or single key with decrypted secret key data to sign with
+ * @param {KeyID|KeyID[]} [options.signingKeyIDs=latest-created valid signing (sub)keys] - Array of key IDs to use for signing. Each signingKeyIDs[i] corresponds to signingKeys[i]
+ * @param {Date} [options.date=current date] - Override the creation date of the signature
+ * @param {Object|Object[]} [options.signingUserIDs=primary user IDs] - Array of user IDs to sign with, one per key in `signingKeys`
+ * @param {Object} [options.config] - Custom configuration settings to overwrite those in [config]{@link module:config}
+ * @returns {Promise<String>} The `multipart/signed` entity, starting with its Content-Type header.
+ * @async
+ * @static
+ */
+export async function signMIME({ entity, signingKeys, signingKeyIDs, date, signingUserIDs, config, ...rest }) {
+  config = { ...defaultConfig, ...config };
+  entity = checkEntity(entity);
+  const unknownOptions = Object.keys(rest); if (unknownOptions.length > 0) throw new Error(`Unknown option: ${unknownOptions.join(', ')}`);
+
+  const message = await createMessage({ binary: util.encodeUTF8(entity) });
+  const signature = await sign({ message, signingKeys, signingKeyIDs, date, signingUserIDs, detached: true, format: 'object', config });
+  const micalg = [...new Set(signature.packets.map(({ hashAlgorithm }) => getMicAlg(hashAlgorithm)))].join(',');
+  return buildMultipart('signed', `micalg="${micalg}"; protocol="application/pgp-signature"`, 'This is an OpenPGP/MIME signed message (RFC 4880 and 3156)', [
+    entity,
+    'Content-Type: application/pgp-signature; name="signature.asc"\r\n' +
+    'Content-Description: OpenPGP digital signature\r\n' +
+    'Content-Disposition: attachment; filename="signature.asc"\r\n\r\n' +
+    canonicalize(signature.armor(config))
+  ]);
+}
+
+/**
+ * Encrypts, and optionally signs, a MIME entity, and returns it as a `multipart/encrypted` entity (RFC 3156, sections 4 and 6.2).
+ * @param {Object} options
+ * @param {String} options.entity - MIME entity to encrypt, including its headers, e.g. `Content-Type: text/plain\r\n\r\nHello`
+ * @param {PublicKey|PublicKey[]} [options.encryptionKeys] - Array of keys or single key, used to encrypt the message
+ * @param {PrivateKey|PrivateKey[]} [options.signingKeys] - Private keys for signing. If omitted message will not be signed
+ * @param {String|String[]} [options.passwords] - Array of passwords or a single password to encrypt the message
+ * @param {KeyID|KeyID[]} [options.signingKeyIDs=latest-created valid signing (sub)keys] - Array of key IDs to use for signing. Each signingKeyIDs[i] corresponds to signingKeys[i]
+ * @param {KeyID|KeyID[]} [options.encryptionKeyIDs=latest-created valid encryption (sub)keys] - Array of key IDs to use for encryption. Each encryptionKeyIDs[i] corresponds to encryptionKeys[i]
+ * @param {Date} [options.date=current date] - Override the creation date of the message signature
+ * @param {Object|Object[]} [options.signingUserIDs=primary user IDs] - Array of user IDs to sign with, one per key in `signingKeys`
+ * @param {Object|Object[]} [options.encryptionUserIDs=primary user IDs] - Array of user IDs to encrypt for, one per key in `encryptionKeys`
+ * @param {Object} [options.config] - Custom configuration settings to overwrite those in [config]{@link module:config}
+ * @returns {Promise<String>} The `multipart/encrypted` entity, starting with its Content-Type header.
+ * @async
+ * @static
+ */
+export async function encryptMIME({ entity, encryptionKeys, signingKeys, passwords, signingKeyIDs, encryptionKeyIDs, date, signingUserIDs, encryptionUserIDs, config, ...rest }) {
+  entity = checkEntity(entity);
+  const unknownOptions = Object.keys(rest); if (unknownOptions.length > 0) throw new Error(`Unknown option: ${unknownOptions.join(', ')}`);
+
+  const message = await createMessage({ binary: util.encodeUTF8(entity), format: 'mime' });
+  const encrypted = await encrypt({ message, encryptionKeys, signingKeys, passwords, signingKeyIDs, encryptionKeyIDs, date, signingUserIDs, encryptionUserIDs, config });
+  return buildMultipart('encrypted', 'protocol="application/pgp-encrypted"', 'This is an OpenPGP/MIME encrypted message (RFC 4880 and 3156)', [
+    'Content-Type: application/pgp-encrypted\r\n' +
+    'Content-Description: PGP/MIME version identification\r\n\r\n' +
+    'Version: 1\r\n',
+    'Content-Type: application/octet-stream; name="encrypted.asc"\r\n' +
+    'Content-Description: OpenPGP encrypted message\r\n' +
+    'Content-Disposition: inline; filename="encrypted.asc"\r\n\r\n' +
+    canonicalize(encrypted)
+  ]);
+}
+
+/**
+ * Parses a multipart entity of the given type and protocol
+ * @param {String} entity
+ * @param {String} type - Expected media type
+ * @param {String} protocol - Expected protocol parameter
+ * @returns {Array<String>} The two body parts.
+ */
+function readMultipart(entity, type, protocol) {
+  if (!util.isString(entity)) {
+    throw new Error('Parameter [entity] must be of type String');
+  }
+  const { headers, body } = parseEntity(canonicalize(entity));
+  const contentType = parseContentType(headers['content-type']);
+  if (contentType.type !== type) {
+    throw new Error(`MIME entity is not of type ${type}`);
+  }
+  if ((contentType.params.protocol || '').toLowerCase() !== protocol) {
+    throw new Error(`Unsupported ${type} protocol: ${contentType.params.protocol}`);
+  }
+  if (!contentType.params.boundary) {
+    throw new Error(`Invalid ${type} entity: missing boundary`);
+  }
+  const parts = splitMultipart(body, contentType.params.boundary);
+  if (parts.length !== 2) {
+    throw new Error(`Invalid ${type} entity: expected 2 body parts, found ${parts.length}`);
+  }
+  return parts;
+}
+
+/**
+ * Verifies a `multipart/signed` entity (RFC 3156, section 5). Line endings are canonicalized before verification.
+ * @param {Object} options
+ * @param {String} options.entity - The `multipart/signed` entity, starting with its Content-Type header
+ * @param {PublicKey|PublicKey[]|Keyring} [options.verificationKeys] - Array of public keys or single key, to verify signatures,
+ *   or a keyring in which to look up the keys the message is signed with
+ * @param {Boolean} [options.expectSigned=false] - If true, verification throws if the message is not signed with the provided publicKeys
+ * @param {Date} [options.date=current date] - Use the given date for verification instead of the current time
+ * @param {Object} [options.config] - Custom configuration settings to overwrite those in [config]{@link module:config}
+ * @returns {Promise<Object>} Object containing the signed entity and the signature verification results, as returned by
+ *   [verify]{@link module:openpgp.verify}, in the form:
+ *
+ *     {
+ *       data: String, (the signed MIME entity, with <CR><LF> line endings)
+ *       signatures: Array<Object>
+ *     }
+ * @async
+ * @static
+ */
+export async function verifyMIME({ entity, verificationKeys, expectSigned = false, date, config, ...rest }) {
+  const unknownOptions = Object.keys(rest); if (unknownOptions.length > 0) throw new Error(`Unknown option: ${unknownOptions.join(', ')}`);
+
+  const [signedEntity, signaturePart] = readMultipart(entity, 'multipart/signed', 'application/pgp-signature');
+  const { headers, body } = parseEntity(signaturePart);
+  if (parseContentType(headers['content-type']).type !== 'application/pgp-signature') {
+    throw new Error('Invalid multipart/signed entity: second body part is not of type application/pgp-signature');
+  }
+  const message = await createMessage({ binary: util.encodeUTF8(signedEntity) });
+  const signature = await readSignature({ armoredSignature: body, config });
+  const { signatures } = await verify({ message, signature, verificationKeys, date, format: 'binary', config });
+  if (expectSigned) {
+    await checkSigned(signatures);
+  }
+  return { data: signedEntity, signatures };
+}
+
+/**
+ * Decrypts a `multipart/encrypted` entity (RFC 3156, section 4), and verifies its signatures. Both combined signing and encryption
+ * (section 6.2) and an encrypted `multipart/signed` entity (section 6.1) are supported.
+ * @param {Object} options
+ * @param {String} options.entity - The `multipart/encrypted` entity, starting with its Content-Type header
+ * @param {PrivateKey|PrivateKey[]|Keyring} [options.decryptionKeys] - Private keys with decrypted secret key data,
+ *   or a keyring in which to look up the private keys the message is encrypted to
+ * @param {String|String[]} [options.passwords] - Passwords to decrypt the message
+ * @param {Object|Object[]} [options.sessionKeys] - Session keys in the form: { data:Uint8Array, algorithm:String }
+ * @param {PublicKey|PublicKey[]|Keyring} [options.verificationKeys] - Array of public keys or single key, to verify signatures,
+ *   or a keyring in which to look up the keys the message is signed with
+ * @param {Boolean} [options.expectSigned=false] - If true, decryption fails if the message is not signed with the provided publicKeys
+ * @param {Date} [options.date=current date] - Use the given date for verification instead of the current time
+ * @param {Object} [options.config] - Custom configuration settings to overwrite those in [config]{@link module:config}
+ * @returns {Promise<Object>} Object containing the decrypted entity and the signature verification results, as returned by
+ *   [decrypt]{@link module:openpgp.decrypt}, in the form:
+ *
+ *     {
+ *       data: String, (the decrypted MIME entity, or the signed entity inside it for an encrypted multipart/signed entity)
+ *       signatures: Array<Object>
+ *     }
+ * @async
+ * @static
+ */
+export async function decryptMIME({ entity, decryptionKeys, passwords, sessionKeys, verificationKeys, expectSigned = false, date, config, ...rest }) {
+  const unknownOptions = Object.keys(rest); if (unknownOptions.length > 0) throw new Error(`Unknown option: ${unknownOptions.join(', ')}`);
+
+  const [versionPart, encryptedPart] = readMultipart(entity, 'multipart/encrypted', 'application/pgp-encrypted');
+  const version = parseEntity(versionPart);
+  if (parseContentType(version.headers['content-type']).type !== 'application/pgp-encrypted' || !/^Version:[ \t]*1[ \t]*$/m.test(version.body)) {
+    throw new Error('Invalid multipart/encrypted entity: missing or unsupported version identification');
+  }
+  const message = await readMessage({ armoredMessage: parseEntity(encryptedPart).body, config });
+  const { data, signatures } = await decrypt({ message, decryptionKeys, passwords, sessionKeys, verificationKeys, date, format: 'binary', config });
+  const decrypted = canonicalize(util.decodeUTF8(data));
+  if (!signatures.length && parseContentType(parseEntity(decrypted).headers['content-type']).type === 'multipart/signed') {
+    return verifyMIME({ entity: decrypted, verificationKeys, expectSigned, date, config });
+  }
+  if (expectSigned) {
+    await checkSigned(signatures);
+  }
+  return { data: decrypted, signatures };
+}
@@ -22,6 +22,7 @@ import { generate, reformat, getPreferredAlgo } from './key';
 import defaultConfig from './config';
 import util from './util';
 import { checkKeyRequirements } from './key/helper';
+import { Keyring } from './keyring';
 
 
 //////////////////////
@@ -36,16 +37,19 @@ import { checkKeyRequirements } from './key/helper';
  * The generated primary key will have signing capabilities. By default, one subkey with encryption capabilities is also generated.
  * @param {Object} options
  * @param {Object|Array<Object>} options.userIDs - User IDs as objects: `{ name: 'Jo Doe', email: 'info@jo.com' }`
- * @param {'ecc'|'rsa'} [options.type='ecc'] - The primary key algorithm type: ECC (default) or RSA
+ * @param {'ecc'|'rsa'|'curve25519'|'curve448'} [options.type='ecc'] - The primary key algorithm type: ECC (default), RSA, or Ed25519 or Ed448 as defined in the crypto-refresh.
+ *                                             The latter use X25519 or X448 for encryption subkeys; the `curve` option is then ignored
  * @param {String|Uint8Array} [options.passphrase=(not protected)] - The passphrase used to encrypt the generated private key. If omitted, the key won't be encrypted.
  * @param {Number} [options.rsaBits=4096] - Number of bits for RSA keys
  * @param {String} [options.curve='curve25519'] - Elliptic curve for ECC keys:
- *                                             curve25519 (default), p256, p384, p521, secp256k1,
+ *                                             curve25519 (default), curve448, p256, p384, p521, secp256k1,
  *                                             brainpoolP256r1, brainpoolP384r1, or brainpoolP512r1
  * @param {Date} [options.date=current date] - Override the creation date of the key and the key signatures
  * @param {Number} [options.keyExpirationTime=0 (never expires)] - Number of seconds from the key creation time after which the key expires
  * @param {Array<Object>} [options.subkeys=a single encryption subkey] - Options for each subkey e.g. `[{sign: true, passphrase: '123'}]`
  *                                             default to main key options, except for `sign` parameter that defaults to false, and indicates whether the subkey should sign rather than encrypt
+ * @param {PublicKey|Array<PublicKey>} [options.designatedRevokers] - Keys authorized to revoke the generated key, e.g. the key of a security team.
+ *                                             They can then revoke it with [revokeKey]{@link module:openpgp.revokeKey}, without the generated private key
  * @param {'armored'|'binary'|'object'} [options.format='armored'] - format of the output keys
  * @param {Object} [options.config] - Custom configuration settings to overwrite those in [config]{@link module:config}
  * @returns {Promise<Object>} The generated key object in the form:
@@ -53,9 +57,10 @@ import { checkKeyRequirements } from './key/helper';
  * @async
  * @static
  */
-export async function generateKey({ userIDs = [], passphrase = '', type = 'ecc', rsaBits = 4096, curve = 'curve25519', keyExpirationTime = 0, date = new Date(), subkeys = [{}], format = 'armored', config, ...rest }) {
+export async function generateKey({ userIDs = [], passphrase = '', type = 'ecc', rsaBits = 4096, curve = 'curve25519', keyExpirationTime = 0, date = new Date(), subkeys = [{}], designatedRevokers = [], format = 'armored', config, ...rest }) {
   config = { ...defaultConfig, ...config }; checkConfig(config);
   userIDs = toArray(userIDs);
+  designatedRevokers = toArray(designatedRevokers);
   const unknownOptions = Object.keys(rest); if (unknownOptions.length > 0) throw new Error(`Unknown option: ${unknownOptions.join(', ')}`);
 
   if (userIDs.length === 0) {
@@ -65,7 +70,7 @@ export async function generateKey({ userIDs = [], passphrase = '', type = 'ecc',
     throw new Error(`rsaBits should be at least ${config.minRSABits}, got: ${rsaBits}`);
   }
 
-  const options = { userIDs, passphrase, type, rsaBits, curve, keyExpirationTime, date, subkeys };
+  const options = { userIDs, passphrase, type, rsaBits, curve, keyExpirationTime, date, subkeys, designatedRevokers };
 
   try {
     const { key, revocationCertificate } = await generate(options, config);
@@ -90,6 +95,7 @@ export async function generateKey({ userIDs = [], passphrase = '', type = 'ecc',
  * @param {Number} [options.keyExpirationTime=0 (never expires)] - Number of seconds from the key creation time after which the key expires
  * @param {Date}   [options.date] - Override the creation date of the key signatures. If the key was previously used to sign messages, it is recommended
  *                                  to set the same date as the key creation time to ensure that old message signatures will still be verifiable using the reformatted key.
+ * @param {PublicKey|Array<PublicKey>} [options.designatedRevokers] - Keys authorized to revoke the reformatted key
  * @param {'armored'|'binary'|'object'} [options.format='armored'] - format of the output keys
  * @param {Object} [options.config] - Custom configuration settings to overwrite those in [config]{@link module:config}
  * @returns {Promise<Object>} The generated key object in the form:
@@ -97,15 +103,16 @@ export async function generateKey({ userIDs = [], passphrase = '', type = 'ecc',
  * @async
  * @static
  */
-export async function reformatKey({ privateKey, userIDs = [], passphrase = '', keyExpirationTime = 0, date, format = 'armored', config, ...rest }) {
+export async function reformatKey({ privateKey, userIDs = [], passphrase = '', keyExpirationTime = 0, date, designatedRevokers = [], format = 'armored', config, ...rest }) {
   config = { ...defaultConfig, ...config }; checkConfig(config);
   userIDs = toArray(userIDs);
+  designatedRevokers = toArray(designatedRevokers);
   const unknownOptions = Object.keys(rest); if (unknownOptions.length > 0) throw new Error(`Unknown option: ${unknownOptions.join(', ')}`);
 
   if (userIDs.length === 0) {
     throw new Error('UserIDs are required for key reformat');
   }
-  const options = { privateKey, userIDs, passphrase, keyExpirationTime, date };
+  const options = { privateKey, userIDs, passphrase, keyExpirationTime, date, designatedRevokers };
 
   try {
     const { key: reformattedKey, revocationCertificate } = await reformat(options, config);
@@ -121,11 +128,12 @@ export async function reformatKey({ privateKey, userIDs = [], passphrase = '', k
 }
 
 /**
- * Revokes a key. Requires either a private key or a revocation certificate.
+ * Revokes a key. Requires either a private key, a revocation certificate, or the private key of a designated revoker.
  *   If a revocation certificate is passed, the reasonForRevocation parameter will be ignored.
  * @param {Object} options
  * @param {Key} options.key - Public or private key to revoke
  * @param {String} [options.revocationCertificate] - Revocation certificate to revoke the key with
+ * @param {PrivateKey} [options.designatedRevoker] - Decrypted private key of a designated revoker of the key, to revoke the key with
  * @param {Object} [options.reasonForRevocation] - Object indicating the reason for revocation
  * @param {module:enums.reasonForRevocation} [options.reasonForRevocation.flag=[noReason]{@link module:enums.reasonForRevocation}] - Flag indicating the reason for revocation
  * @param {String} [options.reasonForRevocation.string=""] - String explaining the reason for revocation
@@ -138,14 +146,19 @@ export async function reformatKey({ privateKey, userIDs = [], passphrase = '', k
  * @async
  * @static
  */
-export async function revokeKey({ key, revocationCertificate, reasonForRevocation, date = new Date(), format = 'armored', config, ...rest }) {
+export async function revokeKey({ key, revocationCertificate, designatedRevoker, reasonForRevocation, date = new Date(), format = 'armored', config, ...rest }) {
   config = { ...defaultConfig, ...config }; checkConfig(config);
   const unknownOptions = Object.keys(rest); if (unknownOptions.length > 0) throw new Error(`Unknown option: ${unknownOptions.join(', ')}`);
 
   try {
-    const revokedKey = revocationCertificate ?
-      await key.applyRevocationCertificate(revocationCertificate, date, config) :
-      await key.revoke(reasonForRevocation, date, config);
+    let revokedKey;
+    if (revocationCertificate) {
+      revokedKey = await key.applyRevocationCertificate(revocationCertificate, date, config);
+    } else if (designatedRevoker) {
+      revokedKey = await key.revokeWithDesignatedRevoker(designatedRevoker, reasonForRevocation, date, config);
+    } else {
+      revokedKey = await key.revoke(reasonForRevocation, date, config);
+    }
 
     return revokedKey.isPrivate() ? {
       privateKey: formatObject(revokedKey, format, config),
@@ -182,7 +195,7 @@ export async function decryptKey({ privateKey, passphrase, config, ...rest }) {
   try {
     await Promise.all(clonedPrivateKey.getKeys().map(key => (
       // try to decrypt each key with any of the given passphrases
-      util.anyPromise(passphrases.map(passphrase => key.keyPacket.decrypt(passphrase)))
+      util.anyPromise(passphrases.map(passphrase => key.keyPacket.decrypt(passphrase, config)))
     )));
 
     await clonedPrivateKey.validate(config);
@@ -244,8 +257,10 @@ export async function encryptKey({ privateKey, passphrase, config, ...rest }) {
  *   must be specified. If signing keys are specified, those will be used to sign the message.
  * @param {Object} options
  * @param {Message} options.message - Message to be encrypted as created by {@link createMessage}
- * @param {PublicKey|PublicKey[]} [options.encryptionKeys] - Array of keys or single key, used to encrypt the message
- * @param {PrivateKey|PrivateKey[]} [options.signingKeys] - Private keys for signing. If omitted message will not be signed
+ * @param {PublicKey|PublicKey[]} [options.encryptionKeys] - Array of keys or single key, used to encrypt the message.
+ *   A Keyring is not accepted, since the recipients cannot be inferred from it: look up their keys with e.g. `keyring.getKeysForEmail`
+ * @param {PrivateKey|PrivateKey[]} [options.signingKeys] - Private keys for signing. If omitted message will not be signed.
+ *   A Keyring is not accepted
  * @param {String|String[]} [options.passwords] - Array of passwords or a single password to encrypt the message
  * @param {Object} [options.sessionKey] - Session key in the form: `{ data:Uint8Array, algorithm:String }`
  * @param {'armored'|'binary'|'object'} [options.format='armored'] - Format of the returned message
@@ -256,16 +271,25 @@ export async function encryptKey({ privateKey, passphrase, config, ...rest }) {
  * @param {Date} [options.date=current date] - Override the creation date of the message signature
  * @param {Object|Object[]} [options.signingUserIDs=primary user IDs] - Array of user IDs to sign with, one per key in `signingKeys`, e.g. `[{ name: 'Steve Sender', email: 'steve@openpgp.org' }]`
  * @param {Object|Object[]} [options.encryptionUserIDs=primary user IDs] - Array of user IDs to encrypt for, one per key in `encryptionKeys`, e.g. `[{ name: 'Robert Receiver', email: 'robert@openpgp.org' }]`
+ * @param {Object[]} [options.signatureNotations] - Notations to add to the signatures, e.g. `[{ name: 'ticket@example.org', value: 'TICKET-1234' }]`.
+ *   Each notation may also set `humanReadable` (defaults to whether `value` is a string rather than a Uint8Array) and `critical` (defaults to false)
+ * @param {String} [options.signaturePolicyURI] - URI of the policy under which the signatures are issued
+ * @param {String|String[]} [options.signersUserIDs] - Array of user IDs to state as responsible for the signatures, one per key in `signingKeys`,
+ *   e.g. `['Steve Sender <steve@openpgp.org>']`
+ * @param {Integer} [options.padding] - Number of random padding octets to add to the message before encryption, to hide its length.
+ *   Padding requires all encryption keys to support version 2 SEIPD packets, otherwise an error is thrown.
+ *   If omitted, messages encrypted with version 2 SEIPD packets are padded to a multiple of `config.paddingBucketSize` octets, if set
  * @param {Object} [options.config] - Custom configuration settings to overwrite those in [config]{@link module:config}
  * @returns {Promise<MaybeStream<String>|MaybeStream<Uint8Array>>} Encrypted message (string if `armor` was true, the default; Uint8Array if `armor` was false).
  * @async
  * @static
  */
-export async function encrypt({ message, encryptionKeys, signingKeys, passwords, sessionKey, format = 'armored', signature = null, wildcard = false, signingKeyIDs = [], encryptionKeyIDs = [], date = new Date(), signingUserIDs = [], encryptionUserIDs = [], config, ...rest }) {
+export async function encrypt({ message, encryptionKeys, signingKeys, passwords, sessionKey, format = 'armored', signature = null, wildcard = false, signingKeyIDs = [], encryptionKeyIDs = [], date = new Date(), signingUserIDs = [], encryptionUserIDs = [], signatureNotations = [], signaturePolicyURI = null, signersUserIDs = [], padding, config, ...rest }) {
   config = { ...defaultConfig, ...config }; checkConfig(config);
-  checkMessage(message); checkOutputMessageFormat(format);
+  checkMessage(message); checkOutputMessageFormat(format); checkNotKeyring(encryptionKeys, 'encryptionKeys'); checkNotKeyring(signingKeys, 'signingKeys');
   encryptionKeys = toArray(encryptionKeys); signingKeys = toArray(signingKeys); passwords = toArray(passwords);
   signingKeyIDs = toArray(signingKeyIDs); encryptionKeyIDs = toArray(encryptionKeyIDs); signingUserIDs = toArray(signingUserIDs); encryptionUserIDs = toArray(encryptionUserIDs);
+  signatureNotations = toArray(signatureNotations); signersUserIDs = toArray(signersUserIDs);
   if (rest.detached) {
     throw new Error("The `detached` option has been removed from openpgp.encrypt, separately call openpgp.sign instead. Don't forget to remove the `privateKeys` option as well.");
   }
@@ -280,13 +304,15 @@ export async function encrypt({ message, encryptionKeys, signingKeys, passwords,
   const streaming = message.fromStream;
   try {
     if (signingKeys.length || signature) { // sign the message only if signing keys or signature is specified
-      message = await message.sign(signingKeys, signature, signingKeyIDs, date, signingUserIDs, config);
+      message = await message.sign(signingKeys, signature, signingKeyIDs, date, signingUserIDs, config, {
+        notations: signatureNotations, policyURI: signaturePolicyURI, signersUserIDs
+      });
     }
     message = message.compress(
       await getPreferredAlgo('compression', encryptionKeys, date, encryptionUserIDs, config),
       config
     );
-    message = await message.encrypt(encryptionKeys, passwords, sessionKey, wildcard, encryptionKeyIDs, date, encryptionUserIDs, config);
+    message = await message.encrypt(encryptionKeys, passwords, sessionKey, wildcard, encryptionKeyIDs, date, encryptionUserIDs, config, { padding });
     if (format === 'object') return message;
     // serialize data
     const armor = format === 'armored';
@@ -302,15 +328,23 @@ export async function encrypt({ message, encryptionKeys, signingKeys, passwords,
  * One of `decryptionKeys`, `sessionkeys` or `passwords` must be specified (passing a combination of these options is not supported).
  * @param {Object} options
  * @param {Message} options.message - The message object with the encrypted data
- * @param {PrivateKey|PrivateKey[]} [options.decryptionKeys] - Private keys with decrypted secret key data or session key
+ * @param {PrivateKey|PrivateKey[]|Keyring} [options.decryptionKeys] - Private keys with decrypted secret key data or session key,
+ *   or a keyring in which to look up the private keys the message is encrypted to
  * @param {String|String[]} [options.passwords] - Passwords to decrypt the message
- * @param {Object|Object[]} [options.sessionKeys] - Session keys in the form: { data:Uint8Array, algorithm:String }
- * @param {PublicKey|PublicKey[]} [options.verificationKeys] - Array of public keys or single key, to verify signatures
+ * @param {Object|Object[]} [options.sessionKeys] - Session keys in the form: { data:Uint8Array, algorithm:String|null }
+ * @param {PublicKey|PublicKey[]|Keyring} [options.verificationKeys] - Array of public keys or single key, to verify signatures,
+ *   or a keyring in which to look up the keys the message is signed with
  * @param {Boolean} [options.expectSigned=false] - If true, data decryption fails if the message is not signed with the provided publicKeys
  * @param {'utf8'|'binary'} [options.format='utf8'] - Whether to return data as a string(Stream) or Uint8Array(Stream). If 'utf8' (the default), also normalize newlines.
  * @param {Signature} [options.signature] - Detached signature for verification
  * @param {Date} [options.date=current date] - Use the given date for verification instead of the current time
- * @param {Object} [options.config] - Custom configuration settings to overwrite those in [config]{@link module:config}
+ * @param {Object<String, Function>} [options.notationHandlers] - Handlers of signature notations, by notation name. Once a signature is verified,
+ *   each of its notations with a handler is passed to it as `handler({ name, value, humanReadable, critical }, signaturePacket)`.
+ *   Throwing or returning `false` rejects the notation and fails the verification; any other value returned is added to
+ *   the `notationResults` of the signature. Critical notations with a handler no longer need to be listed in `config.knownNotations`.
+ * @param {Object} [options.config] - Custom configuration settings to overwrite those in [config]{@link module:config}.
+ *   Compressed data in `message` is decompressed when the message is read, so `config.maxDecompressedSize` and
+ *   `config.maxDecompressionRatio` only apply to it if they are passed to {@link readMessage} instead
  * @returns {Promise<Object>} Object containing decrypted and verified message in the form:
  *
  *     {
@@ -321,7 +355,9 @@ export async function encrypt({ message, encryptionKeys, signingKeys, passwords,
  *         {
  *           keyID: module:type/keyid~KeyID,
  *           verified: Promise<true>,
- *           signature: Promise<Signature>
+ *           signature: Promise<Signature>,
+ *           notations: Promise<Array<{ name: String, value: Uint8Array, humanReadable: Boolean, critical: Boolean }>>,
+ *           notationResults: Promise<Object> (values returned by the `notationHandlers`, by notation name)
  *         }, ...
  *       ]
  *     }
@@ -330,21 +366,25 @@ export async function encrypt({ message, encryptionKeys, signingKeys, passwords,
  * @async
  * @static
  */
-export async function decrypt({ message, decryptionKeys, passwords, sessionKeys, verificationKeys, expectSigned = false, format = 'utf8', signature = null, date = new Date(), config, ...rest }) {
+export async function decrypt({ message, decryptionKeys, passwords, sessionKeys, verificationKeys, expectSigned = false, format = 'utf8', signature = null, date = new Date(), notationHandlers = {}, config, ...rest }) {
   config = { ...defaultConfig, ...config }; checkConfig(config);
-  checkMessage(message); verificationKeys = toArray(verificationKeys); decryptionKeys = toArray(decryptionKeys); passwords = toArray(passwords); sessionKeys = toArray(sessionKeys);
+  checkMessage(message); checkNotationHandlers(notationHandlers); passwords = toArray(passwords); sessionKeys = toArray(sessionKeys);
   if (rest.privateKeys) throw new Error('The `privateKeys` option has been removed from openpgp.decrypt, pass `decryptionKeys` instead');
   if (rest.publicKeys) throw new Error('The `publicKeys` option has been removed from openpgp.decrypt, pass `verificationKeys` instead');
   const unknownOptions = Object.keys(rest); if (unknownOptions.length > 0) throw new Error(`Unknown option: ${unknownOptions.join(', ')}`);
 
   try {
+    decryptionKeys = await resolveKeys(decryptionKeys, () => message.getEncryptionKeyIDs(), true);
     const decrypted = await message.decrypt(decryptionKeys, passwords, sessionKeys, date, config);
+    verificationKeys = await resolveKeys(verificationKeys, () => (signature || decrypted).getSigningKeyIDs());
     if (!verificationKeys) {
       verificationKeys = [];
     }
 
     const result = {};
-    result.signatures = signature ? await decrypted.verifyDetached(signature, verificationKeys, date, config) : await decrypted.verify(verificationKeys, date, config);
+    result.signatures = signature ?
+      await decrypted.verifyDetached(signature, verificationKeys, date, config, notationHandlers) :
+      await decrypted.verify(verificationKeys, date, config, notationHandlers);
     result.data = format === 'binary' ? decrypted.getLiteralData() : decrypted.getText();
     result.filename = decrypted.getFilename();
     linkStreams(result, message);
@@ -381,21 +421,28 @@ export async function decrypt({ message, decryptionKeys, passwords, sessionKeys,
  * Signs a message.
  * @param {Object} options
  * @param {CleartextMessage|Message} options.message - (cleartext) message to be signed
- * @param {PrivateKey|PrivateKey[]} options.signingKeys - Array of keys or single key with decrypted secret key data to sign cleartext
+ * @param {PrivateKey|PrivateKey[]} options.signingKeys - Array of keys or single key with decrypted secret key data to sign cleartext.
+ *   A Keyring is not accepted
  * @param {'armored'|'binary'|'object'} [options.format='armored'] - Format of the returned message
  * @param {Boolean} [options.detached=false] - If the return value should contain a detached signature
  * @param {KeyID|KeyID[]} [options.signingKeyIDs=latest-created valid signing (sub)keys] - Array of key IDs to use for signing. Each signingKeyIDs[i] corresponds to signingKeys[i]
  * @param {Date} [options.date=current date] - Override the creation date of the signature
  * @param {Object|Object[]} [options.signingUserIDs=primary user IDs] - Array of user IDs to sign with, one per key in `signingKeys`, e.g. `[{ name: 'Steve Sender', email: 'steve@openpgp.org' }]`
+ * @param {Object[]} [options.signatureNotations] - Notations to add to the signatures, e.g. `[{ name: 'ticket@example.org', value: 'TICKET-1234' }]`.
+ *   Each notation may also set `humanReadable` (defaults to whether `value` is a string rather than a Uint8Array) and `critical` (defaults to false)
+ * @param {String} [options.signaturePolicyURI] - URI of the policy under which the signatures are issued
+ * @param {String|String[]} [options.signersUserIDs] - Array of user IDs to state as responsible for the signatures, one per key in `signingKeys`,
+ *   e.g. `['Steve Sender <steve@openpgp.org>']`
  * @param {Object} [options.config] - Custom configuration settings to overwrite those in [config]{@link module:config}
  * @returns {Promise<MaybeStream<String|Uint8Array>>} Signed message (string if `armor` was true, the default; Uint8Array if `armor` was false).
  * @async
  * @static
  */
-export async function sign({ message, signingKeys, format = 'armored', detached = false, signingKeyIDs = [], date = new Date(), signingUserIDs = [], config, ...rest }) {
+export async function sign({ message, signingKeys, format = 'armored', detached = false, signingKeyIDs = [], date = new Date(), signingUserIDs = [], signatureNotations = [], signaturePolicyURI = null, signersUserIDs = [], config, ...rest }) {
   config = { ...defaultConfig, ...config }; checkConfig(config);
-  checkCleartextOrMessage(message); checkOutputMessageFormat(format);
+  checkCleartextOrMessage(message); checkOutputMessageFormat(format); checkNotKeyring(signingKeys, 'signingKeys');
   signingKeys = toArray(signingKeys); signingKeyIDs = toArray(signingKeyIDs); signingUserIDs = toArray(signingUserIDs);
+  signatureNotations = toArray(signatureNotations); signersUserIDs = toArray(signersUserIDs);
 
   if (rest.privateKeys) throw new Error('The `privateKeys` option has been removed from openpgp.sign, pass `signingKeys` instead');
   if (rest.armor !== undefined) throw new Error('The `armor` option has been removed from openpgp.sign, pass `format` instead.');
@@ -409,11 +456,12 @@ export async function sign({ message, signingKeys, format = 'armored', detached
   }
 
   try {
+    const signatureOptions = { notations: signatureNotations, policyURI: signaturePolicyURI, signersUserIDs };
     let signature;
     if (detached) {
-      signature = await message.signDetached(signingKeys, undefined, signingKeyIDs, date, signingUserIDs, config);
+      signature = await message.signDetached(signingKeys, undefined, signingKeyIDs, date, signingUserIDs, config, signatureOptions);
     } else {
-      signature = await message.sign(signingKeys, undefined, signingKeyIDs, date, signingUserIDs, config);
+      signature = await message.sign(signingKeys, undefined, signingKeyIDs, date, signingUserIDs, config, signatureOptions);
     }
     if (format === 'object') return signature;
 
@@ -437,11 +485,16 @@ export async function sign({ message, signingKeys, format = 'armored', detached
  * Verifies signatures of cleartext signed message
  * @param {Object} options
  * @param {CleartextMessage|Message} options.message - (cleartext) message object with signatures
- * @param {PublicKey|PublicKey[]} options.verificationKeys - Array of publicKeys or single key, to verify signatures
+ * @param {PublicKey|PublicKey[]|Keyring} options.verificationKeys - Array of publicKeys or single key, to verify signatures,
+ *   or a keyring in which to look up the keys the message is signed with
  * @param {Boolean} [options.expectSigned=false] - If true, verification throws if the message is not signed with the provided publicKeys
  * @param {'utf8'|'binary'} [options.format='utf8'] - Whether to return data as a string(Stream) or Uint8Array(Stream). If 'utf8' (the default), also normalize newlines.
  * @param {Signature} [options.signature] - Detached signature for verification
  * @param {Date} [options.date=current date] - Use the given date for verification instead of the current time
+ * @param {Object<String, Function>} [options.notationHandlers] - Handlers of signature notations, by notation name. Once a signature is verified,
+ *   each of its notations with a handler is passed to it as `handler({ name, value, humanReadable, critical }, signaturePacket)`.
+ *   Throwing or returning `false` rejects the notation and fails the verification; any other value returned is added to
+ *   the `notationResults` of the signature. Critical notations with a handler no longer need to be listed in `config.knownNotations`.
  * @param {Object} [options.config] - Custom configuration settings to overwrite those in [config]{@link module:config}
  * @returns {Promise<Object>} Object containing verified message in the form:
  *
@@ -452,7 +505,9 @@ export async function sign({ message, signingKeys, format = 'armored', detached
  *         {
  *           keyID: module:type/keyid~KeyID,
  *           verified: Promise<true>,
- *           signature: Promise<Signature>
+ *           signature: Promise<Signature>,
+ *           notations: Promise<Array<{ name: String, value: Uint8Array, humanReadable: Boolean, critical: Boolean }>>,
+ *           notationResults: Promise<Object> (values returned by the `notationHandlers`, by notation name)
  *         }, ...
  *       ]
  *     }
@@ -461,9 +516,9 @@ export async function sign({ message, signingKeys, format = 'armored', detached
  * @async
  * @static
  */
-export async function verify({ message, verificationKeys, expectSigned = false, format = 'utf8', signature = null, date = new Date(), config, ...rest }) {
+export async function verify({ message, verificationKeys, expectSigned = false, format = 'utf8', signature = null, date = new Date(), notationHandlers = {}, config, ...rest }) {
   config = { ...defaultConfig, ...config }; checkConfig(config);
-  checkCleartextOrMessage(message); verificationKeys = toArray(verificationKeys);
+  checkCleartextOrMessage(message); checkNotationHandlers(notationHandlers);
   if (rest.publicKeys) throw new Error('The `publicKeys` option has been removed from openpgp.verify, pass `verificationKeys` instead');
   const unknownOptions = Object.keys(rest); if (unknownOptions.length > 0) throw new Error(`Unknown option: ${unknownOptions.join(', ')}`);
 
@@ -471,11 +526,12 @@ export async function verify({ message, verificationKeys, expectSigned = false,
   if (message instanceof CleartextMessage && signature) throw new Error("Can't verify detached cleartext signature");
 
   try {
+    verificationKeys = await resolveKeys(verificationKeys, () => (signature || message).getSigningKeyIDs());
     const result = {};
     if (signature) {
-      result.signatures = await message.verifyDetached(signature, verificationKeys, date, config);
+      result.signatures = await message.verifyDetached(signature, verificationKeys, date, config, notationHandlers);
     } else {
-      result.signatures = await message.verify(verificationKeys, date, config);
+      result.signatures = await message.verify(verificationKeys, date, config, notationHandlers);
     }
     result.data = format === 'binary' ? message.getLiteralData() : message.getText();
     if (message.fromStream) linkStreams(result, message);
@@ -516,7 +572,7 @@ export async function verify({ message, verificationKeys, expectSigned = false,
  * @static
  */
 export async function generateSessionKey({ encryptionKeys, date = new Date(), encryptionUserIDs = [], config, ...rest }) {
-  config = { ...defaultConfig, ...config }; checkConfig(config);
+  config = { ...defaultConfig, ...config }; checkConfig(config); checkNotKeyring(encryptionKeys, 'encryptionKeys');
   encryptionKeys = toArray(encryptionKeys); encryptionUserIDs = toArray(encryptionUserIDs);
   if (rest.publicKeys) throw new Error('The `publicKeys` option has been removed from openpgp.generateSessionKey, pass `encryptionKeys` instead');
   const unknownOptions = Object.keys(rest); if (unknownOptions.length > 0) throw new Error(`Unknown option: ${unknownOptions.join(', ')}`);
@@ -550,7 +606,7 @@ export async function generateSessionKey({ encryptionKeys, date = new Date(), en
  */
 export async function encryptSessionKey({ data, algorithm, aeadAlgorithm, encryptionKeys, passwords, format = 'armored', wildcard = false, encryptionKeyIDs = [], date = new Date(), encryptionUserIDs = [], config, ...rest }) {
   config = { ...defaultConfig, ...config }; checkConfig(config);
-  checkBinary(data); checkString(algorithm, 'algorithm'); checkOutputMessageFormat(format);
+  checkBinary(data); checkString(algorithm, 'algorithm'); checkOutputMessageFormat(format); checkNotKeyring(encryptionKeys, 'encryptionKeys');
   encryptionKeys = toArray(encryptionKeys); passwords = toArray(passwords); encryptionKeyIDs = toArray(encryptionKeyIDs); encryptionUserIDs = toArray(encryptionUserIDs);
   if (rest.publicKeys) throw new Error('The `publicKeys` option has been removed from openpgp.encryptSessionKey, pass `encryptionKeys` instead');
   const unknownOptions = Object.keys(rest); if (unknownOptions.length > 0) throw new Error(`Unknown option: ${unknownOptions.join(', ')}`);
@@ -568,23 +624,26 @@ export async function encryptSessionKey({ data, algorithm, aeadAlgorithm, encryp
  * One of `decryptionKeys` or `passwords` must be specified.
  * @param {Object} options
  * @param {Message} options.message - A message object containing the encrypted session key packets
- * @param {PrivateKey|PrivateKey[]} [options.decryptionKeys] - Private keys with decrypted secret key data
+ * @param {PrivateKey|PrivateKey[]|Keyring} [options.decryptionKeys] - Private keys with decrypted secret key data,
+ *   or a keyring in which to look up the private keys the message is encrypted to
  * @param {String|String[]} [options.passwords] - Passwords to decrypt the session key
  * @param {Date} [options.date] - Date to use for key verification instead of the current time
  * @param {Object} [options.config] - Custom configuration settings to overwrite those in [config]{@link module:config}
  * @returns {Promise<Object[]>} Array of decrypted session key, algorithm pairs in the form:
- *                                            { data:Uint8Array, algorithm:String }
+ *                                            { data:Uint8Array, algorithm:String|null }
+ *                                            The algorithm is null for session keys of messages encrypted using SEIPDv2.
  * @throws if no session key could be found or decrypted
  * @async
  * @static
  */
 export async function decryptSessionKeys({ message, decryptionKeys, passwords, date = new Date(), config, ...rest }) {
   config = { ...defaultConfig, ...config }; checkConfig(config);
-  checkMessage(message); decryptionKeys = toArray(decryptionKeys); passwords = toArray(passwords);
+  checkMessage(message); passwords = toArray(passwords);
   if (rest.privateKeys) throw new Error('The `privateKeys` option has been removed from openpgp.decryptSessionKeys, pass `decryptionKeys` instead');
   const unknownOptions = Object.keys(rest); if (unknownOptions.length > 0) throw new Error(`Unknown option: ${unknownOptions.join(', ')}`);
 
   try {
+    decryptionKeys = await resolveKeys(decryptionKeys, () => message.getEncryptionKeyIDs(), true);
     const sessionKeys = await message.decryptSessionKeys(decryptionKeys, passwords, date, config);
     return sessionKeys;
   } catch (err) {
@@ -624,6 +683,16 @@ function checkCleartextOrMessage(message) {
     throw new Error('Parameter [message] needs to be of type Message or CleartextMessage');
   }
 }
+function checkNotKeyring(keys, name) {
+  if (keys instanceof Keyring) {
+    throw new Error('Parameter [' + name + '] cannot be a Keyring, look up the keys to use with keyring.getKeysForEmail instead');
+  }
+}
+function checkNotationHandlers(notationHandlers) {
+  if (!notationHandlers || typeof notationHandlers !== 'object' || Object.values(notationHandlers).some(handler => typeof handler !== 'function')) {
+    throw new Error('Parameter [notationHandlers] must be an object mapping notation names to functions');
+  }
+}
 function checkOutputMessageFormat(format) {
   if (format !== 'armored' && format !== 'binary' && format !== 'object') {
     throw new Error(`Unsupported format ${format}`);
@@ -654,6 +723,26 @@ function toArray(param) {
   return param;
 }
 
+/**
+ * Normalize the given keys to an array, or look up the needed keys if a keyring was given
+ * @param {Key|Array<Key>|Keyring} [keys]
+ * @param {function(): Array<module:type/keyid~KeyID>} getKeyIDs - Returns the IDs of the (sub)keys to look up in the keyring
+ * @param {Boolean} [privateOnly=false] - Whether to only return private keys from the keyring
+ * @returns {Promise<Array<Key>|undefined>}
+ * @async
+ * @private
+ */
+async function resolveKeys(keys, getKeyIDs, privateOnly = false) {
+  if (!(keys instanceof Keyring)) {
+    return toArray(keys);
+  }
+  const foundKeys = new Set();
+  for (const keyID of getKeyIDs()) {
+    (await keys.getKeysForID(keyID)).forEach(key => foundKeys.add(key));
+  }
+  return [...foundKeys].filter(key => !privateOnly || key.isPrivate());
+}
+
 /**
  * Convert data to or from Stream
  * @param {Object} data - the data to convert
@@ -27,6 +27,7 @@ import CompressedDataPacket from './compressed_data';
 import OnePassSignaturePacket from './one_pass_signature';
 import SignaturePacket from './signature';
 import PacketList from './packetlist';
+import { runAEAD } from './sym_encrypted_integrity_protected_data';
 
 // An AEAD-encrypted Data packet can contain the following packet types
 const allowedPackets = /*#__PURE__*/ util.constructAllowedPackets([
@@ -131,75 +132,7 @@ class AEADEncryptedDataPacket {
    * @async
    */
   async crypt(fn, key, data) {
-    const cipher = enums.read(enums.symmetric, this.cipherAlgo);
-    const mode = crypto.mode[enums.read(enums.aead, this.aeadAlgo)];
-    const modeInstance = await mode(cipher, key);
-    const tagLengthIfDecrypting = fn === 'decrypt' ? mode.tagLength : 0;
-    const tagLengthIfEncrypting = fn === 'encrypt' ? mode.tagLength : 0;
-    const chunkSize = 2 ** (this.chunkSizeByte + 6) + tagLengthIfDecrypting; // ((uint64_t)1 << (c + 6))
-    const adataBuffer = new ArrayBuffer(21);
-    const adataArray = new Uint8Array(adataBuffer, 0, 13);
-    const adataTagArray = new Uint8Array(adataBuffer);
-    const adataView = new DataView(adataBuffer);
-    const chunkIndexArray = new Uint8Array(adataBuffer, 5, 8);
-    adataArray.set([0xC0 | AEADEncryptedDataPacket.tag, this.version, this.cipherAlgo, this.aeadAlgo, this.chunkSizeByte], 0);
-    let chunkIndex = 0;
-    let latestPromise = Promise.resolve();
-    let cryptedBytes = 0;
-    let queuedBytes = 0;
-    const iv = this.iv;
-    return stream.transformPair(data, async (readable, writable) => {
-      if (util.isStream(readable) !== 'array') {
-        const buffer = new stream.TransformStream({}, {
-          highWaterMark: util.getHardwareConcurrency() * 2 ** (this.chunkSizeByte + 6),
-          size: array => array.length
-        });
-        stream.pipe(buffer.readable, writable);
-        writable = buffer.writable;
-      }
-      const reader = stream.getReader(readable);
-      const writer = stream.getWriter(writable);
-      try {
-        while (true) {
-          let chunk = await reader.readBytes(chunkSize + tagLengthIfDecrypting) || new Uint8Array();
-          const finalChunk = chunk.subarray(chunk.length - tagLengthIfDecrypting);
-          chunk = chunk.subarray(0, chunk.length - tagLengthIfDecrypting);
-          let cryptedPromise;
-          let done;
-          if (!chunkIndex || chunk.length) {
-            reader.unshift(finalChunk);
-            cryptedPromise = modeInstance[fn](chunk, mode.getNonce(iv, chunkIndexArray), adataArray);
-            queuedBytes += chunk.length - tagLengthIfDecrypting + tagLengthIfEncrypting;
-          } else {
-            // After the last chunk, we either encrypt a final, empty
-            // data chunk to get the final authentication tag or
-            // validate that final authentication tag.
-            adataView.setInt32(13 + 4, cryptedBytes); // Should be setInt64(13, ...)
-            cryptedPromise = modeInstance[fn](finalChunk, mode.getNonce(iv, chunkIndexArray), adataTagArray);
-            queuedBytes += tagLengthIfEncrypting;
-            done = true;
-          }
-          cryptedBytes += chunk.length - tagLengthIfDecrypting;
-          // eslint-disable-next-line no-loop-func
-          latestPromise = latestPromise.then(() => cryptedPromise).then(async crypted => {
-            await writer.ready;
-            await writer.write(crypted);
-            queuedBytes -= crypted.length;
-          }).catch(err => writer.abort(err));
-          if (done || queuedBytes > writer.desiredSize) {
-            await latestPromise; // Respect backpressure
-          }
-          if (!done) {
-            adataView.setInt32(5 + 4, ++chunkIndex); // Should be setInt64(5, ...)
-          } else {
-            await writer.close();
-            break;
-          }
-        }
-      } catch (e) {
-        await writer.abort(e);
-      }
-    });
+    return runAEAD(this, fn, key, data);
   }
 }
 
@@ -21,3 +21,4 @@ export { default as UserIDPacket } from './userid.js';
 export { default as SecretSubkeyPacket } from './secret_subkey.js';
 export { default as SignaturePacket } from './signature.js';
 export { default as TrustPacket } from './trust.js';
+export { default as PaddingPacket } from './padding.js';
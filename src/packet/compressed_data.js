@@ -20,6 +20,7 @@ import { Inflate } from '@openpgp/pako/lib/inflate';
 import { Z_SYNC_FLUSH, Z_FINISH } from '@openpgp/pako/lib/zlib/constants';
 import { decode as BunzipDecode } from '@openpgp/seek-bzip';
 import * as stream from '@openpgp/web-stream-tools';
+import BzipEncode from '../encoding/bzip2';
 import enums from '../enums';
 import util from '../util';
 import defaultConfig from '../config';
@@ -28,6 +29,7 @@ import LiteralDataPacket from './literal_data';
 import OnePassSignaturePacket from './one_pass_signature';
 import SignaturePacket from './signature';
 import PacketList from './packetlist';
+import { DecompressionLimitError } from './packet';
 
 // A Compressed Data packet can contain the following packet types
 const allowedPackets = /*#__PURE__*/ util.constructAllowedPackets([
@@ -36,6 +38,65 @@ const allowedPackets = /*#__PURE__*/ util.constructAllowedPackets([
   SignaturePacket
 ]);
 
+/**
+ * Keeps track of the amount of compressed and decompressed data,
+ * to enforce the decompression limits set in the configuration
+ */
+class DecompressionLimit {
+  constructor(config) {
+    this.maxSize = config.maxDecompressedSize;
+    this.maxRatio = config.maxDecompressionRatio;
+    this.compressedLength = 0;
+    this.decompressedLength = 0;
+  }
+
+  /**
+   * Returns the maximum total size of the decompressed data, given the compressed data read so far
+   * @returns {Number}
+   */
+  getMaxLength() {
+    return Math.min(this.maxSize, Number.isFinite(this.maxRatio) ? Math.floor(this.maxRatio * this.compressedLength) : Infinity);
+  }
+
+  /**
+   * @returns {DecompressionLimitError}
+   */
+  createError() {
+    return this.maxSize <= this.maxRatio * this.compressedLength ?
+      new DecompressionLimitError(`Decompressed data exceeds the maximum size of ${this.maxSize} bytes`) :
+      new DecompressionLimitError(`Decompressed data exceeds the maximum compression ratio of ${this.maxRatio}`);
+  }
+
+  /**
+   * @param {Uint8Array | ReadableStream<Uint8Array>} data - Compressed data
+   * @returns {Uint8Array | ReadableStream<Uint8Array>}
+   */
+  countInput(data) {
+    return stream.transform(data, value => {
+      this.compressedLength += value.length;
+      return value;
+    });
+  }
+
+  /**
+   * @param {Uint8Array | ReadableStream<Uint8Array>} data - Decompressed data
+   * @returns {Uint8Array | ReadableStream<Uint8Array>}
+   */
+  countOutput(data) {
+    const count = value => {
+      this.decompressedLength += value.length;
+      if (this.decompressedLength > this.getMaxLength()) {
+        throw this.createError();
+      }
+      return value;
+    };
+    if (!util.isStream(data) || stream.isArrayStream(data)) {
+      return stream.fromAsync(async () => count(await stream.readToEnd(data)));
+    }
+    return stream.transform(data, count);
+  }
+}
+
 /**
  * Implementation of the Compressed Data Packet (Tag 8)
  *
@@ -71,7 +132,7 @@ class CompressedDataPacket {
     this.compressed = null;
 
     /**
-     * zip/zlib compression level, between 1 and 9
+     * zip/zlib/bzip2 compression level, between 1 and 9
      */
     this.deflateLevel = config.deflateLevel;
   }
@@ -112,6 +173,7 @@ class CompressedDataPacket {
    * Decompression method for decompressing the compressed data
    * read by read_packet
    * @param {Object} [config] - Full configuration, defaults to openpgp.config
+   * @throws {DecompressionLimitError} if the decompressed data exceeds the limits set in the configuration
    */
   async decompress(config = defaultConfig) {
 
@@ -119,7 +181,14 @@ class CompressedDataPacket {
       throw new Error(this.algorithm + ' decompression not supported');
     }
 
-    this.packets = await PacketList.fromBinary(decompress_fns[this.algorithm](this.compressed), allowedPackets, config);
+    let decompressed;
+    if (this.algorithm === 'uncompressed' || (config.maxDecompressedSize === Infinity && config.maxDecompressionRatio === Infinity)) {
+      decompressed = decompress_fns[this.algorithm](this.compressed);
+    } else {
+      const limit = new DecompressionLimit(config);
+      decompressed = limit.countOutput(decompress_fns[this.algorithm](limit.countInput(this.compressed), limit));
+    }
+    this.packets = await PacketList.fromBinary(decompressed, allowedPackets, config);
   }
 
   /**
@@ -150,12 +219,14 @@ function uncompressed(data) {
 }
 
 function node_zlib(func, create, options = {}) {
-  return function (data) {
+  return function (data, limit) {
     if (!util.isStream(data) || stream.isArrayStream(data)) {
       return stream.fromAsync(() => stream.readToEnd(data).then(data => {
         return new Promise((resolve, reject) => {
-          func(data, options, (err, result) => {
-            if (err) return reject(err);
+          // stop decompressing as soon as the limit is exceeded
+          const maxOutputLength = limit ? limit.getMaxLength() : Infinity;
+          func(data, Number.isFinite(maxOutputLength) ? { ...options, maxOutputLength: Math.max(maxOutputLength, 1) } : options, (err, result) => {
+            if (err) return reject(err.code === 'ERR_BUFFER_TOO_LARGE' ? limit.createError() : err);
             resolve(result);
           });
         });
@@ -166,8 +237,23 @@ function node_zlib(func, create, options = {}) {
 }
 
 function pako_zlib(constructor, options = {}) {
-  return function(data) {
+  return function(data, limit) {
+    if (limit && stream.isArrayStream(data)) {
+      // errors thrown while transforming an array stream would not be propagated
+      return stream.fromAsync(async () => pako_zlib(constructor, options)(await stream.readToEnd(data), limit));
+    }
     const obj = new constructor(options);
+    if (limit) {
+      // stop decompressing as soon as the limit is exceeded, rather than after the whole chunk
+      let length = 0;
+      obj.onData = chunk => {
+        length += chunk.length;
+        if (length > limit.getMaxLength()) {
+          throw limit.createError();
+        }
+        constructor.prototype.onData.call(obj, chunk);
+      };
+    }
     return stream.transform(data, value => {
       if (value.length) {
         obj.push(value, Z_SYNC_FLUSH);
@@ -182,18 +268,49 @@ function pako_zlib(constructor, options = {}) {
   };
 }
 
+/**
+ * Output buffer for seek-bzip, which stops decompression as soon as the limit is exceeded
+ * @param {DecompressionLimit} limit
+ */
+function bzip2LimitedOutput(limit) {
+  const maxLength = limit.getMaxLength();
+  return {
+    buffer: new Uint8Array(Math.min(16384, maxLength)),
+    pos: 0,
+    writeByte(byte) {
+      if (this.pos >= this.buffer.length) {
+        if (this.pos >= maxLength) {
+          throw limit.createError();
+        }
+        const buffer = new Uint8Array(Math.min(this.buffer.length * 2 || 1, maxLength));
+        buffer.set(this.buffer);
+        this.buffer = buffer;
+      }
+      this.buffer[this.pos++] = byte;
+    },
+    getBuffer() {
+      return this.buffer.subarray(0, this.pos);
+    }
+  };
+}
+
 function bzip2(func) {
-  return function(data) {
-    return stream.fromAsync(async () => func(await stream.readToEnd(data)));
+  return function(data, limit) {
+    return stream.fromAsync(async () => {
+      data = await stream.readToEnd(data);
+      return limit ? func(data, bzip2LimitedOutput(limit)) : func(data);
+    });
   };
 }
 
 const compress_fns = nodeZlib ? {
   zip: /*#__PURE__*/ (compressed, level) => node_zlib(nodeZlib.deflateRaw, nodeZlib.createDeflateRaw, { level })(compressed),
-  zlib: /*#__PURE__*/ (compressed, level) => node_zlib(nodeZlib.deflate, nodeZlib.createDeflate, { level })(compressed)
+  zlib: /*#__PURE__*/ (compressed, level) => node_zlib(nodeZlib.deflate, nodeZlib.createDeflate, { level })(compressed),
+  bzip2: BzipEncode
 } : {
   zip: /*#__PURE__*/ (compressed, level) => pako_zlib(Deflate, { raw: true, level })(compressed),
-  zlib: /*#__PURE__*/ (compressed, level) => pako_zlib(Deflate, { level })(compressed)
+  zlib: /*#__PURE__*/ (compressed, level) => pako_zlib(Deflate, { level })(compressed),
+  bzip2: BzipEncode
 };
 
 const decompress_fns = nodeZlib ? {
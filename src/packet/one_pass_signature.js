@@ -22,8 +22,6 @@ import enums from '../enums';
 import util from '../util';
 import { UnsupportedError } from './packet';
 
-const VERSION = 3;
-
 /**
  * Implementation of the One-Pass Signature Packets (Tag 4)
  *
@@ -39,8 +37,28 @@ class OnePassSignaturePacket {
     return enums.packet.onePassSignature;
   }
 
+  /**
+   * Create a one-pass signature packet describing the given signature packet
+   * @param {SignaturePacket} signaturePacket - Corresponding signature packet
+   * @param {Boolean} isLast - Whether this is the last one-pass signature packet before the signed data
+   * @returns {OnePassSignaturePacket}
+   * @static
+   */
+  static fromSignaturePacket(signaturePacket, isLast) {
+    const onePassSig = new OnePassSignaturePacket();
+    onePassSig.version = signaturePacket.version === 6 ? 6 : 3;
+    onePassSig.signatureType = signaturePacket.signatureType;
+    onePassSig.hashAlgorithm = signaturePacket.hashAlgorithm;
+    onePassSig.publicKeyAlgorithm = signaturePacket.publicKeyAlgorithm;
+    onePassSig.issuerKeyID = signaturePacket.issuerKeyID;
+    onePassSig.salt = signaturePacket.salt;
+    onePassSig.issuerFingerprint = signaturePacket.issuerFingerprint;
+    onePassSig.flags = isLast ? 1 : 0;
+    return onePassSig;
+  }
+
   constructor() {
-    /** A one-octet version number.  The current version is 3. */
+    /** A one-octet version number: 3, or 6 for signatures issued by v6 keys. */
     this.version = null;
     /**
      * A one-octet signature type.
@@ -60,6 +78,10 @@ class OnePassSignaturePacket {
     this.publicKeyAlgorithm = null;
     /** An eight-octet number holding the Key ID of the signing key. */
     this.issuerKeyID = null;
+    /** Only for v6 packets, the salt of the corresponding signature. */
+    this.salt = null;
+    /** Only for v6 packets, the fingerprint of the signing key. */
+    this.issuerFingerprint = null;
     /**
      * A one-octet number holding a flag showing whether the signature is nested.
      * A zero value indicates that the next packet is another One-Pass Signature packet
@@ -75,9 +97,9 @@ class OnePassSignaturePacket {
    */
   read(bytes) {
     let mypos = 0;
-    // A one-octet version number.  The current version is 3.
+    // A one-octet version number (3 or 6).
     this.version = bytes[mypos++];
-    if (this.version !== VERSION) {
+    if (this.version !== 3 && this.version !== 6) {
       throw new UnsupportedError(`Version ${this.version} of the one-pass signature packet is unsupported.`);
     }
 
@@ -91,10 +113,21 @@ class OnePassSignaturePacket {
     // A one-octet number describing the public-key algorithm used.
     this.publicKeyAlgorithm = bytes[mypos++];
 
-    // An eight-octet number holding the Key ID of the signing key.
     this.issuerKeyID = new KeyID();
-    this.issuerKeyID.read(bytes.subarray(mypos, mypos + 8));
-    mypos += 8;
+    if (this.version === 6) {
+      // Only for v6 packets, a one-octet salt size followed by the salt of the signature,
+      // and the 32-octet fingerprint of the signing key.
+      const saltLength = bytes[mypos++];
+      this.salt = bytes.subarray(mypos, mypos + saltLength);
+      mypos += saltLength;
+      this.issuerFingerprint = bytes.subarray(mypos, mypos + 32);
+      mypos += 32;
+      this.issuerKeyID.read(this.issuerFingerprint);
+    } else {
+      // An eight-octet number holding the Key ID of the signing key.
+      this.issuerKeyID.read(bytes.subarray(mypos, mypos + 8));
+      mypos += 8;
+    }
 
     // A one-octet number holding a flag showing whether the signature
     //   is nested.  A zero value indicates that the next packet is
@@ -109,13 +142,17 @@ class OnePassSignaturePacket {
    * @returns {Uint8Array} A Uint8Array representation of a one-pass signature packet.
    */
   write() {
-    const start = new Uint8Array([VERSION, enums.write(enums.signature, this.signatureType),
+    const start = new Uint8Array([this.version, enums.write(enums.signature, this.signatureType),
       enums.write(enums.hash, this.hashAlgorithm),
       enums.write(enums.publicKey, this.publicKeyAlgorithm)]);
 
+    const issuer = this.version === 6 ?
+      [new Uint8Array([this.salt.length]), this.salt, this.issuerFingerprint] :
+      [this.issuerKeyID.write()];
+
     const end = new Uint8Array([this.flags]);
 
-    return util.concatUint8Array([start, this.issuerKeyID.write(), end]);
+    return util.concatUint8Array([start, ...issuer, end]);
   }
 
   calculateTrailer(...args) {
@@ -131,7 +168,13 @@ class OnePassSignaturePacket {
       correspondingSig.signatureType !== this.signatureType ||
       correspondingSig.hashAlgorithm !== this.hashAlgorithm ||
       correspondingSig.publicKeyAlgorithm !== this.publicKeyAlgorithm ||
-      !correspondingSig.issuerKeyID.equals(this.issuerKeyID)
+      !correspondingSig.issuerKeyID.equals(this.issuerKeyID) ||
+      (this.version === 6) !== (correspondingSig.version === 6) ||
+      (this.version === 6 && (
+        !correspondingSig.issuerFingerprint ||
+        !util.equalsUint8Array(correspondingSig.issuerFingerprint, this.issuerFingerprint) ||
+        !util.equalsUint8Array(correspondingSig.salt, this.salt)
+      ))
     ) {
       throw new Error('Corresponding signature packet does not match one-pass signature packet');
     }
@@ -309,3 +309,14 @@ export class UnsupportedError extends Error {
   }
 }
 
+export class DecompressionLimitError extends Error {
+  constructor(...params) {
+    super(...params);
+
+    if (Error.captureStackTrace) {
+      Error.captureStackTrace(this, DecompressionLimitError);
+    }
+
+    this.name = 'DecompressionLimitError';
+  }
+}
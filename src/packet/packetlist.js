@@ -63,46 +63,7 @@ class PacketList extends Array {
    * @async
    */
   async read(bytes, allowedPackets, config = defaultConfig) {
-    this.stream = stream.transformPair(bytes, async (readable, writable) => {
-      const writer = stream.getWriter(writable);
-      try {
-        while (true) {
-          await writer.ready;
-          const done = await readPackets(readable, async parsed => {
-            try {
-              if (parsed.tag === enums.packet.marker || parsed.tag === enums.packet.trust) {
-                // According to the spec, these packet types should be ignored and not cause parsing errors, even if not esplicitly allowed:
-                // - Marker packets MUST be ignored when received: https://github.com/openpgpjs/openpgpjs/issues/1145
-                // - Trust packets SHOULD be ignored outside of keyrings (unsupported): https://datatracker.ietf.org/doc/html/rfc4880#section-5.10
-                return;
-              }
-              const packet = newPacketFromTag(parsed.tag, allowedPackets);
-              packet.packets = new PacketList();
-              packet.fromStream = util.isStream(parsed.packet);
-              await packet.read(parsed.packet, config);
-              await writer.write(packet);
-            } catch (e) {
-              const throwUnsupportedError = !config.ignoreUnsupportedPackets && e instanceof UnsupportedError;
-              const throwMalformedError = !config.ignoreMalformedPackets && !(e instanceof UnsupportedError);
-              if (throwUnsupportedError || throwMalformedError || supportsStreaming(parsed.tag)) {
-                // The packets that support streaming are the ones that contain message data.
-                // Those are also the ones we want to be more strict about and throw on parse errors
-                // (since we likely cannot process the message without these packets anyway).
-                await writer.abort(e);
-              }
-              util.printDebugError(e);
-            }
-          });
-          if (done) {
-            await writer.ready;
-            await writer.close();
-            return;
-          }
-        }
-      } catch (e) {
-        await writer.abort(e);
-      }
-    });
+    this.stream = readPacketStream(bytes, allowedPackets, config);
 
     // Wait until first few packets have been read
     const reader = stream.getReader(this.stream);
@@ -129,6 +90,25 @@ class PacketList extends Array {
     const arr = [];
 
     for (let i = 0; i < this.length; i++) {
+      if (this[i].constructor.tag === enums.packet.padding && this[i].bucketSize) {
+        // The padding length depends on the length of everything written so far,
+        // which is only known once the preceding (possibly streamed) packets have been written
+        const padding = this[i];
+        let preceding = util.concat(arr);
+        let precedingLength = 0;
+        const precedingLengthPromise = util.isStream(preceding) ? new Promise(resolve => {
+          preceding = stream.transform(preceding, value => {
+            precedingLength += value.length;
+            return value;
+          }, () => resolve(precedingLength));
+        }) : Promise.resolve(preceding.length);
+        arr.length = 0;
+        arr.push(preceding, stream.fromAsync(async () => {
+          await padding.createPadding(padding.getBucketPaddingLength(await precedingLengthPromise));
+          return util.concat([writeHeader(padding.constructor.tag, padding.padding.length), padding.padding]);
+        }));
+        continue;
+      }
       const packetbytes = this[i].write();
       if (util.isStream(packetbytes) && supportsStreaming(this[i].constructor.tag)) {
         let buffer = [];
@@ -211,4 +191,56 @@ class PacketList extends Array {
   }
 }
 
+/**
+ * Parses a stream of binary data into a stream of packets, without waiting for the whole input to be read.
+ * Packets are only parsed as they are read from the returned stream.
+ * @param {Uint8Array | ReadableStream<Uint8Array>} bytes - binary data to parse
+ * @param {Object} allowedPackets - mapping where keys are allowed packet tags, pointing to their Packet class
+ * @param {Object} [config] - full configuration, defaults to openpgp.config
+ * @returns {ReadableStream<Object>} Stream of parsed packets; parsing errors are thrown when reading from it.
+ */
+export function readPacketStream(bytes, allowedPackets, config = defaultConfig) {
+  return stream.transformPair(bytes, async (readable, writable) => {
+    const writer = stream.getWriter(writable);
+    try {
+      while (true) {
+        await writer.ready;
+        const done = await readPackets(readable, async parsed => {
+          try {
+            if (parsed.tag === enums.packet.marker || parsed.tag === enums.packet.padding || (parsed.tag === enums.packet.trust && !allowedPackets[enums.packet.trust])) {
+              // According to the spec, these packet types should be ignored and not cause parsing errors, even if not esplicitly allowed:
+              // - Marker packets MUST be ignored when received: https://github.com/openpgpjs/openpgpjs/issues/1145
+              // - Padding packets MUST be ignored when received: https://www.rfc-editor.org/rfc/rfc9580.html#section-5.14
+              // - Trust packets SHOULD be ignored outside of keyrings: https://datatracker.ietf.org/doc/html/rfc4880#section-5.10
+              return;
+            }
+            const packet = newPacketFromTag(parsed.tag, allowedPackets);
+            packet.packets = new PacketList();
+            packet.fromStream = util.isStream(parsed.packet);
+            await packet.read(parsed.packet, config);
+            await writer.write(packet);
+          } catch (e) {
+            const throwUnsupportedError = !config.ignoreUnsupportedPackets && e instanceof UnsupportedError;
+            const throwMalformedError = !config.ignoreMalformedPackets && !(e instanceof UnsupportedError);
+            if (throwUnsupportedError || throwMalformedError || supportsStreaming(parsed.tag)) {
+              // The packets that support streaming are the ones that contain message data.
+              // Those are also the ones we want to be more strict about and throw on parse errors
+              // (since we likely cannot process the message without these packets anyway).
+              await writer.abort(e);
+            }
+            util.printDebugError(e);
+          }
+        });
+        if (done) {
+          await writer.ready;
+          await writer.close();
+          return;
+        }
+      }
+    } catch (e) {
+      await writer.abort(e);
+    }
+  });
+}
+
 export default PacketList;
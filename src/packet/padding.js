@@ -0,0 +1,98 @@
+// GPG4Browsers - An OpenPGP implementation in javascript
+// Copyright (C) 2011 Recurity Labs GmbH
+//
+// This library is free software; you can redistribute it and/or
+// modify it under the terms of the GNU Lesser General Public
+// License as published by the Free Software Foundation; either
+// version 3.0 of the License, or (at your option) any later version.
+//
+// This library is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the GNU
+// Lesser General Public License for more details.
+//
+// You should have received a copy of the GNU Lesser General Public
+// License along with this library; if not, write to the Free Software
+// Foundation, Inc., 51 Franklin Street, Fifth Floor, Boston, MA  02110-1301  USA
+
+import crypto from '../crypto';
+import enums from '../enums';
+import { writeSimpleLength } from './packet';
+
+/**
+ * Implementation of the Padding Packet (Tag 21)
+ *
+ * {@link https://www.rfc-editor.org/rfc/rfc9580.html#section-5.14|RFC9580 5.14}:
+ * The Padding packet contains random data, and can be used to defend against
+ * traffic analysis (see Section 13.11) on version 2 SEIPD messages (see Section 5.13.2)
+ * and Transferable Public Keys (see Section 10.1).
+ *
+ * Such a packet MUST be ignored when received.
+ */
+class PaddingPacket {
+  static get tag() {
+    return enums.packet.padding;
+  }
+
+  constructor() {
+    /**
+     * Random padding octets
+     * @type {Uint8Array}
+     */
+    this.padding = null;
+    /**
+     * If set, the padding is only created when the packet list is written, such that
+     * the total length of the preceding packets and this packet is a multiple of this value
+     * @type {Integer|null}
+     */
+    this.bucketSize = null;
+  }
+
+  /**
+   * Read a padding packet
+   * @param {Uint8Array} bytes - Padding octets
+   */
+  read(bytes) {
+    this.padding = bytes;
+  }
+
+  /**
+   * Write the padding packet
+   * @returns {Uint8Array} The padding octets.
+   */
+  write() {
+    return this.padding;
+  }
+
+  /**
+   * Fill the packet with random padding
+   * @param {Integer} length - Number of padding octets
+   * @async
+   */
+  async createPadding(length) {
+    this.padding = await crypto.random.getRandomBytes(length);
+  }
+
+  /**
+   * Compute the number of padding octets needed to pad the given data to a multiple of `this.bucketSize`,
+   * taking into account the length of the header of the padding packet itself
+   * @param {Integer} precedingLength - Length of the serialized packets preceding this one
+   * @returns {Integer} Number of padding octets.
+   */
+  getBucketPaddingLength(precedingLength) {
+    const bucketSize = this.bucketSize;
+    // the padding packet takes at least two octets (tag and one-octet length)
+    let total = Math.ceil((precedingLength + 2) / bucketSize) * bucketSize;
+    while (true) {
+      for (const lengthSize of [1, 2, 5]) {
+        const paddingLength = total - precedingLength - 1 - lengthSize;
+        if (paddingLength >= 0 && writeSimpleLength(paddingLength).length === lengthSize) {
+          return paddingLength;
+        }
+      }
+      total += bucketSize;
+    }
+  }
+}
+
+export default PaddingPacket;
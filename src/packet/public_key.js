@@ -47,7 +47,7 @@ class PublicKeyPacket {
      * Packet version
      * @type {Integer}
      */
-    this.version = config.v5Keys ? 5 : 4;
+    this.version = config.v6Keys ? 6 : (config.v5Keys ? 5 : 4);
     /**
      * Key creation date.
      * @type {Date}
@@ -106,10 +106,10 @@ class PublicKeyPacket {
    */
   async read(bytes) {
     let pos = 0;
-    // A one-octet version number (3, 4 or 5).
+    // A one-octet version number (4, 5 or 6).
     this.version = bytes[pos++];
 
-    if (this.version === 4 || this.version === 5) {
+    if (this.version === 4 || this.version === 5 || this.version === 6) {
       // - A four-octet number denoting the time that the key was created.
       this.created = util.readDate(bytes.subarray(pos, pos + 4));
       pos += 4;
@@ -118,7 +118,7 @@ class PublicKeyPacket {
       this.algorithm = enums.read(enums.publicKey, bytes[pos++]);
       const algo = enums.write(enums.publicKey, this.algorithm);
 
-      if (this.version === 5) {
+      if (this.version >= 5) {
         // - A four-octet scalar octet count for the following key material.
         pos += 4;
       }
@@ -132,6 +132,13 @@ class PublicKeyPacket {
         throw new Error('Error reading MPIs');
       }
 
+      // the legacy EdDSA and Curve25519/Curve448 ECDH formats must not be used with v6 keys,
+      // which have dedicated algorithms instead
+      if (this.version === 6 && (algo === enums.publicKey.eddsa || (algo === enums.publicKey.ecdh &&
+        ['curve25519', 'curve448'].includes(this.publicParams.oid.getName())))) {
+        throw new Error('Legacy EdDSA and ECDH curve formats cannot be used with v6 keys');
+      }
+
       // we set the fingerprint and keyID already to make it possible to put together the key packets directly in the Key constructor
       await this.computeFingerprintAndKeyID();
       return pos;
@@ -153,7 +160,7 @@ class PublicKeyPacket {
     arr.push(new Uint8Array([algo]));
 
     const params = crypto.serializeParams(algo, this.publicParams);
-    if (this.version === 5) {
+    if (this.version >= 5) {
       // A four-octet scalar octet count for the following key material
       arr.push(util.writeNumber(params.length, 4));
     }
@@ -169,6 +176,9 @@ class PublicKeyPacket {
   writeForHash(version) {
     const bytes = this.writePublicKey();
 
+    if (version === 6) {
+      return util.concatUint8Array([new Uint8Array([0x9B]), util.writeNumber(bytes.length, 4), bytes]);
+    }
     if (version === 5) {
       return util.concatUint8Array([new Uint8Array([0x9A]), util.writeNumber(bytes.length, 4), bytes]);
     }
@@ -207,7 +217,7 @@ class PublicKeyPacket {
     await this.computeFingerprint();
     this.keyID = new KeyID();
 
-    if (this.version === 5) {
+    if (this.version === 5 || this.version === 6) {
       this.keyID.read(this.fingerprint.subarray(0, 8));
     } else if (this.version === 4) {
       this.keyID.read(this.fingerprint.subarray(12, 20));
@@ -222,7 +232,7 @@ class PublicKeyPacket {
   async computeFingerprint() {
     const toHash = this.writeForHash(this.version);
 
-    if (this.version === 5) {
+    if (this.version === 5 || this.version === 6) {
       this.fingerprint = await crypto.hash.sha256(toHash);
     } else if (this.version === 4) {
       this.fingerprint = await crypto.hash.sha1(toHash);
@@ -266,7 +276,7 @@ class PublicKeyPacket {
     const modulo = this.publicParams.n || this.publicParams.p;
     if (modulo) {
       result.bits = util.uint8ArrayBitLength(modulo);
-    } else {
+    } else if (this.publicParams.oid) {
       result.curve = this.publicParams.oid.getName();
     }
     return result;
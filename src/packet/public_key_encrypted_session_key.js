@@ -21,8 +21,6 @@ import enums from '../enums';
 import util from '../util';
 import { UnsupportedError } from './packet';
 
-const VERSION = 3;
-
 /**
  * Public-Key Encrypted Session Key Packets (Tag 1)
  *
@@ -48,6 +46,10 @@ class PublicKeyEncryptedSessionKeyPacket {
     this.version = 3;
 
     this.publicKeyID = new KeyID();
+    // Only for v6 packets, the version and fingerprint of the recipient key,
+    // which are both null for anonymous recipients
+    this.publicKeyVersion = null;
+    this.publicKeyFingerprint = null;
     this.publicKeyAlgorithm = null;
 
     this.sessionKey = null;
@@ -63,15 +65,33 @@ class PublicKeyEncryptedSessionKeyPacket {
    * @param {Uint8Array} bytes - Payload of a tag 1 packet
    */
   read(bytes) {
-    this.version = bytes[0];
-    if (this.version !== VERSION) {
+    let offset = 0;
+    this.version = bytes[offset++];
+    if (this.version !== 3 && this.version !== 6) {
       throw new UnsupportedError(`Version ${this.version} of the PKESK packet is unsupported.`);
     }
-    this.publicKeyID.read(bytes.subarray(1, bytes.length));
-    this.publicKeyAlgorithm = enums.read(enums.publicKey, bytes[9]);
+    if (this.version === 6) {
+      // A one-octet size of the following two fields, or zero for an anonymous recipient
+      const length = bytes[offset++];
+      if (length) {
+        // A one-octet key version number, followed by the fingerprint of the key
+        this.publicKeyVersion = bytes[offset++];
+        this.publicKeyFingerprint = bytes.subarray(offset, offset + length - 1);
+        offset += length - 1;
+        this.publicKeyID.read(this.publicKeyVersion >= 5 ?
+          this.publicKeyFingerprint.subarray(0, 8) :
+          this.publicKeyFingerprint.subarray(-8));
+      } else {
+        this.publicKeyID = KeyID.wildcard();
+      }
+    } else {
+      this.publicKeyID.read(bytes.subarray(offset, offset + 8));
+      offset += 8;
+    }
+    this.publicKeyAlgorithm = enums.read(enums.publicKey, bytes[offset++]);
 
     const algo = enums.write(enums.publicKey, this.publicKeyAlgorithm);
-    this.encrypted = crypto.parseEncSessionKeyParams(algo, bytes.subarray(10));
+    this.encrypted = crypto.parseEncSessionKeyParams(algo, bytes.subarray(offset), this.version);
   }
 
   /**
@@ -82,12 +102,21 @@ class PublicKeyEncryptedSessionKeyPacket {
   write() {
     const algo = enums.write(enums.publicKey, this.publicKeyAlgorithm);
 
-    const arr = [
-      new Uint8Array([this.version]),
-      this.publicKeyID.write(),
+    const arr = [new Uint8Array([this.version])];
+    if (this.version === 6) {
+      arr.push(this.publicKeyFingerprint ?
+        util.concatUint8Array([
+          new Uint8Array([this.publicKeyFingerprint.length + 1, this.publicKeyVersion]),
+          this.publicKeyFingerprint
+        ]) :
+        new Uint8Array([0]));
+    } else {
+      arr.push(this.publicKeyID.write());
+    }
+    arr.push(
       new Uint8Array([enums.write(enums.publicKey, this.publicKeyAlgorithm)]),
       crypto.serializeParams(algo, this.encrypted)
-    ];
+    );
 
     return util.concatUint8Array(arr);
   }
@@ -99,14 +128,12 @@ class PublicKeyEncryptedSessionKeyPacket {
    * @async
    */
   async encrypt(key) {
-    const data = util.concatUint8Array([
-      new Uint8Array([enums.write(enums.symmetric, this.sessionKeyAlgorithm)]),
-      this.sessionKey,
-      util.writeChecksum(this.sessionKey)
-    ]);
     const algo = enums.write(enums.publicKey, this.publicKeyAlgorithm);
+    // v6 packets do not store the session key algorithm, which is given by the encrypted data packet instead
+    const sessionKeyAlgorithm = this.version === 3 ? enums.write(enums.symmetric, this.sessionKeyAlgorithm) : null;
+    const data = encodeSessionKey(this.version, algo, sessionKeyAlgorithm, this.sessionKey);
     this.encrypted = await crypto.publicKeyEncrypt(
-      algo, key.publicParams, data, key.getFingerprintBytes());
+      algo, sessionKeyAlgorithm, key.publicParams, data, getKDFFingerprint(algo, key));
   }
 
   /**
@@ -123,14 +150,78 @@ class PublicKeyEncryptedSessionKeyPacket {
     if (algo !== keyAlgo) {
       throw new Error('Decryption error');
     }
-    const decoded = await crypto.publicKeyDecrypt(algo, key.publicParams, key.privateParams, this.encrypted, key.getFingerprintBytes());
-    const checksum = decoded.subarray(decoded.length - 2);
-    const sessionKey = decoded.subarray(1, decoded.length - 2);
-    if (!util.equalsUint8Array(checksum, util.writeChecksum(sessionKey))) {
-      throw new Error('Decryption error');
-    } else {
-      this.sessionKey = sessionKey;
-      this.sessionKeyAlgorithm = enums.read(enums.symmetric, decoded[0]);
+    const decoded = await crypto.publicKeyDecrypt(algo, key.publicParams, key.privateParams, this.encrypted, getKDFFingerprint(algo, key));
+    const { sessionKey, sessionKeyAlgorithm } = decodeSessionKey(this.version, algo, decoded, this.encrypted);
+    this.sessionKey = sessionKey;
+    if (this.version === 3) {
+      this.sessionKeyAlgorithm = enums.read(enums.symmetric, sessionKeyAlgorithm);
+    }
+  }
+}
+
+/**
+ * Fingerprint of the recipient key to pass to the public key algorithm.
+ * Only ECDH uses it, in the KDF parameters: for v6 keys the whole fingerprint is used,
+ * otherwise it is truncated to 20 bytes.
+ * @param {module:enums.publicKey} keyAlgo - Public key algorithm
+ * @param {PublicKeyPacket} key - Recipient key
+ * @returns {Uint8Array}
+ * @private
+ */
+function getKDFFingerprint(keyAlgo, key) {
+  const fingerprint = key.getFingerprintBytes();
+  if (keyAlgo !== enums.publicKey.ecdh || key.version === 6) {
+    return fingerprint;
+  }
+  return fingerprint.subarray(0, 20);
+}
+
+/**
+ * Prepare the session key for public key encryption
+ * @param {Integer} version - PKESK packet version
+ * @param {module:enums.publicKey} keyAlgo - Public key algorithm
+ * @param {module:enums.symmetric|null} sessionKeyAlgorithm - Session key algorithm, only encoded in v3 packets
+ * @param {Uint8Array} sessionKey - Session key
+ * @returns {Uint8Array} The data to encrypt.
+ * @private
+ */
+function encodeSessionKey(version, keyAlgo, sessionKeyAlgorithm, sessionKey) {
+  switch (keyAlgo) {
+    case enums.publicKey.x25519:
+    case enums.publicKey.x448:
+      // the session key algorithm is not encrypted, and no checksum is needed thanks to AES key wrap
+      return sessionKey;
+    default:
+      return util.concatUint8Array([
+        new Uint8Array(version === 3 ? [sessionKeyAlgorithm] : []),
+        sessionKey,
+        util.writeChecksum(sessionKey)
+      ]);
+  }
+}
+
+/**
+ * Extract the session key and its algorithm from the decrypted data
+ * @param {Integer} version - PKESK packet version
+ * @param {module:enums.publicKey} keyAlgo - Public key algorithm
+ * @param {Uint8Array} decoded - Decrypted data
+ * @param {Object} encrypted - Encrypted session key parameters
+ * @returns {{ sessionKey: Uint8Array, sessionKeyAlgorithm: module:enums.symmetric|null }}
+ * @throws {Error} if the session key checksum is invalid
+ * @private
+ */
+function decodeSessionKey(version, keyAlgo, decoded, encrypted) {
+  switch (keyAlgo) {
+    case enums.publicKey.x25519:
+    case enums.publicKey.x448:
+      return { sessionKey: decoded, sessionKeyAlgorithm: encrypted.C.algorithm };
+    default: {
+      const checksum = decoded.subarray(decoded.length - 2);
+      const sessionKey = decoded.subarray(version === 3 ? 1 : 0, decoded.length - 2);
+      if (!util.equalsUint8Array(checksum, util.writeChecksum(sessionKey))) {
+        throw new Error('Decryption error');
+      }
+      return { sessionKey, sessionKeyAlgorithm: version === 3 ? decoded[0] : null };
     }
   }
 }
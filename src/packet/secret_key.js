@@ -80,9 +80,10 @@ class SecretKeyPacket extends PublicKeyPacket {
    * Internal parser for private keys as specified in
    * {@link https://tools.ietf.org/html/draft-ietf-openpgp-rfc4880bis-04#section-5.5.3|RFC4880bis-04 section 5.5.3}
    * @param {String} bytes - Input string to read the packet from
+   * @param {Object} [config] - Full configuration, defaults to openpgp.config
    * @async
    */
-  async read(bytes) {
+  async read(bytes, config = defaultConfig) {
     // - A Public-Key or Public-Subkey packet, as described above.
     let i = await this.readPublicKey(bytes);
 
@@ -92,12 +93,17 @@ class SecretKeyPacket extends PublicKeyPacket {
     //   other value is a symmetric-key encryption algorithm identifier.
     this.s2kUsage = bytes[i++];
 
-    // - Only for a version 5 packet, a one-octet scalar octet count of
-    //   the next 4 optional fields.
-    if (this.version === 5) {
+    // - Only for a version 5 packet, or a version 6 packet with encrypted
+    //   key material, a one-octet scalar octet count of the next 4 optional fields.
+    if (this.version === 5 || (this.version === 6 && this.s2kUsage)) {
       i++;
     }
 
+    // - Version 6 packets must not use the malleable checksum nor the insecure MD5 S2K.
+    if (this.version === 6 && this.s2kUsage && this.s2kUsage !== 253 && this.s2kUsage !== 254) {
+      throw new Error(`Invalid S2K usage ${this.s2kUsage} for v6 key packet`);
+    }
+
     // - [Optional] If string-to-key usage octet was 255, 254, or 253, a
     //   one-octet symmetric encryption algorithm.
     if (this.s2kUsage === 255 || this.s2kUsage === 254 || this.s2kUsage === 253) {
@@ -111,11 +117,17 @@ class SecretKeyPacket extends PublicKeyPacket {
         this.aead = enums.read(enums.aead, this.aead);
       }
 
+      // - [Optional] Only for a version 6 packet, and if string-to-key usage
+      //   octet was 254 or 253, a one-octet count of the following field.
+      if (this.version === 6) {
+        i++;
+      }
+
       // - [Optional] If string-to-key usage octet was 255, 254, or 253, a
       //   string-to-key specifier.  The length of the string-to-key
       //   specifier is implied by its type, as described above.
       this.s2k = new S2K();
-      i += this.s2k.read(bytes.subarray(i, bytes.length));
+      i += this.s2k.read(bytes.subarray(i, bytes.length), config);
 
       if (this.s2k.type === 'gnu-dummy') {
         return;
@@ -131,7 +143,7 @@ class SecretKeyPacket extends PublicKeyPacket {
     if (this.s2kUsage) {
       this.iv = bytes.subarray(
         i,
-        i + crypto.cipher[this.symmetric].blockSize
+        i + getIVLength(this)
       );
 
       i += this.iv.length;
@@ -150,8 +162,10 @@ class SecretKeyPacket extends PublicKeyPacket {
     this.isEncrypted = !!this.s2kUsage;
 
     if (!this.isEncrypted) {
-      const cleartext = this.keyMaterial.subarray(0, -2);
-      if (!util.equalsUint8Array(util.writeChecksum(cleartext), this.keyMaterial.subarray(-2))) {
+      // - Only for version 3 and 4 packets, a two-octet checksum of the
+      //   plaintext of the algorithm-specific portion.
+      const cleartext = this.version === 6 ? this.keyMaterial : this.keyMaterial.subarray(0, -2);
+      if (this.version !== 6 && !util.equalsUint8Array(util.writeChecksum(cleartext), this.keyMaterial.subarray(-2))) {
         throw new Error('Key checksum mismatch');
       }
       try {
@@ -185,10 +199,18 @@ class SecretKeyPacket extends PublicKeyPacket {
         optionalFieldsArr.push(enums.write(enums.aead, this.aead));
       }
 
+      const s2kBytes = this.s2k.write();
+
+      // - [Optional] Only for a version 6 packet, and if string-to-key usage
+      //   octet was 254 or 253, a one-octet count of the following field.
+      if (this.version === 6) {
+        optionalFieldsArr.push(s2kBytes.length);
+      }
+
       // - [Optional] If string-to-key usage octet was 255, 254, or 253, a
       //   string-to-key specifier.  The length of the string-to-key
       //   specifier is implied by its type, as described above.
-      optionalFieldsArr.push(...this.s2k.write());
+      optionalFieldsArr.push(...s2kBytes);
     }
 
     // - [Optional] If secret data is encrypted (string-to-key usage octet
@@ -198,7 +220,7 @@ class SecretKeyPacket extends PublicKeyPacket {
       optionalFieldsArr.push(...this.iv);
     }
 
-    if (this.version === 5) {
+    if (this.version === 5 || (this.version === 6 && this.s2kUsage)) {
       arr.push(new Uint8Array([optionalFieldsArr.length]));
     }
     arr.push(new Uint8Array(optionalFieldsArr));
@@ -214,7 +236,7 @@ class SecretKeyPacket extends PublicKeyPacket {
       }
       arr.push(this.keyMaterial);
 
-      if (!this.s2kUsage) {
+      if (!this.s2kUsage && this.version !== 6) {
         arr.push(util.writeChecksum(this.keyMaterial));
       }
     }
@@ -263,7 +285,7 @@ class SecretKeyPacket extends PublicKeyPacket {
 
   /**
    * Encrypt the payload. By default, we use aes256 and iterated, salted string
-   * to key specifier. If the key is in a decrypted state (isEncrypted === false)
+   * to key specifier (see `config.s2kType` to use Argon2 instead, which requires `config.aeadProtect`). If the key is in a decrypted state (isEncrypted === false)
    * and the passphrase is empty or undefined, the key will be set as not encrypted.
    * This can be used to remove passphrase protection after calling decrypt().
    * @param {String|Uint8Array} passphrase
@@ -288,22 +310,23 @@ class SecretKeyPacket extends PublicKeyPacket {
     }
 
     this.s2k = new S2K(config);
-    this.s2k.salt = await crypto.random.getRandomBytes(8);
+    if (this.s2k.type === 'argon2' && !config.aeadProtect) {
+      throw new Error('Using Argon2 S2K without AEAD is not allowed');
+    }
+    await this.s2k.generateSalt();
     const algo = enums.write(enums.publicKey, this.algorithm);
     const cleartext = crypto.serializeParams(algo, this.privateParams);
     this.symmetric = 'aes256';
-    const key = await produceEncryptionKey(this.s2k, passphrase, this.symmetric);
-    const blockLen = crypto.cipher[this.symmetric].blockSize;
-    this.iv = await crypto.random.getRandomBytes(blockLen);
+    this.s2kUsage = config.aeadProtect ? 253 : 254;
+    this.aead = config.aeadProtect ? 'eax' : null;
+    const key = await produceEncryptionKey(this, passphrase, config);
+    this.iv = await crypto.random.getRandomBytes(getIVLength(this));
 
     if (config.aeadProtect) {
-      this.s2kUsage = 253;
-      this.aead = 'eax';
       const mode = crypto.mode[this.aead];
       const modeInstance = await mode(this.symmetric, key);
-      this.keyMaterial = await modeInstance.encrypt(cleartext, this.iv.subarray(0, mode.ivLength), new Uint8Array());
+      this.keyMaterial = await modeInstance.encrypt(cleartext, this.iv.subarray(0, mode.ivLength), getAdditionalData(this));
     } else {
-      this.s2kUsage = 254;
       this.keyMaterial = await crypto.mode.cfb.encrypt(this.symmetric, key, util.concatUint8Array([
         cleartext,
         await crypto.hash.sha1(cleartext, config)
@@ -317,10 +340,11 @@ class SecretKeyPacket extends PublicKeyPacket {
    * {@link SecretKeyPacket.isDecrypted} should be false, as
    * otherwise calls to this function will throw an error.
    * @param {String|Uint8Array} passphrase - The passphrase for this private key as string or uint8Array
+   * @param {Object} [config] - Full configuration, defaults to openpgp.config
    * @throws {Error} if the key is already decrypted, or if decryption was not successful
    * @async
    */
-  async decrypt(passphrase) {
+  async decrypt(passphrase, config = defaultConfig) {
     if (this.isDummy()) {
       return false;
     }
@@ -329,9 +353,13 @@ class SecretKeyPacket extends PublicKeyPacket {
       throw new Error('Key packet is already decrypted.');
     }
 
+    if (this.s2k && this.s2k.type === 'argon2' && this.s2kUsage !== 253) {
+      throw new Error('Using Argon2 S2K without AEAD is not allowed');
+    }
+
     let key;
     if (this.s2kUsage === 254 || this.s2kUsage === 253) {
-      key = await produceEncryptionKey(this.s2k, passphrase, this.symmetric);
+      key = await produceEncryptionKey(this, passphrase, config);
     } else if (this.s2kUsage === 255) {
       throw new Error('Encrypted private key is authenticated using an insecure two-byte hash');
     } else {
@@ -343,7 +371,7 @@ class SecretKeyPacket extends PublicKeyPacket {
       const mode = crypto.mode[this.aead];
       try {
         const modeInstance = await mode(this.symmetric, key);
-        cleartext = await modeInstance.decrypt(this.keyMaterial, this.iv.subarray(0, mode.ivLength), new Uint8Array());
+        cleartext = await modeInstance.decrypt(this.keyMaterial, this.iv.subarray(0, mode.ivLength), getAdditionalData(this));
       } catch (err) {
         if (err.message === 'Authentication tag mismatch') {
           throw new Error('Incorrect key passphrase: ' + err.message);
@@ -403,6 +431,12 @@ class SecretKeyPacket extends PublicKeyPacket {
 
   async generate(bits, curve) {
     const algo = enums.write(enums.publicKey, this.algorithm);
+    // v6 keys must use the dedicated X25519/X448 and Ed25519/Ed448 algorithms instead of the legacy ones
+    if (this.version === 6 && (algo === enums.publicKey.eddsa ||
+      (algo === enums.publicKey.ecdh && (curve === enums.curve.curve25519 || curve === enums.curve.curve448)))) {
+      const type = curve === enums.curve.ed448 || curve === enums.curve.curve448 ? 'curve448' : 'curve25519';
+      throw new Error(`Cannot generate v6 keys of type 'ecc' with curve ${curve}. Generate a key of type '${type}' instead`);
+    }
     const { privateParams, publicParams } = await crypto.generateParams(algo, bits, curve);
     this.privateParams = privateParams;
     this.publicParams = publicParams;
@@ -427,11 +461,53 @@ class SecretKeyPacket extends PublicKeyPacket {
   }
 }
 
-async function produceEncryptionKey(s2k, passphrase, algorithm) {
-  return s2k.produceKey(
-    passphrase,
-    crypto.cipher[algorithm].keySize
-  );
+/**
+ * Derive the key used to encrypt the secret key material.
+ * For version 6 packets using AEAD, the S2K output is passed through HKDF, binding the key
+ * to the packet tag, version and algorithms.
+ * @param {SecretKeyPacket} keyPacket - Key packet with the S2K specifier and algorithms set
+ * @param {String|Uint8Array} passphrase
+ * @param {Object} config - Full configuration
+ * @returns {Promise<Uint8Array>}
+ * @private
+ */
+async function produceEncryptionKey(keyPacket, passphrase, config) {
+  const { keySize } = crypto.cipher[keyPacket.symmetric];
+  const derivedKey = await keyPacket.s2k.produceKey(passphrase, keySize, config);
+  if (keyPacket.version !== 6 || keyPacket.s2kUsage !== 253) {
+    return derivedKey;
+  }
+  const info = new Uint8Array([
+    0xC0 | keyPacket.constructor.tag,
+    keyPacket.version,
+    enums.write(enums.symmetric, keyPacket.symmetric),
+    enums.write(enums.aead, keyPacket.aead)
+  ]);
+  return crypto.computeHKDF(enums.hash.sha256, derivedKey, new Uint8Array(), info, keySize);
+}
+
+/**
+ * Additional data authenticated when encrypting the key material using AEAD:
+ * for version 6 packets, the packet tag followed by the public key packet body
+ * @private
+ */
+function getAdditionalData(keyPacket) {
+  if (keyPacket.version !== 6) {
+    return new Uint8Array();
+  }
+  return util.concatUint8Array([new Uint8Array([0xC0 | keyPacket.constructor.tag]), keyPacket.writePublicKey()]);
+}
+
+/**
+ * Length of the IV preceding the encrypted key material: in version 6 packets using AEAD,
+ * it is the nonce length of the AEAD mode, otherwise it is the cipher block size.
+ * @private
+ */
+function getIVLength(keyPacket) {
+  if (keyPacket.version === 6 && keyPacket.s2kUsage === 253) {
+    return crypto.mode[keyPacket.aead].ivLength;
+  }
+  return crypto.cipher[keyPacket.symmetric].blockSize;
 }
 
 export default SecretKeyPacket;
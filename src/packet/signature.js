@@ -57,6 +57,7 @@ class SignaturePacket {
     this.signatureData = null;
     this.unhashedSubpackets = [];
     this.signedHashValue = null;
+    this.salt = null;
 
     this.created = null;
     this.signatureExpirationTime = null;
@@ -107,7 +108,7 @@ class SignaturePacket {
     let i = 0;
     this.version = bytes[i++];
 
-    if (this.version !== 4 && this.version !== 5) {
+    if (this.version !== 4 && this.version !== 5 && this.version !== 6) {
       throw new UnsupportedError(`Version ${this.version} of the signature packet is unsupported.`);
     }
 
@@ -136,6 +137,17 @@ class SignaturePacket {
     this.signedHashValue = bytes.subarray(i, i + 2);
     i += 2;
 
+    // Only for v6 signatures, a one-octet salt size followed by the salt,
+    // whose size depends on the hash algorithm.
+    if (this.version === 6) {
+      const saltLength = bytes[i++];
+      if (saltLength !== getSaltSize(this.hashAlgorithm)) {
+        throw new Error('Unexpected salt size for the hash algorithm');
+      }
+      this.salt = bytes.subarray(i, i + saltLength);
+      i += saltLength;
+    }
+
     this.params = crypto.signature.parseSignatureParams(this.publicKeyAlgorithm, bytes.subarray(i, bytes.length));
   }
 
@@ -143,12 +155,13 @@ class SignaturePacket {
    * @returns {Uint8Array | ReadableStream<Uint8Array>}
    */
   writeParams() {
+    const publicKeyAlgorithm = enums.write(enums.publicKey, this.publicKeyAlgorithm);
     if (this.params instanceof Promise) {
       return stream.fromAsync(
-        async () => crypto.serializeParams(this.publicKeyAlgorithm, await this.params)
+        async () => crypto.serializeParams(publicKeyAlgorithm, await this.params)
       );
     }
-    return crypto.serializeParams(this.publicKeyAlgorithm, this.params);
+    return crypto.serializeParams(publicKeyAlgorithm, this.params);
   }
 
   write() {
@@ -156,6 +169,9 @@ class SignaturePacket {
     arr.push(this.signatureData);
     arr.push(this.writeUnhashedSubPackets());
     arr.push(this.signedHashValue);
+    if (this.version === 6) {
+      arr.push(new Uint8Array([this.salt.length]), this.salt);
+    }
     arr.push(this.writeParams());
     return util.concat(arr);
   }
@@ -174,7 +190,10 @@ class SignaturePacket {
     const publicKeyAlgorithm = enums.write(enums.publicKey, this.publicKeyAlgorithm);
     const hashAlgorithm = enums.write(enums.hash, this.hashAlgorithm);
 
-    if (key.version === 5) {
+    if (key.version === 6) {
+      this.version = 6;
+      this.salt = await crypto.random.getRandomBytes(getSaltSize(hashAlgorithm));
+    } else if (key.version === 5) {
       this.version = 5;
     } else {
       this.version = 4;
@@ -234,7 +253,7 @@ class SignaturePacket {
       arr.push(writeSubPacket(sub.trustSignature, bytes));
     }
     if (this.regularExpression !== null) {
-      arr.push(writeSubPacket(sub.regularExpression, this.regularExpression));
+      arr.push(writeSubPacket(sub.regularExpression, util.encodeUTF8(this.regularExpression + '\0')));
     }
     if (this.revocable !== null) {
       arr.push(writeSubPacket(sub.revocable, new Uint8Array([this.revocable ? 1 : 0])));
@@ -251,16 +270,17 @@ class SignaturePacket {
       bytes = util.concat([bytes, this.revocationKeyFingerprint]);
       arr.push(writeSubPacket(sub.revocationKey, bytes));
     }
-    this.rawNotations.forEach(([{ name, value, humanReadable }]) => {
+    this.rawNotations.forEach(({ name, value, humanReadable, critical }) => {
+      const encodedName = util.encodeUTF8(name);
       bytes = [new Uint8Array([humanReadable ? 0x80 : 0, 0, 0, 0])];
       // 2 octets of name length
-      bytes.push(util.writeNumber(name.length, 2));
+      bytes.push(util.writeNumber(encodedName.length, 2));
       // 2 octets of value length
       bytes.push(util.writeNumber(value.length, 2));
-      bytes.push(util.stringToUint8Array(name));
+      bytes.push(encodedName);
       bytes.push(value);
       bytes = util.concat(bytes);
-      arr.push(writeSubPacket(sub.notationData, bytes));
+      arr.push(writeSubPacket(sub.notationData, bytes, critical));
     });
     if (this.preferredHashAlgorithms !== null) {
       bytes = util.stringToUint8Array(util.uint8ArrayToString(this.preferredHashAlgorithms));
@@ -288,7 +308,7 @@ class SignaturePacket {
       arr.push(writeSubPacket(sub.keyFlags, bytes));
     }
     if (this.signersUserID !== null) {
-      arr.push(writeSubPacket(sub.signersUserID, util.stringToUint8Array(this.signersUserID)));
+      arr.push(writeSubPacket(sub.signersUserID, util.encodeUTF8(this.signersUserID)));
     }
     if (this.reasonForRevocationFlag !== null) {
       bytes = util.stringToUint8Array(String.fromCharCode(this.reasonForRevocationFlag) + this.reasonForRevocationString);
@@ -310,7 +330,7 @@ class SignaturePacket {
     }
 
     const result = util.concat(arr);
-    const length = util.writeNumber(result.length, 2);
+    const length = util.writeNumber(result.length, this.version === 6 ? 4 : 2);
 
     return util.concat([length, result]);
   }
@@ -323,7 +343,7 @@ class SignaturePacket {
     const sub = enums.signatureSubpacket;
     const arr = [];
     let bytes;
-    if (!this.issuerKeyID.isNull() && this.issuerKeyVersion !== 5) {
+    if (!this.issuerKeyID.isNull() && this.issuerKeyVersion !== 5 && this.issuerKeyVersion !== 6) {
       // If the version of [the] key is greater than 4, this subpacket
       // MUST NOT be included in the signature.
       arr.push(writeSubPacket(sub.issuer, this.issuerKeyID.write()));
@@ -342,7 +362,7 @@ class SignaturePacket {
     });
 
     const result = util.concat(arr);
-    const length = util.writeNumber(result.length, 2);
+    const length = util.writeNumber(result.length, this.version === 6 ? 4 : 2);
 
     return util.concat([length, result]);
   }
@@ -387,8 +407,8 @@ class SignaturePacket {
         this.trustAmount = bytes[mypos++];
         break;
       case enums.signatureSubpacket.regularExpression:
-        // Regular Expression
-        this.regularExpression = bytes[mypos];
+        // Regular Expression, a null-terminated string
+        this.regularExpression = util.decodeUTF8(bytes.subarray(mypos, bytes.length)).replace(/\0$/, '');
         break;
       case enums.signatureSubpacket.revocable:
         // Revocable
@@ -409,12 +429,11 @@ class SignaturePacket {
         break;
       case enums.signatureSubpacket.revocationKey:
         // Revocation Key
-        // (1 octet of class, 1 octet of public-key algorithm ID, 20
-        // octets of
-        // fingerprint)
+        // (1 octet of class, 1 octet of public-key algorithm ID, 20 or 32
+        // octets of fingerprint, depending on the key version)
         this.revocationKeyClass = bytes[mypos++];
         this.revocationKeyAlgorithm = bytes[mypos++];
-        this.revocationKeyFingerprint = bytes.subarray(mypos, mypos + 20);
+        this.revocationKeyFingerprint = bytes.subarray(mypos, bytes.length);
         break;
 
       case enums.signatureSubpacket.issuer:
@@ -433,13 +452,13 @@ class SignaturePacket {
         const n = util.readNumber(bytes.subarray(mypos, mypos + 2));
         mypos += 2;
 
-        const name = util.uint8ArrayToString(bytes.subarray(mypos, mypos + m));
+        const name = util.decodeUTF8(bytes.subarray(mypos, mypos + m));
         const value = bytes.subarray(mypos + m, mypos + m + n);
 
-        this.rawNotations.push({ name, humanReadable, value, critical });
+        this.rawNotations.push({ name, humanReadable, value, critical: !!critical });
 
         if (humanReadable) {
-          this.notations[name] = util.uint8ArrayToString(value);
+          this.notations[name] = util.decodeUTF8(value);
         }
         break;
       }
@@ -473,7 +492,7 @@ class SignaturePacket {
         break;
       case enums.signatureSubpacket.signersUserID:
         // Signer's User ID
-        this.signersUserID = util.uint8ArrayToString(bytes.subarray(mypos, bytes.length));
+        this.signersUserID = util.decodeUTF8(bytes.subarray(mypos, bytes.length));
         break;
       case enums.signatureSubpacket.reasonForRevocation:
         // Reason for Revocation
@@ -504,7 +523,7 @@ class SignaturePacket {
         // Issuer Fingerprint
         this.issuerKeyVersion = bytes[mypos++];
         this.issuerFingerprint = bytes.subarray(mypos, bytes.length);
-        if (this.issuerKeyVersion === 5) {
+        if (this.issuerKeyVersion >= 5) {
           this.issuerKeyID.read(this.issuerFingerprint);
         } else {
           this.issuerKeyID.read(this.issuerFingerprint.subarray(-8));
@@ -526,13 +545,14 @@ class SignaturePacket {
   }
 
   readSubPackets(bytes, trusted = true, config) {
-    // Two-octet scalar octet count for following subpacket data.
-    const subpacketLength = util.readNumber(bytes.subarray(0, 2));
+    // Two-octet scalar octet count for following subpacket data (four-octet for v6 signatures).
+    const subpacketLengthBytes = this.version === 6 ? 4 : 2;
+    const subpacketLength = util.readNumber(bytes.subarray(0, subpacketLengthBytes));
 
-    let i = 2;
+    let i = subpacketLengthBytes;
 
     // subpacket data set (zero or more subpackets)
-    while (i < 2 + subpacketLength) {
+    while (i < subpacketLengthBytes + subpacketLength) {
       const len = readSimpleLength(bytes.subarray(i, bytes.length));
       i += len.offset;
 
@@ -639,8 +659,10 @@ class SignaturePacket {
 
   toHash(signatureType, data, detached = false) {
     const bytes = this.toSign(signatureType, data);
+    // v6 signatures (and one-pass signatures) hash the salt before the signed data
+    const salt = this.version === 6 ? [this.salt] : [];
 
-    return util.concat([bytes, this.signatureData, this.calculateTrailer(data, detached)]);
+    return util.concat([...salt, bytes, this.signatureData, this.calculateTrailer(data, detached)]);
   }
 
   async hash(signatureType, data, toHash, detached = false) {
@@ -667,6 +689,9 @@ class SignaturePacket {
     if (!this.issuerKeyID.equals(key.getKeyID())) {
       throw new Error('Signature was not issued by the given public key');
     }
+    if ((this.version === 6) !== (key.version === 6)) {
+      throw new Error('v6 signatures can only be issued by v6 keys, and v6 keys can only issue v6 signatures');
+    }
     if (publicKeyAlgorithm !== enums.write(enums.publicKey, key.algorithm)) {
       throw new Error('Public key algorithm used to sign signature does not match issuer key algorithm.');
     }
@@ -721,8 +746,8 @@ class SignaturePacket {
         throw new Error(`Unknown critical notation: ${name}`);
       }
     });
-    if (this.revocationKeyClass !== null) {
-      throw new Error('This key is intended to be revoked with an authorized key, which OpenPGP.js does not support.');
+    if (this.revocationKeyClass !== null && this.signatureType !== enums.signature.key) {
+      throw new Error('Authorized revocation keys are only supported in direct-key signatures');
     }
   }
 
@@ -756,13 +781,35 @@ export default SignaturePacket;
  * @see {@link https://tools.ietf.org/html/rfc4880#section-5.2.3.2|RFC4880 5.2.3.2}
  * @param {Integer} type - Subpacket signature type.
  * @param {String} data - Data to be included
+ * @param {Boolean} [critical] - Whether to mark the subpacket as critical
  * @returns {String} A string-representation of a sub signature packet.
  * @private
  */
-function writeSubPacket(type, data) {
+function writeSubPacket(type, data, critical = false) {
   const arr = [];
   arr.push(writeSimpleLength(data.length + 1));
-  arr.push(new Uint8Array([type]));
+  arr.push(new Uint8Array([critical ? type | 0x80 : type]));
   arr.push(data);
   return util.concat(arr);
 }
+
+/**
+ * Returns the size of the salt of v6 signatures using the given hash algorithm
+ * @see {@link https://www.rfc-editor.org/rfc/rfc9580.html#section-9.5|RFC9580 9.5}
+ * @param {module:enums.hash} hashAlgorithm - Hash algorithm
+ * @returns {Integer} Salt size in bytes.
+ * @private
+ */
+function getSaltSize(hashAlgorithm) {
+  switch (hashAlgorithm) {
+    case enums.hash.sha224:
+    case enums.hash.sha256:
+      return 16;
+    case enums.hash.sha384:
+      return 24;
+    case enums.hash.sha512:
+      return 32;
+    default:
+      throw new Error('Unsupported hash algorithm for v6 signatures');
+  }
+}
@@ -36,7 +36,8 @@ const allowedPackets = /*#__PURE__*/ util.constructAllowedPackets([
   SignaturePacket
 ]);
 
-const VERSION = 1; // A one-octet version number of the data packet.
+// Length of the salt used to derive the message key in version 2
+const SALT_LENGTH = 32;
 
 /**
  * Implementation of the Sym. Encrypted Integrity Protected Data Packet (Tag 18)
@@ -47,6 +48,10 @@ const VERSION = 1; // A one-octet version number of the data packet.
  * created for OpenPGP that addresses the problem of detecting a modification to
  * encrypted data. It is used in combination with a Modification Detection Code
  * packet.
+ *
+ * {@link https://www.rfc-editor.org/rfc/rfc9580#section-5.13.2|RFC9580 5.13.2}:
+ * Version 2 of the packet instead encrypts the data in chunks using AEAD,
+ * with a message key and nonce derived from the session key using HKDF.
  */
 class SymEncryptedIntegrityProtectedDataPacket {
   static get tag() {
@@ -54,28 +59,52 @@ class SymEncryptedIntegrityProtectedDataPacket {
   }
 
   constructor() {
-    this.version = VERSION;
+    this.version = 1;
+    // The following fields are only used in version 2
+    this.cipherAlgo = null;
+    this.aeadAlgorithm = 'ocb';
+    this.aeadAlgo = null;
+    this.chunkSizeByte = null;
+    this.salt = null;
+
     this.encrypted = null;
     this.packets = null;
   }
 
   async read(bytes) {
     await stream.parse(bytes, async reader => {
-      const version = await reader.readByte();
-      // - A one-octet version number. The only currently defined value is 1.
-      if (version !== VERSION) {
-        throw new UnsupportedError(`Version ${version} of the SEIP packet is unsupported.`);
+      this.version = await reader.readByte();
+      // - A one-octet version number with value 1 or 2.
+      if (this.version !== 1 && this.version !== 2) {
+        throw new UnsupportedError(`Version ${this.version} of the SEIP packet is unsupported.`);
+      }
+
+      if (this.version === 2) {
+        // - A one-octet cipher algorithm, AEAD algorithm and chunk size octet.
+        this.cipherAlgo = await reader.readByte();
+        this.aeadAlgo = await reader.readByte();
+        this.aeadAlgorithm = enums.read(enums.aead, this.aeadAlgo);
+        this.chunkSizeByte = await reader.readByte();
+        if (this.chunkSizeByte > 16) {
+          throw new Error('Invalid AEAD chunk size.');
+        }
+        // - Thirty-two octets of salt.
+        this.salt = await reader.readBytes(SALT_LENGTH);
       }
 
       // - Encrypted data, the output of the selected symmetric-key cipher
       //   operating in Cipher Feedback mode with shift amount equal to the
-      //   block size of the cipher (CFB-n where n is the block size).
+      //   block size of the cipher (CFB-n where n is the block size),
+      //   or of the AEAD algorithm in version 2.
       this.encrypted = reader.remainder();
     });
   }
 
   write() {
-    return util.concat([new Uint8Array([VERSION]), this.encrypted]);
+    if (this.version === 2) {
+      return util.concat([new Uint8Array([this.version, this.cipherAlgo, this.aeadAlgo, this.chunkSizeByte]), this.salt, this.encrypted]);
+    }
+    return util.concat([new Uint8Array([this.version]), this.encrypted]);
   }
 
   /**
@@ -87,6 +116,15 @@ class SymEncryptedIntegrityProtectedDataPacket {
    * @async
    */
   async encrypt(sessionKeyAlgorithm, key, config = defaultConfig) {
+    if (this.version === 2) {
+      this.cipherAlgo = enums.write(enums.symmetric, sessionKeyAlgorithm);
+      this.aeadAlgo = enums.write(enums.aead, this.aeadAlgorithm);
+      this.chunkSizeByte = config.aeadChunkSizeByte;
+      this.salt = await crypto.random.getRandomBytes(SALT_LENGTH);
+      this.encrypted = await runAEAD(this, 'encrypt', key, this.packets.write());
+      return true;
+    }
+
     let bytes = this.packets.write();
     if (stream.isArrayStream(bytes)) bytes = await stream.readToEnd(bytes);
     const prefix = await crypto.getPrefixRandom(sessionKeyAlgorithm);
@@ -102,13 +140,31 @@ class SymEncryptedIntegrityProtectedDataPacket {
 
   /**
    * Decrypts the encrypted data contained in the packet.
-   * @param {String} sessionKeyAlgorithm - The selected symmetric encryption algorithm to be used e.g. 'aes128'
+   * @param {String|null} sessionKeyAlgorithm - The selected symmetric encryption algorithm to be used e.g. 'aes128'.
+   *   In version 2, the algorithm is stored in the packet, so it may be omitted (v6 session key packets do not store it)
    * @param {Uint8Array} key - The key of cipher blocksize length to be used
    * @param {Object} [config] - Full configuration, defaults to openpgp.config
    * @returns {Promise<Boolean>}
    * @async
    */
   async decrypt(sessionKeyAlgorithm, key, config = defaultConfig) {
+    if (this.version === 2) {
+      const cipher = enums.read(enums.symmetric, this.cipherAlgo);
+      if (sessionKeyAlgorithm && sessionKeyAlgorithm !== cipher) {
+        throw new Error('Unexpected session key algorithm.');
+      }
+      // the HKDF step would accept session keys of any size
+      if (key.length !== crypto.cipher[cipher].keySize) {
+        throw new Error('Unexpected session key size.');
+      }
+      this.packets = await PacketList.fromBinary(
+        await runAEAD(this, 'decrypt', key, stream.clone(this.encrypted)),
+        allowedPackets,
+        config
+      );
+      return true;
+    }
+
     let encrypted = stream.clone(this.encrypted);
     if (stream.isArrayStream(encrypted)) encrypted = await stream.readToEnd(encrypted);
     const decrypted = await crypto.mode.cfb.decrypt(sessionKeyAlgorithm, key, encrypted, new Uint8Array(crypto.cipher[sessionKeyAlgorithm].blockSize));
@@ -137,4 +193,99 @@ class SymEncryptedIntegrityProtectedDataPacket {
   }
 }
 
+/**
+ * En/decrypt the payload of a SEIPDv2 or AEAD-encrypted data packet, chunk by chunk.
+ * SEIPDv2 derives the message key and nonce from the session key, while the
+ * AEAD-encrypted data packet uses the session key and the stored IV directly,
+ * and also authenticates the chunk index.
+ * @param {SymEncryptedIntegrityProtectedDataPacket|AEADEncryptedDataPacket} packet - Packet holding the algorithms and chunk size
+ * @param {encrypt|decrypt} fn - Whether to encrypt or decrypt
+ * @param {Uint8Array} key - The session key used to en/decrypt the payload
+ * @param {Uint8Array | ReadableStream<Uint8Array>} data - The data to en/decrypt
+ * @returns {Promise<Uint8Array | ReadableStream<Uint8Array>>}
+ * @async
+ */
+export async function runAEAD(packet, fn, key, data) {
+  const isSEIPDv2 = packet.constructor.tag === enums.packet.symEncryptedIntegrityProtectedData;
+  const cipher = enums.read(enums.symmetric, packet.cipherAlgo);
+  const mode = crypto.mode[enums.read(enums.aead, packet.aeadAlgo)];
+  const tagLengthIfDecrypting = fn === 'decrypt' ? mode.tagLength : 0;
+  const tagLengthIfEncrypting = fn === 'encrypt' ? mode.tagLength : 0;
+  const chunkSize = 2 ** (packet.chunkSizeByte + 6) + tagLengthIfDecrypting; // ((uint64_t)1 << (c + 6))
+  // SEIPDv2 does not include the chunk index in the additional data, only in the nonce
+  const chunkIndexLength = isSEIPDv2 ? 0 : 8;
+  const adataBuffer = new ArrayBuffer(13 + chunkIndexLength);
+  const adataArray = new Uint8Array(adataBuffer, 0, 5 + chunkIndexLength);
+  const adataTagArray = new Uint8Array(adataBuffer);
+  const adataView = new DataView(adataBuffer);
+  const chunkIndexArray = isSEIPDv2 ? new Uint8Array(8) : new Uint8Array(adataBuffer, 5, 8);
+  const chunkIndexView = new DataView(chunkIndexArray.buffer, chunkIndexArray.byteOffset, 8);
+  adataArray.set([0xC0 | packet.constructor.tag, packet.version, packet.cipherAlgo, packet.aeadAlgo, packet.chunkSizeByte], 0);
+  let iv = packet.iv;
+  if (isSEIPDv2) {
+    // derive the message key and the first N - 8 bytes of the nonce, the remaining bytes hold the chunk index
+    const { keySize } = crypto.cipher[cipher];
+    const derived = await crypto.computeHKDF(enums.hash.sha256, key, packet.salt, adataArray, keySize + mode.ivLength - 8);
+    key = derived.subarray(0, keySize);
+    iv = util.concatUint8Array([derived.subarray(keySize), new Uint8Array(8)]);
+  }
+  const modeInstance = await mode(cipher, key);
+  let chunkIndex = 0;
+  let latestPromise = Promise.resolve();
+  let cryptedBytes = 0;
+  let queuedBytes = 0;
+  return stream.transformPair(data, async (readable, writable) => {
+    if (util.isStream(readable) !== 'array') {
+      const buffer = new stream.TransformStream({}, {
+        highWaterMark: util.getHardwareConcurrency() * 2 ** (packet.chunkSizeByte + 6),
+        size: array => array.length
+      });
+      stream.pipe(buffer.readable, writable);
+      writable = buffer.writable;
+    }
+    const reader = stream.getReader(readable);
+    const writer = stream.getWriter(writable);
+    try {
+      while (true) {
+        let chunk = await reader.readBytes(chunkSize + tagLengthIfDecrypting) || new Uint8Array();
+        const finalChunk = chunk.subarray(chunk.length - tagLengthIfDecrypting);
+        chunk = chunk.subarray(0, chunk.length - tagLengthIfDecrypting);
+        let cryptedPromise;
+        let done;
+        if (!chunkIndex || chunk.length) {
+          reader.unshift(finalChunk);
+          cryptedPromise = modeInstance[fn](chunk, mode.getNonce(iv, chunkIndexArray), adataArray);
+          queuedBytes += chunk.length - tagLengthIfDecrypting + tagLengthIfEncrypting;
+        } else {
+          // After the last chunk, we either encrypt a final, empty
+          // data chunk to get the final authentication tag or
+          // validate that final authentication tag.
+          adataView.setInt32(5 + chunkIndexLength + 4, cryptedBytes); // Should be setInt64(5 + chunkIndexLength, ...)
+          cryptedPromise = modeInstance[fn](finalChunk, mode.getNonce(iv, chunkIndexArray), adataTagArray);
+          queuedBytes += tagLengthIfEncrypting;
+          done = true;
+        }
+        cryptedBytes += chunk.length - tagLengthIfDecrypting;
+        // eslint-disable-next-line no-loop-func
+        latestPromise = latestPromise.then(() => cryptedPromise).then(async crypted => {
+          await writer.ready;
+          await writer.write(crypted);
+          queuedBytes -= crypted.length;
+        }).catch(err => writer.abort(err));
+        if (done || queuedBytes > writer.desiredSize) {
+          await latestPromise; // Respect backpressure
+        }
+        if (!done) {
+          chunkIndexView.setInt32(4, ++chunkIndex); // Should be setInt64(0, ...)
+        } else {
+          await writer.close();
+          break;
+        }
+      }
+    } catch (e) {
+      await writer.abort(e);
+    }
+  });
+}
+
 export default SymEncryptedIntegrityProtectedDataPacket;
@@ -58,29 +58,40 @@ class SymEncryptedSessionKeyPacket {
    * Parsing function for a symmetric encrypted session key packet (tag 3).
    *
    * @param {Uint8Array} bytes - Payload of a tag 3 packet
+   * @param {Object} [config] - Full configuration, defaults to openpgp.config
    */
-  read(bytes) {
+  read(bytes, config = defaultConfig) {
     let offset = 0;
 
-    // A one-octet version number. The only currently defined version is 4.
+    // A one-octet version number (4, 5 or 6).
     this.version = bytes[offset++];
-    if (this.version !== 4 && this.version !== 5) {
+    if (this.version !== 4 && this.version !== 5 && this.version !== 6) {
       throw new UnsupportedError(`Version ${this.version} of the SKESK packet is unsupported.`);
     }
 
+    if (this.version === 6) {
+      // A one-octet scalar octet count of the following 5 fields.
+      offset++;
+    }
+
     // A one-octet number describing the symmetric algorithm used.
     const algo = enums.read(enums.symmetric, bytes[offset++]);
 
-    if (this.version === 5) {
+    if (this.version >= 5) {
       // A one-octet AEAD algorithm.
       this.aeadAlgorithm = enums.read(enums.aead, bytes[offset++]);
     }
 
+    if (this.version === 6) {
+      // A one-octet scalar octet count of the following field.
+      offset++;
+    }
+
     // A string-to-key (S2K) specifier, length as defined above.
     this.s2k = new S2K();
-    offset += this.s2k.read(bytes.subarray(offset, bytes.length));
+    offset += this.s2k.read(bytes.subarray(offset, bytes.length), config);
 
-    if (this.version === 5) {
+    if (this.version >= 5) {
       const mode = crypto.mode[this.aeadAlgorithm];
 
       // A starting initialization vector of size specified by the AEAD
@@ -90,9 +101,13 @@ class SymEncryptedSessionKeyPacket {
 
     // The encrypted session key itself, which is decrypted with the
     // string-to-key object. This is optional in version 4.
-    if (this.version === 5 || offset < bytes.length) {
+    if (this.version >= 5 || offset < bytes.length) {
       this.encrypted = bytes.subarray(offset, bytes.length);
       this.sessionKeyEncryptionAlgorithm = algo;
+      if (this.version === 6) {
+        // the session key algorithm is given by the SEIPDv2 packet instead
+        this.sessionKeyAlgorithm = null;
+      }
     } else {
       this.sessionKeyAlgorithm = algo;
     }
@@ -110,7 +125,11 @@ class SymEncryptedSessionKeyPacket {
 
     let bytes;
 
-    if (this.version === 5) {
+    if (this.version === 6) {
+      const s2k = this.s2k.write();
+      const fieldsLength = 3 + s2k.length + this.iv.length;
+      bytes = util.concatUint8Array([new Uint8Array([this.version, fieldsLength, enums.write(enums.symmetric, algo), enums.write(enums.aead, this.aeadAlgorithm), s2k.length]), s2k, this.iv, this.encrypted]);
+    } else if (this.version === 5) {
       bytes = util.concatUint8Array([new Uint8Array([this.version, enums.write(enums.symmetric, algo), enums.write(enums.aead, this.aeadAlgorithm)]), this.s2k.write(), this.iv, this.encrypted]);
     } else {
       bytes = util.concatUint8Array([new Uint8Array([this.version, enums.write(enums.symmetric, algo)]), this.s2k.write()]);
@@ -126,21 +145,23 @@ class SymEncryptedSessionKeyPacket {
   /**
    * Decrypts the session key
    * @param {String|Uint8Array} passphrase - The passphrase in string or uint8Array form
+   * @param {Object} [config] - Full configuration, defaults to openpgp.config
    * @throws {Error} if decryption was not successful
    * @async
    */
-  async decrypt(passphrase) {
+  async decrypt(passphrase, config = defaultConfig) {
     const algo = this.sessionKeyEncryptionAlgorithm !== null ?
       this.sessionKeyEncryptionAlgorithm :
       this.sessionKeyAlgorithm;
 
     const length = crypto.cipher[algo].keySize;
-    const key = await this.s2k.produceKey(passphrase, length);
+    const key = await this.s2k.produceKey(passphrase, length, config);
 
-    if (this.version === 5) {
+    if (this.version >= 5) {
       const mode = crypto.mode[this.aeadAlgorithm];
-      const adata = new Uint8Array([0xC0 | SymEncryptedSessionKeyPacket.tag, this.version, enums.write(enums.symmetric, this.sessionKeyEncryptionAlgorithm), enums.write(enums.aead, this.aeadAlgorithm)]);
-      const modeInstance = await mode(algo, key);
+      const adata = this.getAdditionalData();
+      const encryptionKey = await this.deriveEncryptionKey(key, adata, length);
+      const modeInstance = await mode(algo, encryptionKey);
       this.sessionKey = await modeInstance.decrypt(this.encrypted, this.iv, adata);
     } else if (this.encrypted !== null) {
       const decrypted = await crypto.mode.cfb.decrypt(algo, key, this.encrypted, new Uint8Array(crypto.cipher[algo].blockSize));
@@ -167,20 +188,21 @@ class SymEncryptedSessionKeyPacket {
     this.sessionKeyEncryptionAlgorithm = algo;
 
     this.s2k = new S2K(config);
-    this.s2k.salt = await crypto.random.getRandomBytes(8);
+    await this.s2k.generateSalt();
 
     const length = crypto.cipher[algo].keySize;
-    const key = await this.s2k.produceKey(passphrase, length);
+    const key = await this.s2k.produceKey(passphrase, length, config);
 
     if (this.sessionKey === null) {
       this.sessionKey = await crypto.generateSessionKey(this.sessionKeyAlgorithm);
     }
 
-    if (this.version === 5) {
+    if (this.version >= 5) {
       const mode = crypto.mode[this.aeadAlgorithm];
       this.iv = await crypto.random.getRandomBytes(mode.ivLength); // generate new random IV
-      const adata = new Uint8Array([0xC0 | SymEncryptedSessionKeyPacket.tag, this.version, enums.write(enums.symmetric, this.sessionKeyEncryptionAlgorithm), enums.write(enums.aead, this.aeadAlgorithm)]);
-      const modeInstance = await mode(algo, key);
+      const adata = this.getAdditionalData();
+      const encryptionKey = await this.deriveEncryptionKey(key, adata, length);
+      const modeInstance = await mode(algo, encryptionKey);
       this.encrypted = await modeInstance.encrypt(this.sessionKey, this.iv, adata);
     } else {
       const algo_enum = new Uint8Array([enums.write(enums.symmetric, this.sessionKeyAlgorithm)]);
@@ -188,6 +210,33 @@ class SymEncryptedSessionKeyPacket {
       this.encrypted = await crypto.mode.cfb.encrypt(algo, key, private_key, new Uint8Array(crypto.cipher[algo].blockSize), config);
     }
   }
+
+  /**
+   * Additional data authenticated when encrypting the session key using AEAD,
+   * which is also used as HKDF info in version 6
+   * @returns {Uint8Array}
+   * @private
+   */
+  getAdditionalData() {
+    return new Uint8Array([0xC0 | SymEncryptedSessionKeyPacket.tag, this.version, enums.write(enums.symmetric, this.sessionKeyEncryptionAlgorithm), enums.write(enums.aead, this.aeadAlgorithm)]);
+  }
+
+  /**
+   * Derive the key-encryption key from the S2K output: in version 6, this is done using HKDF,
+   * whereas in version 5 the S2K output is used directly
+   * @param {Uint8Array} s2kKey - Key produced by the S2K
+   * @param {Uint8Array} info - HKDF info
+   * @param {Integer} length - Key size in bytes
+   * @returns {Promise<Uint8Array>}
+   * @async
+   * @private
+   */
+  async deriveEncryptionKey(s2kKey, info, length) {
+    if (this.version !== 6) {
+      return s2kKey;
+    }
+    return crypto.computeHKDF(enums.hash.sha256, s2kKey, new Uint8Array(), info, length);
+  }
 }
 
 export default SymEncryptedSessionKeyPacket;
@@ -1,5 +1,8 @@
 import enums from '../enums';
-import { UnsupportedError } from './packet';
+import util from '../util';
+
+// Marks the extended packet layout used by GnuPG 2.1+
+const GPG_MAGIC = new Uint8Array([0x67, 0x70, 0x67]); // "gpg"
 
 /**
  * Implementation of the Trust Packet (Tag 12)
@@ -15,22 +18,116 @@ import { UnsupportedError } from './packet';
  * Trust packets SHOULD NOT be emitted to output streams that are
  * transferred to other users, and they SHOULD be ignored on any input
  * other than local keyring files.
+ *
+ * We use the GnuPG layout: a trust value and a signature cache octet, optionally followed by
+ * the "gpg" marker, a {@link module:enums.trustSubtype} and, for keys and user IDs,
+ * the key origin, the last update time and the origin URL.
  */
 class TrustPacket {
   static get tag() {
     return enums.packet.trust;
   }
 
+  constructor() {
+    /**
+     * Trust value. For keys, the low four bits hold the ownertrust ({@link module:enums.ownertrust})
+     * @type {Integer}
+     */
+    this.trustValue = enums.ownertrust.unknown;
+    /**
+     * Signature cache flags (bit 0: checked, bit 1: valid), or null if the octet is absent
+     * @type {Integer|null}
+     */
+    this.signatureCache = 0;
+    /**
+     * Subtype of the extended GnuPG layout, or null for the legacy layout
+     * @type {module:enums.trustSubtype|null}
+     */
+    this.subtype = null;
+    /**
+     * Origin of the key (GnuPG key origin identifier), only for key and user ID subtypes
+     * @type {Integer}
+     */
+    this.keyOrigin = 0;
+    /**
+     * Time of the last update from the key origin, only for key and user ID subtypes
+     * @type {Date|null}
+     */
+    this.keyUpdate = null;
+    /**
+     * URL the key was retrieved from, only for key and user ID subtypes
+     * @type {String|null}
+     */
+    this.url = null;
+    /**
+     * Trailing bytes not covered by the layout above, written back unchanged
+     * @type {Uint8Array}
+     */
+    this.trailingData = new Uint8Array();
+  }
+
   /**
    * Parsing function for a trust packet (tag 12).
-   * Currently not implemented as we ignore trust packets
+   * @param {Uint8Array} bytes - Payload of a tag 12 packet
    */
-  read() {
-    throw new UnsupportedError('Trust packets are not supported');
+  read(bytes) {
+    if (bytes.length === 0) {
+      throw new Error('Invalid trust packet: empty payload');
+    }
+    let i = 0;
+    this.trustValue = bytes[i++];
+    this.signatureCache = i < bytes.length ? bytes[i++] : null;
+
+    if (bytes.length - i >= 4 && util.equalsUint8Array(bytes.subarray(i, i + 3), GPG_MAGIC)) {
+      // key and user ID subtypes are followed by the key origin, last update time and URL;
+      // if these are truncated, the whole extension is kept as trailing data
+      const subtype = bytes[i + 3];
+      if (subtype !== enums.trustSubtype.key && subtype !== enums.trustSubtype.userID) {
+        this.subtype = subtype;
+        i += 4;
+      } else if (bytes.length - i >= 10 && bytes.length - i - 10 >= bytes[i + 9]) {
+        this.subtype = subtype;
+        i += 4;
+        this.keyOrigin = bytes[i++];
+        const keyUpdate = util.readDate(bytes.subarray(i, i + 4));
+        this.keyUpdate = keyUpdate.getTime() ? keyUpdate : null;
+        i += 4;
+        const urlLength = bytes[i++];
+        if (urlLength) {
+          this.url = util.uint8ArrayToString(bytes.subarray(i, i + urlLength));
+        }
+        i += urlLength;
+      }
+    }
+    this.trailingData = bytes.slice(i);
   }
 
+  /**
+   * Creates a binary representation of the trust packet
+   * @returns {Uint8Array} Trust packet payload.
+   */
   write() {
-    throw new UnsupportedError('Trust packets are not supported');
+    if (this.subtype === null) {
+      return util.concatUint8Array([
+        new Uint8Array(this.signatureCache === null ? [this.trustValue] : [this.trustValue, this.signatureCache]),
+        this.trailingData
+      ]);
+    }
+    const arr = [new Uint8Array([this.trustValue, this.signatureCache || 0]), GPG_MAGIC, new Uint8Array([this.subtype])];
+    if (this.subtype === enums.trustSubtype.key || this.subtype === enums.trustSubtype.userID) {
+      const url = util.stringToUint8Array(this.url || '');
+      if (url.length > 255) {
+        throw new Error('Trust packet URL is too long');
+      }
+      arr.push(
+        new Uint8Array([this.keyOrigin]),
+        util.writeDate(this.keyUpdate || new Date(0)),
+        new Uint8Array([url.length]),
+        url
+      );
+    }
+    arr.push(this.trailingData);
+    return util.concatUint8Array(arr);
   }
 }
 
@@ -0,0 +1,52 @@
+/**
+ * Encoded symmetric key for X25519 and X448.
+ * In version 3 PKESK packets, the session key algorithm is stored in cleartext, preceding the wrapped session key.
+ *
+ * @module type/ecdh_x_symkey
+ * @private
+ */
+
+import util from '../util';
+
+class ECDHXSymmetricKey {
+  static fromObject({ wrappedKey, algorithm }) {
+    const instance = new ECDHXSymmetricKey();
+    instance.wrappedKey = wrappedKey;
+    instance.algorithm = algorithm;
+    return instance;
+  }
+
+  /**
+   * Read an ECDHXSymmetricKey from an Uint8Array
+   * @param {Uint8Array} input - Where to read the encoded symmetric key from
+   * @param {Integer} version - Version of the PKESK packet: only version 3 packets include the algorithm
+   * @returns {Number} Number of read bytes.
+   */
+  read(input, version) {
+    if (input.length >= 1) {
+      const followLength = input[0];
+      const hasAlgorithm = version === 3;
+      if (input.length >= 1 + followLength && followLength > (hasAlgorithm ? 1 : 0)) {
+        this.algorithm = hasAlgorithm ? input[1] : null;
+        this.wrappedKey = input.subarray(hasAlgorithm ? 2 : 1, 1 + followLength);
+        return 1 + followLength;
+      }
+    }
+    throw new Error('Invalid symmetric key');
+  }
+
+  /**
+   * Write an ECDHXSymmetricKey as an Uint8Array
+   * @returns  {Uint8Array}  An array containing the value
+   */
+  write() {
+    return util.concatUint8Array([
+      this.algorithm ?
+        new Uint8Array([this.wrappedKey.length + 1, this.algorithm]) :
+        new Uint8Array([this.wrappedKey.length]),
+      this.wrappedKey
+    ]);
+  }
+}
+
+export default ECDHXSymmetricKey;
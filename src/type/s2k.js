@@ -24,6 +24,8 @@
  * places, currently: to encrypt the secret part of private keys in the
  * private keyring, and to convert passphrases to encryption keys for
  * symmetrically encrypted messages.
+ * The Argon2 S2K type is defined in
+ * {@link https://www.rfc-editor.org/rfc/rfc9580.html#section-3.7.1.4|RFC 9580 3.7.1.4}.
  * @module type/s2k
  * @private
  */
@@ -41,15 +43,68 @@ class S2K {
     /** @type {module:enums.hash} */
     this.algorithm = 'sha256';
     /** @type {module:enums.s2k} */
-    this.type = 'iterated';
+    this.type = enums.read(enums.s2k, config.s2kType);
+    if (this.type !== 'iterated' && this.type !== 'argon2') {
+      throw new Error('The chosen S2K type is not supported');
+    }
     /** @type {Integer} */
     this.c = config.s2kIterationCountByte;
-    /** Eight bytes of salt in a binary string.
-     * @type {String}
+    /** Argon2 number of passes
+     * @type {Integer}
+     */
+    this.passes = config.s2kArgon2Params.passes;
+    /** Argon2 degree of parallelism
+     * @type {Integer}
+     */
+    this.parallelism = config.s2kArgon2Params.parallelism;
+    /** Argon2 memory size, as exponent of two in KiB
+     * @type {Integer}
+     */
+    this.memoryExponent = config.s2kArgon2Params.memoryExponent;
+    /** Eight bytes of salt (sixteen for Argon2) in a binary string.
+     * @type {Uint8Array}
      */
     this.salt = null;
   }
 
+  /**
+   * Generates a random salt of the length required by the S2K type
+   * @async
+   */
+  async generateSalt() {
+    this.salt = await crypto.random.getRandomBytes(this.type === 'argon2' ? 16 : 8);
+  }
+
+  /**
+   * Checks that the Argon2 parameters are within the bounds given by
+   * {@link https://www.rfc-editor.org/rfc/rfc9580.html#section-3.7.1.4|RFC 9580 3.7.1.4}
+   * @throws {Error} if the parameters are invalid
+   * @private
+   */
+  checkArgon2Params() {
+    const { passes, parallelism, memoryExponent } = this;
+    if (!(
+      Number.isInteger(passes) && passes >= 1 && passes <= 255 &&
+      Number.isInteger(parallelism) && parallelism >= 1 && parallelism <= 255 &&
+      Number.isInteger(memoryExponent) && memoryExponent <= 31 &&
+      memoryExponent >= 3 + Math.ceil(Math.log2(parallelism))
+    )) {
+      throw new Error('Invalid Argon2 S2K parameters');
+    }
+  }
+
+  /**
+   * Checks that the Argon2 memory size does not exceed `config.maxArgon2MemoryExponent`
+   * @param {Object} config - Full configuration
+   * @throws {Error} if the memory size is too large
+   * @private
+   */
+  checkArgon2MemoryLimit(config) {
+    if (this.memoryExponent > config.maxArgon2MemoryExponent) {
+      throw new Error(`Argon2 S2K memory size of 2^${this.memoryExponent} KiB exceeds the limit of config.maxArgon2MemoryExponent`);
+    }
+  }
+
   getCount() {
     // Exponent bias, defined in RFC4880
     const expbias = 6;
@@ -60,11 +115,23 @@ class S2K {
   /**
    * Parsing function for a string-to-key specifier ({@link https://tools.ietf.org/html/rfc4880#section-3.7|RFC 4880 3.7}).
    * @param {String} bytes - Payload of string-to-key specifier
+   * @param {Object} [config] - Full configuration, defaults to openpgp.config
    * @returns {Integer} Actual length of the object.
    */
-  read(bytes) {
+  read(bytes, config = defaultConfig) {
     let i = 0;
     this.type = enums.read(enums.s2k, bytes[i++]);
+    if (this.type === 'argon2') {
+      // Argon2 does not use a hash algorithm
+      this.salt = bytes.subarray(i, i + 16);
+      i += 16;
+      this.passes = bytes[i++];
+      this.parallelism = bytes[i++];
+      this.memoryExponent = bytes[i++];
+      this.checkArgon2Params();
+      this.checkArgon2MemoryLimit(config);
+      return i;
+    }
     this.algorithm = bytes[i++];
     if (this.type !== 'gnu') {
       this.algorithm = enums.read(enums.hash, this.algorithm);
@@ -117,6 +184,14 @@ class S2K {
     if (this.type === 'gnu-dummy') {
       return new Uint8Array([101, 0, ...util.stringToUint8Array('GNU'), 1]);
     }
+    if (this.type === 'argon2') {
+      this.checkArgon2Params();
+      return util.concatUint8Array([
+        new Uint8Array([enums.write(enums.s2k, this.type)]),
+        this.salt,
+        new Uint8Array([this.passes, this.parallelism, this.memoryExponent])
+      ]);
+    }
 
     const arr = [new Uint8Array([enums.write(enums.s2k, this.type), enums.write(enums.hash, this.algorithm)])];
 
@@ -141,17 +216,31 @@ class S2K {
 
   /**
    * Produces a key using the specified passphrase and the defined
-   * hashAlgorithm
+   * hashAlgorithm, or using Argon2id for the Argon2 S2K type
    * @param {String|Uint8Array} passphrase - Passphrase containing user input
-   * @returns {Promise<Uint8Array>} Produced key with a length corresponding to.
-   * hashAlgorithm hash length
+   * @param {Integer} numBytes - Length of the key to produce
+   * @param {Object} [config] - Full configuration, defaults to openpgp.config
+   * @returns {Promise<Uint8Array>} Produced key of length numBytes.
    * @async
    */
-  async produceKey(passphrase, numBytes) {
+  async produceKey(passphrase, numBytes, config = defaultConfig) {
     if (!util.isUint8Array(passphrase)) {
       passphrase = util.encodeUTF8(passphrase);
     }
 
+    if (this.type === 'argon2') {
+      this.checkArgon2Params();
+      this.checkArgon2MemoryLimit(config);
+      return crypto.argon2({
+        password: passphrase,
+        salt: this.salt,
+        passes: this.passes,
+        parallelism: this.parallelism,
+        memorySize: 2 ** this.memoryExponent,
+        tagLength: numBytes
+      });
+    }
+
     const algorithm = enums.write(enums.hash, this.algorithm);
 
     const arr = [];
@@ -90,6 +90,21 @@ const util = {
     return bytes.subarray(2, 2 + bytelen);
   },
 
+  /**
+   * Return a slice of the input, ensuring that it has the expected length
+   * @param {Uint8Array} input - Input data
+   * @param {Integer} start - Start index of the slice
+   * @param {Integer} end - End index of the slice (excluded)
+   * @returns {Uint8Array} Slice of the input.
+   * @throws {Error} if the input is too short
+   */
+  readExactSubarray: function (input, start, end) {
+    if (input.length < end) {
+      throw new Error('Input array too short');
+    }
+    return input.subarray(start, end);
+  },
+
   /**
    * Left-pad Uint8Array to length by adding 0x0 bytes
    * @param {Uint8Array} bytes - Data to pad
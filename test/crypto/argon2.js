@@ -0,0 +1,43 @@
+const argon2id = require('../../src/crypto/argon2');
+const blake2b = require('../../src/crypto/hash/blake2b');
+const util = require('../../src/util');
+
+const chai = require('chai');
+
+chai.use(require('chai-as-promised'));
+
+const expect = chai.expect;
+
+module.exports = () => describe('Argon2', function () {
+  it('BLAKE2b with test vector from RFC 7693', function () {
+    expect(util.uint8ArrayToHex(blake2b(util.stringToUint8Array('abc')))).to.equal(
+      'ba80a53f981c4d0d6a2797b69f12f6e94c212f14685ac4b74b12bb6fdbffa2d1' +
+      '7d87c5392aab792dc252d5de4533cc9518d38aa8dbf1925ab92386edd4009923'
+    );
+  });
+
+  it('Argon2id with test vector from RFC 9106', async function () {
+    const tag = await argon2id({
+      password: new Uint8Array(32).fill(0x01),
+      salt: new Uint8Array(16).fill(0x02),
+      secret: new Uint8Array(8).fill(0x03),
+      associatedData: new Uint8Array(12).fill(0x04),
+      passes: 3,
+      parallelism: 4,
+      memorySize: 32,
+      tagLength: 32
+    });
+    expect(util.uint8ArrayToHex(tag)).to.equal('0d640df58d78766c08c037a34a8b53c9d01ef0452d75b65eb52520e96b01e659');
+  });
+
+  it('Argon2id rejects invalid parameters', async function () {
+    await expect(argon2id({
+      password: new Uint8Array(8),
+      salt: new Uint8Array(16),
+      passes: 1,
+      parallelism: 4,
+      memorySize: 16,
+      tagLength: 32
+    })).to.be.rejectedWith(/Invalid Argon2 parameters/);
+  });
+});
@@ -2,4 +2,5 @@ module.exports = () => describe('Hash', function () {
   require('./md5.js')();
   require('./ripemd.js')();
   require('./sha.js')();
+  require('./sha3.js')();
 });
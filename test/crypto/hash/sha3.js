@@ -0,0 +1,13 @@
+const { shake256 } = require('../../../src/crypto/hash/sha3');
+const util = require('../../../src/util');
+
+const chai = require('chai');
+
+const { expect } = chai;
+
+module.exports = () => it('SHAKE256 with test vectors from NIST FIPS 202', async function() {
+  expect(util.uint8ArrayToHex(shake256(new Uint8Array(), 32))).to.equal('46b9dd2b0ba88d13233b3feb743eeb243fcd52ea62b81b82b50c27646ed5762f');
+  expect(util.uint8ArrayToHex(shake256(util.stringToUint8Array('abc'), 64))).to.equal('483366601360a8771c6863080cc4114d8db44530f8f1e1ee4f94ea37e78b5739d5a15bef186a5386c75744c0527e1faa9f8726e462a12a4feb06bd8801e751e4');
+  // input and output span several blocks
+  expect(util.uint8ArrayToHex(shake256(new Uint8Array(200).fill(0xa3), 114))).to.equal('cd8a920ed141aa0407a22d59288652e9d9f1a7ee0c1e7c1ca699424da84a904d2d700caae7396ece96604440577da4f3aa22aeb8857f961c4cd8e06f0ae6610b1048a7f64e1074cd629e85ad7566048efc4fb500b486a3309a8f26724c0ed628001a1099422468de726f1061d99eb9e93604');
+});
@@ -0,0 +1,26 @@
+const computeHKDF = require('../../src/crypto/hkdf');
+const enums = require('../../src/enums');
+const util = require('../../src/util');
+
+const expect = require('chai').expect;
+
+module.exports = () => describe('HKDF', function () {
+  // https://datatracker.ietf.org/doc/html/rfc5869#appendix-A
+  it('Basic test case with SHA-256', async function () {
+    const inputKey = util.hexToUint8Array('0b'.repeat(22));
+    const salt = util.hexToUint8Array('000102030405060708090a0b0c');
+    const info = util.hexToUint8Array('f0f1f2f3f4f5f6f7f8f9');
+    const outputKey = await computeHKDF(enums.hash.sha256, inputKey, salt, info, 42);
+    expect(util.uint8ArrayToHex(outputKey)).to.equal('3cb25f25faacd57a90434f64d0362f2a2d2d0a90cf1a5a4c5db02d56ecc4c5bf34007208d5b887185865');
+  });
+
+  it('Test with SHA-256 and zero-length salt/info', async function () {
+    const inputKey = util.hexToUint8Array('0b'.repeat(22));
+    const outputKey = await computeHKDF(enums.hash.sha256, inputKey, new Uint8Array(), new Uint8Array(), 42);
+    expect(util.uint8ArrayToHex(outputKey)).to.equal('8da4e775a563c18f715f802a063c5a31b8a11f5c5ee1879ec3454e5f3c738d2d9d201395faa4b61a96c8');
+  });
+
+  it('Rejects unsupported hash algorithms', async function () {
+    await expect(computeHKDF(enums.hash.sha1, new Uint8Array(16), new Uint8Array(), new Uint8Array(), 16)).to.be.rejectedWith(/Unsupported hash algorithm/);
+  });
+});
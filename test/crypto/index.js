@@ -7,6 +7,8 @@ module.exports = () => describe('Crypto', function () {
   require('./ecdh.js')();
   require('./pkcs5.js')();
   require('./aes_kw.js')();
+  require('./hkdf.js')();
+  require('./argon2.js')();
   require('./gcm.js')();
   require('./eax.js')();
   require('./ocb.js')();
@@ -393,5 +393,59 @@ NJCB6+LWtabSoVIjNVgKwyKqyTLaESNwC2ogZwkdE8qPGiDFEHo4Gg9zuRof
     );
   });
 
+  describe('Multipart armor', function() {
+    const util = require('../../src/util');
+    const stream = require('@openpgp/web-stream-tools');
+
+    it('Split message into parts and reassemble them', async function () {
+      const binary = util.stringToUint8Array('a'.repeat(5000) + 'b'.repeat(5000));
+      const message = await openpgp.createMessage({ binary });
+      const parts = message.armor(openpgp.config, { maxPartSize: 1000 });
+      expect(parts.length).to.be.above(10);
+      parts.forEach((part, i) => {
+        expect(part.length).to.be.at.most(1000);
+        expect(part).to.match(new RegExp(`^-----BEGIN PGP MESSAGE, PART ${i + 1}/${parts.length}-----\n`));
+        expect(part).to.match(new RegExp(`\n-----END PGP MESSAGE, PART ${i + 1}/${parts.length}-----\n$`));
+      });
+      // parts can arrive in any order, e.g. as separate emails
+      const shuffled = parts.slice(1).concat(parts[0]).map(part => 'Subject: part\n\n' + part);
+      const parsed = await openpgp.readMessage({ armoredMessage: shuffled.join('\n') });
+      expect(await stream.readToEnd(parsed.getLiteralData())).to.deep.equal(binary);
+      const { data, type } = await openpgp.unarmorMultipart(shuffled);
+      expect(type).to.equal(openpgp.enums.armor.message);
+      expect(data).to.deep.equal(message.write());
+    });
+
+    it('Fit parts in the maximum size', async function () {
+      const config = { ...openpgp.config, showComment: true, commentString: 'multipart' };
+      for (const length of [0, 1, 44, 45, 46, 1000]) {
+        const data = new Uint8Array(length).map((_, i) => i);
+        for (let maxPartSize = 130; maxPartSize < 200; maxPartSize += 7) {
+          const parts = openpgp.armorMultipart(data, maxPartSize, null, config);
+          parts.forEach(part => expect(part.length).to.be.at.most(maxPartSize));
+          expect((await openpgp.unarmorMultipart(parts)).data).to.deep.equal(data);
+        }
+      }
+    });
+
+    it('Exception if maximum size is too small', function () {
+      expect(() => openpgp.armorMultipart(new Uint8Array(10), 80)).to.throw(/maxPartSize is too small/);
+      expect(() => openpgp.armorMultipart(new Uint8Array(10), 0)).to.throw(/maxPartSize must be a positive integer/);
+    });
+
+    it('Exception if parts are missing, duplicated or corrupted', async function () {
+      const data = new Uint8Array(1000).map((_, i) => i);
+      const parts = openpgp.armorMultipart(data, 300);
+      expect(parts.length).to.equal(7);
+      await expect(openpgp.unarmorMultipart(parts.slice(1))).to.be.rejectedWith(/Missing multipart armor part: 1/);
+      await expect(openpgp.unarmorMultipart(parts.slice(0, 6))).to.be.rejectedWith(/Missing multipart armor part: 7/);
+      await expect(openpgp.unarmorMultipart(parts.concat(parts[2]))).to.be.rejectedWith(/Duplicate multipart armor part: 3/);
+      await expect(openpgp.unarmorMultipart(parts.concat(openpgp.armorMultipart(data, 200)[7]))).to.be.rejectedWith(/Inconsistent number of multipart armor parts/);
+      await expect(openpgp.unarmorMultipart('no armor here')).to.be.rejectedWith(/No multipart armored message found/);
+      const corrupted = parts.slice();
+      corrupted[3] = corrupted[3].replace(/\n\n([A-Za-z0-9])/, (_, char) => '\n\n' + (char === 'A' ? 'B' : 'A'));
+      await expect(openpgp.readMessage({ armoredMessage: corrupted.join('') })).to.be.rejectedWith(/Ascii armor integrity check failed/);
+    });
+  });
 });
 
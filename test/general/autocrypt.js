@@ -0,0 +1,135 @@
+const openpgp = typeof window !== 'undefined' && window.openpgp ? window.openpgp : require('../..');
+const base64 = require('../../src/encoding/base64');
+
+const chai = require('chai');
+chai.use(require('chai-as-promised'));
+
+const { expect } = chai;
+
+module.exports = () => describe('Autocrypt', function() {
+  let alice;
+  let bob;
+
+  before(async function() {
+    ({ privateKey: alice } = await openpgp.generateKey({
+      userIDs: [{ name: 'Alice', email: 'alice@example.com' }, { email: 'Alice@Example.org' }],
+      subkeys: [{}, { sign: true }, {}],
+      format: 'object'
+    }));
+    ({ privateKey: bob } = await openpgp.generateKey({ userIDs: [{ name: 'Bob', email: 'bob@example.com' }], format: 'object' }));
+    alice = await alice.signAllUsers([bob]);
+  });
+
+  describe('Autocrypt header', function() {
+    it('creates a header with a minimized key', async function() {
+      const header = await openpgp.createAutocryptHeader({ key: alice, preferEncrypt: 'mutual' });
+      expect(header).to.match(/^Autocrypt: addr=alice@example\.com; prefer-encrypt=mutual; keydata=\r\n [A-Za-z0-9+/]/);
+      header.split('\r\n').forEach(line => expect(line.length).to.be.at.most(78));
+
+      const { addr, preferEncrypt, key } = await openpgp.readAutocryptHeader({ header, addr: 'Alice@example.com' });
+      expect(addr).to.equal('alice@example.com');
+      expect(preferEncrypt).to.equal('mutual');
+      expect(key.isPrivate()).to.be.false;
+      expect(key.getFingerprint()).to.equal(alice.getFingerprint());
+      expect(key.users.map(({ userID }) => userID.email)).to.deep.equal(['alice@example.com']);
+      expect(key.users[0].otherCertifications).to.have.length(0);
+      expect(key.subkeys.map(subkey => subkey.getFingerprint())).to.deep.equal([(await alice.getEncryptionKey()).getFingerprint()]);
+      expect(key.subkeys[0].bindingSignatures).to.have.length(1);
+    });
+
+    it('selects the user ID of the given address', async function() {
+      const header = await openpgp.createAutocryptHeader({ key: alice.toPublic(), addr: 'alice@example.org' });
+      expect(header).to.match(/^Autocrypt: addr=alice@example\.org; keydata=/);
+      const { preferEncrypt, key } = await openpgp.readAutocryptHeader({ header });
+      expect(preferEncrypt).to.equal('nopreference');
+      expect(key.users.map(({ userID }) => userID.email)).to.deep.equal(['Alice@Example.org']);
+
+      await expect(openpgp.createAutocryptHeader({ key: alice, addr: 'carol@example.com' })).to.be.rejectedWith(/Could not find user ID with email address carol@example.com/);
+      await expect(openpgp.createAutocryptHeader({ key: alice, preferEncrypt: 'yes' })).to.be.rejectedWith(/must be either "mutual" or "nopreference"/);
+    });
+
+    it('parses headers from other implementations', async function() {
+      const keydata = (await openpgp.createAutocryptHeader({ key: bob })).split('keydata=')[1];
+      const { addr, preferEncrypt, key } = await openpgp.readAutocryptHeader({
+        header: `_comment=hi;\n addr=Bob@example.com; Prefer-Encrypt=nopreference; keydata=${keydata.replace(/\r\n/g, '\n\t')}`
+      });
+      expect(addr).to.equal('Bob@example.com');
+      expect(preferEncrypt).to.equal('nopreference');
+      expect(key.getFingerprint()).to.equal(bob.getFingerprint());
+    });
+
+    it('rejects invalid headers', async function() {
+      const header = await openpgp.createAutocryptHeader({ key: bob });
+      await expect(openpgp.readAutocryptHeader({ header, addr: 'mallory@example.com' })).to.be.rejectedWith(/does not match the sender address/);
+      await expect(openpgp.readAutocryptHeader({ header: header.replace('addr=', 'type=1; addr=') })).to.be.rejectedWith(/unknown critical attribute type/);
+      await expect(openpgp.readAutocryptHeader({ header: header.replace('addr=', 'addr=a@b.c; addr=') })).to.be.rejectedWith(/duplicate attribute addr/);
+      await expect(openpgp.readAutocryptHeader({ header: 'Autocrypt: addr=bob@example.com' })).to.be.rejectedWith(/missing addr or keydata/);
+
+      await expect(openpgp.readAutocryptHeader({ header: `addr=bob@example.com; keydata=${base64.encode(bob.write())}` })).to.be.rejectedWith(/keydata must be a public key/);
+
+      const { privateKey: expiring } = await openpgp.generateKey({ userIDs: { email: 'carol@example.com' }, keyExpirationTime: 1, format: 'object' });
+      const expiringHeader = await openpgp.createAutocryptHeader({ key: expiring });
+      await expect(openpgp.readAutocryptHeader({ header: expiringHeader, date: new Date(Date.now() + 10000) })).to.be.rejectedWith(/expired/);
+    });
+  });
+
+  describe('Autocrypt Setup Message', function() {
+    it('creates and decrypts a setup message', async function() {
+      const { setupCode, armoredMessage } = await openpgp.createAutocryptSetupMessage({ privateKey: alice, preferEncrypt: 'mutual' });
+      expect(setupCode).to.match(/^\d{4}(-\d{4}){8}$/);
+      expect(armoredMessage).to.match(new RegExp(`^-----BEGIN PGP MESSAGE-----\nPassphrase-Format: numeric9x4\nPassphrase-Begin: ${setupCode.slice(0, 2)}\n`));
+
+      const [{ algorithm }] = await openpgp.decryptSessionKeys({ message: await openpgp.readMessage({ armoredMessage }), passwords: setupCode });
+      expect(algorithm).to.equal('aes128');
+
+      const { privateKey, preferEncrypt } = await openpgp.decryptAutocryptSetupMessage({ armoredMessage, setupCode: setupCode.replace(/-/g, ' ') });
+      expect(preferEncrypt).to.equal('mutual');
+      expect(privateKey.isDecrypted()).to.be.true;
+      expect(privateKey.write()).to.deep.equal(alice.write());
+    });
+
+    it('creates a setup message readable by other implementations regardless of the configuration', async function() {
+      const { aeadProtect, s2kType, paddingBucketSize } = openpgp.config;
+      Object.assign(openpgp.config, { aeadProtect: true, s2kType: openpgp.enums.s2k.argon2, paddingBucketSize: 256 });
+      let setupMessage;
+      try {
+        setupMessage = await openpgp.createAutocryptSetupMessage({ privateKey: bob });
+      } finally {
+        Object.assign(openpgp.config, { aeadProtect, s2kType, paddingBucketSize });
+      }
+      const { setupCode, armoredMessage } = setupMessage;
+      const message = await openpgp.readMessage({ armoredMessage });
+      expect(message.packets.map(packet => packet.constructor.tag)).to.deep.equal([
+        openpgp.enums.packet.symEncryptedSessionKey,
+        openpgp.enums.packet.symEncryptedIntegrityProtectedData
+      ]);
+      const [skesk, seipd] = message.packets;
+      expect(skesk.version).to.equal(4);
+      expect(skesk.s2k.type).to.equal('iterated');
+      expect(seipd.version).to.equal(1);
+
+      const decrypted = await message.decrypt(null, [setupCode]);
+      expect(decrypted.packets.findPacket(openpgp.enums.packet.padding)).to.be.undefined;
+      const { privateKey } = await openpgp.decryptAutocryptSetupMessage({ armoredMessage, setupCode });
+      expect(privateKey.getFingerprint()).to.equal(bob.getFingerprint());
+    });
+
+    it('defaults to no encryption preference', async function() {
+      const { setupCode, armoredMessage } = await openpgp.createAutocryptSetupMessage({ privateKey: bob });
+      const { preferEncrypt } = await openpgp.decryptAutocryptSetupMessage({ armoredMessage, setupCode });
+      expect(preferEncrypt).to.equal('nopreference');
+    });
+
+    it('rejects wrong setup codes and encrypted keys', async function() {
+      const { setupCode, armoredMessage } = await openpgp.createAutocryptSetupMessage({ privateKey: bob });
+      await expect(openpgp.decryptAutocryptSetupMessage({ armoredMessage, setupCode: setupCode.slice(0, -1) })).to.be.rejectedWith(/expected 36 digits/);
+      const otherBegin = String((Number(setupCode[0]) + 1) % 10) + setupCode.slice(1);
+      await expect(openpgp.decryptAutocryptSetupMessage({ armoredMessage, setupCode: otherBegin })).to.be.rejectedWith(/Setup code does not match/);
+      const wrongCode = setupCode.slice(0, -1) + String((Number(setupCode.slice(-1)) + 1) % 10);
+      await expect(openpgp.decryptAutocryptSetupMessage({ armoredMessage, setupCode: wrongCode })).to.be.rejectedWith(/Error decrypting message/);
+
+      const encryptedKey = await openpgp.encryptKey({ privateKey: bob, passphrase: 'passphrase' });
+      await expect(openpgp.createAutocryptSetupMessage({ privateKey: encryptedKey })).to.be.rejectedWith(/Private key is not decrypted/);
+    });
+  });
+});
@@ -1,4 +1,5 @@
 const openpgp = typeof window !== 'undefined' && window.openpgp ? window.openpgp : require('../..');
+const stream = require('@openpgp/web-stream-tools');
 
 const chai = require('chai');
 chai.use(require('chai-as-promised'));
@@ -57,4 +58,77 @@ module.exports = () => describe('Decrypt and decompress message tests', function
 
   Object.keys(tests).forEach(key => runTest(key, tests[key]));
 
+  describe('Decompression limits', function() {
+    const plaintext = new Uint8Array(1000000);
+    // the decompressed data also includes packet headers and signatures
+    const maxDecompressedSize = plaintext.length + 1000;
+
+    async function encrypt(algorithm) {
+      return openpgp.encrypt({
+        message: await openpgp.createMessage({ binary: plaintext }),
+        passwords: password,
+        format: 'binary',
+        config: { preferredCompressionAlgorithm: openpgp.enums.compression[algorithm] }
+      });
+    }
+
+    ['zip', 'zlib', 'bzip2'].forEach(algorithm => {
+      it(`Enforces the maximum decompressed size and ratio for ${algorithm}`, async function () {
+        const encrypted = await encrypt(algorithm);
+        await expect(openpgp.decrypt({
+          message: await openpgp.readMessage({ binaryMessage: encrypted }),
+          passwords: password,
+          format: 'binary',
+          config: { maxDecompressedSize: 100000 }
+        })).to.be.rejectedWith(openpgp.DecompressionLimitError, 'Decompressed data exceeds the maximum size of 100000 bytes');
+        await expect(openpgp.decrypt({
+          message: await openpgp.readMessage({ binaryMessage: encrypted }),
+          passwords: password,
+          format: 'binary',
+          config: { maxDecompressionRatio: 10 }
+        })).to.be.rejectedWith(openpgp.DecompressionLimitError, 'Decompressed data exceeds the maximum compression ratio of 10');
+
+        const { data } = await openpgp.decrypt({
+          message: await openpgp.readMessage({ binaryMessage: encrypted }),
+          passwords: password,
+          format: 'binary',
+          config: { maxDecompressedSize, maxDecompressionRatio: 100000 }
+        });
+        expect(data).to.deep.equal(plaintext);
+      });
+    });
+
+    it('Enforces the limits when streaming', async function () {
+      await stream.loadStreamsPonyfill();
+      const encrypted = await encrypt('zlib');
+      const decryptStream = async config => {
+        const { data } = await openpgp.decrypt({
+          message: await openpgp.readMessage({ binaryMessage: stream.toStream(encrypted) }),
+          passwords: password,
+          format: 'binary',
+          config: { allowUnauthenticatedStream: true, ...config }
+        });
+        return stream.readToEnd(data);
+      };
+      await expect(decryptStream({ maxDecompressedSize: 100000 })).to.be.rejectedWith(openpgp.DecompressionLimitError);
+      expect(await decryptStream({ maxDecompressedSize })).to.deep.equal(plaintext);
+    });
+
+    it('Enforces the limits when verifying', async function () {
+      const { privateKey } = await openpgp.generateKey({ userIDs: { name: 'Test' }, format: 'object' });
+      const signed = await openpgp.sign({ message: await openpgp.createMessage({ binary: plaintext }), signingKeys: privateKey, format: 'object' });
+      const binaryMessage = await stream.readToEnd(signed.compress(openpgp.enums.compression.zlib).write());
+      await expect(openpgp.readMessage({ binaryMessage, config: { maxDecompressedSize: 100000 } }).then(message => (
+        openpgp.verify({ message, verificationKeys: privateKey, format: 'binary' })
+      ))).to.be.rejectedWith(openpgp.DecompressionLimitError);
+      const { data, signatures } = await openpgp.verify({
+        message: await openpgp.readMessage({ binaryMessage, config: { maxDecompressedSize } }),
+        verificationKeys: privateKey,
+        format: 'binary'
+      });
+      expect(data).to.deep.equal(plaintext);
+      expect(await signatures[0].verified).to.be.true;
+    });
+  });
+
 });
@@ -5,12 +5,16 @@ module.exports = () => describe('General', function () {
   require('./packet.js')();
   require('./signature.js')();
   require('./key.js')();
+  require('./keyring.js')();
+  require('./mime.js')();
+  require('./autocrypt.js')();
   require('./openpgp.js')();
   require('./config.js')();
   require('./oid.js')();
   require('./ecc_nist.js')();
   require('./ecc_secp256k1.js')();
   require('./x25519.js')();
+  require('./x448.js')();
   require('./brainpool.js')();
   require('./decompression.js')();
   require('./streaming.js')();
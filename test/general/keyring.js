@@ -0,0 +1,152 @@
+const openpgp = typeof window !== 'undefined' && window.openpgp ? window.openpgp : require('../..');
+
+const chai = require('chai');
+chai.use(require('chai-as-promised'));
+
+const { expect } = chai;
+
+module.exports = () => describe('Keyring', function() {
+  let alice;
+  let bob;
+
+  before(async function() {
+    ({ privateKey: alice } = await openpgp.generateKey({ userIDs: [{ name: 'Alice', email: 'alice@example.com' }], format: 'object' }));
+    ({ privateKey: bob } = await openpgp.generateKey({ userIDs: [{ name: 'Bob', email: 'Bob@Example.com' }, { email: 'bob@example.org' }], format: 'object' }));
+  });
+
+  it('indexes keys by fingerprint, key ID, subkey ID and email', async function() {
+    const keyring = new openpgp.Keyring();
+    await keyring.addKeys([alice.toPublic(), bob.toPublic()]);
+    expect(await keyring.getKeys()).to.have.length(2);
+
+    expect((await keyring.getKeyForFingerprint(alice.getFingerprint().toUpperCase())).getFingerprint()).to.equal(alice.getFingerprint());
+    expect(await keyring.getKeyForFingerprint('00'.repeat(20))).to.be.null;
+
+    const [byKeyID] = await keyring.getKeysForID(bob.getKeyID());
+    expect(byKeyID.getFingerprint()).to.equal(bob.getFingerprint());
+    const [bySubkeyID] = await keyring.getKeysForID(bob.subkeys[0].getKeyID().toHex());
+    expect(bySubkeyID.getFingerprint()).to.equal(bob.getFingerprint());
+    expect(await keyring.getKeysForID('0000000000000000')).to.have.length(2);
+    expect(await keyring.getKeysForID('0123456789abcdef')).to.have.length(0);
+
+    expect((await keyring.getKeysForEmail(' BOB@example.com')).map(key => key.getFingerprint())).to.deep.equal([bob.getFingerprint()]);
+    expect(await keyring.getKeysForEmail('bob@example.org')).to.have.length(1);
+    expect(await keyring.getKeysForEmail('carol@example.com')).to.have.length(0);
+  });
+
+  it('merges keys with the same fingerprint', async function() {
+    const keyring = new openpgp.Keyring();
+    await keyring.addKey(alice.toPublic());
+    const { privateKey: updatedAlice } = await openpgp.reformatKey({ privateKey: alice, userIDs: [{ email: 'alice@example.com' }, { email: 'alice@example.net' }], format: 'object' });
+    const stored = await keyring.addKey(updatedAlice);
+    expect(stored.isPrivate()).to.be.true;
+    expect(await keyring.getKeys()).to.have.length(1);
+    expect(stored.getUserIDs()).to.include('<alice@example.net>');
+    expect(await keyring.getKeysForEmail('alice@example.net')).to.deep.equal([stored]);
+    expect(await keyring.getKeysForID(alice.getKeyID())).to.deep.equal([stored]);
+  });
+
+  it('serializes concurrent updates of the same key', async function() {
+    const keyring = new openpgp.Keyring();
+    await keyring.addKey(alice.toPublic());
+    const updates = await Promise.all(['alice@example.net', 'alice@example.org'].map(async email => (
+      (await openpgp.reformatKey({ privateKey: alice, userIDs: { email }, format: 'object' })).publicKey
+    )));
+    await Promise.all(updates.map(update => keyring.addKey(update)));
+    const [stored] = await keyring.getKeys();
+    expect(stored.getUserIDs()).to.include.members(['<alice@example.net>', '<alice@example.org>']);
+  });
+
+  it('removes keys', async function() {
+    const keyring = new openpgp.Keyring();
+    await keyring.addKeys([alice, bob]);
+    const removed = await keyring.removeKey(bob.getFingerprint());
+    expect(removed.getFingerprint()).to.equal(bob.getFingerprint());
+    expect(await keyring.removeKey(bob.getFingerprint())).to.be.null;
+    expect(await keyring.getKeysForID(bob.getKeyID())).to.have.length(0);
+    expect(await keyring.getKeysForEmail('bob@example.com')).to.have.length(0);
+    expect(await keyring.getKeys()).to.have.length(1);
+  });
+
+  it('uses a custom key store', async function() {
+    const armoredKeys = new Map([[alice.getFingerprint(), alice.toPublic().armor()]]);
+    const store = {
+      async loadKeys() {
+        return Promise.all([...armoredKeys.values()].map(armoredKey => openpgp.readKey({ armoredKey })));
+      },
+      async storeKey(key) {
+        armoredKeys.set(key.getFingerprint(), key.armor());
+      },
+      async deleteKey(fingerprint) {
+        armoredKeys.delete(fingerprint);
+      }
+    };
+    const keyring = new openpgp.Keyring(store);
+    expect(await keyring.getKeysForEmail('alice@example.com')).to.have.length(1);
+    await keyring.addKey(bob.toPublic());
+    expect(armoredKeys.has(bob.getFingerprint())).to.be.true;
+    await keyring.removeKey(alice.getFingerprint());
+    expect([...armoredKeys.keys()]).to.deep.equal([bob.getFingerprint()]);
+
+    // pick up changes made to the store directly
+    armoredKeys.set(alice.getFingerprint(), alice.toPublic().armor());
+    expect(await keyring.getKeysForEmail('alice@example.com')).to.have.length(0);
+    await keyring.load();
+    expect(await keyring.getKeysForEmail('alice@example.com')).to.have.length(1);
+  });
+
+  it('can be used to look up decryption and verification keys', async function() {
+    const keyring = new openpgp.Keyring();
+    await keyring.addKeys([alice.toPublic(), bob]);
+    const text = 'Hello, Bob!';
+    const armoredMessage = await openpgp.encrypt({ message: await openpgp.createMessage({ text }), encryptionKeys: bob, signingKeys: alice });
+
+    const { data, signatures } = await openpgp.decrypt({
+      message: await openpgp.readMessage({ armoredMessage }),
+      decryptionKeys: keyring,
+      verificationKeys: keyring,
+      expectSigned: true
+    });
+    expect(data).to.equal(text);
+    expect(await signatures[0].verified).to.be.true;
+    expect(await openpgp.decryptSessionKeys({ message: await openpgp.readMessage({ armoredMessage }), decryptionKeys: keyring })).to.have.length(1);
+
+    const signed = await openpgp.sign({ message: await openpgp.createCleartextMessage({ text }), signingKeys: alice });
+    const { signatures: cleartextSignatures } = await openpgp.verify({ message: await openpgp.readCleartextMessage({ cleartextMessage: signed }), verificationKeys: keyring });
+    expect(await cleartextSignatures[0].verified).to.be.true;
+
+    const detachedSignature = await openpgp.sign({ message: await openpgp.createMessage({ text }), signingKeys: bob, detached: true });
+    const { signatures: detachedSignatures } = await openpgp.verify({
+      message: await openpgp.createMessage({ text }),
+      signature: await openpgp.readSignature({ armoredSignature: detachedSignature }),
+      verificationKeys: keyring
+    });
+    expect(await detachedSignatures[0].verified).to.be.true;
+
+    // only private keys are used for decryption
+    const publicKeyring = new openpgp.Keyring();
+    await publicKeyring.addKey(bob.toPublic());
+    await expect(openpgp.decrypt({
+      message: await openpgp.readMessage({ armoredMessage }),
+      decryptionKeys: publicKeyring
+    })).to.be.rejectedWith(/Session key decryption failed/);
+  });
+
+  it('cannot be used as encryption or signing keys', async function() {
+    const keyring = new openpgp.Keyring();
+    await keyring.addKeys([alice, bob.toPublic()]);
+    const message = await openpgp.createMessage({ text: 'Hello, Bob!' });
+    await expect(openpgp.encrypt({ message, encryptionKeys: keyring })).to.be.rejectedWith('Parameter [encryptionKeys] cannot be a Keyring');
+    await expect(openpgp.encrypt({ message, encryptionKeys: bob, signingKeys: keyring })).to.be.rejectedWith('Parameter [signingKeys] cannot be a Keyring');
+    await expect(openpgp.sign({ message, signingKeys: keyring })).to.be.rejectedWith('Parameter [signingKeys] cannot be a Keyring');
+    await expect(openpgp.generateSessionKey({ encryptionKeys: keyring })).to.be.rejectedWith('Parameter [encryptionKeys] cannot be a Keyring');
+    await expect(openpgp.encryptSessionKey({ data: new Uint8Array(16), algorithm: 'aes128', encryptionKeys: keyring })).to.be.rejectedWith('Parameter [encryptionKeys] cannot be a Keyring');
+
+    // the keys can be looked up by email address instead
+    const encryptionKeys = await keyring.getKeysForEmail('bob@example.com');
+    const [signingKey] = await keyring.getKeysForEmail('alice@example.com');
+    const armoredMessage = await openpgp.encrypt({ message, encryptionKeys, signingKeys: signingKey });
+    const { data } = await openpgp.decrypt({ message: await openpgp.readMessage({ armoredMessage }), decryptionKeys: bob });
+    expect(data).to.equal('Hello, Bob!');
+  });
+});
@@ -0,0 +1,124 @@
+const openpgp = typeof window !== 'undefined' && window.openpgp ? window.openpgp : require('../..');
+const util = require('../../src/util');
+
+const chai = require('chai');
+chai.use(require('chai-as-promised'));
+
+const { expect } = chai;
+
+module.exports = () => describe('PGP/MIME', function() {
+  const entity = 'Content-Type: text/plain; charset=utf-8\nContent-Transfer-Encoding: quoted-printable\n\nHello =E2=82=AC\n-- \nAlice\n';
+  const canonicalEntity = entity.replace(/\n/g, '\r\n');
+  let alice;
+  let bob;
+
+  before(async function() {
+    ({ privateKey: alice } = await openpgp.generateKey({ userIDs: [{ name: 'Alice', email: 'alice@example.com' }], format: 'object' }));
+    ({ privateKey: bob } = await openpgp.generateKey({ userIDs: [{ name: 'Bob', email: 'bob@example.com' }], format: 'object' }));
+  });
+
+  it('signs and verifies a multipart/signed entity', async function() {
+    const signed = await openpgp.signMIME({ entity, signingKeys: alice });
+    expect(signed).to.match(/^Content-Type: multipart\/signed; micalg="pgp-sha\d+"; protocol="application\/pgp-signature";\r\n boundary="[0-9a-f]+"\r\n\r\n/);
+    expect(signed).to.include('\r\n' + canonicalEntity + '\r\n--');
+    expect(signed).to.include('Content-Type: application/pgp-signature; name="signature.asc"\r\n');
+    expect(signed.replace(/\r\n/g, '')).to.not.include('\n');
+
+    const { data, signatures } = await openpgp.verifyMIME({ entity: signed, verificationKeys: alice.toPublic() });
+    expect(data).to.equal(canonicalEntity);
+    expect(await signatures[0].verified).to.be.true;
+    const { packets: [signaturePacket] } = await signatures[0].signature;
+    expect(signed).to.include(`micalg="pgp-${openpgp.enums.read(openpgp.enums.hash, signaturePacket.hashAlgorithm)}"`);
+
+    // the signature is over the canonical entity, as required by RFC 3156
+    const { signatures: [rawSignature] } = await openpgp.verify({
+      message: await openpgp.createMessage({ binary: util.encodeUTF8(canonicalEntity) }),
+      signature: await signatures[0].signature,
+      verificationKeys: alice.toPublic()
+    });
+    expect(await rawSignature.verified).to.be.true;
+  });
+
+  it('verifies regardless of line endings in transit, and detects tampering', async function() {
+    const signed = await openpgp.signMIME({ entity, signingKeys: alice });
+    const { signatures } = await openpgp.verifyMIME({ entity: signed.replace(/\r\n/g, '\n'), verificationKeys: alice.toPublic(), expectSigned: true });
+    expect(await signatures[0].verified).to.be.true;
+
+    const tampered = signed.replace('Hello', 'Hallo');
+    await expect(openpgp.verifyMIME({ entity: tampered, verificationKeys: alice.toPublic(), expectSigned: true })).to.be.rejectedWith(/Signed digest did not match/);
+    const { signatures: [wrongKey] } = await openpgp.verifyMIME({ entity: signed, verificationKeys: bob.toPublic() });
+    await expect(wrongKey.verified).to.be.rejectedWith(/Could not find signing key/);
+  });
+
+  it('parses multipart/signed entities built by other implementations', async function() {
+    const signature = await openpgp.sign({
+      message: await openpgp.createMessage({ binary: util.encodeUTF8(canonicalEntity) }),
+      signingKeys: alice,
+      detached: true
+    });
+    const boundary = "=-=+ab'c";
+    const signed = [
+      'Content-Type: Multipart/Signed; Protocol="application/pgp-signature";',
+      `\tmicalg=pgp-sha256; boundary="${boundary}"`,
+      'MIME-Version: 1.0',
+      '',
+      'preamble',
+      `--${boundary}  `,
+      entity.slice(0, -1),
+      `--${boundary}`,
+      'Content-Type: application/pgp-signature',
+      '',
+      signature,
+      `--${boundary}--`,
+      'epilogue',
+      ''
+    ].join('\n');
+    const { data, signatures } = await openpgp.verifyMIME({ entity: signed, verificationKeys: alice.toPublic() });
+    expect(data).to.equal(canonicalEntity.slice(0, -2));
+    await expect(signatures[0].verified).to.be.rejectedWith(/Signed digest did not match/);
+
+    const signedWithTrailingLineBreak = signed.replace(`\n--${boundary}\nContent-Type`, `\n\n--${boundary}\nContent-Type`);
+    expect(await (await openpgp.verifyMIME({ entity: signedWithTrailingLineBreak, verificationKeys: alice.toPublic() })).signatures[0].verified).to.be.true;
+  });
+
+  it('encrypts and decrypts a multipart/encrypted entity', async function() {
+    const encrypted = await openpgp.encryptMIME({ entity, encryptionKeys: bob.toPublic(), signingKeys: alice });
+    expect(encrypted).to.match(/^Content-Type: multipart\/encrypted; protocol="application\/pgp-encrypted";\r\n boundary="[0-9a-f]+"\r\n\r\n/);
+    expect(encrypted).to.include('Content-Type: application/pgp-encrypted\r\nContent-Description: PGP/MIME version identification\r\n\r\nVersion: 1\r\n');
+    expect(encrypted).to.include('-----BEGIN PGP MESSAGE-----');
+
+    const { data, signatures } = await openpgp.decryptMIME({ entity: encrypted, decryptionKeys: bob, verificationKeys: alice.toPublic(), expectSigned: true });
+    expect(data).to.equal(canonicalEntity);
+    expect(await signatures[0].verified).to.be.true;
+
+    const armoredMessage = encrypted.slice(encrypted.indexOf('-----BEGIN PGP MESSAGE-----'));
+    const message = await openpgp.readMessage({ armoredMessage: armoredMessage.slice(0, armoredMessage.indexOf('-----END PGP MESSAGE-----') + 25) });
+    const decrypted = await message.decrypt([bob]);
+    expect(decrypted.packets.findPacket(openpgp.enums.packet.literalData).format).to.equal('mime');
+  });
+
+  it('decrypts an encrypted multipart/signed entity', async function() {
+    const signed = await openpgp.signMIME({ entity, signingKeys: alice });
+    const encrypted = await openpgp.encryptMIME({ entity: signed, passwords: 'password' });
+    const { data, signatures } = await openpgp.decryptMIME({ entity: encrypted, passwords: 'password', verificationKeys: alice.toPublic(), expectSigned: true });
+    expect(data).to.equal(canonicalEntity);
+    expect(await signatures[0].verified).to.be.true;
+  });
+
+  it('fails on unsigned messages with expectSigned', async function() {
+    const encrypted = await openpgp.encryptMIME({ entity, encryptionKeys: bob.toPublic() });
+    const { data, signatures } = await openpgp.decryptMIME({ entity: encrypted, decryptionKeys: bob });
+    expect(data).to.equal(canonicalEntity);
+    expect(signatures).to.have.length(0);
+    await expect(openpgp.decryptMIME({ entity: encrypted, decryptionKeys: bob, verificationKeys: alice.toPublic(), expectSigned: true })).to.be.rejectedWith(/Message is not signed/);
+  });
+
+  it('rejects invalid entities', async function() {
+    await expect(openpgp.signMIME({ entity: 'Hello', signingKeys: alice })).to.be.rejectedWith(/must be a MIME entity/);
+    await expect(openpgp.encryptMIME({ entity, passwords: 'password', armor: false })).to.be.rejectedWith(/Unknown option: armor/);
+    const signed = await openpgp.signMIME({ entity, signingKeys: alice });
+    await expect(openpgp.decryptMIME({ entity: signed, passwords: 'password' })).to.be.rejectedWith(/MIME entity is not of type multipart\/encrypted/);
+    await expect(openpgp.verifyMIME({ entity: signed.replace('application/pgp-signature"', 'application/pkcs7-signature"') })).to.be.rejectedWith(/Unsupported multipart\/signed protocol/);
+    await expect(openpgp.verifyMIME({ entity: signed.replace(/--\r\n$/, '\r\n') })).to.be.rejectedWith(/missing closing boundary delimiter/);
+  });
+});
@@ -838,9 +838,6 @@ function withCompression(tests) {
 
   compressionTypes.forEach(function (compression) {
     const compressionName = openpgp.enums.read(openpgp.enums.compression, compression);
-    if (compressionName === 'bzip2') {
-      return; // bzip2 compression is not supported.
-    }
     const group = `compression - ${compressionName}`;
 
     describe(group, function() {
@@ -1195,6 +1192,26 @@ module.exports = () => describe('OpenPGP.js public api tests', function() {
       expect(unlocked.isDecrypted()).to.be.true;
     });
 
+    it('should encrypt and decrypt key using Argon2 S2K', async function() {
+      const { privateKey } = await openpgp.generateKey({ userIDs: [{ name: 'test', email: 'test@test.com' }], format: 'object' });
+      const config = {
+        aeadProtect: true,
+        s2kType: openpgp.enums.s2k.argon2,
+        s2kArgon2Params: { passes: 1, parallelism: 1, memoryExponent: 5 }
+      };
+      const locked = await openpgp.encryptKey({ privateKey, passphrase, config });
+      expect(locked.keyPacket.s2k.type).to.equal('argon2');
+      expect(locked.subkeys[0].keyPacket.s2k.type).to.equal('argon2');
+      const unlocked = await openpgp.decryptKey({
+        privateKey: await openpgp.readKey({ armoredKey: locked.armor() }),
+        passphrase
+      });
+      expect(unlocked.isDecrypted()).to.be.true;
+      await expect(openpgp.encryptKey({
+        privateKey, passphrase, config: { ...config, aeadProtect: false }
+      })).to.be.rejectedWith(/Using Argon2 S2K without AEAD is not allowed/);
+    });
+
     it('should encrypt gnu-dummy key', async function() {
       const key = await openpgp.readKey({ armoredKey: gnuDummyKeySigningSubkey });
       const locked = await openpgp.encryptKey({
@@ -1890,6 +1907,93 @@ aOU=
       const { data: streamedData } = await openpgp.decrypt({ message: objectMessage, passwords, verificationKeys: privateKey, expectSigned: true, config });
       expect(await stream.readToEnd(streamedData)).to.equal(text);
     });
+
+    it('should use SEIPDv2 and v6 session key packets only if all recipient keys support them', async function() {
+      const { privateKey: v6Key } = await openpgp.generateKey({ type: 'curve25519', userIDs: { email: 'v6@example.com' }, format: 'object', config: { v6Keys: true } });
+      const { privateKey: v4Key } = await openpgp.generateKey({ type: 'curve25519', userIDs: { email: 'v4@example.com' }, format: 'object' });
+      expect(v6Key.users[0].selfCertifications[0].features[0] & openpgp.enums.features.seipdv2).to.not.equal(0);
+      expect(v4Key.users[0].selfCertifications[0].features[0] & openpgp.enums.features.seipdv2).to.equal(0);
+      const message = await openpgp.createMessage({ text: 'test' });
+      const passwords = 'password';
+
+      const armoredMessage = await openpgp.encrypt({ message, encryptionKeys: v6Key, passwords });
+      const [pkesk, skesk, seipd] = (await openpgp.readMessage({ armoredMessage })).packets;
+      expect(pkesk.version).to.equal(6);
+      expect(pkesk.publicKeyFingerprint).to.deep.equal(v6Key.subkeys[0].keyPacket.getFingerprintBytes());
+      expect(skesk.version).to.equal(6);
+      expect(seipd.constructor.tag).to.equal(openpgp.enums.packet.symEncryptedIntegrityProtectedData);
+      expect(seipd.version).to.equal(2);
+      const { data } = await openpgp.decrypt({ message: await openpgp.readMessage({ armoredMessage }), decryptionKeys: v6Key });
+      expect(data).to.equal('test');
+      const sessionKeys = await openpgp.decryptSessionKeys({ message: await openpgp.readMessage({ armoredMessage }), passwords });
+      expect(sessionKeys[0].algorithm).to.be.null;
+      const { data: data2 } = await openpgp.decrypt({ message: await openpgp.readMessage({ armoredMessage }), sessionKeys });
+      expect(data2).to.equal('test');
+
+      const anonymous = await openpgp.readMessage({ armoredMessage: await openpgp.encrypt({ message, encryptionKeys: v6Key, wildcard: true }) });
+      expect(anonymous.packets[0].publicKeyFingerprint).to.be.null;
+      const { data: data3 } = await openpgp.decrypt({ message: anonymous, decryptionKeys: v6Key });
+      expect(data3).to.equal('test');
+
+      const mixed = await openpgp.encrypt({ message, encryptionKeys: [v6Key, v4Key], format: 'object' });
+      expect(mixed.packets.map(packet => packet.version)).to.deep.equal([3, 3, 1]);
+    });
+
+    it('should reject SEIPDv2 packets using a symmetric algorithm not preferred by the decryption key', async function() {
+      const { privateKey } = await openpgp.generateKey({ type: 'curve25519', userIDs: { email: 'v6@example.com' }, format: 'object', config: { v6Keys: true } });
+      const decryptionKey = await privateKey.setPreferences({ preferredSymmetricAlgorithms: [openpgp.enums.symmetric.aes128] });
+      const message = await openpgp.createMessage({ text: 'test' });
+      const encrypt = async algorithm => openpgp.readMessage({ armoredMessage: await openpgp.encrypt({
+        message, encryptionKeys: decryptionKey, sessionKey: { data: await random.getRandomBytes(algorithm === 'aes192' ? 24 : 16), algorithm, aeadAlgorithm: 'ocb' }
+      }) });
+
+      const { data } = await openpgp.decrypt({ message: await encrypt('aes128'), decryptionKeys: decryptionKey });
+      expect(data).to.equal('test');
+      const encrypted = await encrypt('aes192');
+      expect(encrypted.packets[1].cipherAlgo).to.equal(openpgp.enums.symmetric.aes192);
+      await expect(openpgp.decrypt({ message: encrypted, decryptionKeys: decryptionKey })).to.be.rejectedWith(/A non-preferred symmetric algorithm was used/);
+    });
+
+    it('should add a padding packet given the `padding` option or `config.paddingBucketSize`', async function() {
+      const { privateKey } = await openpgp.generateKey({ type: 'curve25519', userIDs: { email: 'v6@example.com' }, format: 'object', config: { v6Keys: true } });
+      const encryptedLength = async (text, options) => {
+        const armoredMessage = await openpgp.encrypt({ message: await openpgp.createMessage({ text }), encryptionKeys: privateKey, ...options });
+        const { data } = await openpgp.decrypt({ message: await openpgp.readMessage({ armoredMessage }), decryptionKeys: privateKey });
+        expect(data).to.equal(text);
+        const [symEncryptedPacket] = (await openpgp.readMessage({ armoredMessage })).packets.filterByTag(openpgp.enums.packet.symEncryptedIntegrityProtectedData);
+        expect(symEncryptedPacket.version).to.equal(2);
+        return (await stream.readToEnd(symEncryptedPacket.encrypted)).length;
+      };
+
+      // padding packet with one-octet tag, one-octet length and 100 octets of padding
+      expect(await encryptedLength('test', { padding: 100 })).to.equal(await encryptedLength('test') + 102);
+
+      const config = { paddingBucketSize: 512 };
+      const bucketLength = await encryptedLength('test', { config });
+      expect(await encryptedLength('a'.repeat(400), { config })).to.equal(bucketLength);
+      expect(await encryptedLength('a'.repeat(600), { config })).to.equal(bucketLength + 512);
+      // an explicit padding length takes precedence over the bucket size
+      expect(await encryptedLength('test', { padding: 0, config })).to.equal(await encryptedLength('test') + 2);
+
+      const message = await openpgp.createMessage({ text: 'test' });
+      await expect(openpgp.encrypt({ message, encryptionKeys: privateKey, padding: -1 })).to.be.rejectedWith(/Invalid padding length/);
+    });
+
+    it('should only add padding packets to SEIPDv2 packets', async function() {
+      const { privateKey } = await openpgp.generateKey({ type: 'curve25519', userIDs: { email: 'v4@example.com' }, format: 'object' });
+      const message = await openpgp.createMessage({ text: 'test' });
+      const passwords = 'password';
+      await expect(openpgp.encrypt({ message, passwords, padding: 100 })).to.be.rejectedWith(/Padding is only supported when all encryption keys support version 2 SEIPD packets/);
+      await expect(openpgp.encrypt({ message, encryptionKeys: privateKey, padding: 100, config: { aeadProtect: true } })).to.be.rejectedWith(/Padding is only supported/);
+
+      // the padding bucket size is ignored for legacy recipients
+      for (const config of [{ paddingBucketSize: 512 }, { paddingBucketSize: 512, aeadProtect: true }]) {
+        const binaryMessage = await openpgp.encrypt({ message, encryptionKeys: privateKey, passwords, format: 'binary', config });
+        const encrypted = await openpgp.readMessage({ binaryMessage });
+        const { packets } = await encrypted.decrypt(undefined, [passwords], undefined, undefined, config);
+        expect(packets.findPacket(openpgp.enums.packet.padding)).to.be.undefined;
+      }
+    });
   });
 
   describe('encryptSessionKey - unit tests', function() {
@@ -2963,6 +3067,22 @@ aOU=
           });
         });
 
+        it('should encrypt and decrypt with password using Argon2 S2K', async function () {
+          const config = {
+            s2kType: openpgp.enums.s2k.argon2,
+            s2kArgon2Params: { passes: 1, parallelism: 4, memoryExponent: 6 }
+          };
+          const encrypted = await openpgp.encrypt({
+            message: await openpgp.createMessage({ text: plaintext }),
+            passwords: password1,
+            config
+          });
+          const message = await openpgp.readMessage({ armoredMessage: encrypted });
+          expect(message.packets[0].s2k.type).to.equal('argon2');
+          const decrypted = await openpgp.decrypt({ message, passwords: password1 });
+          expect(decrypted.data).to.equal(plaintext);
+        });
+
         it('should encrypt and decrypt with password and not ascii armor', async function () {
           const encOpt = {
             message: await openpgp.createMessage({ text: plaintext }),
@@ -1138,6 +1138,124 @@ eSvSZutLuKKbidSYMLhWROPlwKc2GU2ws6PrLZAyCAel/lU=
     expect(await sig.verified).to.be.true;
   });
 
+  it('Sign and verify with notations, policy URI and signer\'s user ID', async function() {
+    const { privateKey } = await openpgp.generateKey({ userIDs: { name: 'Steve Sender', email: 'steve@openpgp.org' }, format: 'object' });
+    const signatureNotations = [
+      { name: 'ticket@example.org', value: 'TICKET-1234' },
+      { name: 'review-state@example.org', value: new Uint8Array([1, 2]), critical: false }
+    ];
+    const signed = await openpgp.sign({
+      message: await openpgp.createMessage({ text: 'hello' }),
+      signingKeys: privateKey,
+      signatureNotations,
+      signaturePolicyURI: 'https://example.org/policy',
+      signersUserIDs: 'Stéve Sender <steve@openpgp.org>'
+    });
+    const { signatures: [sig] } = await openpgp.verify({ message: await openpgp.readMessage({ armoredMessage: signed }), verificationKeys: privateKey.toPublic() });
+    expect(await sig.verified).to.be.true;
+    expect(await sig.notations).to.deep.equal([
+      { name: 'ticket@example.org', value: util.encodeUTF8('TICKET-1234'), humanReadable: true, critical: false },
+      { name: 'review-state@example.org', value: new Uint8Array([1, 2]), humanReadable: false, critical: false }
+    ]);
+    const { packets: [signaturePacket] } = await sig.signature;
+    expect(signaturePacket.notations).to.deep.equal({ 'ticket@example.org': 'TICKET-1234' });
+    expect(signaturePacket.policyURI).to.equal('https://example.org/policy');
+    expect(signaturePacket.signersUserID).to.equal('Stéve Sender <steve@openpgp.org>');
+
+    const cleartextSigned = await openpgp.sign({ message: await openpgp.createCleartextMessage({ text: 'hello' }), signingKeys: privateKey, signatureNotations });
+    const { signatures: [cleartextSig] } = await openpgp.verify({
+      message: await openpgp.readCleartextMessage({ cleartextMessage: cleartextSigned }), verificationKeys: privateKey.toPublic()
+    });
+    expect(await cleartextSig.verified).to.be.true;
+    expect((await cleartextSig.notations).map(({ name }) => name)).to.deep.equal(['ticket@example.org', 'review-state@example.org']);
+
+    await expect(openpgp.sign({
+      message: await openpgp.createMessage({ text: 'hello' }), signingKeys: privateKey, signatureNotations: { name: 'test@example.org', value: 1 }
+    })).to.be.rejectedWith(/Invalid notation/);
+  });
+
+  it('Encrypt and decrypt with critical notations', async function() {
+    const { privateKey } = await openpgp.generateKey({ userIDs: { name: 'test' }, format: 'object' });
+    const encrypted = await openpgp.encrypt({
+      message: await openpgp.createMessage({ text: 'hello' }),
+      encryptionKeys: privateKey.toPublic(),
+      signingKeys: privateKey,
+      signatureNotations: { name: 'critical@example.org', value: 'yes', critical: true }
+    });
+    const decrypt = async config => openpgp.decrypt({
+      message: await openpgp.readMessage({ armoredMessage: encrypted }), decryptionKeys: privateKey, verificationKeys: privateKey.toPublic(), config
+    });
+    const { signatures: [sig] } = await decrypt();
+    await expect(sig.verified).to.be.rejectedWith(/Unknown critical notation: critical@example.org/);
+    expect((await sig.notations)[0].critical).to.be.true;
+    const { signatures: [knownSig] } = await decrypt({ knownNotations: ['critical@example.org'] });
+    expect(await knownSig.verified).to.be.true;
+  });
+
+  it('Verify with notation handlers', async function() {
+    const { privateKey } = await openpgp.generateKey({ userIDs: { name: 'test' }, format: 'object' });
+    const publicKey = privateKey.toPublic();
+    const sign = async signatureNotations => openpgp.sign({
+      message: await openpgp.createMessage({ text: 'hello' }), signingKeys: privateKey, signatureNotations
+    });
+    const verify = async (armoredMessage, notationHandlers) => openpgp.verify({
+      message: await openpgp.readMessage({ armoredMessage }), verificationKeys: publicKey, notationHandlers
+    });
+    const approvedMessage = await sign([
+      { name: 'approval@corp', value: 'approved', critical: true },
+      { name: 'ticket@corp', value: 'TICKET-1234' }
+    ]);
+    const handlerCalls = [];
+    const notationHandlers = {
+      'approval@corp': notation => {
+        handlerCalls.push(notation);
+        if (util.decodeUTF8(notation.value) !== 'approved') {
+          throw new Error('Not approved');
+        }
+        return { approved: true };
+      }
+    };
+    const { signatures: [sig] } = await verify(approvedMessage, notationHandlers);
+    expect(await sig.verified).to.be.true;
+    expect(await sig.notationResults).to.deep.equal({ 'approval@corp': { approved: true } });
+    expect(handlerCalls).to.have.length(1);
+    expect(handlerCalls[0]).to.deep.include({ name: 'approval@corp', humanReadable: true, critical: true });
+
+    // without handler, the critical notation is unknown
+    const { signatures: [unhandledSig] } = await verify(approvedMessage);
+    await expect(unhandledSig.verified).to.be.rejectedWith(/Unknown critical notation: approval@corp/);
+    await expect(unhandledSig.notationResults).to.be.rejectedWith(/Unknown critical notation: approval@corp/);
+
+    const rejectedMessage = await sign({ name: 'approval@corp', value: 'rejected', critical: true });
+    const { signatures: [rejectedSig] } = await verify(rejectedMessage, notationHandlers);
+    await expect(rejectedSig.verified).to.be.rejectedWith(/Notation rejected: approval@corp: Not approved/);
+
+    // non-critical notations can be rejected too
+    const { signatures: [ticketSig] } = await verify(approvedMessage, { ...notationHandlers, 'ticket@corp': () => false });
+    await expect(ticketSig.verified).to.be.rejectedWith(/Notation rejected: ticket@corp/);
+
+    await expect(verify(approvedMessage, { 'approval@corp': true })).to.be.rejectedWith(/notationHandlers/);
+  });
+
+  it('Decrypt with notation handlers', async function() {
+    const { privateKey } = await openpgp.generateKey({ userIDs: { name: 'test' }, format: 'object' });
+    const encrypted = await openpgp.encrypt({
+      message: await openpgp.createMessage({ text: 'hello' }),
+      encryptionKeys: privateKey.toPublic(),
+      signingKeys: privateKey,
+      signatureNotations: { name: 'approval@corp', value: 'approved', critical: true }
+    });
+    const { data, signatures: [sig] } = await openpgp.decrypt({
+      message: await openpgp.readMessage({ armoredMessage: encrypted }),
+      decryptionKeys: privateKey,
+      verificationKeys: privateKey.toPublic(),
+      notationHandlers: { 'approval@corp': async ({ value }) => util.decodeUTF8(value) }
+    });
+    expect(data).to.equal('hello');
+    expect(await sig.verified).to.be.true;
+    expect(await sig.notationResults).to.deep.equal({ 'approval@corp': 'approved' });
+  });
+
   it('Verify cleartext signed message with two signatures with openpgp.verify', async function() {
     const cleartextMessage =
       ['-----BEGIN PGP SIGNED MESSAGE-----',
@@ -1691,6 +1809,51 @@ hkJiXopCSWKSlQInL1devkJJUWJmTmZeugJYlpdLAagQJM0JpsCqIQZwKgAA
     expect(await signatures[1].verified).to.be.true;
   });
 
+  it('Sign and verify message using a V6 key (one-pass signatures)', async function() {
+    const { privateKey: v6Key } = await openpgp.generateKey({ type: 'curve25519', userIDs: { name: 'test', email: 'a@b.com' }, format: 'object', config: { v6Keys: true } });
+    const { privateKey: v4Key } = await openpgp.generateKey({ userIDs: { name: 'test', email: 'a@b.com' }, format: 'object' });
+    const armoredMessage = await openpgp.sign({ message: await openpgp.createMessage({ text: 'hello' }), signingKeys: [v6Key, v4Key] });
+
+    const message = await openpgp.readMessage({ armoredMessage });
+    const onePassSignatures = message.packets.filterByTag(openpgp.enums.packet.onePassSignature);
+    expect(onePassSignatures.map(({ version }) => version)).to.deep.equal([3, 6]);
+    expect(onePassSignatures[1].issuerFingerprint).to.deep.equal(v6Key.keyPacket.getFingerprintBytes());
+    expect(onePassSignatures[1].flags).to.equal(1);
+
+    const verificationKeys = [v6Key.toPublic(), v4Key.toPublic()];
+    const { data, signatures } = await openpgp.verify({ message, verificationKeys });
+    expect(data).to.equal('hello');
+    expect(await signatures[0].verified).to.be.true;
+    expect(await signatures[1].verified).to.be.true;
+    const { packets: [signaturePacket] } = await signatures[0].signature;
+    expect(signaturePacket.version).to.equal(6);
+    expect(signaturePacket.salt).to.deep.equal(onePassSignatures[1].salt);
+
+    await stream.loadStreamsPonyfill();
+    const streamedMessage = await openpgp.readMessage({ armoredMessage: stream.toStream(armoredMessage) });
+    const { data: streamedData, signatures: streamedSignatures } = await openpgp.verify({ message: streamedMessage, verificationKeys });
+    expect(await stream.readToEnd(streamedData)).to.equal('hello');
+    expect(await streamedSignatures[0].verified).to.be.true;
+    expect(await streamedSignatures[1].verified).to.be.true;
+  });
+
+  it('Verification of a V6 signature fails if the one-pass signature salt does not match', async function() {
+    const { privateKey } = await openpgp.generateKey({ type: 'curve25519', userIDs: { name: 'test', email: 'a@b.com' }, format: 'object', config: { v6Keys: true } });
+    const message = await openpgp.sign({ message: await openpgp.createMessage({ text: 'hello' }), signingKeys: privateKey, format: 'object' });
+    const [onePassSignature] = message.packets.filterByTag(openpgp.enums.packet.onePassSignature);
+    onePassSignature.salt = onePassSignature.salt.slice();
+    onePassSignature.salt[0] ^= 1;
+
+    const armoredMessage = message.armor();
+    await stream.loadStreamsPonyfill();
+    const { data, signatures } = await openpgp.verify({
+      message: await openpgp.readMessage({ armoredMessage: stream.toStream(armoredMessage) }),
+      verificationKeys: privateKey.toPublic()
+    });
+    await stream.readToEnd(data);
+    await expect(signatures[0].verified).to.be.rejectedWith(/Corresponding signature packet does not match one-pass signature packet/);
+  });
+
   it('Sign message with key without password', function() {
     const opt = { userIDs: { name:'test', email:'a@b.com' }, passphrase: null, format: 'object' };
     return openpgp.generateKey(opt).then(async function({ privateKey: key }) {
@@ -205,6 +205,31 @@ function tests() {
     expect(decrypted.data).to.equal('hello world');
   });
 
+  it('Read keys from streamed keyring', async function() {
+    dataArrived(); // Do not wait until data arrived.
+    const publicKey = await openpgp.readKey({ armoredKey: pub_key });
+    const { publicKey: publicKey2 } = await openpgp.generateKey({ userIDs: { email: 'test@example.com' }, format: 'object' });
+    const armoredKeys = await openpgp.writeKeys({ keys: [publicKey, publicKey2] });
+    const chunks = armoredKeys.match(/[^]{1,100}/g);
+    const armoredStream = global.ReadableStream ? new global.ReadableStream({
+      start(controller) {
+        chunks.forEach(chunk => controller.enqueue(chunk));
+        controller.close();
+      }
+    }) : new NodeReadableStream({
+      encoding: 'utf8',
+      read() {
+        chunks.forEach(chunk => this.push(chunk));
+        this.push(null);
+      }
+    });
+    const fingerprints = [];
+    for await (const key of openpgp.readKeysStream({ armoredKeys: armoredStream })) {
+      fingerprints.push(key.getFingerprint());
+    }
+    expect(fingerprints).to.deep.equal([publicKey.getFingerprint(), publicKey2.getFingerprint()]);
+  });
+
   it('Encrypt larger message', async function() {
     const encrypted = await openpgp.encrypt({
       message: await openpgp.createMessage({ binary: data }),
@@ -801,6 +826,32 @@ function tests() {
     expect(canceled).to.be.true;
   });
 
+  it('Encrypt and decrypt larger message roundtrip with bzip2 compression', async function() {
+    dataArrived();
+    const encrypted = await openpgp.encrypt({
+      message: await openpgp.createMessage({ binary: data }),
+      passwords: ['test'],
+      format: 'binary',
+      config: { preferredCompressionAlgorithm: openpgp.enums.compression.bzip2, deflateLevel: 1 }
+    });
+    expect(stream.isStream(encrypted)).to.equal(expectedType);
+    const reader = stream.getReader(encrypted);
+    const firstBytes = await reader.readBytes(100000);
+    if (expectedType === 'node') {
+      // the first blocks are written before the whole input has been read
+      expect(i).to.be.lessThan(500);
+    }
+    const encryptedBytes = util.concatUint8Array([firstBytes, await reader.readToEnd()]);
+
+    const message = await openpgp.readMessage({ binaryMessage: encryptedBytes });
+    const decrypted = await openpgp.decrypt({
+      passwords: ['test'],
+      message,
+      format: 'binary'
+    });
+    expect(await stream.readToEnd(decrypted.data)).to.deep.equal(util.concatUint8Array(plaintext));
+  });
+
   describe('AEAD', function() {
     let aeadProtectValue;
     let aeadChunkSizeByteValue;
@@ -837,6 +888,51 @@ function tests() {
       expect(await reader.readToEnd()).to.deep.equal(util.concatUint8Array(plaintext));
     });
 
+    it('Encrypt and decrypt larger message roundtrip using public keys (SEIPDv2)', async function() {
+      const { privateKey } = await openpgp.generateKey({ type: 'curve25519', userIDs: { email: 'test@example.com' }, format: 'object', config: { v6Keys: true } });
+      const encrypted = await openpgp.encrypt({
+        message: await openpgp.createMessage({ binary: data }),
+        encryptionKeys: privateKey,
+        format: 'binary'
+      });
+      expect(stream.isStream(encrypted)).to.equal(expectedType);
+
+      const message = await openpgp.readMessage({ binaryMessage: encrypted });
+      const decrypted = await openpgp.decrypt({
+        decryptionKeys: privateKey,
+        message,
+        format: 'binary'
+      });
+      expect(stream.isStream(decrypted.data)).to.equal(expectedType);
+      const reader = stream.getReader(decrypted.data);
+      expect(await reader.peekBytes(1024)).to.deep.equal(plaintext[0]);
+      dataArrived();
+      expect(await reader.readToEnd()).to.deep.equal(util.concatUint8Array(plaintext));
+    });
+
+    it('Encrypt and decrypt larger message roundtrip with padding (SEIPDv2)', async function() {
+      const { privateKey } = await openpgp.generateKey({ type: 'curve25519', userIDs: { email: 'test@example.com' }, format: 'object', config: { v6Keys: true } });
+      const encrypted = await openpgp.encrypt({
+        message: await openpgp.createMessage({ binary: data }),
+        encryptionKeys: privateKey,
+        format: 'binary',
+        config: { paddingBucketSize: 4096 }
+      });
+      expect(stream.isStream(encrypted)).to.equal(expectedType);
+
+      const message = await openpgp.readMessage({ binaryMessage: encrypted });
+      const decrypted = await openpgp.decrypt({
+        decryptionKeys: privateKey,
+        message,
+        format: 'binary'
+      });
+      expect(stream.isStream(decrypted.data)).to.equal(expectedType);
+      const reader = stream.getReader(decrypted.data);
+      expect(await reader.peekBytes(1024)).to.deep.equal(plaintext[0]);
+      dataArrived();
+      expect(await reader.readToEnd()).to.deep.equal(util.concatUint8Array(plaintext));
+    });
+
     it('Encrypt and decrypt larger text message roundtrip (AEAD)', async function() {
       openpgp.config.aeadChunkSizeByte = 0;
 
@@ -239,6 +239,13 @@ module.exports = () => (openpgp.config.ci ? describe.skip : describe)('X25519 Cr
         }),
         signature.verify(22, openpgp.enums.hash.sha256, { r: R, s: S }, publicParams, undefined, data).then(result => {
           expect(result).to.be.true;
+        }),
+        // Ed25519 keys as defined in the crypto-refresh use the same algorithm, without OID and MPI encoding
+        signature.sign(openpgp.enums.publicKey.ed25519, openpgp.enums.hash.sha256, { A: util.hexToUint8Array(vector.PUBLIC_KEY) }, privateParams, undefined, data).then(({ RS }) => {
+          expect(RS).to.deep.equal(util.concatUint8Array([R, S]));
+        }),
+        signature.verify(openpgp.enums.publicKey.ed25519, openpgp.enums.hash.sha256, { RS: util.concatUint8Array([R, S]) }, { A: util.hexToUint8Array(vector.PUBLIC_KEY) }, undefined, data).then(result => {
+          expect(result).to.be.true;
         })
       ]);
     }
@@ -375,6 +382,72 @@ module.exports = () => (openpgp.config.ci ? describe.skip : describe)('X25519 Cr
   });
 
   describe('X25519 Omnibus Tests', omnibus);
+
+  describe('X25519 and Ed25519 keys (crypto-refresh)', function () {
+    it('Generate, serialize and parse keys', async function () {
+      const { privateKey } = await openpgp.generateKey({ type: 'curve25519', userIDs: { name: 'Hi', email: 'hi@hel.lo' }, format: 'object' });
+      expect(privateKey.getAlgorithmInfo()).to.deep.equal({ algorithm: 'ed25519' });
+      expect(privateKey.subkeys[0].getAlgorithmInfo()).to.deep.equal({ algorithm: 'x25519' });
+      expect(privateKey.keyPacket.publicParams.A).to.have.length(32);
+      expect(privateKey.keyPacket.privateParams.seed).to.have.length(32);
+      expect(privateKey.subkeys[0].keyPacket.publicParams.A).to.have.length(32);
+      expect(privateKey.subkeys[0].keyPacket.privateParams.k).to.have.length(32);
+
+      const parsedKey = await openpgp.readKey({ armoredKey: privateKey.armor() });
+      expect(parsedKey.write()).to.deep.equal(privateKey.write());
+      await expect(parsedKey.validate()).to.be.fulfilled;
+      await expect(parsedKey.verifyPrimaryKey()).to.be.fulfilled;
+
+      const signingSubkey = await parsedKey.addSubkey({ sign: true });
+      expect(signingSubkey.subkeys[1].getAlgorithmInfo()).to.deep.equal({ algorithm: 'ed25519' });
+    });
+
+    it('Encrypt, sign, decrypt and verify message', async function () {
+      const { privateKey: hi } = await openpgp.generateKey({ type: 'curve25519', userIDs: { name: 'Hi', email: 'hi@hel.lo' }, format: 'object' });
+      const { privateKey: bye } = await openpgp.generateKey({ type: 'curve25519', userIDs: { name: 'Bye', email: 'bye@good.bye' }, format: 'object' });
+      const encrypted = await openpgp.encrypt({
+        message: await openpgp.createMessage({ text: 'Hi, Hi wrote this but only Bye can read it!' }),
+        encryptionKeys: bye.toPublic(),
+        signingKeys: hi
+      });
+      const message = await openpgp.readMessage({ armoredMessage: encrypted });
+      const [pkesk] = message.packets.filterByTag(openpgp.enums.packet.publicKeyEncryptedSessionKey);
+      expect(pkesk.publicKeyAlgorithm).to.equal('x25519');
+      const { data, signatures } = await openpgp.decrypt({
+        message,
+        decryptionKeys: bye,
+        verificationKeys: hi.toPublic()
+      });
+      expect(data).to.equal('Hi, Hi wrote this but only Bye can read it!');
+      await expect(signatures[0].verified).to.eventually.be.true;
+    });
+
+    it('X25519 keys cannot encrypt non-AES session keys', async function () {
+      const { publicKey } = await openpgp.generateKey({ type: 'curve25519', userIDs: { name: 'Bye', email: 'bye@good.bye' }, format: 'object' });
+      await expect(openpgp.encryptSessionKey({
+        data: new Uint8Array(16),
+        algorithm: 'cast5',
+        encryptionKeys: publicKey
+      })).to.be.rejectedWith(/X25519 and X448 keys can only encrypt AES session keys/);
+    });
+
+    it('Ed25519 keys use SHA-256 or stronger hash algorithms', async function () {
+      const { privateKey } = await openpgp.generateKey({ type: 'curve25519', userIDs: { name: 'Hi', email: 'hi@hel.lo' }, format: 'object' });
+      const signed = await openpgp.sign({
+        message: await openpgp.createMessage({ text: 'hello' }),
+        signingKeys: privateKey,
+        config: { preferredHashAlgorithm: openpgp.enums.hash.sha1 },
+        format: 'object'
+      });
+      const [signaturePacket] = signed.packets.filterByTag(openpgp.enums.packet.signature);
+      expect(signaturePacket.hashAlgorithm).to.equal(openpgp.enums.hash.sha256);
+
+      const { publicParams, privateParams } = privateKey.keyPacket;
+      await expect(signature.sign(
+        openpgp.enums.publicKey.ed25519, openpgp.enums.hash.sha1, publicParams, privateParams, undefined, new Uint8Array(20)
+      )).to.be.rejectedWith(/Hash algorithm too weak for ed25519/);
+    });
+  });
 });
 
 // TODO export, then reimport key and validate
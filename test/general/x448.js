@@ -0,0 +1,121 @@
+const openpgp = typeof window !== 'undefined' && window.openpgp ? window.openpgp : require('../..');
+const curve448 = require('../../src/crypto/public_key/elliptic/curve448');
+const util = require('../../src/util');
+
+const chai = require('chai');
+chai.use(require('chai-as-promised'));
+
+const { expect } = chai;
+
+module.exports = () => describe('X448 and Ed448 Cryptography', function () {
+  describe('RFC test vectors', function () {
+    it('X448 (RFC 7748, section 5.2)', async function () {
+      const k = util.hexToUint8Array('3d262fddf9ec8e88495266fea19a34d28882acef045104d0d1aae121700a779c984c24f8cdd78fbff44943eba368f54b29259a4f1c600ad3');
+      const u = util.hexToUint8Array('06fce640fa3487bfda5f6cf2d5263f8aad88334cbd07437f020f08f9814dc031ddbdc38c19c6da2583fa5429db94ada18aa7a7fb4ef8a086');
+      expect(util.uint8ArrayToHex(await curve448.x448(k, u))).to.equal('ce3e4ff95a60dc6697da1db1d85e6afbdf79b50a2412d7546d5f239fe14fbaadeb445fc66a01b0779d98223961111e21766282f73dd96b6f');
+    });
+
+    it('Ed448 (RFC 8032, section 7.4)', async function () {
+      const seed = util.hexToUint8Array('6c82a562cb808d10d632be89c8513ebf6c929f34ddfa8c9f63c9960ef6e348a3528c8a3fcc2f044e39a3fc5b94492f8f032e7549a20098f95b');
+      const publicKey = await curve448.ed448PublicKey(seed);
+      expect(util.uint8ArrayToHex(publicKey)).to.equal('5fd7449b59b461fd2ce787ec616ad46a1da1342485a70e1f8a0ea75d80e96778edf124769b46c7061bd6783df1e50f6cd1fa1abeafe8256180');
+      const signature = await curve448.ed448Sign(new Uint8Array(), seed, publicKey);
+      expect(util.uint8ArrayToHex(signature)).to.equal('533a37f6bbe457251f023c0d88f976ae2dfb504a843e34d2074fd823d41a591f2b233f034f628281f2fd7a22ddd47d7828c59bd0a21bfd3980ff0d2028d4b18a9df63e006c5d1c2d345b925d8dc00b4104852db99ac5c7cdda8530a113a0f4dbb61149f05a7363268c71d95808ff2e652600');
+      expect(await curve448.ed448Verify(new Uint8Array(), signature, publicKey)).to.be.true;
+      expect(await curve448.ed448Verify(new Uint8Array([3]), signature, publicKey)).to.be.false;
+      signature[60] ^= 1;
+      expect(await curve448.ed448Verify(new Uint8Array(), signature, publicKey)).to.be.false;
+    });
+  });
+
+  describe('Ed448 and Curve448 ECC keys (GnuPG format)', function () {
+    it('Generate, serialize and parse keys', async function () {
+      const { privateKey } = await openpgp.generateKey({ curve: 'curve448', userIDs: { name: 'Hi', email: 'hi@hel.lo' }, format: 'object' });
+      expect(privateKey.getAlgorithmInfo()).to.deep.equal({ algorithm: 'eddsa', curve: 'ed448' });
+      expect(privateKey.subkeys[0].getAlgorithmInfo()).to.deep.equal({ algorithm: 'ecdh', curve: 'curve448' });
+      expect(privateKey.keyPacket.publicParams.Q).to.have.length(58);
+      expect(privateKey.keyPacket.privateParams.seed).to.have.length(57);
+      const { publicParams: subkeyParams } = privateKey.subkeys[0].keyPacket;
+      expect(subkeyParams.Q).to.have.length(57);
+      expect(subkeyParams.kdfParams.hash).to.equal(openpgp.enums.hash.sha512);
+      expect(subkeyParams.kdfParams.cipher).to.equal(openpgp.enums.symmetric.aes256);
+
+      const parsedKey = await openpgp.readKey({ armoredKey: privateKey.armor() });
+      expect(parsedKey.write()).to.deep.equal(privateKey.write());
+      await expect(parsedKey.validate()).to.be.fulfilled;
+      await expect(parsedKey.verifyPrimaryKey()).to.be.fulfilled;
+
+      const signingSubkey = await parsedKey.addSubkey({ sign: true });
+      expect(signingSubkey.subkeys[1].getAlgorithmInfo()).to.deep.equal({ algorithm: 'eddsa', curve: 'ed448' });
+    });
+
+    it('Encrypt, sign, decrypt and verify message', async function () {
+      const { privateKey: hi } = await openpgp.generateKey({ curve: 'ed448', userIDs: { name: 'Hi', email: 'hi@hel.lo' }, format: 'object' });
+      const { privateKey: bye } = await openpgp.generateKey({ curve: 'curve448', userIDs: { name: 'Bye', email: 'bye@good.bye' }, format: 'object' });
+      const encrypted = await openpgp.encrypt({
+        message: await openpgp.createMessage({ text: 'Hi, Hi wrote this but only Bye can read it!' }),
+        encryptionKeys: bye.toPublic(),
+        signingKeys: hi
+      });
+      const { data, signatures } = await openpgp.decrypt({
+        message: await openpgp.readMessage({ armoredMessage: encrypted }),
+        decryptionKeys: bye,
+        verificationKeys: hi.toPublic()
+      });
+      expect(data).to.equal('Hi, Hi wrote this but only Bye can read it!');
+      await expect(signatures[0].verified).to.eventually.be.true;
+    });
+
+    it('Detect invalid params', async function () {
+      const { privateKey } = await openpgp.generateKey({ curve: 'curve448', userIDs: { name: 'Hi', email: 'hi@hel.lo' }, format: 'object' });
+      const invalidPrimaryKey = privateKey.clone(true);
+      invalidPrimaryKey.keyPacket.publicParams.Q[1]++;
+      await expect(invalidPrimaryKey.validate()).to.be.rejectedWith(/Key is invalid/);
+
+      const invalidSubkey = privateKey.subkeys[0].keyPacket;
+      invalidSubkey.publicParams.Q[1]++;
+      await expect(invalidSubkey.validate()).to.be.rejectedWith(/Key is invalid/);
+    });
+  });
+
+  describe('X448 and Ed448 keys (crypto-refresh)', function () {
+    it('Generate, serialize and parse keys', async function () {
+      const { privateKey } = await openpgp.generateKey({ type: 'curve448', userIDs: { name: 'Hi', email: 'hi@hel.lo' }, format: 'object' });
+      expect(privateKey.getAlgorithmInfo()).to.deep.equal({ algorithm: 'ed448' });
+      expect(privateKey.subkeys[0].getAlgorithmInfo()).to.deep.equal({ algorithm: 'x448' });
+      expect(privateKey.keyPacket.publicParams.A).to.have.length(57);
+      expect(privateKey.keyPacket.privateParams.seed).to.have.length(57);
+      expect(privateKey.subkeys[0].keyPacket.publicParams.A).to.have.length(56);
+      expect(privateKey.subkeys[0].keyPacket.privateParams.k).to.have.length(56);
+
+      const parsedKey = await openpgp.readKey({ armoredKey: privateKey.armor() });
+      expect(parsedKey.write()).to.deep.equal(privateKey.write());
+      await expect(parsedKey.validate()).to.be.fulfilled;
+      await expect(parsedKey.verifyPrimaryKey()).to.be.fulfilled;
+
+      const signingSubkey = await parsedKey.addSubkey({ sign: true });
+      expect(signingSubkey.subkeys[1].getAlgorithmInfo()).to.deep.equal({ algorithm: 'ed448' });
+    });
+
+    it('Encrypt, sign, decrypt and verify message', async function () {
+      const { privateKey: hi } = await openpgp.generateKey({ type: 'curve448', userIDs: { name: 'Hi', email: 'hi@hel.lo' }, format: 'object' });
+      const { privateKey: bye } = await openpgp.generateKey({ type: 'curve448', userIDs: { name: 'Bye', email: 'bye@good.bye' }, format: 'object' });
+      const encrypted = await openpgp.encrypt({
+        message: await openpgp.createMessage({ text: 'Hi, Hi wrote this but only Bye can read it!' }),
+        encryptionKeys: bye.toPublic(),
+        signingKeys: hi
+      });
+      const message = await openpgp.readMessage({ armoredMessage: encrypted });
+      const [pkesk] = message.packets.filterByTag(openpgp.enums.packet.publicKeyEncryptedSessionKey);
+      expect(pkesk.publicKeyAlgorithm).to.equal('x448');
+      const { data, signatures } = await openpgp.decrypt({
+        message,
+        decryptionKeys: bye,
+        verificationKeys: hi.toPublic()
+      });
+      expect(data).to.equal('Hi, Hi wrote this but only Bye can read it!');
+      await expect(signatures[0].verified).to.eventually.be.true;
+      await expect(signatures[0].signature.then(({ packets: [signature] }) => signature.hashAlgorithm)).to.eventually.equal(openpgp.enums.hash.sha512);
+    });
+  });
+});
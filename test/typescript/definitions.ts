@@ -11,7 +11,8 @@ import {
   generateKey, readKey, readKeys, readPrivateKey, PrivateKey, Key, PublicKey, revokeKey,
   readMessage, createMessage, Message, createCleartextMessage,
   encrypt, decrypt, sign, verify, config, enums,
-  generateSessionKey, encryptSessionKey, decryptSessionKeys,
+  generateSessionKey, encryptSessionKey, decryptSessionKeys, Keyring, signMIME, encryptMIME, verifyMIME, decryptMIME,
+  createAutocryptHeader, readAutocryptHeader, createAutocryptSetupMessage, decryptAutocryptSetupMessage,
   LiteralDataPacket, PacketList, CompressedDataPacket, PublicKeyPacket, PublicSubkeyPacket, SecretKeyPacket, SecretSubkeyPacket, CleartextMessage
 } from '../..';
 
@@ -52,6 +53,7 @@ import {
   (await privateKey.toPublic().update(privateKey)).isDecrypted();
   // @ts-expect-error isDecrypted is not defined for public keys
   try { (await privateKey.toPublic().update(privateKey.toPublic())).isDecrypted(); } catch (e) {}
+  (await privateKey.clean({ dropThirdPartySigs: true })).isDecrypted();
 
   // Revoke keys
   await revokeKey({ key: privateKey });
@@ -95,6 +97,8 @@ import {
   expect(encryptedBinaryObject).to.be.instanceOf(Message);
   const encryptedTextObject: Message<string> = await encrypt({ encryptionKeys: publicKeys, message: textMessage, format: 'object' });
   expect(encryptedTextObject).to.be.instanceOf(Message);
+  const armoredParts: string[] = encryptedTextObject.armor(undefined, { maxPartSize: 1000 });
+  expect(await readMessage({ armoredMessage: armoredParts.join('\n') })).to.be.instanceOf(Message);
 
   // Session key functions
   // Get session keys from encrypted message
@@ -112,10 +116,32 @@ import {
   expect(clearSignedArmor).to.include('-----BEGIN PGP SIGNED MESSAGE-----');
   const clearSignedObject: CleartextMessage = await sign({ signingKeys: privateKeys, message: cleartextMessage, format: 'object' });
   expect(clearSignedObject).to.be.instanceOf(CleartextMessage);
+
+  // PGP/MIME
+  const mimeEntity = 'Content-Type: text/plain\r\n\r\nhello';
+  const signedMIME: string = await signMIME({ entity: mimeEntity, signingKeys: privateKeys });
+  expect((await verifyMIME({ entity: signedMIME, verificationKeys: publicKeys })).data).to.equal(mimeEntity);
+  const encryptedMIME: string = await encryptMIME({ entity: mimeEntity, encryptionKeys: publicKeys, signingKeys: privateKeys });
+  const decryptedMIME = await decryptMIME({ entity: encryptedMIME, decryptionKeys: privateKeys, verificationKeys: publicKeys });
+  expect(decryptedMIME.data).to.equal(mimeEntity);
+  expect(await decryptedMIME.signatures[0].verified).to.be.true;
+
+  // Autocrypt
+  const autocryptHeader: string = await createAutocryptHeader({ key: publicKey, preferEncrypt: 'mutual' });
+  const { key: autocryptKey, preferEncrypt }: { key: PublicKey, preferEncrypt: string } = await readAutocryptHeader({ header: autocryptHeader });
+  expect(autocryptKey.isPrivate()).to.be.false;
+  expect(preferEncrypt).to.equal('mutual');
+  const { setupCode, armoredMessage: setupMessage } = await createAutocryptSetupMessage({ privateKey });
+  const { privateKey: transferredKey }: { privateKey: PrivateKey } = await decryptAutocryptSetupMessage({ armoredMessage: setupMessage, setupCode });
+  expect(transferredKey.isPrivate()).to.be.true;
   // @ts-expect-error PublicKey not assignable to PrivateKey
   try { await sign({ signingKeys: publicKeys, message: cleartextMessage }); } catch (e) {}
   // @ts-expect-error Key not assignable to PrivateKey
   try { await sign({ signingKeys: parsedKey, message: cleartextMessage }); } catch (e) {}
+  // @ts-expect-error Keyring not assignable to PrivateKey
+  try { await sign({ signingKeys: new Keyring(), message: cleartextMessage }); } catch (e) {}
+  // @ts-expect-error Keyring not assignable to PublicKey
+  try { await encrypt({ encryptionKeys: new Keyring(), message: textMessage }); } catch (e) {}
 
   // Sign text message (armored)
   const textSignedArmor: string = await sign({ signingKeys: privateKeys, message: textMessage });
@@ -142,6 +168,12 @@ import {
   expect(verifiedBinaryData).to.deep.equal(binary);
   await verify({ verificationKeys: privateKeys, message, format: 'binary' });
 
+  // Sign and verify with notations
+  const notatedSignedArmor = await sign({ signingKeys: privateKeys, message: textMessage, signatureNotations: [{ name: 'test@example.org', value: 'test' }], signaturePolicyURI: 'https://example.org' });
+  const { signatures: [notatedSignature] } = await verify({ verificationKeys: publicKeys, message: await readMessage({ armoredMessage: notatedSignedArmor }) });
+  const [{ value: notationValue }] = await notatedSignature.notations;
+  expect(notationValue).to.be.instanceOf(Uint8Array);
+
   // Generic packetlist
   const packets = new PacketList();
   expect(packets.push()).to.equal(0);